@@ -1,3 +1,11 @@
+import { database } from '../lib/database.js';
+import { createTables } from './schema.js';
+
+/**
+ * Check the database is reachable and bring the schema up to date before the
+ * server takes requests; the first-run setup wizard needs the admin tables
+ */
 export async function connectDatabase() {
-  console.log('Database connection attempted');
+  await database.testConnection();
+  await createTables(database.pool);
 }
@@ -0,0 +1,25 @@
+/**
+ * Payment Configuration
+ * Which payment provider takes card payments and how its webhooks are verified
+ */
+
+// "stripe" for real payments; "stub" (local development and replayed fixture events)
+// is only used when asked for explicitly
+export const PAYMENT_PROVIDER = (process.env.PAYMENT_PROVIDER || 'stripe').toLowerCase();
+
+// ISO 4217 code, lower case as the Stripe API expects; artwork prices are in this currency
+export const PAYMENT_CURRENCY = (process.env.PAYMENT_CURRENCY || 'mad').toLowerCase();
+
+// Webhooks signed more than this long ago are rejected (replay protection)
+export const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+export const STRIPE_CONFIG = {
+  secretKey: process.env.STRIPE_SECRET_KEY,
+  publishableKey: process.env.STRIPE_PUBLISHABLE_KEY,
+  webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
+  apiUrl: 'https://api.stripe.com/v1'
+};
+
+// The stub verifies events signed like Stripe's with this secret; it has no
+// default, since anyone knowing it could mark orders paid
+export const STUB_WEBHOOK_SECRET = process.env.PAYMENT_STUB_WEBHOOK_SECRET;
@@ -0,0 +1,60 @@
+/**
+ * Admin Roles Configuration
+ * Which permissions each admin role grants
+ */
+
+export const PERMISSIONS = {
+  ARTWORKS_WRITE: 'artworks:write',
+  CATEGORIES_WRITE: 'categories:write',
+  INQUIRIES_READ: 'inquiries:read',
+  INQUIRIES_REPLY: 'inquiries:reply',
+  ORDERS_READ: 'orders:read',
+  ORDERS_WRITE: 'orders:write',
+  ORDERS_REFUND: 'orders:refund',
+  ADMINS_MANAGE: 'admins:manage',
+  SECURITY_MANAGE: 'security:manage'
+};
+
+export const ROLES = ['OWNER', 'ADMIN', 'EDITOR', 'SUPPORT'];
+
+// Role given to admins created without an explicit role
+export const DEFAULT_ROLE = 'ADMIN';
+
+export const ROLE_PERMISSIONS = {
+  // Runs the shop, including the admin team and security policy
+  OWNER: Object.values(PERMISSIONS),
+
+  // Everything except managing other admins and security policy
+  ADMIN: Object.values(PERMISSIONS).filter(permission =>
+    permission !== PERMISSIONS.ADMINS_MANAGE && permission !== PERMISSIONS.SECURITY_MANAGE
+  ),
+
+  // Catalogue content
+  EDITOR: [
+    PERMISSIONS.ARTWORKS_WRITE,
+    PERMISSIONS.CATEGORIES_WRITE,
+    PERMISSIONS.INQUIRIES_READ
+  ],
+
+  // Customer conversations and order lookups
+  SUPPORT: [
+    PERMISSIONS.INQUIRIES_READ,
+    PERMISSIONS.INQUIRIES_REPLY,
+    PERMISSIONS.ORDERS_READ
+  ]
+};
+
+/**
+ * Permissions granted by a role (none for unknown roles)
+ * @param {string} role
+ * @returns {string[]}
+ */
+export const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role
+ * @param {string} permission
+ * @returns {boolean}
+ */
+export const hasPermission = (role, permission) => getRolePermissions(role).includes(permission);
@@ -3,7 +3,10 @@
  * Clean table creation and management
  */
 
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
 import { logger } from '../utils/logger.js';
+import { ROLES } from './roles.js';
 
 /**
  * Create all database tables
@@ -13,9 +16,27 @@ export async function createTables(pool) {
         createCategoriesTable,
         createArtworksTable,
         createArtworkImagesTable,
+        createArtworkImageVariantsTable,
         createUsersTable,
+        createUserRefreshTokensTable,
+        createUserPasswordResetsTable,
         createAdminsTable,
+        createAdminSessionsTable,
+        createAdminRefreshTokensTable,
+        createAdminPasswordResetsTable,
+        createAdminInvitationsTable,
+        createAdminRecoveryCodesTable,
+        createAdminLoginAttemptsTable,
+        secureDefaultAdmins,
+        createAppSettingsTable,
         createInquiriesTable,
+        createInquiryMessagesTable,
+        createCustomersTable,
+        createOrdersTable,
+        createOrderItemsTable,
+        createArtworkHoldsTable,
+        createPaymentsTable,
+        createPaymentEventsTable,
         createIndexes
     ];
 
@@ -73,6 +94,10 @@ async function createArtworksTable(pool) {
   `;
 
     await pool.query(query);
+
+    // End of the current hold while RESERVED; who holds it lives in artwork_holds
+    await pool.query('ALTER TABLE artworks ADD COLUMN IF NOT EXISTS reserved_until TIMESTAMP');
+
     logger.info('🎨 Artworks table ready');
 }
 
@@ -89,15 +114,50 @@ async function createArtworkImagesTable(pool) {
       mime_type VARCHAR(100),
       size INTEGER,
       url TEXT NOT NULL,
+      storage_key VARCHAR(300),
       is_primary BOOLEAN DEFAULT false,
+      sort_order INTEGER DEFAULT 0,
       created_at TIMESTAMP DEFAULT NOW()
     )
   `;
 
     await pool.query(query);
+
+    // Gallery ordering was added after the first deployments
+    await pool.query('ALTER TABLE artwork_images ADD COLUMN IF NOT EXISTS sort_order INTEGER DEFAULT 0');
+    // Rows created before pluggable storage have no key; they live at public/<filename>
+    await pool.query('ALTER TABLE artwork_images ADD COLUMN IF NOT EXISTS storage_key VARCHAR(300)');
+
     logger.info('🖼️  Artwork images table ready');
 }
 
+/**
+ * Artwork image variants table (resized derivatives of each image)
+ */
+async function createArtworkImageVariantsTable(pool) {
+    const query = `
+    CREATE TABLE IF NOT EXISTS artwork_image_variants (
+      id SERIAL PRIMARY KEY,
+      image_id INTEGER REFERENCES artwork_images(id) ON DELETE CASCADE,
+      variant VARCHAR(50) NOT NULL,
+      format VARCHAR(10) NOT NULL,
+      filename VARCHAR(255) NOT NULL,
+      url TEXT NOT NULL,
+      storage_key VARCHAR(300),
+      width INTEGER NOT NULL,
+      height INTEGER NOT NULL,
+      size INTEGER,
+      created_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (image_id, variant, format)
+    )
+  `;
+
+    await pool.query(query);
+    await pool.query('ALTER TABLE artwork_image_variants ADD COLUMN IF NOT EXISTS storage_key VARCHAR(300)');
+
+    logger.info('🖼️  Artwork image variants table ready');
+}
+
 /**
  * Users table (for customers)
  */
@@ -120,9 +180,57 @@ async function createUsersTable(pool) {
   `;
 
     await pool.query(query);
+
+    // Email verification (the flag stays the source of truth, the times are for auditing and resend throttling)
+    await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP');
+    await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verification_sent_at TIMESTAMP');
+    // New address waiting for confirmation from its inbox; email keeps working until then
+    await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS pending_email VARCHAR(255)');
+
     logger.info('👤 Users table ready');
 }
 
+/**
+ * Customer refresh tokens table (single-use, rotated; family = one signed-in device)
+ */
+async function createUserRefreshTokensTable(pool) {
+    const query = `
+    CREATE TABLE IF NOT EXISTS user_refresh_tokens (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      token_id VARCHAR(64) UNIQUE NOT NULL,
+      family_id VARCHAR(64) NOT NULL,
+      replaced_by VARCHAR(64),
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP,
+      revoked_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `;
+
+    await pool.query(query);
+    logger.info('🎟️  User refresh tokens table ready');
+}
+
+/**
+ * Customer password resets table (single-use tokens, stored as SHA-256)
+ */
+async function createUserPasswordResetsTable(pool) {
+    const query = `
+    CREATE TABLE IF NOT EXISTS user_password_resets (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      token_hash VARCHAR(64) UNIQUE NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `;
+
+    await pool.query(query);
+    logger.info('🔑 User password resets table ready');
+}
+
 /**
  * Admins table
  */
@@ -144,9 +252,218 @@ async function createAdminsTable(pool) {
   `;
 
     await pool.query(query);
+
+    // TOTP two-factor authentication (secret encrypted, last step prevents code replay)
+    await pool.query('ALTER TABLE admins ADD COLUMN IF NOT EXISTS totp_secret TEXT');
+    await pool.query('ALTER TABLE admins ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN DEFAULT false');
+    await pool.query('ALTER TABLE admins ADD COLUMN IF NOT EXISTS totp_last_step BIGINT');
+    await pool.query('ALTER TABLE admins ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP');
+
+    // Per-account failed login tracking (locked_until covers both delays and lockouts)
+    await pool.query('ALTER TABLE admins ADD COLUMN IF NOT EXISTS failed_login_count INTEGER DEFAULT 0');
+    await pool.query('ALTER TABLE admins ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMP');
+    await pool.query('ALTER TABLE admins ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP');
+
+    // Set for accounts that must choose a new password (through the reset email) before logging in
+    await pool.query('ALTER TABLE admins ADD COLUMN IF NOT EXISTS password_reset_required BOOLEAN DEFAULT false');
+
+    // Roles are checked against config/roles.js
+    await pool.query(
+        `UPDATE admins SET role = 'ADMIN'
+         WHERE role IS NULL OR role NOT IN (${ROLES.map(role => `'${role}'`).join(', ')})`
+    );
+
     logger.info('🔐 Admins table ready');
 }
 
+// Password of the admin account older releases created on every install
+const FORMER_DEFAULT_ADMIN_PASSWORD = 'Admin123!';
+
+/**
+ * Lock out admins still using the former default password, then make sure an
+ * existing install has an owner. Flagged accounts keep no session, can only log
+ * in again after a password reset and are never the ones promoted to owner.
+ */
+async function secureDefaultAdmins(pool) {
+    const admins = await pool.query(
+        'SELECT id, email, password_hash FROM admins WHERE password_reset_required IS NOT TRUE'
+    );
+
+    for (const admin of admins.rows) {
+        if (!(await bcrypt.compare(FORMER_DEFAULT_ADMIN_PASSWORD, admin.password_hash))) {
+            continue;
+        }
+
+        await pool.query(
+            'UPDATE admins SET password_reset_required = true, updated_at = NOW() WHERE id = $1',
+            [admin.id]
+        );
+        await pool.query(
+            'UPDATE admin_sessions SET revoked_at = NOW() WHERE admin_id = $1 AND revoked_at IS NULL',
+            [admin.id]
+        );
+        await pool.query(
+            'UPDATE admin_refresh_tokens SET revoked_at = NOW() WHERE admin_id = $1 AND revoked_at IS NULL',
+            [admin.id]
+        );
+        logger.warn(`⚠️  Admin ${admin.email} still used the former default password - a password reset is now required`);
+    }
+
+    // Existing installs from before roles: the earliest admin in good standing owns them
+    const owners = await pool.query("SELECT id FROM admins WHERE role = 'OWNER' LIMIT 1");
+    if (owners.rows.length === 0) {
+        await pool.query(`
+          UPDATE admins SET role = 'OWNER'
+          WHERE id = (
+            SELECT id FROM admins
+            WHERE is_active = true AND password_reset_required IS NOT TRUE
+            ORDER BY created_at, id LIMIT 1
+          )
+        `);
+    }
+
+    logger.info('🛡️  Admin accounts checked');
+}
+
+/**
+ * Admin sessions table (one row per login, revoked on logout)
+ */
+async function createAdminSessionsTable(pool) {
+    const query = `
+    CREATE TABLE IF NOT EXISTS admin_sessions (
+      id VARCHAR(64) PRIMARY KEY,
+      admin_id INTEGER NOT NULL REFERENCES admins(id) ON DELETE CASCADE,
+      device VARCHAR(100),
+      ip_address VARCHAR(45),
+      user_agent VARCHAR(500),
+      created_at TIMESTAMP DEFAULT NOW(),
+      last_seen_at TIMESTAMP DEFAULT NOW(),
+      revoked_at TIMESTAMP
+    )
+  `;
+
+    await pool.query(query);
+    logger.info('🖥️  Admin sessions table ready');
+}
+
+/**
+ * Admin refresh tokens table (one row per issued token; the family is the session id)
+ */
+async function createAdminRefreshTokensTable(pool) {
+    const query = `
+    CREATE TABLE IF NOT EXISTS admin_refresh_tokens (
+      id SERIAL PRIMARY KEY,
+      admin_id INTEGER NOT NULL REFERENCES admins(id) ON DELETE CASCADE,
+      token_id VARCHAR(64) UNIQUE NOT NULL,
+      family_id VARCHAR(64) NOT NULL,
+      replaced_by VARCHAR(64),
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP,
+      revoked_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `;
+
+    await pool.query(query);
+    logger.info('🔄 Admin refresh tokens table ready');
+}
+
+/**
+ * Admin password resets table (SHA-256 hashes of single-use reset tokens)
+ */
+async function createAdminPasswordResetsTable(pool) {
+    const query = `
+    CREATE TABLE IF NOT EXISTS admin_password_resets (
+      id SERIAL PRIMARY KEY,
+      admin_id INTEGER NOT NULL REFERENCES admins(id) ON DELETE CASCADE,
+      token_hash VARCHAR(64) UNIQUE NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `;
+
+    await pool.query(query);
+    logger.info('🔑 Admin password resets table ready');
+}
+
+/**
+ * Admin invitations table (pending team invitations, token stored as SHA-256)
+ */
+async function createAdminInvitationsTable(pool) {
+    const query = `
+    CREATE TABLE IF NOT EXISTS admin_invitations (
+      id SERIAL PRIMARY KEY,
+      email VARCHAR(255) NOT NULL,
+      role VARCHAR(50) NOT NULL,
+      token_hash VARCHAR(64) UNIQUE NOT NULL,
+      invited_by INTEGER REFERENCES admins(id) ON DELETE SET NULL,
+      expires_at TIMESTAMP NOT NULL,
+      accepted_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `;
+
+    await pool.query(query);
+    logger.info('✉️  Admin invitations table ready');
+}
+
+/**
+ * Admin recovery codes table (one-time 2FA backup codes, stored as SHA-256)
+ */
+async function createAdminRecoveryCodesTable(pool) {
+    const query = `
+    CREATE TABLE IF NOT EXISTS admin_recovery_codes (
+      id SERIAL PRIMARY KEY,
+      admin_id INTEGER NOT NULL REFERENCES admins(id) ON DELETE CASCADE,
+      code_hash VARCHAR(64) NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `;
+
+    await pool.query(query);
+    logger.info('🧾 Admin recovery codes table ready');
+}
+
+/**
+ * Admin login attempts table (every attempt, including unknown emails)
+ */
+async function createAdminLoginAttemptsTable(pool) {
+    const query = `
+    CREATE TABLE IF NOT EXISTS admin_login_attempts (
+      id SERIAL PRIMARY KEY,
+      admin_id INTEGER REFERENCES admins(id) ON DELETE CASCADE,
+      email VARCHAR(255) NOT NULL,
+      ip_address VARCHAR(45),
+      user_agent VARCHAR(500),
+      success BOOLEAN NOT NULL,
+      failure_reason VARCHAR(50),
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `;
+
+    await pool.query(query);
+    logger.info('🚪 Admin login attempts table ready');
+}
+
+/**
+ * App settings table (site-wide settings as JSON values)
+ */
+async function createAppSettingsTable(pool) {
+    const query = `
+    CREATE TABLE IF NOT EXISTS app_settings (
+      key VARCHAR(100) PRIMARY KEY,
+      value TEXT NOT NULL,
+      updated_by INTEGER REFERENCES admins(id) ON DELETE SET NULL,
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `;
+
+    await pool.query(query);
+    logger.info('⚙️  App settings table ready');
+}
+
 /**
  * Inquiries table (contact form submissions)
  */
@@ -168,9 +485,261 @@ async function createInquiriesTable(pool) {
   `;
 
     await pool.query(query);
+
+    // Token placed in email subjects so customer replies find their thread
+    await pool.query('ALTER TABLE inquiries ADD COLUMN IF NOT EXISTS reply_token VARCHAR(32) UNIQUE');
+
+    const missingTokens = await pool.query('SELECT id FROM inquiries WHERE reply_token IS NULL');
+    for (const { id } of missingTokens.rows) {
+        await pool.query(
+            'UPDATE inquiries SET reply_token = $1 WHERE id = $2',
+            [crypto.randomBytes(8).toString('hex'), id]
+        );
+    }
+
     logger.info('📬 Inquiries table ready');
 }
 
+/**
+ * Inquiry messages table (conversation thread of each inquiry)
+ */
+async function createInquiryMessagesTable(pool) {
+    const query = `
+    CREATE TABLE IF NOT EXISTS inquiry_messages (
+      id SERIAL PRIMARY KEY,
+      inquiry_id INTEGER NOT NULL REFERENCES inquiries(id) ON DELETE CASCADE,
+      author_type VARCHAR(20) NOT NULL
+        CHECK (author_type IN ('CUSTOMER', 'ADMIN')),
+      admin_id INTEGER REFERENCES admins(id) ON DELETE SET NULL,
+      author_name VARCHAR(255),
+      body TEXT NOT NULL,
+      channel VARCHAR(20) NOT NULL DEFAULT 'WEB'
+        CHECK (channel IN ('WEB', 'EMAIL')),
+      delivery_status VARCHAR(20) NOT NULL DEFAULT 'RECEIVED'
+        CHECK (delivery_status IN ('RECEIVED', 'PENDING', 'SENT', 'FAILED')),
+      delivery_error TEXT,
+      email_message_id VARCHAR(255),
+      created_at TIMESTAMP DEFAULT NOW(),
+      delivered_at TIMESTAMP,
+      UNIQUE (inquiry_id, email_message_id)
+    )
+  `;
+
+    await pool.query(query);
+
+    // Inquiries from before threading: their message and single admin_reply become the thread
+    const unthreaded = await pool.query(`
+      SELECT i.* FROM inquiries i
+      LEFT JOIN inquiry_messages m ON m.inquiry_id = i.id
+      WHERE m.id IS NULL
+    `);
+
+    for (const inquiry of unthreaded.rows) {
+        await pool.query(
+            `INSERT INTO inquiry_messages (inquiry_id, author_type, author_name, body, channel, delivery_status, created_at)
+             VALUES ($1, 'CUSTOMER', $2, $3, 'WEB', 'RECEIVED', $4)`,
+            [inquiry.id, inquiry.name, inquiry.message, inquiry.created_at]
+        );
+
+        if (inquiry.admin_reply) {
+            await pool.query(
+                `INSERT INTO inquiry_messages (inquiry_id, author_type, body, channel, delivery_status, created_at, delivered_at)
+                 VALUES ($1, 'ADMIN', $2, 'EMAIL', 'SENT', $3, $3)`,
+                [inquiry.id, inquiry.admin_reply, inquiry.updated_at]
+            );
+        }
+    }
+
+    logger.info('💬 Inquiry messages table ready');
+}
+
+/**
+ * Customers table (contact details of guest buyers)
+ */
+async function createCustomersTable(pool) {
+    const query = `
+    CREATE TABLE IF NOT EXISTS customers (
+      id SERIAL PRIMARY KEY,
+      email VARCHAR(255) NOT NULL,
+      first_name VARCHAR(100) NOT NULL,
+      last_name VARCHAR(100) NOT NULL,
+      phone VARCHAR(20),
+      address TEXT,
+      is_active BOOLEAN DEFAULT true,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `;
+
+    await pool.query(query);
+    logger.info('🧑 Customers table ready');
+}
+
+/**
+ * Orders table (placed by a registered user or a guest customer)
+ */
+async function createOrdersTable(pool) {
+    const query = `
+    CREATE TABLE IF NOT EXISTS orders (
+      id SERIAL PRIMARY KEY,
+      order_number VARCHAR(50) UNIQUE NOT NULL,
+      customer_id INTEGER REFERENCES customers(id),
+      user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      status VARCHAR(50) DEFAULT 'PENDING' 
+        CHECK (status IN ('PENDING', 'CONFIRMED', 'PROCESSING', 'SHIPPED', 'DELIVERED', 'CANCELLED')),
+      subtotal_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+      total_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+      shipping_amount DECIMAL(10,2) DEFAULT 0,
+      tax_amount DECIMAL(10,2) DEFAULT 0,
+      payment_status VARCHAR(50) DEFAULT 'PENDING' 
+        CHECK (payment_status IN ('PENDING', 'PAID', 'FAILED', 'REFUNDED')),
+      payment_method VARCHAR(50),
+      contact_email VARCHAR(255),
+      shipping_first_name VARCHAR(100),
+      shipping_last_name VARCHAR(100),
+      shipping_phone VARCHAR(20),
+      shipping_address_line1 VARCHAR(255),
+      shipping_address_line2 VARCHAR(255),
+      shipping_city VARCHAR(100),
+      shipping_postal_code VARCHAR(20),
+      shipping_country VARCHAR(100),
+      notes TEXT,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `;
+
+    await pool.query(query);
+
+    // Checkout details were added after the first deployments; the order keeps
+    // its own copy so it survives changes to (or deletion of) the buyer account
+    const checkoutColumns = [
+        'subtotal_amount DECIMAL(10,2) NOT NULL DEFAULT 0',
+        'contact_email VARCHAR(255)',
+        'shipping_first_name VARCHAR(100)',
+        'shipping_last_name VARCHAR(100)',
+        'shipping_phone VARCHAR(20)',
+        'shipping_address_line1 VARCHAR(255)',
+        'shipping_address_line2 VARCHAR(255)',
+        'shipping_city VARCHAR(100)',
+        'shipping_postal_code VARCHAR(20)',
+        'shipping_country VARCHAR(100)'
+    ];
+    for (const column of checkoutColumns) {
+        await pool.query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS ${column}`);
+    }
+
+    // Fulfilment: shipment tracking and when each step happened
+    const fulfilmentColumns = [
+        'shipping_carrier VARCHAR(100)',
+        'tracking_number VARCHAR(100)',
+        'confirmed_at TIMESTAMP',
+        'shipped_at TIMESTAMP',
+        'delivered_at TIMESTAMP',
+        'cancelled_at TIMESTAMP',
+        'cancellation_reason TEXT'
+    ];
+    for (const column of fulfilmentColumns) {
+        await pool.query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS ${column}`);
+    }
+
+    logger.info('🧾 Orders table ready');
+}
+
+/**
+ * Order items table (one row per artwork, priced at checkout time)
+ */
+async function createOrderItemsTable(pool) {
+    const query = `
+    CREATE TABLE IF NOT EXISTS order_items (
+      id SERIAL PRIMARY KEY,
+      order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE,
+      artwork_id INTEGER REFERENCES artworks(id),
+      artwork_name VARCHAR(255),
+      quantity INTEGER NOT NULL DEFAULT 1,
+      unit_price DECIMAL(10,2) NOT NULL,
+      total_price DECIMAL(10,2) NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `;
+
+    await pool.query(query);
+    await pool.query('ALTER TABLE order_items ADD COLUMN IF NOT EXISTS artwork_name VARCHAR(255)');
+
+    logger.info('🛒 Order items table ready');
+}
+
+/**
+ * Artwork holds table (timed reservations from a checkout or by an admin for a collector)
+ */
+async function createArtworkHoldsTable(pool) {
+    const query = `
+    CREATE TABLE IF NOT EXISTS artwork_holds (
+      id SERIAL PRIMARY KEY,
+      artwork_id INTEGER NOT NULL REFERENCES artworks(id) ON DELETE CASCADE,
+      order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+      admin_id INTEGER REFERENCES admins(id) ON DELETE SET NULL,
+      holder_name VARCHAR(255),
+      holder_email VARCHAR(255),
+      note TEXT,
+      expires_at TIMESTAMP NOT NULL,
+      released_at TIMESTAMP,
+      release_reason VARCHAR(20) 
+        CHECK (release_reason IS NULL OR release_reason IN ('EXPIRED', 'RELEASED', 'SOLD')),
+      released_by INTEGER REFERENCES admins(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `;
+
+    await pool.query(query);
+    logger.info('⏳ Artwork holds table ready');
+}
+
+/**
+ * Payments table (one row per payment intent created with the payment provider)
+ */
+async function createPaymentsTable(pool) {
+    const query = `
+    CREATE TABLE IF NOT EXISTS payments (
+      id SERIAL PRIMARY KEY,
+      order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+      provider VARCHAR(20) NOT NULL,
+      provider_payment_id VARCHAR(255) UNIQUE NOT NULL,
+      amount DECIMAL(10,2) NOT NULL,
+      currency VARCHAR(3) NOT NULL,
+      status VARCHAR(20) DEFAULT 'PENDING' 
+        CHECK (status IN ('PENDING', 'SUCCEEDED', 'FAILED', 'REFUNDED')),
+      failure_reason TEXT,
+      refund_id VARCHAR(255),
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `;
+
+    await pool.query(query);
+    logger.info('💳 Payments table ready');
+}
+
+/**
+ * Payment events table (webhook events already processed, so a redelivery is ignored)
+ */
+async function createPaymentEventsTable(pool) {
+    const query = `
+    CREATE TABLE IF NOT EXISTS payment_events (
+      id SERIAL PRIMARY KEY,
+      provider VARCHAR(20) NOT NULL,
+      event_id VARCHAR(255) UNIQUE NOT NULL,
+      event_type VARCHAR(100) NOT NULL,
+      provider_payment_id VARCHAR(255),
+      processed_at TIMESTAMP DEFAULT NOW()
+    )
+  `;
+
+    await pool.query(query);
+    logger.info('🔔 Payment events table ready');
+}
+
 /**
  * Create database indexes for performance
  */
@@ -181,11 +750,37 @@ async function createIndexes(pool) {
         'CREATE INDEX IF NOT EXISTS idx_artworks_featured ON artworks(is_featured)',
         'CREATE INDEX IF NOT EXISTS idx_artworks_active ON artworks(is_active)',
         'CREATE INDEX IF NOT EXISTS idx_artwork_images_artwork ON artwork_images(artwork_id)',
+        'CREATE INDEX IF NOT EXISTS idx_artwork_image_variants_image ON artwork_image_variants(image_id)',
         'CREATE INDEX IF NOT EXISTS idx_categories_active ON categories(is_active)',
         'CREATE INDEX IF NOT EXISTS idx_categories_sort ON categories(sort_order)',
         'CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)',
+        'CREATE INDEX IF NOT EXISTS idx_user_refresh_tokens_family ON user_refresh_tokens(family_id)',
+        'CREATE INDEX IF NOT EXISTS idx_user_refresh_tokens_user ON user_refresh_tokens(user_id)',
+        'CREATE INDEX IF NOT EXISTS idx_user_password_resets_user ON user_password_resets(user_id)',
         'CREATE INDEX IF NOT EXISTS idx_admins_email ON admins(email)',
+        'CREATE INDEX IF NOT EXISTS idx_admin_sessions_admin ON admin_sessions(admin_id)',
+        'CREATE INDEX IF NOT EXISTS idx_admin_refresh_tokens_family ON admin_refresh_tokens(family_id)',
+        'CREATE INDEX IF NOT EXISTS idx_admin_refresh_tokens_admin ON admin_refresh_tokens(admin_id)',
+        'CREATE INDEX IF NOT EXISTS idx_admin_password_resets_admin ON admin_password_resets(admin_id)',
+        'CREATE INDEX IF NOT EXISTS idx_admin_invitations_email ON admin_invitations(email)',
+        'CREATE INDEX IF NOT EXISTS idx_admin_recovery_codes_admin ON admin_recovery_codes(admin_id)',
+        'CREATE INDEX IF NOT EXISTS idx_admin_login_attempts_admin ON admin_login_attempts(admin_id, created_at)',
+        'CREATE INDEX IF NOT EXISTS idx_admin_login_attempts_email ON admin_login_attempts(email)',
         'CREATE INDEX IF NOT EXISTS idx_inquiries_status ON inquiries(status)',
+        'CREATE INDEX IF NOT EXISTS idx_inquiries_created ON inquiries(created_at)',
+        'CREATE INDEX IF NOT EXISTS idx_inquiry_messages_inquiry ON inquiry_messages(inquiry_id, created_at)',
+        'CREATE INDEX IF NOT EXISTS idx_customers_email ON customers(email)',
+        'CREATE INDEX IF NOT EXISTS idx_orders_customer ON orders(customer_id)',
+        'CREATE INDEX IF NOT EXISTS idx_orders_user ON orders(user_id)',
+        'CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status)',
+        'CREATE INDEX IF NOT EXISTS idx_orders_payment_status ON orders(payment_status)',
+        'CREATE INDEX IF NOT EXISTS idx_orders_created ON orders(created_at)',
+        'CREATE INDEX IF NOT EXISTS idx_order_items_order ON order_items(order_id)',
+        'CREATE INDEX IF NOT EXISTS idx_order_items_artwork ON order_items(artwork_id)',
+        'CREATE INDEX IF NOT EXISTS idx_artwork_holds_artwork ON artwork_holds(artwork_id)',
+        'CREATE INDEX IF NOT EXISTS idx_artwork_holds_order ON artwork_holds(order_id)',
+        'CREATE INDEX IF NOT EXISTS idx_artwork_holds_expires ON artwork_holds(expires_at)',
+        'CREATE INDEX IF NOT EXISTS idx_payments_order ON payments(order_id)',
     ];
 
     for (const indexQuery of indexes) {
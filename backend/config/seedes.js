@@ -3,7 +3,6 @@
  * Insert sample data for development and testing
  */
 
-import bcrypt from 'bcryptjs';
 import { logger } from '../utils/logger.js';
 
 /**
@@ -12,7 +11,6 @@ import { logger } from '../utils/logger.js';
 export async function seedDatabase(pool) {
   await seedCategories(pool);
   await seedArtworks(pool);
-  await seedAdmins(pool);
 }
 
 /**
@@ -207,54 +205,3 @@ async function seedArtworks(pool) {
     logger.error('❌ Error seeding artworks:', error);
   }
 }
-
-/**
- * Seed admin users
- */
-async function seedAdmins(pool) {
-  try {
-    // Check if admins exist
-    const result = await pool.query('SELECT COUNT(*) FROM admins');
-    const count = parseInt(result.rows[0].count);
-    
-    if (count > 0) {
-      logger.info('🔐 Admins already exist, skipping...');
-      return;
-    }
-    
-    logger.info('📝 Seeding admin users...');
-    
-    // Hash the default password
-    const hashedPassword = await bcrypt.hash('Admin123!', 12);
-    
-    const admins = [
-      {
-        username: 'admin',
-        email: 'admin@elouarate.com',
-        password_hash: hashedPassword,
-        first_name: 'Admin',
-        last_name: 'User',
-        role: 'ADMIN'
-      }
-    ];
-    
-    for (const admin of admins) {
-      await pool.query(
-        `INSERT INTO admins (username, email, password_hash, first_name, last_name, is_active, role) 
-         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-        [
-          admin.username, admin.email, admin.password_hash,
-          admin.first_name, admin.last_name, true, admin.role
-        ]
-      );
-    }
-    
-    logger.info(`✅ ${admins.length} admin users seeded`);
-    logger.info('🔐 Default Admin Credentials:');
-    logger.info('   📧 Email: admin@elouarate.com');
-    logger.info('   🔑 Password: Admin123!');
-    
-  } catch (error) {
-    logger.error('❌ Error seeding admins:', error);
-  }
-}
\ No newline at end of file
@@ -0,0 +1,44 @@
+/**
+ * Upload Configuration
+ * Where artwork images are stored and how they are served
+ */
+
+import os from 'os';
+import path from 'path';
+
+export const UPLOAD_DIR = path.resolve(process.env.UPLOAD_PATH || './uploads');
+export const UPLOAD_URL_PREFIX = '/uploads';
+export const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024; // 10MB
+export const MAX_FILES_PER_UPLOAD = 10;
+
+// Multer writes incoming files here before they are handed to the storage driver
+export const UPLOAD_STAGING_DIR = path.resolve(process.env.UPLOAD_STAGING_PATH || path.join(os.tmpdir(), 'elouarate-uploads'));
+
+// =============================================================================
+// STORAGE BACKEND
+// =============================================================================
+
+// "local" keeps files on disk, "s3" uses any S3-compatible service (AWS, MinIO, R2...)
+export const STORAGE_DRIVER = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+
+// Keep full-size originals private and hand them out through signed URLs
+export const PRIVATE_ORIGINALS = process.env.STORAGE_PRIVATE_ORIGINALS === 'true';
+export const SIGNED_URL_TTL = parseInt(process.env.STORAGE_SIGNED_URL_TTL) || 3600; // seconds
+
+// Local driver: private files live outside the statically served directory
+export const PRIVATE_UPLOAD_DIR = path.resolve(process.env.PRIVATE_UPLOAD_PATH || './uploads-private');
+export const PRIVATE_UPLOAD_URL_PREFIX = '/private-uploads';
+// Anyone knowing it can read private originals, so it has no default
+export const STORAGE_SIGNING_SECRET = process.env.STORAGE_SIGNING_SECRET;
+
+export const S3_CONFIG = {
+  bucket: process.env.S3_BUCKET,
+  region: process.env.S3_REGION || 'us-east-1',
+  endpoint: process.env.S3_ENDPOINT || undefined,
+  accessKeyId: process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+  // MinIO and most self-hosted services need path-style addressing
+  forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+  // Base URL public objects are served from (CDN or bucket URL)
+  publicUrl: process.env.S3_PUBLIC_URL || undefined
+};
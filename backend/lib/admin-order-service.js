@@ -0,0 +1,382 @@
+import Database, { database } from './database.js';
+import OrderService from './order-service.js';
+import PaymentService from './payment-service.js';
+import ReservationService from './reservation-service.js';
+import ArtworkImageService from './artwork-image-service.js';
+import emailService from '../services/email-service.js';
+import { rangeEnd } from '../utils/date-range.js';
+
+// Allowed status changes. Orders can be cancelled until they ship; once the
+// artworks are with the carrier they cannot go back on sale from here.
+export const ORDER_STATUS_TRANSITIONS = {
+  PENDING: ['CONFIRMED', 'CANCELLED'],
+  CONFIRMED: ['PROCESSING', 'CANCELLED'],
+  PROCESSING: ['SHIPPED', 'CANCELLED'],
+  SHIPPED: ['DELIVERED'],
+  DELIVERED: [],
+  CANCELLED: []
+};
+
+/**
+ * Professional Admin Order Service
+ * Order listing and the fulfilment workflow for the admin panel
+ */
+class AdminOrderService {
+  /**
+   * @param {Database} [db] - Defaults to the shared connection pool
+   */
+  constructor(db = database) {
+    this.db = db;
+    this.orders = new OrderService(db);
+    this.payments = new PaymentService(db);
+    this.reservations = new ReservationService(db);
+    this.imageService = new ArtworkImageService(this.db);
+  }
+
+  /**
+   * List orders with status, payment status, date and customer filters
+   * @param {Object} options - page, limit, status, paymentStatus, from, to, customer, userId, sortOrder
+   * @returns {Promise<Object>}
+   */
+  async listOrders(options = {}) {
+    try {
+      const { page = 1, limit = 20, sortOrder = 'desc' } = options;
+      const { whereClause, params } = this.buildFilters(options);
+      const orderDirection = sortOrder === 'asc' ? 'ASC' : 'DESC';
+      const offset = (page - 1) * limit;
+
+      const countResult = await this.db.query(
+        `SELECT COUNT(*) AS total FROM orders o ${whereClause}`,
+        params
+      );
+
+      const result = await this.db.query(
+        `SELECT o.* FROM orders o
+         ${whereClause}
+         ORDER BY o.created_at ${orderDirection}, o.id ${orderDirection}
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      );
+
+      const itemsResult = await this.db.query(
+        'SELECT * FROM order_items WHERE order_id = ANY($1::int[]) ORDER BY id',
+        [result.rows.map(row => row.id)]
+      );
+
+      const total = parseInt(countResult.rows[0].total);
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        orders: result.rows.map(row => this.orders.formatOrder(
+          row,
+          itemsResult.rows.filter(item => item.order_id === row.id)
+        )),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      };
+
+    } catch (error) {
+      console.error('❌ Error listing orders:', error);
+      throw new Error('Database error while listing orders');
+    }
+  }
+
+  /**
+   * Get an order with its items, their artworks and the payments made
+   * @param {number} orderId
+   * @returns {Promise<Object|null>}
+   */
+  async getOrder(orderId) {
+    try {
+      const orderResult = await this.db.query('SELECT * FROM orders WHERE id = $1', [orderId]);
+      const row = orderResult.rows[0];
+
+      if (!row) {
+        return null;
+      }
+
+      const itemsResult = await this.db.query(
+        `SELECT oi.*, a.name AS current_artwork_name, a.status AS artwork_status, a.is_active AS artwork_is_active
+         FROM order_items oi
+         LEFT JOIN artworks a ON oi.artwork_id = a.id
+         WHERE oi.order_id = $1
+         ORDER BY oi.id`,
+        [orderId]
+      );
+      const paymentsResult = await this.db.query(
+        'SELECT * FROM payments WHERE order_id = $1 ORDER BY created_at, id',
+        [orderId]
+      );
+
+      const artworkIds = itemsResult.rows.map(item => item.artwork_id).filter(Boolean);
+      const covers = await this.imageService.findCoverImages(artworkIds);
+      const order = this.orders.formatOrder(row, itemsResult.rows);
+
+      return {
+        ...order,
+        userId: row.user_id,
+        customerId: row.customer_id,
+        items: order.items.map((item, index) => {
+          const itemRow = itemsResult.rows[index];
+          return {
+            ...item,
+            // The artwork may have been deleted since; the item keeps its name and price
+            artwork: itemRow.artwork_status
+              ? {
+                id: item.artworkId,
+                name: itemRow.current_artwork_name,
+                status: itemRow.artwork_status,
+                isActive: itemRow.artwork_is_active,
+                coverImage: covers[item.artworkId] || null
+              }
+              : null
+          };
+        }),
+        payments: paymentsResult.rows.map(payment => this.formatPayment(payment))
+      };
+
+    } catch (error) {
+      console.error('❌ Error getting order:', error);
+      throw new Error('Database error while getting order');
+    }
+  }
+
+  /**
+   * Move an order to its next status and email the buyer.
+   * Confirming an unpaid order sells its artworks to the buyer. Cancelling
+   * refunds a paid order and puts its artworks back on sale.
+   * @param {number} orderId
+   * @param {Object} change - status; carrier and trackingNumber for SHIPPED; reason for CANCELLED
+   * @param {Object} admin - Admin making the change (id, username, permissions)
+   * @param {Object} options - canRefund when the admin may refund payments
+   * @returns {Promise<Object>}
+   */
+  async updateOrderStatus(orderId, { status, carrier = null, trackingNumber = null, reason = null }, admin, { canRefund = false } = {}) {
+    try {
+      const result = await this.db.transaction(async (client) => {
+        const orderResult = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+        const order = orderResult.rows[0];
+
+        if (!order) {
+          return { success: false, error: 'Order not found', errorType: 'NOT_FOUND' };
+        }
+
+        const allowed = ORDER_STATUS_TRANSITIONS[order.status] || [];
+        if (!allowed.includes(status)) {
+          return {
+            success: false,
+            error: allowed.length > 0
+              ? `A ${order.status} order can only be moved to ${allowed.join(' or ')}`
+              : `A ${order.status} order can no longer change status`,
+            errorType: 'INVALID_STATUS_TRANSITION'
+          };
+        }
+
+        switch (status) {
+          case 'CONFIRMED':
+            return this.confirmOrder(client, order);
+          case 'SHIPPED':
+            await client.query(
+              `UPDATE orders
+               SET status = 'SHIPPED', shipping_carrier = $2, tracking_number = $3, shipped_at = NOW(), updated_at = NOW()
+               WHERE id = $1`,
+              [orderId, carrier, trackingNumber]
+            );
+            return { success: true };
+          case 'DELIVERED':
+            await client.query(
+              `UPDATE orders SET status = 'DELIVERED', delivered_at = NOW(), updated_at = NOW() WHERE id = $1`,
+              [orderId]
+            );
+            return { success: true };
+          case 'CANCELLED':
+            return this.cancelOrder(client, order, { reason, adminId: admin.id, canRefund });
+          default:
+            await client.query(
+              'UPDATE orders SET status = $2, updated_at = NOW() WHERE id = $1',
+              [orderId, status]
+            );
+            return { success: true };
+        }
+      });
+
+      if (!result.success) {
+        return result;
+      }
+
+      const order = await this.getOrder(orderId);
+      console.log(`🧾 Order ${order.orderNumber} moved to ${status} by admin: ${admin.username}`);
+
+      try {
+        await emailService.sendOrderStatusEmail(order, { refunded: result.refunded === true });
+      } catch (error) {
+        console.error('❌ Failed to send order status email:', error);
+      }
+
+      return {
+        success: true,
+        order,
+        soldArtworkIds: result.soldArtworkIds || [],
+        releasedArtworkIds: result.releasedArtworkIds || []
+      };
+
+    } catch (error) {
+      console.error('❌ Error updating order status:', error);
+      throw new Error('Failed to update order status');
+    }
+  }
+
+  /**
+   * Confirm an order. Paid orders are confirmed when the payment arrives, so
+   * this is an admin accepting an order paid another way: its artworks are sold
+   * to the buyer and the payment stays due.
+   * @param {Object} client - Transaction client
+   * @param {Object} order - Locked order row
+   * @returns {Promise<Object>}
+   */
+  async confirmOrder(client, order) {
+    const sale = await this.reservations.sellOrderArtworks(client, order.id);
+
+    if (!sale.success) {
+      return {
+        success: false,
+        error: `Artwork ${sale.unavailableArtworkId} of this order is no longer available`,
+        errorType: 'ARTWORK_UNAVAILABLE'
+      };
+    }
+
+    await client.query(
+      `UPDATE orders SET status = 'CONFIRMED', confirmed_at = NOW(), updated_at = NOW() WHERE id = $1`,
+      [order.id]
+    );
+
+    return { success: true, soldArtworkIds: sale.soldArtworkIds };
+  }
+
+  /**
+   * Cancel an order: refund it when paid and put its artworks back on sale
+   * @param {Object} client - Transaction client
+   * @param {Object} order - Locked order row
+   * @param {Object} options - reason, adminId, canRefund
+   * @returns {Promise<Object>}
+   */
+  async cancelOrder(client, order, { reason, adminId, canRefund }) {
+    let refunded = false;
+
+    if (order.payment_status === 'PAID') {
+      if (!canRefund) {
+        return {
+          success: false,
+          error: 'Cancelling a paid order refunds it, which requires the orders:refund permission',
+          errorType: 'REFUND_NOT_ALLOWED'
+        };
+      }
+
+      const refundIds = await this.payments.refundOrder(client, order.id);
+      if (refundIds.length > 0) {
+        await client.query(
+          `UPDATE orders SET payment_status = 'REFUNDED', updated_at = NOW() WHERE id = $1`,
+          [order.id]
+        );
+        refunded = true;
+      } else {
+        console.warn(`⚠️ Order ${order.order_number} is marked paid but has no provider payment to refund; refund it manually`);
+      }
+    }
+
+    // Unpaid checkouts still hold their artworks; confirmed orders have sold them
+    let releasedArtworkIds;
+    if (order.status === 'PENDING') {
+      releasedArtworkIds = await this.reservations.releaseOrderHolds(client, order.id, { adminId });
+    } else {
+      releasedArtworkIds = await this.reservations.releaseSoldOrderArtworks(client, order.id);
+    }
+
+    await client.query(
+      `UPDATE orders
+       SET status = 'CANCELLED', cancelled_at = NOW(), cancellation_reason = $2, updated_at = NOW()
+       WHERE id = $1`,
+      [order.id, reason]
+    );
+
+    return { success: true, refunded, releasedArtworkIds };
+  }
+
+  /**
+   * Build the WHERE clause for the order filters
+   * @param {Object} filters
+   * @returns {Object} whereClause and params
+   */
+  buildFilters(filters) {
+    const conditions = [];
+    const params = [];
+
+    const addCondition = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+
+    if (filters.status) {
+      addCondition('o.status = ?', filters.status);
+    }
+
+    if (filters.paymentStatus) {
+      addCondition('o.payment_status = ?', filters.paymentStatus);
+    }
+
+    if (filters.from) {
+      addCondition('o.created_at >= ?', filters.from);
+    }
+
+    if (filters.to) {
+      addCondition('o.created_at < ?', rangeEnd(filters.to));
+    }
+
+    if (filters.userId !== undefined) {
+      addCondition('o.user_id = ?', filters.userId);
+    }
+
+    // Email, name or order number of the buyer
+    if (filters.customer) {
+      params.push(`%${filters.customer}%`);
+      const placeholder = `$${params.length}`;
+      conditions.push(
+        `(o.contact_email ILIKE ${placeholder} OR o.order_number ILIKE ${placeholder}
+          OR CONCAT(o.shipping_first_name, ' ', o.shipping_last_name) ILIKE ${placeholder})`
+      );
+    }
+
+    return {
+      whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  /**
+   * Format payment row for API response
+   * @param {Object} row
+   * @returns {Object}
+   */
+  formatPayment(row) {
+    return {
+      id: row.id,
+      provider: row.provider,
+      providerPaymentId: row.provider_payment_id,
+      amount: parseFloat(row.amount),
+      currency: row.currency,
+      status: row.status,
+      failureReason: row.failure_reason,
+      refundId: row.refund_id,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+export default AdminOrderService;
@@ -1,18 +1,64 @@
+import crypto from 'crypto';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
-import Database from './database.js';
+import Database, { database } from './database.js';
+import emailService from '../services/email-service.js';
+import TwoFactorService from './two-factor-service.js';
+import LoginSecurityService from './login-security-service.js';
+import { DEFAULT_ROLE, getRolePermissions } from '../config/roles.js';
+
+// Password reset links expire after 15 minutes (as stated in the reset email)
+const PASSWORD_RESET_TTL = 15 * 60 * 1000;
+
+// Only tokens issued to admins are accepted (customer tokens use another issuer and audience)
+export const ADMIN_TOKEN_OPTIONS = { issuer: 'elouarate-art-admin', audience: 'elouarate-art-frontend' };
+
+// How often (ms) access token use updates a session's last_seen_at
+const SESSION_TOUCH_INTERVAL = 60 * 1000;
+
+/**
+ * Short device label from a user agent, e.g. "Chrome on macOS"
+ * @param {string} userAgent
+ * @returns {string}
+ */
+const describeDevice = (userAgent = '') => {
+  const browser = [
+    [/Edg\//, 'Edge'],
+    [/OPR\//, 'Opera'],
+    [/Chrome\//, 'Chrome'],
+    [/Firefox\//, 'Firefox'],
+    [/Safari\//, 'Safari']
+  ].find(([pattern]) => pattern.test(userAgent));
+
+  const os = [
+    [/Windows/, 'Windows'],
+    [/Android/, 'Android'],
+    [/iPhone|iPad/, 'iOS'],
+    [/Mac OS X/, 'macOS'],
+    [/Linux/, 'Linux']
+  ].find(([pattern]) => pattern.test(userAgent));
+
+  return [browser?.[1], os?.[1]].filter(Boolean).join(' on ') || 'Unknown device';
+};
 
 /**
  * Professional Admin Service
  * Handles all admin authentication and management operations
  */
 class AdminService {
-  constructor() {
-    this.db = new Database();
+  /**
+   * @param {Database} [db] - Defaults to the shared connection pool
+   */
+  constructor(db = database) {
+    this.db = db;
     this.jwtSecret = process.env.JWT_SECRET || 'development-jwt-secret-change-in-production';
     this.jwtRefreshSecret = process.env.JWT_REFRESH_SECRET || 'development-refresh-secret-change-in-production';
     this.jwtExpiresIn = process.env.JWT_EXPIRES_IN || '15m';
     this.refreshExpiresIn = process.env.REFRESH_EXPIRES_IN || '7d';
+    // Lifetime of the token between the password step and the 2FA code step
+    this.challengeExpiresIn = '5m';
+    this.twoFactor = new TwoFactorService(db);
+    this.loginSecurity = new LoginSecurityService(db);
   }
 
   /**
@@ -32,33 +78,45 @@ class AdminService {
   }
 
   /**
-   * Authenticate admin credentials
+   * Authenticate admin credentials. Admins with 2FA get a challenge token to
+   * exchange with verifyTwoFactorLogin instead of tokens. Failed attempts are
+   * counted per account and delay, then lock, further attempts.
    * @param {string} email 
    * @param {string} password 
+   * @param {Object} [client] - ipAddress and userAgent of the login request
    * @returns {Promise<Object>}
    */
-  async authenticateAdmin(email, password) {
+  async authenticateAdmin(email, password, client = {}) {
     try {
       console.log(`🔐 Authenticating admin: ${email}`);
 
-      // Ensure admin table exists and has default admin
-      await this.ensureAdminSetup();
-
       // Find admin by email
       const result = await this.db.query(
-        'SELECT id, username, email, password_hash, is_active, created_at FROM admins WHERE email = $1',
+        `SELECT id, username, email, password_hash, role, is_active, totp_enabled,
+                failed_login_count, locked_until, password_reset_required, created_at
+         FROM admins WHERE email = $1`,
         [email]
       );
 
       if (result.rows.length === 0) {
         console.log(`❌ Admin not found: ${email}`);
+        await this.loginSecurity.recordAttempt({ email, success: false, failureReason: 'UNKNOWN_EMAIL' }, client);
         return { success: false, error: 'Invalid credentials' };
       }
 
       const admin = result.rows[0];
 
+      // Locked accounts are refused before the password is even checked
+      const lock = this.loginSecurity.getLockStatus(admin);
+      if (lock.locked) {
+        console.log(`🔒 Login refused for locked admin: ${email}`);
+        await this.loginSecurity.recordAttempt({ adminId: admin.id, email, success: false, failureReason: lock.errorType }, client);
+        return { success: false, error: lock.error, errorType: lock.errorType, retryAfter: lock.retryAfter };
+      }
+
       if (!admin.is_active) {
         console.log(`❌ Admin account inactive: ${email}`);
+        await this.loginSecurity.recordAttempt({ adminId: admin.id, email, success: false, failureReason: 'INACTIVE' }, client);
         return { success: false, error: 'Account is inactive' };
       }
 
@@ -66,33 +124,31 @@ class AdminService {
       const isPasswordValid = await bcrypt.compare(password, admin.password_hash);
       if (!isPasswordValid) {
         console.log(`❌ Invalid password for admin: ${email}`);
+        await this.loginSecurity.registerFailure(admin, client, 'INVALID_PASSWORD');
         return { success: false, error: 'Invalid credentials' };
       }
 
-      // Generate tokens
-      const tokens = this.generateTokens(admin);
+      // Accounts flagged at startup (e.g. still on the former default password)
+      if (admin.password_reset_required) {
+        console.log(`🔑 Password reset required before login for admin: ${email}`);
+        await this.loginSecurity.recordAttempt({ adminId: admin.id, email, success: false, failureReason: 'PASSWORD_RESET_REQUIRED' }, client);
+        return {
+          success: false,
+          error: 'A password reset is required for this account, use "Forgot password" to set a new one',
+          errorType: 'PASSWORD_RESET_REQUIRED'
+        };
+      }
 
-      // Update last login
-      await this.db.query(
-        'UPDATE admins SET last_login = NOW() WHERE id = $1',
-        [admin.id]
-      );
+      if (admin.totp_enabled) {
+        console.log(`🔐 Two-factor code required for admin: ${email}`);
+        return {
+          success: true,
+          twoFactorRequired: true,
+          challengeToken: this.generateChallengeToken(admin)
+        };
+      }
 
-      console.log(`✅ Admin authenticated successfully: ${email}`);
-
-      return {
-        success: true,
-        admin: {
-          id: admin.id,
-          username: admin.username,
-          email: admin.email,
-          role: 'ADMIN',
-          isActive: admin.is_active,
-          createdAt: admin.created_at
-        },
-        accessToken: tokens.accessToken,
-        refreshToken: tokens.refreshToken
-      };
+      return await this.completeLogin(admin, client);
 
     } catch (error) {
       console.error('❌ Admin authentication error:', error);
@@ -100,22 +156,148 @@ class AdminService {
     }
   }
 
+  /**
+   * Second login step: exchange a challenge token and a TOTP or recovery code for tokens
+   * @param {string} challengeToken 
+   * @param {Object} verification - code or recoveryCode
+   * @param {Object} [client] - ipAddress and userAgent of the login request
+   * @returns {Promise<Object>}
+   */
+  async verifyTwoFactorLogin(challengeToken, verification, client = {}) {
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, this.jwtSecret, ADMIN_TOKEN_OPTIONS);
+    } catch {
+      return { success: false, error: 'Login challenge expired, please sign in again', errorType: 'INVALID_CHALLENGE' };
+    }
+
+    if (decoded.type !== 'admin_2fa_challenge') {
+      return { success: false, error: 'Login challenge expired, please sign in again', errorType: 'INVALID_CHALLENGE' };
+    }
+
+    try {
+      const result = await this.db.query(
+        `SELECT id, username, email, role, is_active, totp_enabled, failed_login_count, locked_until,
+                password_reset_required, created_at
+         FROM admins WHERE id = $1`,
+        [decoded.id]
+      );
+      const admin = result.rows[0];
+
+      if (!admin || !admin.is_active || !admin.totp_enabled || admin.password_reset_required) {
+        return { success: false, error: 'Login challenge expired, please sign in again', errorType: 'INVALID_CHALLENGE' };
+      }
+
+      // Wrong codes count towards the same lockout as wrong passwords
+      const lock = this.loginSecurity.getLockStatus(admin);
+      if (lock.locked) {
+        await this.loginSecurity.recordAttempt({ adminId: admin.id, email: admin.email, success: false, failureReason: lock.errorType }, client);
+        return { success: false, error: lock.error, errorType: lock.errorType, retryAfter: lock.retryAfter };
+      }
+
+      if (!(await this.twoFactor.verify(admin.id, verification))) {
+        console.log(`❌ Invalid two-factor code for admin: ${admin.email}`);
+        await this.loginSecurity.registerFailure(admin, client, 'INVALID_2FA_CODE');
+        return { success: false, error: 'Invalid verification code', errorType: 'INVALID_2FA_CODE' };
+      }
+
+      return await this.completeLogin(admin, client);
+
+    } catch (error) {
+      console.error('❌ Two-factor login error:', error);
+      throw new Error('Authentication failed due to server error');
+    }
+  }
+
+  /**
+   * Start a session for an authenticated admin and issue its first token pair.
+   * Clears failed attempts and alerts the admin about logins from new devices.
+   * @param {Object} admin - Admin row
+   * @param {Object} client - ipAddress and userAgent of the login request
+   * @returns {Promise<Object>}
+   */
+  async completeLogin(admin, client) {
+    const sessionId = await this.createSession(admin.id, client);
+    const tokens = await this.issueTokens(admin, sessionId);
+
+    await this.loginSecurity.registerSuccess(admin, client);
+
+    // Update last login
+    await this.db.query(
+      'UPDATE admins SET last_login = NOW() WHERE id = $1',
+      [admin.id]
+    );
+
+    console.log(`✅ Admin authenticated successfully: ${admin.email}`);
+
+    return {
+      success: true,
+      admin: {
+        id: admin.id,
+        username: admin.username,
+        email: admin.email,
+        role: admin.role,
+        permissions: getRolePermissions(admin.role),
+        isActive: admin.is_active,
+        twoFactorEnabled: admin.totp_enabled === true,
+        // Admins must enroll before anything else when owners require 2FA
+        twoFactorSetupRequired: !admin.totp_enabled && await this.twoFactor.isRequired(),
+        createdAt: admin.created_at
+      },
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken
+    };
+  }
+
+  /**
+   * Short-lived token proving the password step of a 2FA login
+   * @param {Object} admin 
+   * @returns {string}
+   */
+  generateChallengeToken(admin) {
+    return jwt.sign({ id: admin.id, type: 'admin_2fa_challenge' }, this.jwtSecret, {
+      expiresIn: this.challengeExpiresIn,
+      issuer: 'elouarate-art-admin',
+      audience: 'elouarate-art-frontend'
+    });
+  }
+
+  /**
+   * Check the password of an admin (for sensitive changes while signed in)
+   * @param {number} adminId 
+   * @param {string} password 
+   * @returns {Promise<boolean>}
+   */
+  async verifyPassword(adminId, password) {
+    try {
+      const result = await this.db.query('SELECT password_hash FROM admins WHERE id = $1', [adminId]);
+      return result.rows.length > 0 && await bcrypt.compare(password || '', result.rows[0].password_hash);
+    } catch (error) {
+      console.error('❌ Error verifying admin password:', error);
+      throw new Error('Database error while verifying password');
+    }
+  }
+
   /**
    * Generate JWT tokens for admin
    * @param {Object} admin 
+   * @param {Object} claims - sessionId (also the refresh token family) and tokenId (jti) of the refresh token
    * @returns {Object}
    */
-  generateTokens(admin) {
+  generateTokens(admin, { sessionId, tokenId = crypto.randomUUID() }) {
     const payload = {
       id: admin.id,
       email: admin.email,
       username: admin.username,
-      type: 'admin'
+      role: admin.role,
+      type: 'admin',
+      sid: sessionId
     };
 
     const refreshPayload = {
       id: admin.id,
-      type: 'admin_refresh'
+      type: 'admin_refresh',
+      family: sessionId
     };
 
     const accessToken = jwt.sign(payload, this.jwtSecret, {
@@ -127,12 +309,264 @@ class AdminService {
     const refreshToken = jwt.sign(refreshPayload, this.jwtRefreshSecret, {
       expiresIn: this.refreshExpiresIn,
       issuer: 'elouarate-art-admin',
-      audience: 'elouarate-art-frontend'
+      audience: 'elouarate-art-frontend',
+      jwtid: tokenId
     });
 
     return { accessToken, refreshToken };
   }
 
+  /**
+   * Generate tokens for a session and record the refresh token server-side
+   * @param {Object} admin 
+   * @param {string} sessionId 
+   * @param {Object} [client] - Transaction client
+   * @returns {Promise<Object>} accessToken, refreshToken and tokenId
+   */
+  async issueTokens(admin, sessionId, client = this.db) {
+    const tokenId = crypto.randomUUID();
+    const tokens = this.generateTokens(admin, { sessionId, tokenId });
+    const { exp } = jwt.decode(tokens.refreshToken);
+
+    await client.query(
+      `INSERT INTO admin_refresh_tokens (admin_id, token_id, family_id, expires_at)
+       VALUES ($1, $2, $3, $4)`,
+      [admin.id, tokenId, sessionId, new Date(exp * 1000)]
+    );
+
+    return { ...tokens, tokenId };
+  }
+
+  /**
+   * Exchange a verified refresh token for a new pair. Each refresh token works
+   * once; presenting one that was already rotated revokes its whole session.
+   * @param {Object} decoded - Verified refresh token payload
+   * @param {Object} admin 
+   * @returns {Promise<Object>}
+   */
+  async rotateRefreshToken(decoded, admin) {
+    try {
+      if (!decoded.jti || !decoded.family) {
+        return { success: false, error: 'Invalid refresh token', errorType: 'INVALID_REFRESH_TOKEN' };
+      }
+
+      const result = await this.db.transaction(async (client) => {
+        // Claim the token; only one request can move it from unused to used
+        const claimed = await client.query(
+          `UPDATE admin_refresh_tokens
+           SET used_at = NOW()
+           WHERE token_id = $1 AND admin_id = $2 AND used_at IS NULL AND revoked_at IS NULL
+           RETURNING family_id`,
+          [decoded.jti, admin.id]
+        );
+
+        if (claimed.rows.length === 0) {
+          return null;
+        }
+
+        const sessionId = claimed.rows[0].family_id;
+        const tokens = await this.issueTokens(admin, sessionId, client);
+
+        await client.query(
+          'UPDATE admin_refresh_tokens SET replaced_by = $1 WHERE token_id = $2',
+          [tokens.tokenId, decoded.jti]
+        );
+        await client.query(
+          'UPDATE admin_sessions SET last_seen_at = NOW() WHERE id = $1',
+          [sessionId]
+        );
+
+        return tokens;
+      });
+
+      if (result) {
+        return {
+          success: true,
+          tokens: { accessToken: result.accessToken, refreshToken: result.refreshToken }
+        };
+      }
+
+      const existing = await this.db.query(
+        'SELECT family_id, used_at, revoked_at FROM admin_refresh_tokens WHERE token_id = $1 AND admin_id = $2',
+        [decoded.jti, admin.id]
+      );
+      const token = existing.rows[0];
+
+      if (!token) {
+        return { success: false, error: 'Invalid refresh token', errorType: 'INVALID_REFRESH_TOKEN' };
+      }
+
+      if (token.used_at && !token.revoked_at) {
+        // A rotated token came back: whoever holds the session may have stolen it
+        await this.revokeSession(admin.id, token.family_id);
+        console.warn(`⚠️  Refresh token reuse detected for admin ID ${admin.id}, session revoked`);
+        return { success: false, error: 'Refresh token reuse detected', errorType: 'REFRESH_TOKEN_REUSED' };
+      }
+
+      return { success: false, error: 'Refresh token revoked', errorType: 'REFRESH_TOKEN_REVOKED' };
+
+    } catch (error) {
+      console.error('❌ Error rotating refresh token:', error);
+      throw new Error('Failed to refresh token');
+    }
+  }
+
+  // =============================================================================
+  // SESSIONS
+  // =============================================================================
+
+  /**
+   * Record a new login session
+   * @param {number} adminId 
+   * @param {Object} client - ipAddress and userAgent of the request
+   * @returns {Promise<string>} Session id
+   */
+  async createSession(adminId, { ipAddress = null, userAgent = null } = {}) {
+    const sessionId = crypto.randomUUID();
+
+    await this.db.query(
+      `INSERT INTO admin_sessions (id, admin_id, device, ip_address, user_agent, created_at, last_seen_at)
+       VALUES ($1, $2, $3, $4, $5, NOW(), NOW())`,
+      [sessionId, adminId, describeDevice(userAgent || ''), ipAddress, userAgent ? userAgent.slice(0, 500) : null]
+    );
+
+    return sessionId;
+  }
+
+  /**
+   * Check that a session is still active and record that it was seen
+   * @param {number} adminId 
+   * @param {string} sessionId 
+   * @returns {Promise<boolean>}
+   */
+  async validateSession(adminId, sessionId) {
+    try {
+      const result = await this.db.query(
+        'SELECT last_seen_at FROM admin_sessions WHERE id = $1 AND admin_id = $2 AND revoked_at IS NULL',
+        [sessionId, adminId]
+      );
+
+      if (result.rows.length === 0) {
+        return false;
+      }
+
+      if (Date.now() - new Date(result.rows[0].last_seen_at).getTime() > SESSION_TOUCH_INTERVAL) {
+        await this.db.query('UPDATE admin_sessions SET last_seen_at = NOW() WHERE id = $1', [sessionId]);
+      }
+
+      return true;
+    } catch (error) {
+      console.error('❌ Error validating admin session:', error);
+      throw new Error('Database error while validating session');
+    }
+  }
+
+  /**
+   * Active sessions of an admin, most recently used first
+   * @param {number} adminId 
+   * @param {string} currentSessionId - Flagged as `current` in the result
+   * @returns {Promise<Array>}
+   */
+  async listSessions(adminId, currentSessionId) {
+    try {
+      const result = await this.db.query(
+        `SELECT id, device, ip_address, user_agent, created_at, last_seen_at
+         FROM admin_sessions
+         WHERE admin_id = $1 AND revoked_at IS NULL
+         ORDER BY last_seen_at DESC`,
+        [adminId]
+      );
+
+      return result.rows.map(row => this.formatSession(row, currentSessionId));
+    } catch (error) {
+      console.error('❌ Error listing admin sessions:', error);
+      throw new Error('Failed to list sessions');
+    }
+  }
+
+  /**
+   * Revoke one session and its refresh tokens
+   * @param {number} adminId 
+   * @param {string} sessionId 
+   * @returns {Promise<Object>}
+   */
+  async revokeSession(adminId, sessionId) {
+    try {
+      const revoked = await this.revokeSessions(adminId, 'id = $2', [sessionId]);
+
+      if (revoked === 0) {
+        return { success: false, error: 'Session not found', errorType: 'NOT_FOUND' };
+      }
+
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Error revoking admin session:', error);
+      throw new Error('Failed to revoke session');
+    }
+  }
+
+  /**
+   * Revoke every session of an admin except the current one
+   * @param {number} adminId 
+   * @param {string} [currentSessionId] - Kept active; every session is revoked when omitted
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeOtherSessions(adminId, currentSessionId = null) {
+    try {
+      return currentSessionId
+        ? await this.revokeSessions(adminId, 'id <> $2', [currentSessionId])
+        : await this.revokeSessions(adminId, 'true', []);
+    } catch (error) {
+      console.error('❌ Error revoking admin sessions:', error);
+      throw new Error('Failed to revoke sessions');
+    }
+  }
+
+  /**
+   * Revoke the matching active sessions of an admin together with their refresh tokens
+   * @param {number} adminId 
+   * @param {string} condition - Extra WHERE condition on admin_sessions, params start at $2
+   * @param {Array} params 
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeSessions(adminId, condition, params) {
+    return this.db.transaction(async (client) => {
+      const sessions = await client.query(
+        `UPDATE admin_sessions SET revoked_at = NOW()
+         WHERE admin_id = $1 AND revoked_at IS NULL AND ${condition}
+         RETURNING id`,
+        [adminId, ...params]
+      );
+
+      for (const { id } of sessions.rows) {
+        await client.query(
+          'UPDATE admin_refresh_tokens SET revoked_at = NOW() WHERE family_id = $1 AND revoked_at IS NULL',
+          [id]
+        );
+      }
+
+      return sessions.rows.length;
+    });
+  }
+
+  /**
+   * Format session row for API response
+   * @param {Object} row 
+   * @param {string} currentSessionId 
+   * @returns {Object}
+   */
+  formatSession(row, currentSessionId) {
+    return {
+      id: row.id,
+      device: row.device,
+      ipAddress: row.ip_address,
+      userAgent: row.user_agent,
+      createdAt: row.created_at,
+      lastSeenAt: row.last_seen_at,
+      current: row.id === currentSessionId
+    };
+  }
+
   /**
    * Find admin by ID
    * @param {string} id 
@@ -141,7 +575,7 @@ class AdminService {
   async findAdminById(id) {
     try {
       const result = await this.db.query(
-        'SELECT id, username, email, is_active, created_at FROM admins WHERE id = $1',
+        'SELECT id, username, email, role, is_active, totp_enabled, created_at FROM admins WHERE id = $1',
         [id]
       );
 
@@ -154,10 +588,10 @@ class AdminService {
 
   /**
    * Create new admin account
-   * @param {Object} adminData 
+   * @param {Object} adminData - username, email, password and optional role
    * @returns {Promise<Object>}
    */
-  async createAdmin({ username, email, password }) {
+  async createAdmin({ username, email, password, role = DEFAULT_ROLE }) {
     try {
       // Check if admin already exists
       const existingAdmin = await this.db.query(
@@ -175,10 +609,10 @@ class AdminService {
 
       // Insert new admin
       const result = await this.db.query(
-        `INSERT INTO admins (username, email, password_hash, is_active, created_at, updated_at) 
-         VALUES ($1, $2, $3, true, NOW(), NOW()) 
-         RETURNING id, username, email, created_at`,
-        [username, email, passwordHash]
+        `INSERT INTO admins (username, email, password_hash, role, is_active, created_at, updated_at) 
+         VALUES ($1, $2, $3, $4, true, NOW(), NOW()) 
+         RETURNING id, username, email, role, created_at`,
+        [username, email, passwordHash, role]
       );
 
       console.log(`✅ Admin created successfully: ${email}`);
@@ -190,61 +624,123 @@ class AdminService {
     }
   }
 
+  // =============================================================================
+  // PASSWORD RESET
+  // =============================================================================
+
   /**
-   * Ensure admin table exists and has default admin
-   * @returns {Promise<void>}
+   * Email a single-use reset link. Succeeds whether or not the email is
+   * registered so the response cannot be used to discover admin accounts.
+   * @param {string} email 
+   * @returns {Promise<Object>}
    */
-  async ensureAdminSetup() {
+  async initiatePasswordReset(email) {
     try {
-      // Create admins table if it doesn't exist
-      await this.db.query(`
-        CREATE TABLE IF NOT EXISTS admins (
-          id SERIAL PRIMARY KEY,
-          username VARCHAR(100) NOT NULL,
-          email VARCHAR(255) UNIQUE NOT NULL,
-          password_hash VARCHAR(255) NOT NULL,
-          is_active BOOLEAN DEFAULT true,
-          last_login TIMESTAMP,
-          created_at TIMESTAMP DEFAULT NOW(),
-          updated_at TIMESTAMP DEFAULT NOW()
-        )
-      `);
-
-      // Check if default admin exists
-      const defaultAdmin = await this.db.query(
-        'SELECT id FROM admins WHERE email = $1',
-        ['admin@elouarate.com']
+      const result = await this.db.query(
+        'SELECT id, username, email FROM admins WHERE email = $1 AND is_active = true',
+        [email]
+      );
+
+      const admin = result.rows[0];
+      if (!admin) {
+        console.log(`🔑 Password reset requested for unknown admin: ${email}`);
+        return { success: true };
+      }
+
+      const token = emailService.generateResetToken();
+
+      // Only the latest link works
+      await this.db.query(
+        'DELETE FROM admin_password_resets WHERE admin_id = $1 AND used_at IS NULL',
+        [admin.id]
       );
+      await this.db.query(
+        `INSERT INTO admin_password_resets (admin_id, token_hash, expires_at)
+         VALUES ($1, $2, $3)`,
+        [admin.id, emailService.hashResetToken(token), new Date(Date.now() + PASSWORD_RESET_TTL)]
+      );
+
+      try {
+        await emailService.sendPasswordResetEmail(admin, token);
+      } catch (error) {
+        console.error('❌ Failed to send password reset email:', error);
+      }
+
+      console.log(`🔑 Password reset initiated for admin ID: ${admin.id}`);
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ Error initiating password reset:', error);
+      throw new Error('Failed to initiate password reset');
+    }
+  }
+
+  /**
+   * Set a new password with a reset token, then sign out every session.
+   * A reset also lifts any login lockout.
+   * @param {string} token - Token from the reset link
+   * @param {string} newPassword 
+   * @returns {Promise<Object>}
+   */
+  async completePasswordReset(token, newPassword) {
+    try {
+      const passwordHash = await bcrypt.hash(newPassword, 12);
+
+      const admin = await this.db.transaction(async (client) => {
+        // Claim the token so it cannot be used twice
+        const claimed = await client.query(
+          `UPDATE admin_password_resets
+           SET used_at = NOW()
+           WHERE token_hash = $1 AND used_at IS NULL AND expires_at > $2
+           RETURNING admin_id`,
+          [emailService.hashResetToken(token), new Date()]
+        );
 
-      if (defaultAdmin.rows.length === 0) {
-        // Create default admin
-        const defaultPassword = 'Admin123!';
-        const saltRounds = 12;
-        const passwordHash = await bcrypt.hash(defaultPassword, saltRounds);
+        if (claimed.rows.length === 0) {
+          return null;
+        }
 
-        await this.db.query(
-          `INSERT INTO admins (username, email, password_hash, is_active, created_at, updated_at) 
-           VALUES ($1, $2, $3, true, NOW(), NOW())`,
-          ['admin', 'admin@elouarate.com', passwordHash]
+        const updated = await client.query(
+          `UPDATE admins SET password_hash = $1, password_reset_required = false, updated_at = NOW()
+           WHERE id = $2 AND is_active = true
+           RETURNING id, username, email`,
+          [passwordHash, claimed.rows[0].admin_id]
         );
 
-        console.log('✅ Default admin account created: admin@elouarate.com / Admin123!');
+        return updated.rows[0] || null;
+      });
+
+      if (!admin) {
+        return { success: false, error: 'Invalid or expired reset token', errorType: 'INVALID_RESET_TOKEN' };
       }
 
+      await this.revokeOtherSessions(admin.id);
+      await this.loginSecurity.unlock(admin.id);
+
+      try {
+        await emailService.sendPasswordResetSuccessEmail(admin);
+      } catch (error) {
+        console.error('❌ Failed to send password reset confirmation email:', error);
+      }
+
+      console.log(`✅ Password reset completed for admin ID: ${admin.id}`);
+      return { success: true };
+
     } catch (error) {
-      console.error('❌ Error ensuring admin setup:', error);
-      throw new Error('Failed to setup admin system');
+      console.error('❌ Error completing password reset:', error);
+      throw new Error('Failed to complete password reset');
     }
   }
 
   /**
-   * Change admin password
+   * Change admin password (the current password is required)
    * @param {string} adminId 
    * @param {string} oldPassword 
    * @param {string} newPassword 
+   * @param {string} [currentSessionId] - Session that stays signed in; all others are revoked
    * @returns {Promise<Object>}
    */
-  async changePassword(adminId, oldPassword, newPassword) {
+  async updatePassword(adminId, oldPassword, newPassword, currentSessionId = null) {
     try {
       // Get current admin
       const admin = await this.db.query(
@@ -272,8 +768,11 @@ class AdminService {
         [newPasswordHash, adminId]
       );
 
+      // Sign out every other device
+      const revokedSessions = await this.revokeOtherSessions(adminId, currentSessionId);
+
       console.log(`✅ Password changed for admin ID: ${adminId}`);
-      return { success: true };
+      return { success: true, revokedSessions };
 
     } catch (error) {
       console.error('❌ Error changing password:', error);
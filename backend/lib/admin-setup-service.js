@@ -0,0 +1,125 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import Database, { database } from './database.js';
+
+// app_settings row locked while the first owner is created
+const SETUP_LOCK_KEY = 'admin.setup';
+
+// Shorter or published setup tokens leave the wizard disabled
+const MIN_SETUP_TOKEN_LENGTH = 32;
+const PLACEHOLDER_SETUP_TOKENS = [
+  'a-long-random-one-time-token',
+  'your-admin-setup-token',
+  'your-setup-token',
+  'changeme'
+];
+
+/**
+ * Whether a setup token is long enough and not one published in the docs
+ * @param {string|null} token
+ * @returns {boolean}
+ */
+const isUsableSetupToken = (token) => Boolean(token) &&
+  token.length >= MIN_SETUP_TOKEN_LENGTH &&
+  !PLACEHOLDER_SETUP_TOKENS.includes(token.toLowerCase());
+
+/**
+ * Professional Admin Setup Service
+ * One-time creation of the first owner account, from the CLI or the setup wizard
+ */
+class AdminSetupService {
+  /**
+   * @param {Database} [db] - Defaults to the shared connection pool
+   */
+  constructor(db = database) {
+    this.db = db;
+    // The setup wizard only works while this is set; the CLI never needs it
+    this.setupToken = process.env.ADMIN_SETUP_TOKEN || null;
+
+    if (this.setupToken && !isUsableSetupToken(this.setupToken)) {
+      console.warn(`⚠️  ADMIN_SETUP_TOKEN ignored: use a random value of at least ${MIN_SETUP_TOKEN_LENGTH} characters`);
+    }
+  }
+
+  /**
+   * Whether any admin account exists (active or not)
+   * @returns {Promise<boolean>}
+   */
+  async isSetupComplete() {
+    try {
+      const result = await this.db.query('SELECT COUNT(*) AS count FROM admins');
+      return parseInt(result.rows[0].count) > 0;
+    } catch (error) {
+      console.error('❌ Error checking admin setup:', error);
+      throw new Error('Database error while checking admin setup');
+    }
+  }
+
+  /**
+   * Whether the setup wizard can be used (ADMIN_SETUP_TOKEN is set to a long, non-placeholder value)
+   * @returns {boolean}
+   */
+  isSetupTokenEnabled() {
+    return isUsableSetupToken(this.setupToken);
+  }
+
+  /**
+   * Compare a setup token with ADMIN_SETUP_TOKEN in constant time
+   * @param {string} token
+   * @returns {boolean}
+   */
+  verifySetupToken(token) {
+    if (!this.isSetupTokenEnabled() || !token) {
+      return false;
+    }
+
+    const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(digest(token), digest(this.setupToken));
+  }
+
+  /**
+   * Create the first owner. Fails once any admin exists, so it can only run once.
+   * @param {Object} ownerData - username, email, password, firstName, lastName
+   * @returns {Promise<Object>}
+   */
+  async createFirstOwner({ username, email, password, firstName = null, lastName = null }) {
+    try {
+      const passwordHash = await bcrypt.hash(password, 12);
+
+      const result = await this.db.transaction(async (client) => {
+        // Writing the lock row serializes concurrent setup attempts
+        await client.query(
+          `INSERT INTO app_settings (key, value, updated_at)
+           VALUES ($1, $2, NOW())
+           ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = NOW()`,
+          [SETUP_LOCK_KEY, JSON.stringify({ startedAt: new Date().toISOString() })]
+        );
+
+        const existing = await client.query('SELECT COUNT(*) AS count FROM admins');
+        if (parseInt(existing.rows[0].count) > 0) {
+          return { success: false, error: 'Admin setup has already been completed', errorType: 'SETUP_COMPLETE' };
+        }
+
+        const created = await client.query(
+          `INSERT INTO admins (username, email, password_hash, first_name, last_name, role, is_active, created_at, updated_at)
+           VALUES ($1, $2, $3, $4, $5, 'OWNER', true, NOW(), NOW())
+           RETURNING id, username, email, role, is_active, totp_enabled, created_at`,
+          [username, email, passwordHash, firstName, lastName]
+        );
+
+        return { success: true, admin: created.rows[0] };
+      });
+
+      if (result.success) {
+        console.log(`✅ First owner account created: ${email}`);
+      }
+      return result;
+
+    } catch (error) {
+      console.error('❌ Error creating first owner:', error);
+      throw new Error('Failed to create first owner');
+    }
+  }
+}
+
+export default AdminSetupService;
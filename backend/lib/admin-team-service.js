@@ -0,0 +1,424 @@
+import bcrypt from 'bcryptjs';
+import Database, { database } from './database.js';
+import AdminService from './admin-service.js';
+import TwoFactorService from './two-factor-service.js';
+import emailService from '../services/email-service.js';
+
+// Invitation links stay valid for 48 hours
+const INVITATION_TTL_HOURS = 48;
+
+/**
+ * Professional Admin Team Service
+ * Handles invitations, roles, activation, lockouts and 2FA resets of admin accounts
+ */
+class AdminTeamService {
+  /**
+   * @param {Database} [db] - Defaults to the shared connection pool
+   */
+  constructor(db = database) {
+    this.db = db;
+    this.adminService = new AdminService(db);
+    this.twoFactor = new TwoFactorService(db);
+  }
+
+  /**
+   * List every admin account and the invitations still waiting to be accepted
+   * @returns {Promise<Object>}
+   */
+  async listTeam() {
+    try {
+      const admins = await this.db.query(
+        `SELECT id, username, email, first_name, last_name, role, is_active, totp_enabled,
+                failed_login_count, locked_until, last_login, created_at
+         FROM admins
+         ORDER BY is_active DESC, created_at ASC`
+      );
+
+      const invitations = await this.db.query(
+        `SELECT i.id, i.email, i.role, i.expires_at, i.created_at, a.username AS invited_by_name
+         FROM admin_invitations i
+         LEFT JOIN admins a ON a.id = i.invited_by
+         WHERE i.accepted_at IS NULL AND i.expires_at > $1
+         ORDER BY i.created_at DESC`,
+        [new Date()]
+      );
+
+      return {
+        admins: admins.rows.map(row => this.formatMember(row)),
+        invitations: invitations.rows.map(row => this.formatInvitation(row))
+      };
+    } catch (error) {
+      console.error('❌ Error listing admin team:', error);
+      throw new Error('Database error while listing admin team');
+    }
+  }
+
+  /**
+   * Invite an email address to join the team with a role
+   * @param {Object} invitationData - email and role
+   * @param {Object} inviter - The admin sending the invitation
+   * @returns {Promise<Object>}
+   */
+  async inviteAdmin({ email, role }, inviter) {
+    try {
+      const existing = await this.db.query('SELECT id FROM admins WHERE email = $1', [email]);
+
+      if (existing.rows.length > 0) {
+        return { success: false, error: 'An admin with this email already exists', errorType: 'ADMIN_EXISTS' };
+      }
+
+      const token = emailService.generateResetToken();
+
+      // A new invitation replaces any pending one for the same address
+      await this.db.query(
+        'DELETE FROM admin_invitations WHERE email = $1 AND accepted_at IS NULL',
+        [email]
+      );
+
+      const result = await this.db.query(
+        `INSERT INTO admin_invitations (email, role, token_hash, invited_by, expires_at)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [
+          email,
+          role,
+          emailService.hashResetToken(token),
+          inviter.id,
+          new Date(Date.now() + INVITATION_TTL_HOURS * 60 * 60 * 1000)
+        ]
+      );
+
+      const invitation = result.rows[0];
+
+      try {
+        await emailService.sendAdminInvitationEmail(invitation, token, inviter, INVITATION_TTL_HOURS);
+      } catch (error) {
+        console.error('❌ Failed to send admin invitation email:', error);
+        await this.db.query('DELETE FROM admin_invitations WHERE id = $1', [invitation.id]);
+        return { success: false, error: 'Failed to send invitation email', errorType: 'EMAIL_FAILED' };
+      }
+
+      console.log(`✅ Admin invitation sent to ${email} as ${role}`);
+      return {
+        success: true,
+        invitation: this.formatInvitation({ ...invitation, invited_by_name: inviter.username })
+      };
+
+    } catch (error) {
+      console.error('❌ Error inviting admin:', error);
+      throw new Error('Failed to invite admin');
+    }
+  }
+
+  /**
+   * Cancel a pending invitation
+   * @param {number} id
+   * @returns {Promise<Object>}
+   */
+  async revokeInvitation(id) {
+    try {
+      const result = await this.db.query(
+        'DELETE FROM admin_invitations WHERE id = $1 AND accepted_at IS NULL RETURNING id',
+        [id]
+      );
+
+      if (result.rows.length === 0) {
+        return { success: false, error: 'Invitation not found', errorType: 'NOT_FOUND' };
+      }
+
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Error revoking invitation:', error);
+      throw new Error('Failed to revoke invitation');
+    }
+  }
+
+  /**
+   * Look up a pending invitation by the token from its link
+   * @param {string} token
+   * @returns {Promise<Object|null>}
+   */
+  async findInvitationByToken(token) {
+    try {
+      const result = await this.db.query(
+        `SELECT id, email, role, expires_at, created_at
+         FROM admin_invitations
+         WHERE token_hash = $1 AND accepted_at IS NULL AND expires_at > $2`,
+        [emailService.hashResetToken(token), new Date()]
+      );
+
+      return result.rows[0] ? this.formatInvitation(result.rows[0]) : null;
+    } catch (error) {
+      console.error('❌ Error finding invitation:', error);
+      throw new Error('Database error while finding invitation');
+    }
+  }
+
+  /**
+   * Create the invited admin account with the chosen username and password
+   * @param {string} token
+   * @param {Object} accountData - username and password
+   * @returns {Promise<Object>}
+   */
+  async acceptInvitation(token, { username, password }) {
+    try {
+      const passwordHash = await bcrypt.hash(password, 12);
+
+      return await this.db.transaction(async (client) => {
+        const invitations = await client.query(
+          `SELECT id, email, role FROM admin_invitations
+           WHERE token_hash = $1 AND accepted_at IS NULL AND expires_at > $2
+           FOR UPDATE`,
+          [emailService.hashResetToken(token), new Date()]
+        );
+
+        const invitation = invitations.rows[0];
+        if (!invitation) {
+          return { success: false, error: 'Invalid or expired invitation', errorType: 'INVALID_INVITATION' };
+        }
+
+        const conflicts = await client.query(
+          'SELECT email, username FROM admins WHERE email = $1 OR username = $2',
+          [invitation.email, username]
+        );
+
+        if (conflicts.rows.some(row => row.email === invitation.email)) {
+          return { success: false, error: 'An admin with this email already exists', errorType: 'ADMIN_EXISTS' };
+        }
+        if (conflicts.rows.length > 0) {
+          return { success: false, error: 'Username is already taken', errorType: 'USERNAME_TAKEN' };
+        }
+
+        const created = await client.query(
+          `INSERT INTO admins (username, email, password_hash, role, is_active, created_at, updated_at)
+           VALUES ($1, $2, $3, $4, true, NOW(), NOW())
+           RETURNING id, username, email, first_name, last_name, role, is_active, totp_enabled,
+                     failed_login_count, locked_until, last_login, created_at`,
+          [username, invitation.email, passwordHash, invitation.role]
+        );
+
+        await client.query(
+          'UPDATE admin_invitations SET accepted_at = NOW() WHERE id = $1',
+          [invitation.id]
+        );
+
+        console.log(`✅ Admin invitation accepted: ${invitation.email}`);
+        return { success: true, admin: this.formatMember(created.rows[0]) };
+      });
+
+    } catch (error) {
+      console.error('❌ Error accepting invitation:', error);
+      throw new Error('Failed to accept invitation');
+    }
+  }
+
+  /**
+   * Change the role of an admin. The last active owner keeps the OWNER role.
+   * @param {number} adminId
+   * @param {string} role
+   * @returns {Promise<Object>}
+   */
+  async changeRole(adminId, role) {
+    try {
+      return await this.db.transaction(async (client) => {
+        const target = await this.lockTeamMember(client, adminId);
+
+        if (!target) {
+          return { success: false, error: 'Admin not found', errorType: 'NOT_FOUND' };
+        }
+
+        if (target.role === 'OWNER' && role !== 'OWNER' && await this.isLastActiveOwner(client, target)) {
+          return { success: false, error: 'The last active owner cannot be demoted', errorType: 'LAST_OWNER' };
+        }
+
+        const updated = await client.query(
+          `UPDATE admins SET role = $1, updated_at = NOW()
+           WHERE id = $2
+           RETURNING id, username, email, first_name, last_name, role, is_active, totp_enabled,
+                     failed_login_count, locked_until, last_login, created_at`,
+          [role, adminId]
+        );
+
+        console.log(`✅ Admin ID ${adminId} role changed to ${role}`);
+        return { success: true, admin: this.formatMember(updated.rows[0]) };
+      });
+
+    } catch (error) {
+      console.error('❌ Error changing admin role:', error);
+      throw new Error('Failed to change admin role');
+    }
+  }
+
+  /**
+   * Activate or deactivate an admin. Deactivation signs the admin out everywhere;
+   * admins cannot deactivate themselves and the last active owner stays active.
+   * @param {number} adminId
+   * @param {boolean} isActive
+   * @param {Object} actor - The admin making the change
+   * @returns {Promise<Object>}
+   */
+  async setActive(adminId, isActive, actor) {
+    try {
+      if (!isActive && String(adminId) === String(actor.id)) {
+        return { success: false, error: 'You cannot deactivate your own account', errorType: 'CANNOT_DEACTIVATE_SELF' };
+      }
+
+      const result = await this.db.transaction(async (client) => {
+        const target = await this.lockTeamMember(client, adminId);
+
+        if (!target) {
+          return { success: false, error: 'Admin not found', errorType: 'NOT_FOUND' };
+        }
+
+        if (!isActive && target.role === 'OWNER' && await this.isLastActiveOwner(client, target)) {
+          return { success: false, error: 'The last active owner cannot be deactivated', errorType: 'LAST_OWNER' };
+        }
+
+        const updated = await client.query(
+          `UPDATE admins SET is_active = $1, updated_at = NOW()
+           WHERE id = $2
+           RETURNING id, username, email, first_name, last_name, role, is_active, totp_enabled,
+                     failed_login_count, locked_until, last_login, created_at`,
+          [isActive, adminId]
+        );
+
+        return { success: true, admin: this.formatMember(updated.rows[0]) };
+      });
+
+      if (result.success && !isActive) {
+        await this.adminService.revokeOtherSessions(adminId);
+      }
+
+      if (result.success) {
+        console.log(`✅ Admin ID ${adminId} ${isActive ? 'activated' : 'deactivated'}`);
+      }
+      return result;
+
+    } catch (error) {
+      console.error('❌ Error updating admin status:', error);
+      throw new Error('Failed to update admin status');
+    }
+  }
+
+  /**
+   * Lift the login lockout (or progressive delay) of an admin
+   * @param {number} adminId
+   * @returns {Promise<Object>}
+   */
+  async unlockAdmin(adminId) {
+    try {
+      const found = await this.adminService.loginSecurity.unlock(adminId);
+
+      if (!found) {
+        return { success: false, error: 'Admin not found', errorType: 'NOT_FOUND' };
+      }
+
+      console.log(`🔓 Login lockout lifted for admin ID: ${adminId}`);
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Error unlocking admin:', error);
+      throw new Error('Failed to unlock admin');
+    }
+  }
+
+  /**
+   * Remove the 2FA enrollment of an admin who lost their authenticator and
+   * recovery codes. They can enroll again after signing in.
+   * @param {number} adminId
+   * @returns {Promise<Object>}
+   */
+  async resetTwoFactor(adminId) {
+    try {
+      const result = await this.db.query('SELECT id FROM admins WHERE id = $1', [adminId]);
+
+      if (result.rows.length === 0) {
+        return { success: false, error: 'Admin not found', errorType: 'NOT_FOUND' };
+      }
+
+      await this.twoFactor.reset(adminId);
+
+      console.log(`🔓 Two-factor authentication reset for admin ID: ${adminId}`);
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Error resetting two-factor authentication:', error);
+      throw new Error('Failed to reset two-factor authentication');
+    }
+  }
+
+  /**
+   * Lock the active owners and the target admin for a role or status change
+   * @param {Object} client - Transaction client
+   * @param {number} adminId
+   * @returns {Promise<Object|null>}
+   */
+  async lockTeamMember(client, adminId) {
+    // Locking the owners serializes concurrent demotions of the last two owners
+    await client.query("SELECT id FROM admins WHERE role = 'OWNER' AND is_active = true FOR UPDATE");
+
+    const result = await client.query(
+      'SELECT id, role, is_active FROM admins WHERE id = $1 FOR UPDATE',
+      [adminId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Check whether an admin is the only remaining active owner
+   * @param {Object} client - Transaction client
+   * @param {Object} admin
+   * @returns {Promise<boolean>}
+   */
+  async isLastActiveOwner(client, admin) {
+    if (!admin.is_active) {
+      return false;
+    }
+
+    const owners = await client.query(
+      "SELECT COUNT(*) AS count FROM admins WHERE role = 'OWNER' AND is_active = true AND id <> $1",
+      [admin.id]
+    );
+
+    return parseInt(owners.rows[0].count) === 0;
+  }
+
+  /**
+   * Format admin row for API response
+   * @param {Object} row
+   * @returns {Object}
+   */
+  formatMember(row) {
+    return {
+      id: row.id,
+      username: row.username,
+      email: row.email,
+      firstName: row.first_name,
+      lastName: row.last_name,
+      role: row.role,
+      isActive: row.is_active,
+      twoFactorEnabled: row.totp_enabled === true,
+      failedLoginCount: row.failed_login_count || 0,
+      lockedUntil: row.locked_until && new Date(row.locked_until) > new Date() ? row.locked_until : null,
+      lastLogin: row.last_login,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Format invitation row for API response
+   * @param {Object} row
+   * @returns {Object}
+   */
+  formatInvitation(row) {
+    return {
+      id: row.id,
+      email: row.email,
+      role: row.role,
+      invitedBy: row.invited_by_name || null,
+      expiresAt: row.expires_at,
+      createdAt: row.created_at
+    };
+  }
+}
+
+export default AdminTeamService;
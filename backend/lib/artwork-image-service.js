@@ -0,0 +1,545 @@
+import fs from 'fs/promises';
+import Database, { database } from './database.js';
+import defaultStorage, { storageKey, isPrivateKey } from './storage.js';
+import { generateDerivatives, buildResponsiveImage } from './image-derivatives.js';
+import { PRIVATE_ORIGINALS } from '../config/upload.js';
+
+/**
+ * Professional Artwork Image Service
+ * Handles the image gallery of each artwork: uploads, primary image, order and removal
+ */
+class ArtworkImageService {
+  /**
+   * @param {Database} [db] - Defaults to the shared connection pool
+   * @param {Object} [storage] - Storage driver, defaults to the configured one
+   */
+  constructor(db = database, storage = defaultStorage) {
+    this.db = db;
+    this.storage = storage;
+  }
+
+  /**
+   * Record uploaded files as images of an artwork.
+   * The first image of an artwork without a primary image becomes primary.
+   * @param {number} artworkId
+   * @param {Array} files - Multer files in the staging directory
+   * @returns {Promise<Object>}
+   */
+  async addImages(artworkId, files) {
+    try {
+      const artwork = await this.db.query('SELECT id FROM artworks WHERE id = $1', [artworkId]);
+
+      if (artwork.rows.length === 0) {
+        return { success: false, error: 'Artwork not found', errorType: 'NOT_FOUND' };
+      }
+
+      // Hand the staged uploads to the storage backend before recording them
+      const stored = [];
+      let images;
+
+      try {
+        for (const file of files) {
+          const key = storageKey(file.filename, { isPrivate: PRIVATE_ORIGINALS });
+          const data = await fs.readFile(file.path);
+
+          await this.storage.put(key, data, { contentType: file.mimetype });
+          stored.push({ file, key, data });
+        }
+
+        images = await this.db.transaction(async (client) => {
+          const state = await client.query(
+            `SELECT COALESCE(MAX(sort_order), 0) AS max_order,
+                    SUM(CASE WHEN is_primary THEN 1 ELSE 0 END) AS primary_count
+             FROM artwork_images
+             WHERE artwork_id = $1`,
+            [artworkId]
+          );
+
+          let sortOrder = parseInt(state.rows[0].max_order);
+          let needsPrimary = !(parseInt(state.rows[0].primary_count) > 0);
+          const inserted = [];
+
+          for (const { file, key } of stored) {
+            sortOrder += 1;
+
+            const result = await client.query(
+              `INSERT INTO artwork_images
+                 (artwork_id, filename, original_name, mime_type, size, url, storage_key, is_primary, sort_order, created_at)
+               VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+               RETURNING *`,
+              [
+                artworkId, file.filename, file.originalname, file.mimetype, file.size,
+                this.storage.getUrl(key), key, needsPrimary, sortOrder
+              ]
+            );
+
+            inserted.push(result.rows[0]);
+            needsPrimary = false;
+          }
+
+          await this.syncCoverImage(client, artworkId);
+          return inserted;
+        });
+      } catch (error) {
+        for (const { key } of stored) {
+          await this.removeObject(key);
+        }
+        throw error;
+      }
+
+      console.log(`✅ ${images.length} image(s) added to artwork ${artworkId}`);
+
+      const variantsByImage = {};
+      for (const [index, image] of images.entries()) {
+        variantsByImage[image.id] = await this.generateVariants(image, stored[index].data);
+      }
+
+      return {
+        success: true,
+        images: await Promise.all(images.map(async row => (
+          this.formatImage(row, variantsByImage[row.id], await this.resolveUrl(row, variantsByImage[row.id], { signOriginals: true }))
+        )))
+      };
+
+    } catch (error) {
+      console.error('❌ Error adding artwork images:', error);
+      throw new Error('Failed to save artwork images');
+    }
+  }
+
+  /**
+   * Make an image the primary image of its artwork
+   * @param {number} artworkId
+   * @param {number} imageId
+   * @returns {Promise<Object>}
+   */
+  async setPrimaryImage(artworkId, imageId) {
+    try {
+      const image = await this.findImage(artworkId, imageId);
+
+      if (!image) {
+        return { success: false, error: 'Image not found', errorType: 'NOT_FOUND' };
+      }
+
+      await this.db.transaction(async (client) => {
+        await client.query(
+          'UPDATE artwork_images SET is_primary = (id = $2) WHERE artwork_id = $1',
+          [artworkId, imageId]
+        );
+        await this.syncCoverImage(client, artworkId);
+      });
+
+      console.log(`✅ Image ${imageId} set as primary for artwork ${artworkId}`);
+      return { success: true, images: await this.listImages(artworkId, { signOriginals: true }) };
+
+    } catch (error) {
+      console.error('❌ Error setting primary image:', error);
+      throw new Error('Failed to set primary image');
+    }
+  }
+
+  /**
+   * Rewrite the gallery order from an ordered list of image ids
+   * @param {number} artworkId
+   * @param {Array<number>} imageIds - Must contain every image of the artwork
+   * @returns {Promise<Object>}
+   */
+  async reorderImages(artworkId, imageIds) {
+    try {
+      const existing = await this.db.query(
+        'SELECT id FROM artwork_images WHERE artwork_id = $1',
+        [artworkId]
+      );
+      const existingIds = new Set(existing.rows.map(row => row.id));
+
+      if (existingIds.size !== imageIds.length || !imageIds.every(id => existingIds.has(id))) {
+        return {
+          success: false,
+          error: 'imageIds must list every image of the artwork exactly once',
+          errorType: 'INVALID_IMAGE_ORDER'
+        };
+      }
+
+      await this.db.transaction(async (client) => {
+        for (const [index, imageId] of imageIds.entries()) {
+          await client.query(
+            'UPDATE artwork_images SET sort_order = $1 WHERE id = $2',
+            [index + 1, imageId]
+          );
+        }
+      });
+
+      console.log(`✅ Images reordered for artwork ${artworkId}`);
+      return { success: true, images: await this.listImages(artworkId, { signOriginals: true }) };
+
+    } catch (error) {
+      console.error('❌ Error reordering images:', error);
+      throw new Error('Failed to reorder images');
+    }
+  }
+
+  /**
+   * Delete an image record and its file. When the primary image is removed,
+   * the next image in gallery order is promoted.
+   * @param {number} artworkId
+   * @param {number} imageId
+   * @returns {Promise<Object>}
+   */
+  async deleteImage(artworkId, imageId) {
+    try {
+      const image = await this.findImage(artworkId, imageId);
+
+      if (!image) {
+        return { success: false, error: 'Image not found', errorType: 'NOT_FOUND' };
+      }
+
+      const variants = await this.db.query(
+        'SELECT filename, storage_key FROM artwork_image_variants WHERE image_id = $1',
+        [imageId]
+      );
+
+      await this.db.transaction(async (client) => {
+        // Variant rows go with the image through ON DELETE CASCADE
+        await client.query('DELETE FROM artwork_images WHERE id = $1', [imageId]);
+
+        if (image.is_primary) {
+          await client.query(
+            `UPDATE artwork_images SET is_primary = true
+             WHERE id = (
+               SELECT id FROM artwork_images
+               WHERE artwork_id = $1
+               ORDER BY sort_order ASC, id ASC
+               LIMIT 1
+             )`,
+            [artworkId]
+          );
+        }
+
+        // Do not leave the artwork pointing at a file that no longer exists
+        if (image.is_primary) {
+          await client.query(
+            'UPDATE artworks SET image_url = NULL, updated_at = NOW() WHERE id = $1',
+            [artworkId]
+          );
+        }
+        await this.syncCoverImage(client, artworkId);
+      });
+
+      await this.removeObject(this.keyOf(image));
+      for (const variant of variants.rows) {
+        await this.removeObject(this.keyOf(variant));
+      }
+
+      console.log(`✅ Image ${imageId} deleted from artwork ${artworkId}`);
+      return { success: true, images: await this.listImages(artworkId, { signOriginals: true }) };
+
+    } catch (error) {
+      console.error('❌ Error deleting image:', error);
+      throw new Error('Failed to delete image');
+    }
+  }
+
+  /**
+   * Generate resized derivatives of an image and record them.
+   * Failures are logged and leave the image without variants; they can be
+   * regenerated later with `npm run images:regenerate`.
+   * @param {Object} image - artwork_images row
+   * @param {Buffer} [source] - Original content, read from storage when omitted
+   * @returns {Promise<Array>} Variant rows
+   */
+  async generateVariants(image, source = null) {
+    try {
+      const derivatives = await generateDerivatives(
+        source || await this.storage.get(this.keyOf(image)),
+        image.filename
+      );
+
+      for (const derivative of derivatives) {
+        derivative.key = storageKey(derivative.filename);
+        await this.storage.put(derivative.key, derivative.data, { contentType: derivative.contentType });
+      }
+
+      const previous = await this.db.query(
+        'SELECT filename, storage_key FROM artwork_image_variants WHERE image_id = $1',
+        [image.id]
+      );
+
+      const rows = await this.db.transaction(async (client) => {
+        await client.query('DELETE FROM artwork_image_variants WHERE image_id = $1', [image.id]);
+
+        const inserted = [];
+        for (const derivative of derivatives) {
+          const result = await client.query(
+            `INSERT INTO artwork_image_variants
+               (image_id, variant, format, filename, url, storage_key, width, height, size, created_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+             RETURNING *`,
+            [
+              image.id, derivative.variant, derivative.format, derivative.filename,
+              this.storage.getUrl(derivative.key), derivative.key,
+              derivative.width, derivative.height, derivative.size
+            ]
+          );
+          inserted.push(result.rows[0]);
+        }
+
+        // Cards of private originals point at a variant, which now exists
+        await this.syncCoverImage(client, image.artwork_id);
+        return inserted;
+      });
+
+      // Drop files of variants that are no longer produced
+      const current = new Set(derivatives.map(derivative => derivative.key));
+      for (const variant of previous.rows) {
+        if (!current.has(this.keyOf(variant))) {
+          await this.removeObject(this.keyOf(variant));
+        }
+      }
+
+      console.log(`✅ ${rows.length} variant(s) generated for image ${image.id}`);
+      return rows;
+
+    } catch (error) {
+      console.error(`❌ Error generating variants for image ${image.id}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Regenerate variants for existing images (maintenance)
+   * @param {Object} options
+   * @param {number} [options.artworkId] - Limit to one artwork
+   * @param {boolean} [options.missingOnly] - Skip images that already have variants
+   * @returns {Promise<Object>} Counts of processed and failed images
+   */
+  async regenerateVariants({ artworkId = null, missingOnly = false } = {}) {
+    const result = await this.db.query(
+      `SELECT img.* FROM artwork_images img
+       WHERE ($1::int IS NULL OR img.artwork_id = $1)
+         AND (NOT $2::boolean OR NOT EXISTS (
+           SELECT 1 FROM artwork_image_variants v WHERE v.image_id = img.id
+         ))
+       ORDER BY img.id ASC`,
+      [artworkId, missingOnly]
+    );
+
+    let processed = 0;
+    let failed = 0;
+
+    for (const image of result.rows) {
+      const variants = await this.generateVariants(image);
+      if (variants.length > 0) {
+        processed++;
+      } else {
+        failed++;
+      }
+    }
+
+    return { total: result.rows.length, processed, failed };
+  }
+
+  /**
+   * List the images of an artwork, primary first then gallery order
+   * @param {number} artworkId
+   * @param {Object} [options] - signOriginals for admin callers, see resolveUrl
+   * @returns {Promise<Array>}
+   */
+  async listImages(artworkId, options = {}) {
+    const result = await this.db.query(
+      `SELECT * FROM artwork_images
+       WHERE artwork_id = $1
+       ORDER BY is_primary DESC, sort_order ASC, id ASC`,
+      [artworkId]
+    );
+
+    return this.formatImages(result.rows, options);
+  }
+
+  /**
+   * Get the primary image of each artwork, for listing cards
+   * @param {Array<number>} artworkIds
+   * @param {Object} [options] - signOriginals for admin callers, see resolveUrl
+   * @returns {Promise<Object>} Formatted images keyed by artwork id
+   */
+  async findCoverImages(artworkIds, options = {}) {
+    if (artworkIds.length === 0) {
+      return {};
+    }
+
+    const result = await this.db.query(
+      `SELECT * FROM artwork_images
+       WHERE artwork_id = ANY($1::int[]) AND is_primary = true`,
+      [artworkIds]
+    );
+
+    const images = await this.formatImages(result.rows, options);
+    const covers = {};
+
+    for (const [index, row] of result.rows.entries()) {
+      covers[row.artwork_id] = images[index];
+    }
+
+    return covers;
+  }
+
+  /**
+   * Load variant rows for a set of images
+   * @param {Array<number>} imageIds
+   * @returns {Promise<Object>} Variant rows keyed by image id
+   */
+  async findVariants(imageIds) {
+    if (imageIds.length === 0) {
+      return {};
+    }
+
+    const result = await this.db.query(
+      'SELECT * FROM artwork_image_variants WHERE image_id = ANY($1::int[])',
+      [imageIds]
+    );
+
+    const variantsByImage = {};
+    for (const row of result.rows) {
+      (variantsByImage[row.image_id] = variantsByImage[row.image_id] || []).push(row);
+    }
+
+    return variantsByImage;
+  }
+
+  /**
+   * Find an image belonging to an artwork
+   * @param {number} artworkId
+   * @param {number} imageId
+   * @returns {Promise<Object|null>}
+   */
+  async findImage(artworkId, imageId) {
+    const result = await this.db.query(
+      'SELECT * FROM artwork_images WHERE id = $1 AND artwork_id = $2',
+      [imageId, artworkId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Copy the primary image URL to artworks.image_url used by listing cards.
+   * A private original has no stable URL, so its detail variant is used instead.
+   * @param {Object} client - Transaction client
+   * @param {number} artworkId
+   */
+  async syncCoverImage(client, artworkId) {
+    const primary = await client.query(
+      `SELECT img.url, img.filename, img.storage_key, v.url AS variant_url
+       FROM artwork_images img
+       LEFT JOIN artwork_image_variants v ON v.image_id = img.id
+       WHERE img.artwork_id = $1 AND img.is_primary = true
+       ORDER BY CASE WHEN v.variant = 'detail' THEN 0 ELSE 1 END,
+                CASE WHEN v.format = 'jpeg' THEN 0 ELSE 1 END,
+                v.width DESC
+       LIMIT 1`,
+      [artworkId]
+    );
+
+    if (primary.rows.length === 0) {
+      return;
+    }
+
+    const { url, variant_url: variantUrl } = primary.rows[0];
+    const coverUrl = isPrivateKey(this.keyOf(primary.rows[0])) ? variantUrl : url;
+
+    // A private original has no cover until its variants are generated
+    if (coverUrl) {
+      await client.query(
+        'UPDATE artworks SET image_url = $2, updated_at = NOW() WHERE id = $1',
+        [artworkId, coverUrl]
+      );
+    }
+  }
+
+  /**
+   * Storage key of an image or variant row
+   * @param {Object} row
+   * @returns {string}
+   */
+  keyOf(row) {
+    // Rows from before pluggable storage were always public files
+    return row.storage_key || storageKey(row.filename);
+  }
+
+  /**
+   * URL to hand out for an image. Private originals are only signed for admin
+   * callers; everyone else gets the largest public variant, like the cover.
+   * @param {Object} row - artwork_images row
+   * @param {Array} [variants] - Variant rows of this image
+   * @param {Object} [options]
+   * @param {boolean} [options.signOriginals] - Sign URLs of private originals
+   * @returns {Promise<string|null>} null for a private original without variants yet
+   */
+  async resolveUrl(row, variants = [], { signOriginals = false } = {}) {
+    const key = this.keyOf(row);
+
+    if (!isPrivateKey(key)) {
+      return row.url;
+    }
+    if (signOriginals) {
+      return this.storage.getSignedUrl(key);
+    }
+
+    const [display] = [...variants].sort((a, b) => (
+      (a.variant === 'detail' ? 0 : 1) - (b.variant === 'detail' ? 0 : 1) ||
+      (a.format === 'jpeg' ? 0 : 1) - (b.format === 'jpeg' ? 0 : 1) ||
+      b.width - a.width
+    ));
+    return display ? display.url : null;
+  }
+
+  /**
+   * Format image rows with their variants and resolved URLs
+   * @param {Array} rows - artwork_images rows
+   * @param {Object} [options] - signOriginals for admin callers, see resolveUrl
+   * @returns {Promise<Array>}
+   */
+  async formatImages(rows, options = {}) {
+    const variantsByImage = await this.findVariants(rows.map(row => row.id));
+
+    return Promise.all(rows.map(async row => (
+      this.formatImage(row, variantsByImage[row.id], await this.resolveUrl(row, variantsByImage[row.id], options))
+    )));
+  }
+
+  /**
+   * Remove a stored object
+   * @param {string} key
+   */
+  async removeObject(key) {
+    try {
+      await this.storage.delete(key);
+    } catch (error) {
+      // The record is already gone; a missing file is not worth failing over
+      console.warn(`⚠️  Could not remove upload ${key}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Map an artwork image row to the API representation
+   * @param {Object} row
+   * @param {Array} [variants] - Variant rows of this image
+   * @param {string} [url] - URL to expose, e.g. a signed URL
+   * @returns {Object}
+   */
+  formatImage(row, variants = [], url = row.url) {
+    return {
+      id: row.id,
+      url,
+      filename: row.filename,
+      originalName: row.original_name,
+      mimeType: row.mime_type,
+      size: row.size,
+      isPrimary: row.is_primary,
+      sortOrder: row.sort_order,
+      responsive: buildResponsiveImage(variants),
+      createdAt: row.created_at
+    };
+  }
+}
+
+export default ArtworkImageService;
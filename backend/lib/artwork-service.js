@@ -0,0 +1,440 @@
+import Database, { database } from './database.js';
+import ArtworkImageService from './artwork-image-service.js';
+
+// Writable artwork fields, mapped from API names to columns
+const WRITABLE_FIELDS = {
+  name: 'name',
+  description: 'description',
+  artist: 'artist',
+  price: 'price',
+  originalPrice: 'original_price',
+  medium: 'medium',
+  dimensions: 'dimensions',
+  year: 'year',
+  status: 'status',
+  isFeatured: 'is_featured',
+  isActive: 'is_active',
+  categoryId: 'category_id',
+  imageUrl: 'image_url'
+};
+
+// Columns the public listing can be sorted by
+const SORTABLE_COLUMNS = {
+  price: 'a.price',
+  year: 'a.year',
+  created_at: 'a.created_at',
+  view_count: 'a.view_count'
+};
+
+/**
+ * Professional Artwork Service
+ * Handles artwork queries for the public gallery and admin artwork management
+ */
+class ArtworkService {
+  /**
+   * @param {Database} [db] - Defaults to the shared connection pool
+   */
+  constructor(db = database) {
+    this.db = db;
+    this.imageService = new ArtworkImageService(db);
+  }
+
+  /**
+   * List active artworks with filtering, sorting and pagination
+   * @param {Object} options
+   * @returns {Promise<Object>}
+   */
+  async listArtworks(options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 12,
+        sortBy = 'created_at',
+        sortOrder = 'desc'
+      } = options;
+
+      const { whereClause, params } = this.buildFilters(options);
+      const orderColumn = SORTABLE_COLUMNS[sortBy] || SORTABLE_COLUMNS.created_at;
+      const orderDirection = sortOrder === 'asc' ? 'ASC' : 'DESC';
+      const offset = (page - 1) * limit;
+
+      const countResult = await this.db.query(
+        `SELECT COUNT(*) AS total FROM artworks a ${whereClause}`,
+        params
+      );
+
+      const result = await this.db.query(
+        `SELECT a.*, c.name AS category_name, c.color AS category_color
+         FROM artworks a
+         LEFT JOIN categories c ON a.category_id = c.id
+         ${whereClause}
+         ORDER BY ${orderColumn} ${orderDirection} NULLS LAST, a.id DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      );
+
+      const total = parseInt(countResult.rows[0].total);
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        artworks: await this.attachCoverImages(result.rows.map(row => this.formatArtwork(row))),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      };
+
+    } catch (error) {
+      console.error('❌ Error listing artworks:', error);
+      throw new Error('Database error while listing artworks');
+    }
+  }
+
+  /**
+   * Get an active artwork with its category, image gallery and related works
+   * @param {number} id
+   * @param {Object} options
+   * @returns {Promise<Object|null>}
+   */
+  async getArtworkDetail(id, { relatedLimit = 4 } = {}) {
+    try {
+      const result = await this.db.query(
+        `SELECT a.*, c.name AS category_name, c.color AS category_color
+         FROM artworks a
+         LEFT JOIN categories c ON a.category_id = c.id
+         WHERE a.id = $1 AND a.is_active = true`,
+        [id]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const artwork = this.formatArtwork(result.rows[0]);
+      artwork.images = await this.getArtworkImages(id);
+
+      const related = await this.getRelatedArtworks(result.rows[0], relatedLimit);
+
+      return { artwork, related };
+
+    } catch (error) {
+      console.error('❌ Error getting artwork detail:', error);
+      throw new Error('Database error while getting artwork');
+    }
+  }
+
+  /**
+   * Get all images of an artwork, primary image first then gallery order
+   * @param {number} artworkId
+   * @param {Object} [options] - signOriginals to link private originals (admin only)
+   * @returns {Promise<Array>}
+   */
+  async getArtworkImages(artworkId, options = {}) {
+    return this.imageService.listImages(artworkId, options);
+  }
+
+  /**
+   * Attach the responsive primary image to each artwork of a listing
+   * @param {Array} artworks - Formatted artworks
+   * @returns {Promise<Array>}
+   */
+  async attachCoverImages(artworks) {
+    const covers = await this.imageService.findCoverImages(artworks.map(artwork => artwork.id));
+
+    return artworks.map(artwork => ({
+      ...artwork,
+      coverImage: covers[artwork.id] || null
+    }));
+  }
+
+  /**
+   * Get active artworks sharing the category or artist of the given artwork
+   * @param {Object} artworkRow
+   * @param {number} limit
+   * @returns {Promise<Array>}
+   */
+  async getRelatedArtworks(artworkRow, limit) {
+    if (!artworkRow.category_id && !artworkRow.artist) {
+      return [];
+    }
+
+    const result = await this.db.query(
+      `SELECT a.*, c.name AS category_name, c.color AS category_color
+       FROM artworks a
+       LEFT JOIN categories c ON a.category_id = c.id
+       WHERE a.is_active = true
+         AND a.id != $1
+         AND (a.category_id = $2 OR a.artist = $3)
+       ORDER BY (CASE WHEN a.artist = $3 THEN 1 ELSE 0 END) DESC,
+                (CASE WHEN a.status = 'AVAILABLE' THEN 1 ELSE 0 END) DESC,
+                a.is_featured DESC,
+                a.created_at DESC
+       LIMIT $4`,
+      [artworkRow.id, artworkRow.category_id, artworkRow.artist, limit]
+    );
+
+    return this.attachCoverImages(result.rows.map(row => this.formatArtwork(row)));
+  }
+
+  /**
+   * Atomically increment the view counter of an active artwork
+   * @param {number} id
+   * @returns {Promise<void>}
+   */
+  async incrementViewCount(id) {
+    try {
+      // Single UPDATE so concurrent hits never lose increments
+      await this.db.query(
+        'UPDATE artworks SET view_count = view_count + 1 WHERE id = $1 AND is_active = true',
+        [id]
+      );
+    } catch (error) {
+      // A failed counter update must not break the detail page
+      console.error('❌ Error incrementing artwork view count:', error);
+    }
+  }
+
+  /**
+   * Find an artwork by ID regardless of its active state (admin use)
+   * @param {number} id
+   * @returns {Promise<Object|null>}
+   */
+  async findArtworkById(id) {
+    try {
+      const result = await this.db.query(
+        `SELECT a.*, c.name AS category_name, c.color AS category_color
+         FROM artworks a
+         LEFT JOIN categories c ON a.category_id = c.id
+         WHERE a.id = $1`,
+        [id]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const artwork = this.formatArtwork(result.rows[0]);
+      artwork.images = await this.getArtworkImages(id, { signOriginals: true });
+
+      return artwork;
+
+    } catch (error) {
+      console.error('❌ Error finding artwork by ID:', error);
+      throw new Error('Database error while finding artwork');
+    }
+  }
+
+  /**
+   * Create a new artwork
+   * @param {Object} artworkData
+   * @returns {Promise<Object>}
+   */
+  async createArtwork(artworkData) {
+    try {
+      if (artworkData.categoryId && !(await this.categoryExists(artworkData.categoryId))) {
+        return { success: false, error: 'Category not found' };
+      }
+
+      const fields = Object.keys(WRITABLE_FIELDS).filter(field => artworkData[field] !== undefined);
+      const columns = fields.map(field => WRITABLE_FIELDS[field]);
+      const values = fields.map(field => artworkData[field]);
+      const placeholders = values.map((_, index) => `$${index + 1}`);
+
+      const result = await this.db.query(
+        `INSERT INTO artworks (${columns.join(', ')}, created_at, updated_at)
+         VALUES (${placeholders.join(', ')}, NOW(), NOW())
+         RETURNING id`,
+        values
+      );
+
+      const artwork = await this.findArtworkById(result.rows[0].id);
+
+      console.log(`✅ Artwork created: ${artwork.id} (${artwork.name})`);
+      return { success: true, artwork };
+
+    } catch (error) {
+      console.error('❌ Error creating artwork:', error);
+      throw new Error('Failed to create artwork');
+    }
+  }
+
+  /**
+   * Update an artwork; only provided fields are changed
+   * @param {number} id
+   * @param {Object} updateData
+   * @returns {Promise<Object>}
+   */
+  async updateArtwork(id, updateData) {
+    try {
+      if (updateData.categoryId && !(await this.categoryExists(updateData.categoryId))) {
+        return { success: false, error: 'Category not found' };
+      }
+
+      // Status changes go through the reservation service, which keeps holds in step
+      const fields = Object.keys(WRITABLE_FIELDS).filter(field => field !== 'status' && updateData[field] !== undefined);
+      const assignments = fields.map((field, index) => `${WRITABLE_FIELDS[field]} = $${index + 1}`);
+      const values = fields.map(field => updateData[field]);
+
+      const result = await this.db.query(
+        `UPDATE artworks
+         SET ${[...assignments, 'updated_at = NOW()'].join(', ')}
+         WHERE id = $${values.length + 1}
+         RETURNING id`,
+        [...values, id]
+      );
+
+      if (result.rows.length === 0) {
+        return { success: false, error: 'Artwork not found' };
+      }
+
+      console.log(`✅ Artwork updated: ${id} (${fields.join(', ') || 'no fields'})`);
+      return { success: true, artwork: await this.findArtworkById(id) };
+
+    } catch (error) {
+      console.error('❌ Error updating artwork:', error);
+      throw new Error('Failed to update artwork');
+    }
+  }
+
+  /**
+   * Soft delete an artwork by marking it inactive
+   * @param {number} id
+   * @returns {Promise<Object>}
+   */
+  async deactivateArtwork(id) {
+    try {
+      const result = await this.db.query(
+        `UPDATE artworks SET is_active = false, is_featured = false, updated_at = NOW()
+         WHERE id = $1
+         RETURNING id`,
+        [id]
+      );
+
+      if (result.rows.length === 0) {
+        return { success: false, error: 'Artwork not found' };
+      }
+
+      console.log(`✅ Artwork deactivated: ${id}`);
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ Error deactivating artwork:', error);
+      throw new Error('Failed to deactivate artwork');
+    }
+  }
+
+  /**
+   * Check that a category exists
+   * @param {number} categoryId
+   * @returns {Promise<boolean>}
+   */
+  async categoryExists(categoryId) {
+    const result = await this.db.query(
+      'SELECT id FROM categories WHERE id = $1',
+      [categoryId]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Build the WHERE clause for artwork listing filters
+   * @param {Object} filters
+   * @returns {{whereClause: string, params: Array}}
+   */
+  buildFilters(filters) {
+    const conditions = [];
+    const params = [];
+
+    const addCondition = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+
+    // Public listings only ever see active artworks
+    if (!filters.includeInactive) {
+      conditions.push('a.is_active = true');
+    } else if (filters.isActive !== undefined) {
+      addCondition('a.is_active = ?', filters.isActive);
+    }
+
+    if (filters.category !== undefined) {
+      addCondition('a.category_id = ?', filters.category);
+    }
+
+    if (filters.status) {
+      addCondition('a.status = ?', filters.status);
+    }
+
+    if (filters.featured !== undefined) {
+      addCondition('a.is_featured = ?', filters.featured);
+    }
+
+    if (filters.minPrice !== undefined) {
+      addCondition('a.price >= ?', filters.minPrice);
+    }
+
+    if (filters.maxPrice !== undefined) {
+      addCondition('a.price <= ?', filters.maxPrice);
+    }
+
+    if (filters.year !== undefined) {
+      addCondition('a.year = ?', filters.year);
+    }
+
+    if (filters.medium) {
+      addCondition('a.medium ILIKE ?', `%${filters.medium}%`);
+    }
+
+    if (filters.search) {
+      params.push(`%${filters.search}%`);
+      const placeholder = `$${params.length}`;
+      conditions.push(
+        `(a.name ILIKE ${placeholder} OR a.description ILIKE ${placeholder} OR a.artist ILIKE ${placeholder})`
+      );
+    }
+
+    return {
+      whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  /**
+   * Map an artwork row to the API representation
+   * @param {Object} row
+   * @returns {Object}
+   */
+  formatArtwork(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      description: row.description,
+      artist: row.artist,
+      price: parseFloat(row.price),
+      originalPrice: row.original_price !== null ? parseFloat(row.original_price) : null,
+      medium: row.medium,
+      dimensions: row.dimensions,
+      year: row.year,
+      status: row.status,
+      // Only the end of a hold is public, never who holds the artwork
+      reservedUntil: row.status === 'RESERVED' ? row.reserved_until || null : null,
+      isFeatured: row.is_featured,
+      isActive: row.is_active,
+      viewCount: row.view_count,
+      imageUrl: row.image_url,
+      category: row.category_id ? {
+        id: row.category_id,
+        name: row.category_name,
+        color: row.category_color
+      } : null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+export default ArtworkService;
@@ -0,0 +1,323 @@
+import Database, { database } from './database.js';
+
+// Active and available artwork counts per category
+const ARTWORK_COUNTS_QUERY = `
+  SELECT category_id,
+         COUNT(*) AS artwork_count,
+         SUM(CASE WHEN status = 'AVAILABLE' THEN 1 ELSE 0 END) AS available_count
+  FROM artworks
+  WHERE is_active = true
+  GROUP BY category_id
+`;
+
+/**
+ * Professional Category Service
+ * Handles category queries for the public gallery and admin category management
+ */
+class CategoryService {
+  /**
+   * @param {Database} [db] - Defaults to the shared connection pool
+   */
+  constructor(db = database) {
+    this.db = db;
+  }
+
+  /**
+   * List active categories ordered for display, with artwork counts
+   * @returns {Promise<Array>}
+   */
+  async listCategories() {
+    try {
+      const result = await this.db.query(
+        `SELECT c.*,
+                COALESCE(counts.artwork_count, 0) AS artwork_count,
+                COALESCE(counts.available_count, 0) AS available_count
+         FROM categories c
+         LEFT JOIN (${ARTWORK_COUNTS_QUERY}) counts ON counts.category_id = c.id
+         WHERE c.is_active = true
+         ORDER BY c.sort_order ASC, c.name ASC`
+      );
+
+      return result.rows.map(row => this.formatCategory(row));
+
+    } catch (error) {
+      console.error('❌ Error listing categories:', error);
+      throw new Error('Database error while listing categories');
+    }
+  }
+
+  /**
+   * Find an active category by ID, with artwork counts
+   * @param {number} id
+   * @returns {Promise<Object|null>}
+   */
+  async findActiveCategoryById(id) {
+    try {
+      const result = await this.db.query(
+        `SELECT c.*,
+                COALESCE(counts.artwork_count, 0) AS artwork_count,
+                COALESCE(counts.available_count, 0) AS available_count
+         FROM categories c
+         LEFT JOIN (${ARTWORK_COUNTS_QUERY}) counts ON counts.category_id = c.id
+         WHERE c.id = $1 AND c.is_active = true`,
+        [id]
+      );
+
+      return result.rows[0] ? this.formatCategory(result.rows[0]) : null;
+
+    } catch (error) {
+      console.error('❌ Error finding category by ID:', error);
+      throw new Error('Database error while finding category');
+    }
+  }
+
+  /**
+   * List all categories including inactive ones (admin use)
+   * @returns {Promise<Array>}
+   */
+  async listAllCategories() {
+    try {
+      const result = await this.db.query(
+        `SELECT c.*,
+                COALESCE(counts.artwork_count, 0) AS artwork_count,
+                COALESCE(counts.available_count, 0) AS available_count
+         FROM categories c
+         LEFT JOIN (${ARTWORK_COUNTS_QUERY}) counts ON counts.category_id = c.id
+         ORDER BY c.is_active DESC, c.sort_order ASC, c.name ASC`
+      );
+
+      return result.rows.map(row => this.formatCategory(row));
+
+    } catch (error) {
+      console.error('❌ Error listing all categories:', error);
+      throw new Error('Database error while listing categories');
+    }
+  }
+
+  /**
+   * Find a category by ID regardless of its active state (admin use)
+   * @param {number} id
+   * @returns {Promise<Object|null>}
+   */
+  async findCategoryById(id) {
+    try {
+      const result = await this.db.query(
+        `SELECT c.*,
+                COALESCE(counts.artwork_count, 0) AS artwork_count,
+                COALESCE(counts.available_count, 0) AS available_count
+         FROM categories c
+         LEFT JOIN (${ARTWORK_COUNTS_QUERY}) counts ON counts.category_id = c.id
+         WHERE c.id = $1`,
+        [id]
+      );
+
+      return result.rows[0] ? this.formatCategory(result.rows[0]) : null;
+
+    } catch (error) {
+      console.error('❌ Error finding category by ID:', error);
+      throw new Error('Database error while finding category');
+    }
+  }
+
+  /**
+   * Create a new category, appended after the existing ones unless a sort order is given
+   * @param {Object} categoryData
+   * @returns {Promise<Object>}
+   */
+  async createCategory({ name, description, color, sortOrder, isActive }) {
+    try {
+      if (await this.nameTaken(name)) {
+        return { success: false, error: 'Category with this name already exists', errorType: 'DUPLICATE_NAME' };
+      }
+
+      const result = await this.db.query(
+        `INSERT INTO categories (name, description, color, is_active, sort_order, created_at, updated_at)
+         VALUES ($1, $2, COALESCE($3, '#6366f1'), COALESCE($4, true),
+                 COALESCE($5, (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM categories)),
+                 NOW(), NOW())
+         RETURNING id`,
+        [name, description ?? null, color ?? null, isActive ?? null, sortOrder ?? null]
+      );
+
+      console.log(`✅ Category created: ${name}`);
+      return { success: true, category: await this.findCategoryById(result.rows[0].id) };
+
+    } catch (error) {
+      console.error('❌ Error creating category:', error);
+      throw new Error('Failed to create category');
+    }
+  }
+
+  /**
+   * Update a category; only provided fields are changed. isActive can only
+   * reactivate it, deactivateCategory decides what happens to its artworks.
+   * @param {number} id
+   * @param {Object} updateData
+   * @returns {Promise<Object>}
+   */
+  async updateCategory(id, { name, description, color, sortOrder, isActive }) {
+    try {
+      if (name && await this.nameTaken(name, id)) {
+        return { success: false, error: 'Category with this name already exists', errorType: 'DUPLICATE_NAME' };
+      }
+
+      const result = await this.db.query(
+        `UPDATE categories
+         SET name = COALESCE($1, name),
+             description = COALESCE($2, description),
+             color = COALESCE($3, color),
+             sort_order = COALESCE($4, sort_order),
+             is_active = COALESCE($5, is_active),
+             updated_at = NOW()
+         WHERE id = $6
+         RETURNING id`,
+        [name ?? null, description ?? null, color ?? null, sortOrder ?? null, isActive === true ? true : null, id]
+      );
+
+      if (result.rows.length === 0) {
+        return { success: false, error: 'Category not found', errorType: 'NOT_FOUND' };
+      }
+
+      console.log(`✅ Category updated: ${id}`);
+      return { success: true, category: await this.findCategoryById(id) };
+
+    } catch (error) {
+      console.error('❌ Error updating category:', error);
+      throw new Error('Failed to update category');
+    }
+  }
+
+  /**
+   * Deactivate a category. When artworks still reference it, the caller must
+   * choose to move them to another category or leave them uncategorised.
+   * @param {number} id
+   * @param {Object} options
+   * @param {string} [options.artworkAction] - 'move' or 'uncategorize'
+   * @param {number} [options.targetCategoryId] - Destination for 'move'
+   * @returns {Promise<Object>}
+   */
+  async deactivateCategory(id, { artworkAction, targetCategoryId } = {}) {
+    try {
+      const category = await this.findCategoryById(id);
+
+      if (!category) {
+        return { success: false, error: 'Category not found', errorType: 'NOT_FOUND' };
+      }
+
+      // Count inactive artworks too, they would otherwise keep a dangling category
+      const countResult = await this.db.query(
+        'SELECT COUNT(*) AS count FROM artworks WHERE category_id = $1',
+        [id]
+      );
+      const artworkCount = parseInt(countResult.rows[0].count);
+
+      if (artworkCount > 0 && !artworkAction) {
+        return {
+          success: false,
+          error: `Category still has ${artworkCount} artwork(s). Choose to move them to another category or leave them uncategorised.`,
+          errorType: 'CATEGORY_HAS_ARTWORKS',
+          artworkCount
+        };
+      }
+
+      if (artworkCount > 0 && artworkAction === 'move') {
+        const target = await this.findCategoryById(targetCategoryId);
+
+        if (!target || !target.isActive || target.id === id) {
+          return { success: false, error: 'Target category must be another active category', errorType: 'INVALID_TARGET' };
+        }
+      }
+
+      await this.db.transaction(async (client) => {
+        if (artworkCount > 0) {
+          await client.query(
+            'UPDATE artworks SET category_id = $1, updated_at = NOW() WHERE category_id = $2',
+            [artworkAction === 'move' ? targetCategoryId : null, id]
+          );
+        }
+
+        await client.query(
+          'UPDATE categories SET is_active = false, updated_at = NOW() WHERE id = $1',
+          [id]
+        );
+      });
+
+      console.log(`✅ Category deactivated: ${id} (${artworkCount} artwork(s) ${artworkAction === 'move' ? `moved to ${targetCategoryId}` : 'uncategorised'})`);
+      return { success: true, movedArtworks: artworkCount };
+
+    } catch (error) {
+      console.error('❌ Error deactivating category:', error);
+      throw new Error('Failed to deactivate category');
+    }
+  }
+
+  /**
+   * Rewrite sort_order from an ordered list of category ids
+   * @param {Array<number>} categoryIds
+   * @returns {Promise<Object>}
+   */
+  async reorderCategories(categoryIds) {
+    try {
+      const existing = await this.db.query(
+        'SELECT id FROM categories WHERE id = ANY($1::int[])',
+        [categoryIds]
+      );
+
+      if (existing.rows.length !== categoryIds.length) {
+        return { success: false, error: 'One or more categories not found', errorType: 'NOT_FOUND' };
+      }
+
+      await this.db.transaction(async (client) => {
+        for (const [index, categoryId] of categoryIds.entries()) {
+          await client.query(
+            'UPDATE categories SET sort_order = $1, updated_at = NOW() WHERE id = $2',
+            [index + 1, categoryId]
+          );
+        }
+      });
+
+      console.log(`✅ Categories reordered: ${categoryIds.join(', ')}`);
+      return { success: true, categories: await this.listAllCategories() };
+
+    } catch (error) {
+      console.error('❌ Error reordering categories:', error);
+      throw new Error('Failed to reorder categories');
+    }
+  }
+
+  /**
+   * Check whether another category already uses a name
+   * @param {string} name
+   * @param {number} [excludeId]
+   * @returns {Promise<boolean>}
+   */
+  async nameTaken(name, excludeId = null) {
+    const result = await this.db.query(
+      'SELECT id FROM categories WHERE LOWER(name) = LOWER($1) AND ($2::int IS NULL OR id != $2)',
+      [name, excludeId]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Map a category row to the API representation
+   * @param {Object} row
+   * @returns {Object}
+   */
+  formatCategory(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      description: row.description,
+      color: row.color,
+      sortOrder: row.sort_order,
+      isActive: row.is_active,
+      artworkCount: parseInt(row.artwork_count),
+      availableCount: parseInt(row.available_count),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+export default CategoryService;
@@ -0,0 +1,410 @@
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import Database, { database } from './database.js';
+import CustomerAuthService, {
+  CUSTOMER_TOKEN_ISSUER,
+  CUSTOMER_TOKEN_AUDIENCE
+} from './customer-auth-service.js';
+import emailService from '../services/email-service.js';
+
+// Password reset links stay valid for 1 hour
+const PASSWORD_RESET_TTL_MINUTES = 60;
+// Email change confirmation links stay valid for 24 hours
+const EMAIL_CHANGE_EXPIRES_IN = '24h';
+
+/**
+ * Professional Customer Account Service
+ * Profile, password, email address and deletion of customer accounts
+ */
+class CustomerAccountService {
+  /**
+   * @param {Database} [db] - Defaults to the shared connection pool
+   */
+  constructor(db = database) {
+    this.db = db;
+    this.auth = new CustomerAuthService(db);
+  }
+
+  // =============================================================================
+  // PROFILE
+  // =============================================================================
+
+  /**
+   * Get the profile of a customer
+   * @param {number} userId
+   * @returns {Promise<Object>}
+   */
+  async getProfile(userId) {
+    try {
+      const user = await this.auth.findUserById(userId);
+
+      if (!user) {
+        return { success: false, error: 'Account not found', errorType: 'NOT_FOUND' };
+      }
+
+      return { success: true, user: this.auth.formatUser(user) };
+    } catch (error) {
+      console.error('❌ Error getting customer profile:', error);
+      throw new Error('Failed to get profile');
+    }
+  }
+
+  /**
+   * Update profile fields; fields left undefined keep their value
+   * @param {number} userId
+   * @param {Object} updateData - firstName, lastName, phone, dateOfBirth
+   * @returns {Promise<Object>}
+   */
+  async updateProfile(userId, { firstName, lastName, phone, dateOfBirth }) {
+    try {
+      const fields = { first_name: firstName, last_name: lastName, phone, date_of_birth: dateOfBirth };
+      const assignments = [];
+      const params = [];
+
+      for (const [column, value] of Object.entries(fields)) {
+        if (value !== undefined) {
+          params.push(value);
+          assignments.push(`${column} = $${params.length}`);
+        }
+      }
+
+      params.push(userId);
+      const result = await this.db.query(
+        `UPDATE users SET ${[...assignments, 'updated_at = NOW()'].join(', ')}
+         WHERE id = $${params.length}
+         RETURNING *`,
+        params
+      );
+
+      if (result.rows.length === 0) {
+        return { success: false, error: 'Account not found', errorType: 'NOT_FOUND' };
+      }
+
+      console.log(`✅ Customer profile updated: ${userId}`);
+      return { success: true, user: this.auth.formatUser(result.rows[0]) };
+    } catch (error) {
+      console.error('❌ Error updating customer profile:', error);
+      throw new Error('Failed to update profile');
+    }
+  }
+
+  // =============================================================================
+  // PASSWORD
+  // =============================================================================
+
+  /**
+   * Change the password with the current one. Other devices are signed out and
+   * any pending email change is cancelled.
+   * @param {number} userId
+   * @param {string} currentPassword
+   * @param {string} newPassword
+   * @param {string} currentSessionId - Token family that stays signed in
+   * @returns {Promise<Object>}
+   */
+  async changePassword(userId, currentPassword, newPassword, currentSessionId) {
+    try {
+      const user = await this.auth.findUserById(userId);
+
+      if (!user) {
+        return { success: false, error: 'Account not found', errorType: 'NOT_FOUND' };
+      }
+
+      const isPasswordValid = await bcrypt.compare(currentPassword, user.password_hash);
+      if (!isPasswordValid) {
+        return { success: false, error: 'Current password is incorrect', errorType: 'INVALID_PASSWORD' };
+      }
+
+      const passwordHash = await bcrypt.hash(newPassword, 12);
+
+      await this.db.transaction(async (client) => {
+        await client.query(
+          'UPDATE users SET password_hash = $1, pending_email = NULL, updated_at = NOW() WHERE id = $2',
+          [passwordHash, userId]
+        );
+        await client.query(
+          `UPDATE user_refresh_tokens SET revoked_at = NOW()
+           WHERE user_id = $1 AND family_id != $2 AND revoked_at IS NULL`,
+          [userId, currentSessionId]
+        );
+      });
+
+      await this.sendAccountEmail('password changed', () => emailService.sendCustomerPasswordChangedEmail(user));
+
+      console.log(`✅ Password changed for customer ID: ${userId}`);
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Error changing customer password:', error);
+      throw new Error('Failed to change password');
+    }
+  }
+
+  /**
+   * Email a password reset link. Succeeds for unknown addresses too, so the
+   * response does not reveal which accounts exist.
+   * @param {string} email
+   * @returns {Promise<Object>}
+   */
+  async initiatePasswordReset(email) {
+    try {
+      const result = await this.db.query(
+        'SELECT * FROM users WHERE email = $1 AND is_active = true',
+        [email]
+      );
+
+      const user = result.rows[0];
+      if (!user) {
+        console.log(`🔑 Password reset requested for unknown customer: ${email}`);
+        return { success: true };
+      }
+
+      const token = emailService.generateResetToken();
+
+      // Only the latest link works
+      await this.db.query(
+        'DELETE FROM user_password_resets WHERE user_id = $1 AND used_at IS NULL',
+        [user.id]
+      );
+      await this.db.query(
+        `INSERT INTO user_password_resets (user_id, token_hash, expires_at)
+         VALUES ($1, $2, $3)`,
+        [user.id, emailService.hashResetToken(token), new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000)]
+      );
+
+      await this.sendAccountEmail('password reset', () =>
+        emailService.sendCustomerPasswordResetEmail(user, token, PASSWORD_RESET_TTL_MINUTES)
+      );
+
+      console.log(`🔑 Password reset initiated for customer ID: ${user.id}`);
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Error initiating customer password reset:', error);
+      throw new Error('Failed to initiate password reset');
+    }
+  }
+
+  /**
+   * Set a new password with a reset token, then sign out every device
+   * @param {string} token - Token from the reset link
+   * @param {string} newPassword
+   * @returns {Promise<Object>}
+   */
+  async completePasswordReset(token, newPassword) {
+    try {
+      const passwordHash = await bcrypt.hash(newPassword, 12);
+
+      const user = await this.db.transaction(async (client) => {
+        // Claim the token so it cannot be used twice
+        const claimed = await client.query(
+          `UPDATE user_password_resets
+           SET used_at = NOW()
+           WHERE token_hash = $1 AND used_at IS NULL AND expires_at > $2
+           RETURNING user_id`,
+          [emailService.hashResetToken(token), new Date()]
+        );
+
+        if (claimed.rows.length === 0) {
+          return null;
+        }
+
+        const updated = await client.query(
+          `UPDATE users SET password_hash = $1, pending_email = NULL, updated_at = NOW()
+           WHERE id = $2 AND is_active = true
+           RETURNING *`,
+          [passwordHash, claimed.rows[0].user_id]
+        );
+
+        if (updated.rows.length === 0) {
+          return null;
+        }
+
+        await client.query(
+          'UPDATE user_refresh_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+          [updated.rows[0].id]
+        );
+
+        return updated.rows[0];
+      });
+
+      if (!user) {
+        return { success: false, error: 'Invalid or expired reset link', errorType: 'INVALID_RESET_TOKEN' };
+      }
+
+      await this.sendAccountEmail('password changed', () => emailService.sendCustomerPasswordChangedEmail(user));
+
+      console.log(`✅ Password reset completed for customer ID: ${user.id}`);
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Error completing customer password reset:', error);
+      throw new Error('Failed to complete password reset');
+    }
+  }
+
+  // =============================================================================
+  // EMAIL CHANGE
+  // =============================================================================
+
+  /**
+   * Start moving the account to a new email address. The current address keeps
+   * working until the link sent to the new one is opened.
+   * @param {number} userId
+   * @param {string} password - Current password
+   * @param {string} newEmail
+   * @returns {Promise<Object>}
+   */
+  async requestEmailChange(userId, password, newEmail) {
+    try {
+      const user = await this.auth.findUserById(userId);
+
+      if (!user) {
+        return { success: false, error: 'Account not found', errorType: 'NOT_FOUND' };
+      }
+
+      const isPasswordValid = await bcrypt.compare(password, user.password_hash);
+      if (!isPasswordValid) {
+        return { success: false, error: 'Password is incorrect', errorType: 'INVALID_PASSWORD' };
+      }
+
+      if (newEmail === user.email) {
+        return { success: false, error: 'This is already your email address', errorType: 'SAME_EMAIL' };
+      }
+
+      const existing = await this.db.query('SELECT id FROM users WHERE email = $1', [newEmail]);
+      if (existing.rows.length > 0) {
+        return { success: false, error: 'An account with this email already exists', errorType: 'EMAIL_EXISTS' };
+      }
+
+      const result = await this.db.query(
+        'UPDATE users SET pending_email = $1, updated_at = NOW() WHERE id = $2 RETURNING *',
+        [newEmail, userId]
+      );
+
+      const token = jwt.sign(
+        { id: user.id, email: user.email, newEmail, type: 'customer_email_change' },
+        this.auth.jwtSecret,
+        {
+          expiresIn: EMAIL_CHANGE_EXPIRES_IN,
+          issuer: CUSTOMER_TOKEN_ISSUER,
+          audience: CUSTOMER_TOKEN_AUDIENCE
+        }
+      );
+
+      await this.sendAccountEmail('email change confirmation', () =>
+        emailService.sendEmailChangeConfirmationEmail(user, newEmail, token)
+      );
+      await this.sendAccountEmail('email change notice', () =>
+        emailService.sendEmailChangeNoticeEmail(user, newEmail)
+      );
+
+      console.log(`📧 Email change requested for customer ID: ${userId}`);
+      return { success: true, user: this.auth.formatUser(result.rows[0]) };
+    } catch (error) {
+      console.error('❌ Error requesting customer email change:', error);
+      throw new Error('Failed to request email change');
+    }
+  }
+
+  /**
+   * Switch to the new email address with the token from the confirmation link.
+   * The link only works while that change is still the pending one.
+   * @param {string} token
+   * @returns {Promise<Object>}
+   */
+  async confirmEmailChange(token) {
+    const invalid = { success: false, error: 'Invalid or expired confirmation link', errorType: 'INVALID_EMAIL_CHANGE_TOKEN' };
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, this.auth.jwtSecret, {
+        issuer: CUSTOMER_TOKEN_ISSUER,
+        audience: CUSTOMER_TOKEN_AUDIENCE
+      });
+    } catch {
+      return invalid;
+    }
+
+    if (decoded.type !== 'customer_email_change') {
+      return invalid;
+    }
+
+    try {
+      // Opening the link proves the new inbox, so the address counts as verified
+      const result = await this.db.query(
+        `UPDATE users
+         SET email = pending_email,
+             pending_email = NULL,
+             is_email_verified = true,
+             email_verified_at = NOW(),
+             updated_at = NOW()
+         WHERE id = $1 AND email = $2 AND pending_email = $3
+         RETURNING *`,
+        [decoded.id, decoded.email, decoded.newEmail]
+      );
+
+      if (result.rows.length === 0) {
+        return invalid;
+      }
+
+      console.log(`✅ Customer email changed: ${decoded.email} -> ${decoded.newEmail}`);
+      return { success: true, user: this.auth.formatUser(result.rows[0]) };
+    } catch (error) {
+      // The address was taken by another account after the request
+      if (error.code === '23505') {
+        return { success: false, error: 'An account with this email already exists', errorType: 'EMAIL_EXISTS' };
+      }
+      console.error('❌ Error confirming customer email change:', error);
+      throw new Error('Failed to confirm email change');
+    }
+  }
+
+  // =============================================================================
+  // ACCOUNT DELETION
+  // =============================================================================
+
+  /**
+   * Delete the account and its sessions for good
+   * @param {number} userId
+   * @param {string} password - Current password
+   * @returns {Promise<Object>}
+   */
+  async deleteAccount(userId, password) {
+    try {
+      const user = await this.auth.findUserById(userId);
+
+      if (!user) {
+        return { success: false, error: 'Account not found', errorType: 'NOT_FOUND' };
+      }
+
+      const isPasswordValid = await bcrypt.compare(password, user.password_hash);
+      if (!isPasswordValid) {
+        return { success: false, error: 'Password is incorrect', errorType: 'INVALID_PASSWORD' };
+      }
+
+      // Refresh tokens and reset links are removed with the row
+      await this.db.query('DELETE FROM users WHERE id = $1', [userId]);
+
+      await this.sendAccountEmail('account deleted', () => emailService.sendAccountDeletedEmail(user));
+
+      console.log(`🗑️  Customer account deleted: ${userId}`);
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Error deleting customer account:', error);
+      throw new Error('Failed to delete account');
+    }
+  }
+
+  /**
+   * Send an account email; a failed send never fails the action itself
+   * @param {string} label - Email name for the log
+   * @param {Function} send
+   * @returns {Promise<void>}
+   */
+  async sendAccountEmail(label, send) {
+    try {
+      await send();
+    } catch (error) {
+      console.error(`❌ Failed to send ${label} email:`, error);
+    }
+  }
+}
+
+export default CustomerAccountService;
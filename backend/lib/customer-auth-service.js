@@ -0,0 +1,431 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import Database, { database } from './database.js';
+import emailService from '../services/email-service.js';
+
+// Customer tokens never validate as admin tokens: different type, issuer and audience
+export const CUSTOMER_TOKEN_ISSUER = 'elouarate-art';
+export const CUSTOMER_TOKEN_AUDIENCE = 'elouarate-art-customer';
+
+// Verification links stay valid for 24 hours
+const EMAIL_VERIFICATION_EXPIRES_IN = '24h';
+// Minimum time between two verification emails to the same account
+const VERIFICATION_RESEND_INTERVAL = 60 * 1000;
+
+// Compared against for unknown emails so login timing does not reveal which accounts exist
+const DUMMY_PASSWORD_HASH = '$2a$12$Y/oqPqW3dTLxMoieLqbZ3eax0sIeKfkVzYEqPv5JPYoZl1dL.R7ua';
+
+/**
+ * Professional Customer Auth Service
+ * Registration, login, refresh token rotation and email verification of customer accounts
+ */
+class CustomerAuthService {
+  /**
+   * @param {Database} [db] - Defaults to the shared connection pool
+   */
+  constructor(db = database) {
+    this.db = db;
+    this.jwtSecret = process.env.JWT_SECRET || 'development-jwt-secret-change-in-production';
+    this.jwtRefreshSecret = process.env.JWT_REFRESH_SECRET || 'development-refresh-secret-change-in-production';
+    this.jwtExpiresIn = process.env.JWT_EXPIRES_IN || '15m';
+    this.refreshExpiresIn = process.env.CUSTOMER_REFRESH_EXPIRES_IN || '30d';
+  }
+
+  /**
+   * Create a customer account, send the verification email and sign the customer in
+   * @param {Object} userData - email, password, firstName, lastName, phone
+   * @returns {Promise<Object>}
+   */
+  async register({ email, password, firstName, lastName, phone = null }) {
+    try {
+      const existing = await this.db.query('SELECT id FROM users WHERE email = $1', [email]);
+
+      if (existing.rows.length > 0) {
+        return { success: false, error: 'An account with this email already exists', errorType: 'EMAIL_EXISTS' };
+      }
+
+      const passwordHash = await bcrypt.hash(password, 12);
+
+      const result = await this.db.query(
+        `INSERT INTO users (first_name, last_name, email, phone, password_hash, is_active, is_email_verified, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, true, false, NOW(), NOW())
+         RETURNING *`,
+        [firstName, lastName, email, phone, passwordHash]
+      );
+
+      const user = result.rows[0];
+      await this.sendVerificationEmail(user);
+
+      const tokens = await this.issueTokens(user, crypto.randomUUID());
+
+      console.log(`✅ Customer registered: ${email}`);
+      return {
+        success: true,
+        user: this.formatUser(user),
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken
+      };
+
+    } catch (error) {
+      // Two registrations for the same email can race past the check above
+      if (error.code === '23505') {
+        return { success: false, error: 'An account with this email already exists', errorType: 'EMAIL_EXISTS' };
+      }
+      console.error('❌ Error registering customer:', error);
+      throw new Error('Failed to register customer');
+    }
+  }
+
+  /**
+   * Check customer credentials and start a new token family
+   * @param {string} email
+   * @param {string} password
+   * @returns {Promise<Object>}
+   */
+  async authenticate(email, password) {
+    try {
+      const result = await this.db.query('SELECT * FROM users WHERE email = $1', [email]);
+      const user = result.rows[0];
+
+      const isPasswordValid = await bcrypt.compare(password, user ? user.password_hash : DUMMY_PASSWORD_HASH);
+
+      if (!user || !isPasswordValid) {
+        return { success: false, error: 'Invalid credentials', errorType: 'INVALID_CREDENTIALS' };
+      }
+
+      if (!user.is_active) {
+        return { success: false, error: 'Account is inactive', errorType: 'ACCOUNT_INACTIVE' };
+      }
+
+      const tokens = await this.issueTokens(user, crypto.randomUUID());
+
+      await this.db.query('UPDATE users SET last_login = NOW() WHERE id = $1', [user.id]);
+
+      console.log(`✅ Customer authenticated: ${email}`);
+      return {
+        success: true,
+        user: this.formatUser(user),
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken
+      };
+
+    } catch (error) {
+      console.error('❌ Customer authentication error:', error);
+      throw new Error('Authentication failed due to server error');
+    }
+  }
+
+  /**
+   * Find a customer by id
+   * @param {number} id
+   * @returns {Promise<Object|null>} Database row
+   */
+  async findUserById(id) {
+    try {
+      const result = await this.db.query('SELECT * FROM users WHERE id = $1', [id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('❌ Error finding customer by ID:', error);
+      throw new Error('Database error while finding customer');
+    }
+  }
+
+  // =============================================================================
+  // TOKENS
+  // =============================================================================
+
+  /**
+   * Generate JWT tokens for a customer
+   * @param {Object} user
+   * @param {Object} claims - familyId (one signed-in device) and tokenId (jti) of the refresh token
+   * @returns {Object}
+   */
+  generateTokens(user, { familyId, tokenId = crypto.randomUUID() }) {
+    const accessToken = jwt.sign(
+      { id: user.id, email: user.email, type: 'customer', sid: familyId },
+      this.jwtSecret,
+      {
+        expiresIn: this.jwtExpiresIn,
+        issuer: CUSTOMER_TOKEN_ISSUER,
+        audience: CUSTOMER_TOKEN_AUDIENCE
+      }
+    );
+
+    const refreshToken = jwt.sign(
+      { id: user.id, type: 'customer_refresh', family: familyId },
+      this.jwtRefreshSecret,
+      {
+        expiresIn: this.refreshExpiresIn,
+        issuer: CUSTOMER_TOKEN_ISSUER,
+        audience: CUSTOMER_TOKEN_AUDIENCE,
+        jwtid: tokenId
+      }
+    );
+
+    return { accessToken, refreshToken };
+  }
+
+  /**
+   * Generate tokens for a family and record the refresh token server-side
+   * @param {Object} user
+   * @param {string} familyId
+   * @param {Object} [client] - Transaction client
+   * @returns {Promise<Object>} accessToken, refreshToken and tokenId
+   */
+  async issueTokens(user, familyId, client = this.db) {
+    const tokenId = crypto.randomUUID();
+    const tokens = this.generateTokens(user, { familyId, tokenId });
+    const { exp } = jwt.decode(tokens.refreshToken);
+
+    await client.query(
+      `INSERT INTO user_refresh_tokens (user_id, token_id, family_id, expires_at)
+       VALUES ($1, $2, $3, $4)`,
+      [user.id, tokenId, familyId, new Date(exp * 1000)]
+    );
+
+    return { ...tokens, tokenId };
+  }
+
+  /**
+   * Exchange a verified refresh token for a new pair. Each refresh token works
+   * once; presenting one that was already rotated signs its device out.
+   * @param {Object} decoded - Verified refresh token payload
+   * @param {Object} user
+   * @returns {Promise<Object>}
+   */
+  async rotateRefreshToken(decoded, user) {
+    try {
+      if (!decoded.jti || !decoded.family) {
+        return { success: false, error: 'Invalid refresh token', errorType: 'INVALID_REFRESH_TOKEN' };
+      }
+
+      const result = await this.db.transaction(async (client) => {
+        const claimed = await client.query(
+          `UPDATE user_refresh_tokens
+           SET used_at = NOW()
+           WHERE token_id = $1 AND user_id = $2 AND used_at IS NULL AND revoked_at IS NULL
+           RETURNING family_id`,
+          [decoded.jti, user.id]
+        );
+
+        if (claimed.rows.length === 0) {
+          return null;
+        }
+
+        const tokens = await this.issueTokens(user, claimed.rows[0].family_id, client);
+
+        await client.query(
+          'UPDATE user_refresh_tokens SET replaced_by = $1 WHERE token_id = $2',
+          [tokens.tokenId, decoded.jti]
+        );
+
+        return tokens;
+      });
+
+      if (result) {
+        return {
+          success: true,
+          tokens: { accessToken: result.accessToken, refreshToken: result.refreshToken }
+        };
+      }
+
+      const existing = await this.db.query(
+        'SELECT family_id, used_at, revoked_at FROM user_refresh_tokens WHERE token_id = $1 AND user_id = $2',
+        [decoded.jti, user.id]
+      );
+      const token = existing.rows[0];
+
+      if (!token) {
+        return { success: false, error: 'Invalid refresh token', errorType: 'INVALID_REFRESH_TOKEN' };
+      }
+
+      if (token.used_at && !token.revoked_at) {
+        await this.revokeFamily(user.id, token.family_id);
+        console.warn(`⚠️  Refresh token reuse detected for customer ID ${user.id}, device signed out`);
+        return { success: false, error: 'Refresh token reuse detected', errorType: 'REFRESH_TOKEN_REUSED' };
+      }
+
+      return { success: false, error: 'Refresh token revoked', errorType: 'REFRESH_TOKEN_REVOKED' };
+
+    } catch (error) {
+      console.error('❌ Error rotating customer refresh token:', error);
+      throw new Error('Failed to refresh token');
+    }
+  }
+
+  /**
+   * Whether a token family (signed-in device) is still active
+   * @param {number} userId
+   * @param {string} familyId
+   * @returns {Promise<boolean>}
+   */
+  async isFamilyActive(userId, familyId) {
+    const result = await this.db.query(
+      `SELECT id FROM user_refresh_tokens
+       WHERE user_id = $1 AND family_id = $2 AND revoked_at IS NULL
+       LIMIT 1`,
+      [userId, familyId]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Sign one device out by revoking its token family
+   * @param {number} userId
+   * @param {string} familyId
+   * @returns {Promise<void>}
+   */
+  async revokeFamily(userId, familyId) {
+    try {
+      await this.db.query(
+        `UPDATE user_refresh_tokens SET revoked_at = NOW()
+         WHERE user_id = $1 AND family_id = $2 AND revoked_at IS NULL`,
+        [userId, familyId]
+      );
+    } catch (error) {
+      console.error('❌ Error revoking customer tokens:', error);
+      throw new Error('Failed to sign out');
+    }
+  }
+
+  // =============================================================================
+  // EMAIL VERIFICATION
+  // =============================================================================
+
+  /**
+   * Signed link token for the current email address of a customer. Changing
+   * the email makes earlier links useless.
+   * @param {Object} user
+   * @returns {string}
+   */
+  generateVerificationToken(user) {
+    return jwt.sign(
+      { id: user.id, email: user.email, type: 'customer_email_verification' },
+      this.jwtSecret,
+      {
+        expiresIn: EMAIL_VERIFICATION_EXPIRES_IN,
+        issuer: CUSTOMER_TOKEN_ISSUER,
+        audience: CUSTOMER_TOKEN_AUDIENCE
+      }
+    );
+  }
+
+  /**
+   * Send the verification link for the current email address
+   * @param {Object} user - Database row
+   * @returns {Promise<void>}
+   */
+  async sendVerificationEmail(user) {
+    await this.db.query(
+      'UPDATE users SET email_verification_sent_at = NOW() WHERE id = $1',
+      [user.id]
+    );
+
+    try {
+      await emailService.sendEmailVerificationEmail(user, this.generateVerificationToken(user));
+    } catch (error) {
+      // The customer can ask for the link again
+      console.error('❌ Failed to send verification email:', error);
+    }
+  }
+
+  /**
+   * Mark an email address as verified with the token from its link
+   * @param {string} token
+   * @returns {Promise<Object>}
+   */
+  async verifyEmail(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, this.jwtSecret, {
+        issuer: CUSTOMER_TOKEN_ISSUER,
+        audience: CUSTOMER_TOKEN_AUDIENCE
+      });
+    } catch {
+      return { success: false, error: 'Invalid or expired verification link', errorType: 'INVALID_VERIFICATION_TOKEN' };
+    }
+
+    if (decoded.type !== 'customer_email_verification') {
+      return { success: false, error: 'Invalid or expired verification link', errorType: 'INVALID_VERIFICATION_TOKEN' };
+    }
+
+    try {
+      const result = await this.db.query(
+        `UPDATE users
+         SET is_email_verified = true,
+             email_verified_at = COALESCE(email_verified_at, NOW()),
+             updated_at = NOW()
+         WHERE id = $1 AND email = $2
+         RETURNING *`,
+        [decoded.id, decoded.email]
+      );
+
+      if (result.rows.length === 0) {
+        return { success: false, error: 'Invalid or expired verification link', errorType: 'INVALID_VERIFICATION_TOKEN' };
+      }
+
+      console.log(`✅ Customer email verified: ${decoded.email}`);
+      return { success: true, user: this.formatUser(result.rows[0]) };
+    } catch (error) {
+      console.error('❌ Error verifying customer email:', error);
+      throw new Error('Failed to verify email');
+    }
+  }
+
+  /**
+   * Send a new verification link. Succeeds for unknown or already verified
+   * addresses too, so the response does not reveal which accounts exist.
+   * @param {string} email
+   * @returns {Promise<Object>}
+   */
+  async resendVerification(email) {
+    try {
+      const result = await this.db.query(
+        'SELECT * FROM users WHERE email = $1 AND is_active = true AND is_email_verified = false',
+        [email]
+      );
+      const user = result.rows[0];
+
+      if (!user) {
+        return { success: true };
+      }
+
+      // Quietly skip repeated requests so they cannot flood the inbox
+      const sentAt = user.email_verification_sent_at ? new Date(user.email_verification_sent_at).getTime() : 0;
+      if (Date.now() - sentAt < VERIFICATION_RESEND_INTERVAL) {
+        console.log(`📧 Verification email to ${email} skipped, one was sent less than a minute ago`);
+        return { success: true };
+      }
+
+      await this.sendVerificationEmail(user);
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Error resending verification email:', error);
+      throw new Error('Failed to resend verification email');
+    }
+  }
+
+  /**
+   * Format user row for API response
+   * @param {Object} row
+   * @returns {Object}
+   */
+  formatUser(row) {
+    return {
+      id: row.id,
+      firstName: row.first_name,
+      lastName: row.last_name,
+      email: row.email,
+      phone: row.phone,
+      dateOfBirth: row.date_of_birth,
+      isEmailVerified: row.is_email_verified === true,
+      pendingEmail: row.pending_email || null,
+      lastLogin: row.last_login,
+      createdAt: row.created_at
+    };
+  }
+}
+
+export default CustomerAuthService;
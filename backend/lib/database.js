@@ -362,4 +362,7 @@ class Database {
   }
 }
 
+// One pool for the whole process; services use it unless given another Database
+export const database = new Database();
+
 export default Database; 
\ No newline at end of file
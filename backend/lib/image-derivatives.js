@@ -0,0 +1,114 @@
+import path from 'path';
+import sharp from 'sharp';
+
+/**
+ * Responsive Image Derivatives
+ * Resizes uploaded originals into the widths used by the gallery
+ */
+
+// Target widths, smallest first
+export const IMAGE_VARIANTS = {
+  thumbnail: 320,
+  card: 640,
+  detail: 1280,
+  zoom: 2048
+};
+
+// Output formats and their encoder settings
+export const IMAGE_FORMATS = {
+  webp: { extension: '.webp', options: { quality: 80 } },
+  jpeg: { extension: '.jpeg', options: { quality: 82, mozjpeg: true, progressive: true } }
+};
+
+/**
+ * Build the file name of a derivative from the original file name
+ * @param {string} originalFilename - e.g. image-1750870944587-615461801.jpeg
+ * @param {string} variant
+ * @param {string} format
+ * @returns {string} e.g. image-1750870944587-615461801-card.webp
+ */
+export const derivativeFilename = (originalFilename, variant, format) => {
+  const baseName = path.basename(originalFilename, path.extname(originalFilename));
+  return `${baseName}-${variant}${IMAGE_FORMATS[format].extension}`;
+};
+
+/**
+ * Generate every variant of an image in every format.
+ *
+ * Orientation is applied to the pixels and the colour profile is kept;
+ * all other metadata (camera, GPS, ...) is stripped from the output.
+ * Variants wider than the original are skipped, except the thumbnail.
+ *
+ * @param {Buffer} source - Original image content
+ * @param {string} originalFilename
+ * @returns {Promise<Array>} Generated derivatives with their encoded data
+ */
+export async function generateDerivatives(source, originalFilename) {
+  const metadata = await sharp(source).metadata();
+
+  // EXIF orientations 5-8 swap width and height
+  const sourceWidth = metadata.orientation >= 5 ? metadata.height : metadata.width;
+
+  const derivatives = [];
+  const variantEntries = Object.entries(IMAGE_VARIANTS);
+
+  for (const [index, [variant, width]] of variantEntries.entries()) {
+    if (index > 0 && width > sourceWidth) {
+      continue;
+    }
+
+    for (const [format, { options }] of Object.entries(IMAGE_FORMATS)) {
+      const filename = derivativeFilename(originalFilename, variant, format);
+
+      const { data, info } = await sharp(source)
+        .rotate()
+        .resize({ width, withoutEnlargement: true })
+        .keepIccProfile()
+        .toFormat(format, options)
+        .toBuffer({ resolveWithObject: true });
+
+      derivatives.push({
+        variant,
+        format,
+        filename,
+        contentType: `image/${format}`,
+        data,
+        width: info.width,
+        height: info.height,
+        size: info.size
+      });
+    }
+  }
+
+  return derivatives;
+}
+
+/**
+ * Group variant rows of one image into a srcset-ready structure
+ * @param {Array} variants - Rows from artwork_image_variants
+ * @returns {Object|null}
+ */
+export function buildResponsiveImage(variants) {
+  if (!variants || variants.length === 0) {
+    return null;
+  }
+
+  const sizes = {};
+  const srcset = {};
+
+  const ordered = [...variants].sort((a, b) => a.width - b.width);
+
+  for (const variant of ordered) {
+    sizes[variant.variant] = sizes[variant.variant] || { width: variant.width, height: variant.height };
+    sizes[variant.variant][variant.format] = variant.url;
+
+    srcset[variant.format] = srcset[variant.format] || [];
+    srcset[variant.format].push(`${variant.url} ${variant.width}w`);
+  }
+
+  for (const format of Object.keys(srcset)) {
+    srcset[format] = srcset[format].join(', ');
+  }
+
+  return { srcset, sizes };
+}
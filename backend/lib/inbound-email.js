@@ -0,0 +1,148 @@
+/**
+ * Inbound Email Helpers
+ * Reply tokens in subjects, and just enough MIME parsing to read customer replies
+ */
+
+const REPLY_TOKEN_PATTERN = /\[ref:([a-f0-9]{16})\]/i;
+
+/**
+ * Append the reply token of an inquiry to an email subject
+ * @param {string} subject
+ * @param {string} token
+ * @returns {string} e.g. "Re: Price? [ref:9f86d081884c7d65]"
+ */
+export const withReplyToken = (subject, token) => {
+  return token ? `${subject} [ref:${token}]` : subject;
+};
+
+/**
+ * Find the reply token in an email subject
+ * @param {string} subject
+ * @returns {string|null}
+ */
+export const extractReplyToken = (subject) => {
+  const match = REPLY_TOKEN_PATTERN.exec(subject || '');
+  return match ? match[1].toLowerCase() : null;
+};
+
+/**
+ * Drop the quoted conversation that mail clients append below a reply
+ * @param {string} text
+ * @returns {string}
+ */
+export const stripQuotedReply = (text) => {
+  const lines = (text || '').replace(/\r\n/g, '\n').split('\n');
+  const kept = [];
+
+  for (const line of lines) {
+    // "On Mon, 1 Jan 2024, X wrote:" / "-----Original Message-----" / "> quoted"
+    if (/^On .+wrote:\s*$/.test(line) || /^-{2,}\s*Original Message\s*-{2,}/i.test(line)) {
+      break;
+    }
+    if (line.startsWith('>')) {
+      continue;
+    }
+    kept.push(line);
+  }
+
+  return kept.join('\n').trim();
+};
+
+/**
+ * Extract the address from a header like `"Jane Doe" <jane@example.com>`
+ * @param {string} value
+ * @returns {string}
+ */
+export const parseAddress = (value) => {
+  const match = /<([^>]+)>/.exec(value || '');
+  return (match ? match[1] : value || '').trim().toLowerCase();
+};
+
+// =============================================================================
+// MIME PARSING
+// =============================================================================
+
+/**
+ * Split a raw message into lower-cased headers and body, unfolding long headers
+ */
+const splitMessage = (raw) => {
+  const normalized = raw.replace(/\r\n/g, '\n');
+  const separator = normalized.indexOf('\n\n');
+  const headerBlock = separator === -1 ? normalized : normalized.slice(0, separator);
+  const body = separator === -1 ? '' : normalized.slice(separator + 2);
+
+  const headers = {};
+  for (const line of headerBlock.replace(/\n[ \t]+/g, ' ').split('\n')) {
+    const colon = line.indexOf(':');
+    if (colon > 0) {
+      const name = line.slice(0, colon).trim().toLowerCase();
+      headers[name] = headers[name] || line.slice(colon + 1).trim();
+    }
+  }
+
+  return { headers, body };
+};
+
+/**
+ * Decode a part body according to its Content-Transfer-Encoding
+ */
+const decodeBody = (body, encoding = '') => {
+  switch (encoding.toLowerCase()) {
+    case 'base64':
+      return Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8');
+    case 'quoted-printable':
+      return Buffer.from(
+        body
+          .replace(/=\n/g, '')
+          .replace(/=([0-9A-F]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16))),
+        'latin1'
+      ).toString('utf8');
+    default:
+      return body;
+  }
+};
+
+/**
+ * Find the text/plain content of a (possibly multipart) message
+ */
+const findPlainText = ({ headers, body }) => {
+  const contentType = headers['content-type'] || 'text/plain';
+  const boundary = /boundary="?([^";]+)"?/i.exec(contentType);
+
+  if (/^multipart\//i.test(contentType) && boundary) {
+    const parts = body.split(`--${boundary[1]}`).slice(1);
+
+    for (const part of parts) {
+      if (part.startsWith('--')) {
+        break;
+      }
+      const text = findPlainText(splitMessage(part.replace(/^\n/, '')));
+      if (text !== null) {
+        return text;
+      }
+    }
+    return null;
+  }
+
+  if (/^text\/plain/i.test(contentType)) {
+    return decodeBody(body, headers['content-transfer-encoding']);
+  }
+
+  return null;
+};
+
+/**
+ * Parse a raw RFC 822 message into the fields used for inquiry replies
+ * @param {string} raw
+ * @returns {{from: string, subject: string, messageId: string|null, text: string}}
+ */
+export function parseRawEmail(raw) {
+  const message = splitMessage(raw);
+
+  return {
+    from: parseAddress(message.headers.from),
+    subject: message.headers.subject || '',
+    messageId: message.headers['message-id'] || null,
+    text: findPlainText(message) || ''
+  };
+}
@@ -0,0 +1,469 @@
+import crypto from 'crypto';
+import validator from 'validator';
+import Database, { database } from './database.js';
+import emailService from '../services/email-service.js';
+import { extractReplyToken, stripQuotedReply } from './inbound-email.js';
+import { rangeEnd } from '../utils/date-range.js';
+
+// Message counts and latest activity per inquiry
+const THREAD_STATS_QUERY = `
+  SELECT inquiry_id,
+         COUNT(*) AS message_count,
+         MAX(created_at) AS last_message_at
+  FROM inquiry_messages
+  GROUP BY inquiry_id
+`;
+
+/**
+ * Professional Inquiry Service
+ * Handles visitor inquiries, their conversation threads and the admin inbox
+ */
+class InquiryService {
+  /**
+   * @param {Database} [db] - Defaults to the shared connection pool
+   */
+  constructor(db = database) {
+    this.db = db;
+  }
+
+  /**
+   * Record a visitor inquiry and send the acknowledgement email
+   * @param {Object} inquiryData - Validated name, email, subject, message, artworkId
+   * @returns {Promise<Object>}
+   */
+  async createInquiry({ name, email, subject, message, artworkId }) {
+    try {
+      let artwork = null;
+
+      if (artworkId) {
+        const result = await this.db.query(
+          'SELECT id, name FROM artworks WHERE id = $1 AND is_active = true',
+          [artworkId]
+        );
+
+        if (result.rows.length === 0) {
+          return { success: false, error: 'Artwork not found', errorType: 'ARTWORK_NOT_FOUND' };
+        }
+
+        artwork = result.rows[0];
+      }
+
+      const inquiry = await this.db.transaction(async (client) => {
+        const result = await client.query(
+          `INSERT INTO inquiries (name, email, subject, message, artwork_id, reply_token, status, created_at, updated_at)
+           VALUES ($1, $2, $3, $4, $5, $6, 'NEW', NOW(), NOW())
+           RETURNING *`,
+          [name, email, subject, message, artwork ? artwork.id : null, crypto.randomBytes(8).toString('hex')]
+        );
+
+        // The submitted message opens the thread
+        await client.query(
+          `INSERT INTO inquiry_messages (inquiry_id, author_type, author_name, body, channel, delivery_status, created_at)
+           VALUES ($1, 'CUSTOMER', $2, $3, 'WEB', 'RECEIVED', NOW())`,
+          [result.rows[0].id, name, message]
+        );
+
+        return result.rows[0];
+      });
+
+      console.log(`✅ Inquiry ${inquiry.id} received from ${email}`);
+
+      // The inquiry is saved; a failed acknowledgement must not fail the request
+      try {
+        await emailService.sendInquiryAcknowledgementEmail(inquiry, artwork);
+      } catch (emailError) {
+        console.error(`❌ Error sending acknowledgement for inquiry ${inquiry.id}:`, emailError);
+      }
+
+      return { success: true, inquiry: this.formatInquiry(inquiry) };
+
+    } catch (error) {
+      console.error('❌ Error creating inquiry:', error);
+      throw new Error('Failed to save inquiry');
+    }
+  }
+
+  /**
+   * List inquiries for the admin inbox, newest first
+   * @param {Object} options - Pagination and filters (status, artworkId, from, to, search)
+   * @returns {Promise<Object>}
+   */
+  async listInquiries(options = {}) {
+    try {
+      const { page = 1, limit = 20, sortOrder = 'desc' } = options;
+      const { whereClause, params } = this.buildFilters(options);
+      const orderDirection = sortOrder === 'asc' ? 'ASC' : 'DESC';
+      const offset = (page - 1) * limit;
+
+      const countResult = await this.db.query(
+        `SELECT COUNT(*) AS total FROM inquiries i ${whereClause}`,
+        params
+      );
+
+      const result = await this.db.query(
+        `SELECT i.*, a.name AS artwork_name,
+                COALESCE(stats.message_count, 0) AS message_count,
+                stats.last_message_at
+         FROM inquiries i
+         LEFT JOIN artworks a ON i.artwork_id = a.id
+         LEFT JOIN (${THREAD_STATS_QUERY}) stats ON stats.inquiry_id = i.id
+         ${whereClause}
+         ORDER BY i.created_at ${orderDirection}, i.id ${orderDirection}
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      );
+
+      const total = parseInt(countResult.rows[0].total);
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        inquiries: result.rows.map(row => this.formatInquiry(row)),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      };
+
+    } catch (error) {
+      console.error('❌ Error listing inquiries:', error);
+      throw new Error('Database error while listing inquiries');
+    }
+  }
+
+  /**
+   * Get an inquiry with its whole conversation for the admin detail view.
+   * Opening a NEW inquiry marks it READ.
+   * @param {number} id
+   * @returns {Promise<Object|null>}
+   */
+  async getInquiry(id) {
+    try {
+      await this.db.query(
+        `UPDATE inquiries SET status = 'READ', updated_at = NOW()
+         WHERE id = $1 AND status = 'NEW'`,
+        [id]
+      );
+
+      const inquiry = await this.findInquiryById(id);
+      return inquiry ? this.formatInquiry(inquiry, await this.listMessages(id)) : null;
+
+    } catch (error) {
+      console.error('❌ Error getting inquiry:', error);
+      throw new Error('Database error while getting inquiry');
+    }
+  }
+
+  /**
+   * Add an admin reply to the thread and email it to the visitor.
+   * The message is kept with FAILED delivery status when the email cannot be sent.
+   * @param {number} id
+   * @param {string} reply
+   * @param {Object} admin - Replying admin (id, username)
+   * @returns {Promise<Object>}
+   */
+  async replyToInquiry(id, reply, admin) {
+    try {
+      const inquiry = await this.findInquiryById(id);
+
+      if (!inquiry) {
+        return { success: false, error: 'Inquiry not found', errorType: 'NOT_FOUND' };
+      }
+
+      if (inquiry.status === 'CLOSED') {
+        return { success: false, error: 'Closed inquiries cannot be replied to', errorType: 'INQUIRY_CLOSED' };
+      }
+
+      const inserted = await this.db.query(
+        `INSERT INTO inquiry_messages (inquiry_id, author_type, admin_id, author_name, body, channel, delivery_status, created_at)
+         VALUES ($1, 'ADMIN', $2, $3, $4, 'EMAIL', 'PENDING', NOW())
+         RETURNING id`,
+        [id, admin.id, admin.username, reply]
+      );
+      const messageId = inserted.rows[0].id;
+
+      let deliveryError = null;
+      try {
+        const sent = await emailService.sendInquiryReplyEmail(inquiry, reply);
+        if (!sent || !sent.success) {
+          deliveryError = 'Email service did not accept the message';
+        }
+      } catch (emailError) {
+        deliveryError = emailError.message;
+      }
+
+      if (deliveryError) {
+        await this.db.query(
+          "UPDATE inquiry_messages SET delivery_status = 'FAILED', delivery_error = $2 WHERE id = $1",
+          [messageId, deliveryError]
+        );
+        console.error(`❌ Reply for inquiry ${id} could not be delivered: ${deliveryError}`);
+        return { success: false, error: 'Failed to send the reply email', errorType: 'EMAIL_FAILED' };
+      }
+
+      await this.db.transaction(async (client) => {
+        await client.query(
+          "UPDATE inquiry_messages SET delivery_status = 'SENT', delivered_at = NOW() WHERE id = $1",
+          [messageId]
+        );
+        await client.query(
+          "UPDATE inquiries SET status = 'REPLIED', updated_at = NOW() WHERE id = $1",
+          [id]
+        );
+      });
+
+      console.log(`✅ Reply sent for inquiry ${id}`);
+      return {
+        success: true,
+        inquiry: this.formatInquiry(await this.findInquiryById(id), await this.listMessages(id))
+      };
+
+    } catch (error) {
+      console.error('❌ Error replying to inquiry:', error);
+      throw new Error('Failed to reply to inquiry');
+    }
+  }
+
+  /**
+   * Attach a customer email reply to its inquiry thread.
+   * The thread is found from the reply token in the subject and the sender must
+   * be the visitor who opened the inquiry. The inquiry goes back to NEW so it
+   * shows up as unread in the inbox.
+   * @param {Object} email - from, subject, text and optional messageId
+   * @returns {Promise<Object>}
+   */
+  async receiveEmailReply({ from, subject, text, messageId = null }) {
+    try {
+      const token = extractReplyToken(subject);
+
+      if (!token) {
+        return { success: false, error: 'No reply token in subject', errorType: 'UNKNOWN_THREAD' };
+      }
+
+      const result = await this.db.query('SELECT * FROM inquiries WHERE reply_token = $1', [token]);
+      const inquiry = result.rows[0];
+
+      if (!inquiry) {
+        return { success: false, error: 'No inquiry matches the reply token', errorType: 'UNKNOWN_THREAD' };
+      }
+
+      // Inquiry emails are stored normalized (validateEmail), so compare the sender in that form
+      const sender = validator.normalizeEmail(String(from || '').toLowerCase());
+      if (!sender || sender !== validator.normalizeEmail(inquiry.email.toLowerCase())) {
+        return { success: false, error: 'Sender does not match the inquiry email', errorType: 'SENDER_MISMATCH' };
+      }
+
+      const body = stripQuotedReply(text);
+
+      if (!body) {
+        return { success: false, error: 'Reply has no text content', errorType: 'EMPTY_MESSAGE' };
+      }
+
+      if (messageId) {
+        const existing = await this.db.query(
+          'SELECT id FROM inquiry_messages WHERE inquiry_id = $1 AND email_message_id = $2',
+          [inquiry.id, messageId]
+        );
+
+        // Webhooks retry and pollers may see a message twice
+        if (existing.rows.length > 0) {
+          return { success: true, duplicate: true, inquiryId: inquiry.id };
+        }
+      }
+
+      await this.db.transaction(async (client) => {
+        await client.query(
+          `INSERT INTO inquiry_messages
+             (inquiry_id, author_type, author_name, body, channel, delivery_status, email_message_id, created_at)
+           VALUES ($1, 'CUSTOMER', $2, $3, 'EMAIL', 'RECEIVED', $4, NOW())`,
+          [inquiry.id, inquiry.name, body, messageId]
+        );
+        await client.query(
+          "UPDATE inquiries SET status = 'NEW', updated_at = NOW() WHERE id = $1",
+          [inquiry.id]
+        );
+      });
+
+      console.log(`✅ Email reply from ${from} added to inquiry ${inquiry.id}`);
+      return { success: true, duplicate: false, inquiryId: inquiry.id };
+
+    } catch (error) {
+      console.error('❌ Error receiving inquiry email reply:', error);
+      throw new Error('Failed to record email reply');
+    }
+  }
+
+  /**
+   * Close several inquiries at once
+   * @param {Array<number>} ids
+   * @returns {Promise<Object>} Number of inquiries closed
+   */
+  async closeInquiries(ids) {
+    try {
+      const result = await this.db.query(
+        `UPDATE inquiries SET status = 'CLOSED', updated_at = NOW()
+         WHERE id = ANY($1::int[]) AND status <> 'CLOSED'`,
+        [ids]
+      );
+
+      console.log(`✅ ${result.rowCount} inquiry(ies) closed`);
+      return { success: true, closed: result.rowCount };
+
+    } catch (error) {
+      console.error('❌ Error closing inquiries:', error);
+      throw new Error('Failed to close inquiries');
+    }
+  }
+
+  /**
+   * Count inquiries nobody has opened yet (dashboard badge)
+   * @returns {Promise<number>}
+   */
+  async countNewInquiries() {
+    try {
+      const result = await this.db.query(
+        "SELECT COUNT(*) AS total FROM inquiries WHERE status = 'NEW'"
+      );
+
+      return parseInt(result.rows[0].total);
+
+    } catch (error) {
+      console.error('❌ Error counting new inquiries:', error);
+      throw new Error('Database error while counting inquiries');
+    }
+  }
+
+  /**
+   * List the messages of an inquiry thread, oldest first
+   * @param {number} inquiryId
+   * @returns {Promise<Array>}
+   */
+  async listMessages(inquiryId) {
+    const result = await this.db.query(
+      `SELECT * FROM inquiry_messages
+       WHERE inquiry_id = $1
+       ORDER BY created_at ASC, id ASC`,
+      [inquiryId]
+    );
+
+    return result.rows.map(row => this.formatMessage(row));
+  }
+
+  /**
+   * Find an inquiry row with its artwork name
+   * @param {number} id
+   * @returns {Promise<Object|null>}
+   */
+  async findInquiryById(id) {
+    const result = await this.db.query(
+      `SELECT i.*, a.name AS artwork_name
+       FROM inquiries i
+       LEFT JOIN artworks a ON i.artwork_id = a.id
+       WHERE i.id = $1`,
+      [id]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Build the WHERE clause for inquiry listing filters
+   * @param {Object} filters
+   * @returns {{whereClause: string, params: Array}}
+   */
+  buildFilters(filters) {
+    const conditions = [];
+    const params = [];
+
+    const addCondition = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+
+    if (filters.status) {
+      addCondition('i.status = ?', filters.status);
+    }
+
+    if (filters.artworkId !== undefined) {
+      addCondition('i.artwork_id = ?', filters.artworkId);
+    }
+
+    if (filters.from) {
+      addCondition('i.created_at >= ?', filters.from);
+    }
+
+    if (filters.to) {
+      addCondition('i.created_at < ?', rangeEnd(filters.to));
+    }
+
+    if (filters.search) {
+      params.push(`%${filters.search}%`);
+      const placeholder = `$${params.length}`;
+      conditions.push(
+        `(i.name ILIKE ${placeholder} OR i.email ILIKE ${placeholder} OR i.subject ILIKE ${placeholder})`
+      );
+    }
+
+    return {
+      whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  /**
+   * Map an inquiry row to the API representation
+   * @param {Object} row
+   * @param {Array} [messages] - Formatted thread, included in detail views
+   * @returns {Object}
+   */
+  formatInquiry(row, messages) {
+    const inquiry = {
+      id: row.id,
+      name: row.name,
+      email: row.email,
+      subject: row.subject,
+      message: row.message,
+      status: row.status,
+      artworkId: row.artwork_id,
+      artworkName: row.artwork_name || null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+
+    if (row.message_count !== undefined) {
+      inquiry.messageCount = parseInt(row.message_count);
+      inquiry.lastMessageAt = row.last_message_at;
+    }
+
+    if (messages) {
+      inquiry.messages = messages;
+    }
+
+    return inquiry;
+  }
+
+  /**
+   * Map an inquiry message row to the API representation
+   * @param {Object} row
+   * @returns {Object}
+   */
+  formatMessage(row) {
+    return {
+      id: row.id,
+      authorType: row.author_type,
+      adminId: row.admin_id,
+      authorName: row.author_name,
+      body: row.body,
+      channel: row.channel,
+      deliveryStatus: row.delivery_status,
+      deliveryError: row.delivery_error,
+      createdAt: row.created_at,
+      deliveredAt: row.delivered_at
+    };
+  }
+}
+
+export default InquiryService;
@@ -0,0 +1,220 @@
+import Database, { database } from './database.js';
+import emailService from '../services/email-service.js';
+
+// Failed attempts allowed before each further attempt is delayed
+const FREE_ATTEMPTS = 3;
+// Longest progressive delay between attempts (seconds)
+const MAX_DELAY_SECONDS = 5 * 60;
+// Failed attempts that lock the account, and for how long
+const LOCKOUT_THRESHOLD = 10;
+const LOCKOUT_MINUTES = 30;
+// Failed attempts that trigger a warning email to the admin
+const FAILURE_ALERT_THRESHOLD = 5;
+
+/**
+ * Professional Login Security Service
+ * Per-account failed login tracking, progressive delays, lockout and login alerts
+ */
+class LoginSecurityService {
+  /**
+   * @param {Database} [db] - Defaults to the shared connection pool
+   */
+  constructor(db = database) {
+    this.db = db;
+  }
+
+  /**
+   * Whether an admin may attempt to log in right now
+   * @param {Object} admin - Row with failed_login_count and locked_until
+   * @returns {Object} locked, errorType (ACCOUNT_LOCKED or LOGIN_DELAYED) and retryAfter (seconds)
+   */
+  getLockStatus(admin) {
+    const lockedUntil = admin.locked_until ? new Date(admin.locked_until).getTime() : 0;
+    const retryAfter = Math.ceil((lockedUntil - Date.now()) / 1000);
+
+    if (retryAfter <= 0) {
+      return { locked: false };
+    }
+
+    const lockedOut = admin.failed_login_count >= LOCKOUT_THRESHOLD;
+    return {
+      locked: true,
+      errorType: lockedOut ? 'ACCOUNT_LOCKED' : 'LOGIN_DELAYED',
+      error: lockedOut
+        ? 'Account temporarily locked after too many failed login attempts'
+        : `Too many failed login attempts, try again in ${retryAfter} second(s)`,
+      retryAfter
+    };
+  }
+
+  /**
+   * Record a login attempt
+   * @param {Object} attempt - adminId, email, success, failureReason
+   * @param {Object} client - ipAddress and userAgent of the request
+   * @returns {Promise<void>}
+   */
+  async recordAttempt({ adminId = null, email, success, failureReason = null }, { ipAddress = null, userAgent = null } = {}) {
+    try {
+      await this.db.query(
+        `INSERT INTO admin_login_attempts (admin_id, email, ip_address, user_agent, success, failure_reason)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [adminId, email, ipAddress, userAgent ? userAgent.slice(0, 500) : null, success, failureReason]
+      );
+    } catch (error) {
+      // Never block a login because the audit trail could not be written
+      console.error('❌ Error recording login attempt:', error);
+    }
+  }
+
+  /**
+   * Count a failed attempt against the account and delay or lock further attempts
+   * @param {Object} admin - id, email, username
+   * @param {Object} client - ipAddress and userAgent
+   * @param {string} reason - e.g. INVALID_PASSWORD, INVALID_2FA_CODE
+   * @returns {Promise<void>}
+   */
+  async registerFailure(admin, client, reason) {
+    await this.recordAttempt({ adminId: admin.id, email: admin.email, success: false, failureReason: reason }, client);
+
+    try {
+      const result = await this.db.query(
+        `UPDATE admins
+         SET failed_login_count = COALESCE(failed_login_count, 0) + 1, last_failed_login_at = NOW()
+         WHERE id = $1
+         RETURNING failed_login_count`,
+        [admin.id]
+      );
+      const failedCount = result.rows[0].failed_login_count;
+
+      let lockedUntil = null;
+      if (failedCount >= LOCKOUT_THRESHOLD) {
+        lockedUntil = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000);
+      } else if (failedCount >= FREE_ATTEMPTS) {
+        const delaySeconds = Math.min(2 ** (failedCount - FREE_ATTEMPTS), MAX_DELAY_SECONDS);
+        lockedUntil = new Date(Date.now() + delaySeconds * 1000);
+      }
+
+      if (lockedUntil) {
+        await this.db.query('UPDATE admins SET locked_until = $1 WHERE id = $2', [lockedUntil, admin.id]);
+      }
+
+      if (failedCount === LOCKOUT_THRESHOLD) {
+        console.warn(`🔒 Admin account locked after ${failedCount} failed attempts: ${admin.email}`);
+      }
+
+      // Warn once at the alert threshold and again when the account locks
+      if (failedCount === FAILURE_ALERT_THRESHOLD || failedCount === LOCKOUT_THRESHOLD) {
+        await this.sendAlert(() => emailService.sendFailedLoginAlertEmail(admin, {
+          failedCount,
+          lockedUntil: failedCount >= LOCKOUT_THRESHOLD ? lockedUntil : null,
+          ipAddress: client.ipAddress
+        }));
+      }
+    } catch (error) {
+      console.error('❌ Error registering failed login:', error);
+      throw new Error('Failed to register failed login');
+    }
+  }
+
+  /**
+   * Clear failed attempts after a successful login and alert on a new device
+   * @param {Object} admin - id, email, username
+   * @param {Object} client - ipAddress and userAgent
+   * @returns {Promise<void>}
+   */
+  async registerSuccess(admin, client) {
+    try {
+      const known = await this.db.query(
+        `SELECT
+           COUNT(*) AS total,
+           SUM(CASE WHEN user_agent = $2 THEN 1 ELSE 0 END) AS same_device
+         FROM admin_login_attempts
+         WHERE admin_id = $1 AND success = true`,
+        [admin.id, client.userAgent || null]
+      );
+
+      const previousLogins = parseInt(known.rows[0].total) || 0;
+      const isNewDevice = previousLogins > 0 && !(parseInt(known.rows[0].same_device) > 0);
+
+      await this.recordAttempt({ adminId: admin.id, email: admin.email, success: true }, client);
+      await this.unlock(admin.id);
+
+      // The very first login has nothing to compare against
+      if (isNewDevice) {
+        await this.sendAlert(() => emailService.sendNewDeviceLoginEmail(admin, client));
+      }
+    } catch (error) {
+      console.error('❌ Error registering successful login:', error);
+      throw new Error('Failed to register login');
+    }
+  }
+
+  /**
+   * Clear failed attempts and any delay or lockout
+   * @param {number} adminId
+   * @returns {Promise<boolean>} Whether the admin exists
+   */
+  async unlock(adminId) {
+    const result = await this.db.query(
+      'UPDATE admins SET failed_login_count = 0, locked_until = NULL WHERE id = $1 RETURNING id',
+      [adminId]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Most recent login attempts of an admin
+   * @param {number} adminId
+   * @param {number} [limit]
+   * @returns {Promise<Array>}
+   */
+  async listAttempts(adminId, limit = 50) {
+    try {
+      const result = await this.db.query(
+        `SELECT id, ip_address, user_agent, success, failure_reason, created_at
+         FROM admin_login_attempts
+         WHERE admin_id = $1
+         ORDER BY created_at DESC
+         LIMIT $2`,
+        [adminId, limit]
+      );
+
+      return result.rows.map(row => this.formatAttempt(row));
+    } catch (error) {
+      console.error('❌ Error listing login attempts:', error);
+      throw new Error('Database error while listing login attempts');
+    }
+  }
+
+  /**
+   * Send a security email without failing the login
+   * @param {Function} send
+   * @returns {Promise<void>}
+   */
+  async sendAlert(send) {
+    try {
+      await send();
+    } catch (error) {
+      console.error('❌ Failed to send login alert email:', error);
+    }
+  }
+
+  /**
+   * Format login attempt row for API response
+   * @param {Object} row
+   * @returns {Object}
+   */
+  formatAttempt(row) {
+    return {
+      id: row.id,
+      ipAddress: row.ip_address,
+      userAgent: row.user_agent,
+      success: row.success,
+      failureReason: row.failure_reason,
+      createdAt: row.created_at
+    };
+  }
+}
+
+export default LoginSecurityService;
@@ -0,0 +1,329 @@
+import crypto from 'crypto';
+import Database, { database } from './database.js';
+import SettingsService from './settings-service.js';
+import ReservationService from './reservation-service.js';
+
+// Flat shipping fee per order and tax rate (0.2 = 20%), both editable in app_settings
+export const SHIPPING_AMOUNT_SETTING = 'orders.shipping_amount';
+export const TAX_RATE_SETTING = 'orders.tax_rate';
+
+// Order numbers look like EA-20261019-K7M2QX; no 0/O or 1/I/L so they read well over the phone
+const ORDER_NUMBER_PREFIX = 'EA';
+const ORDER_NUMBER_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const ORDER_NUMBER_LENGTH = 6;
+// A duplicate order number is retried with a fresh one
+const MAX_ORDER_NUMBER_ATTEMPTS = 3;
+
+/**
+ * Professional Order Service
+ * Checkout for guests and signed-in customers
+ */
+class OrderService {
+  /**
+   * @param {Database} [db] - Defaults to the shared connection pool
+   */
+  constructor(db = database) {
+    this.db = db;
+    this.settings = new SettingsService(db);
+    this.reservations = new ReservationService(db);
+  }
+
+  /**
+   * Place an order for available artworks. The artworks are moved to RESERVED
+   * in the same transaction, so two buyers can never order the same original,
+   * and held for the buyer until the checkout hold expires.
+   * @param {Object} checkoutData - artworkIds, shipping details, email (guests) and notes
+   * @param {Object} [user] - Signed-in customer; guests are recorded in customers
+   * @returns {Promise<Object>}
+   */
+  async checkout({ artworkIds, shipping, email = null, notes = null }, user = null) {
+    try {
+      const totalsConfig = {
+        shippingAmount: Number(await this.settings.get(SHIPPING_AMOUNT_SETTING, 0)),
+        taxRate: Number(await this.settings.get(TAX_RATE_SETTING, 0))
+      };
+      const holdExpiresAt = await this.reservations.getCheckoutHoldExpiry();
+
+      // Lock in ascending id order so concurrent checkouts cannot deadlock
+      const ids = [...artworkIds].sort((a, b) => a - b);
+
+      for (let attempt = 1; ; attempt++) {
+        try {
+          const result = await this.db.transaction(client =>
+            this.placeOrder(client, { ids, shipping, email, notes, user, totalsConfig, holdExpiresAt })
+          );
+
+          if (result.success) {
+            console.log(`🧾 Order ${result.order.orderNumber} placed (${ids.length} artwork(s), ${user ? `customer ID ${user.id}` : 'guest'})`);
+          }
+          return result;
+        } catch (error) {
+          if (error.code === '23505' && attempt < MAX_ORDER_NUMBER_ATTEMPTS) {
+            continue;
+          }
+          throw error;
+        }
+      }
+    } catch (error) {
+      console.error('❌ Error placing order:', error);
+      throw new Error('Failed to place order');
+    }
+  }
+
+  /**
+   * Checkout steps inside the transaction
+   * @param {Object} client - Transaction client
+   * @param {Object} orderData
+   * @returns {Promise<Object>}
+   */
+  async placeOrder(client, { ids, shipping, email, notes, user, totalsConfig, holdExpiresAt }) {
+    const artworks = [];
+    const unavailableIds = [];
+
+    for (const id of ids) {
+      const result = await client.query(
+        'SELECT id, name, price, status, is_active FROM artworks WHERE id = $1 FOR UPDATE',
+        [id]
+      );
+      const artwork = result.rows[0];
+
+      if (!artwork || !artwork.is_active || artwork.status !== 'AVAILABLE') {
+        unavailableIds.push(id);
+      } else {
+        artworks.push(artwork);
+      }
+    }
+
+    // Nothing has been written yet, so returning here leaves the database untouched
+    if (unavailableIds.length > 0) {
+      return {
+        success: false,
+        error: 'Some artworks are no longer available',
+        errorType: 'ARTWORK_UNAVAILABLE',
+        unavailableIds
+      };
+    }
+
+    for (const artwork of artworks) {
+      await client.query(
+        `UPDATE artworks SET status = 'RESERVED', updated_at = NOW()
+         WHERE id = $1 AND status = 'AVAILABLE'`,
+        [artwork.id]
+      );
+    }
+
+    const contact = user
+      ? {
+        email: user.email,
+        firstName: shipping.firstName || user.firstName,
+        lastName: shipping.lastName || user.lastName
+      }
+      : { email, firstName: shipping.firstName, lastName: shipping.lastName };
+
+    const customerId = user ? null : await this.saveGuestCustomer(client, contact, shipping);
+    const totals = this.calculateTotals(artworks, totalsConfig);
+
+    const orderResult = await client.query(
+      `INSERT INTO orders (
+         order_number, customer_id, user_id, status, payment_status,
+         subtotal_amount, shipping_amount, tax_amount, total_amount,
+         contact_email, shipping_first_name, shipping_last_name, shipping_phone,
+         shipping_address_line1, shipping_address_line2, shipping_city, shipping_postal_code, shipping_country,
+         notes, created_at, updated_at
+       )
+       VALUES ($1, $2, $3, 'PENDING', 'PENDING', $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, NOW(), NOW())
+       RETURNING *`,
+      [
+        this.generateOrderNumber(),
+        customerId,
+        user ? user.id : null,
+        totals.subtotal,
+        totals.shipping,
+        totals.tax,
+        totals.total,
+        contact.email,
+        contact.firstName,
+        contact.lastName,
+        shipping.phone || null,
+        shipping.addressLine1,
+        shipping.addressLine2 || null,
+        shipping.city,
+        shipping.postalCode || null,
+        shipping.country,
+        notes || null
+      ]
+    );
+    const order = orderResult.rows[0];
+
+    const items = [];
+    for (const artwork of artworks) {
+      const itemResult = await client.query(
+        `INSERT INTO order_items (order_id, artwork_id, artwork_name, quantity, unit_price, total_price, created_at)
+         VALUES ($1, $2, $3, 1, $4, $4, NOW())
+         RETURNING *`,
+        [order.id, artwork.id, artwork.name, artwork.price]
+      );
+      items.push(itemResult.rows[0]);
+    }
+
+    await this.reservations.holdForOrder(client, artworks.map(artwork => artwork.id), {
+      orderId: order.id,
+      holderName: `${contact.firstName} ${contact.lastName}`,
+      holderEmail: contact.email,
+      expiresAt: holdExpiresAt
+    });
+
+    return {
+      success: true,
+      order: { ...this.formatOrder(order, items), reservedUntil: holdExpiresAt }
+    };
+  }
+
+  /**
+   * Record the contact details of a guest buyer, reusing their earlier record
+   * @param {Object} client - Transaction client
+   * @param {Object} contact - email, firstName, lastName
+   * @param {Object} shipping
+   * @returns {Promise<number>} customers.id
+   */
+  async saveGuestCustomer(client, contact, shipping) {
+    const address = [
+      shipping.addressLine1,
+      shipping.addressLine2,
+      [shipping.postalCode, shipping.city].filter(Boolean).join(' '),
+      shipping.country
+    ].filter(Boolean).join(', ');
+
+    const existing = await client.query(
+      'SELECT id FROM customers WHERE email = $1 ORDER BY id DESC LIMIT 1',
+      [contact.email]
+    );
+
+    if (existing.rows.length > 0) {
+      await client.query(
+        `UPDATE customers
+         SET first_name = $1, last_name = $2, phone = COALESCE($3, phone), address = $4, updated_at = NOW()
+         WHERE id = $5`,
+        [contact.firstName, contact.lastName, shipping.phone || null, address, existing.rows[0].id]
+      );
+      return existing.rows[0].id;
+    }
+
+    const created = await client.query(
+      `INSERT INTO customers (email, first_name, last_name, phone, address, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+       RETURNING id`,
+      [contact.email, contact.firstName, contact.lastName, shipping.phone || null, address]
+    );
+    return created.rows[0].id;
+  }
+
+  /**
+   * Order totals from the current artwork prices, computed in cents
+   * @param {Array<Object>} artworks - Rows with price
+   * @param {Object} totalsConfig - shippingAmount and taxRate
+   * @returns {Object} subtotal, shipping, tax and total as decimal strings
+   */
+  calculateTotals(artworks, { shippingAmount, taxRate }) {
+    const subtotal = artworks.reduce((sum, artwork) => sum + Math.round(parseFloat(artwork.price) * 100), 0);
+    const shipping = Math.round((shippingAmount || 0) * 100);
+    const tax = Math.round(subtotal * (taxRate || 0));
+    const toAmount = (cents) => (cents / 100).toFixed(2);
+
+    return {
+      subtotal: toAmount(subtotal),
+      shipping: toAmount(shipping),
+      tax: toAmount(tax),
+      total: toAmount(subtotal + shipping + tax)
+    };
+  }
+
+  /**
+   * Find an order with its items
+   * @param {number} orderId
+   * @returns {Promise<Object|null>}
+   */
+  async findOrderById(orderId) {
+    try {
+      const orderResult = await this.db.query('SELECT * FROM orders WHERE id = $1', [orderId]);
+      if (orderResult.rows.length === 0) {
+        return null;
+      }
+
+      const itemsResult = await this.db.query(
+        'SELECT * FROM order_items WHERE order_id = $1 ORDER BY id',
+        [orderId]
+      );
+      return this.formatOrder(orderResult.rows[0], itemsResult.rows);
+    } catch (error) {
+      console.error('❌ Error finding order:', error);
+      throw new Error('Database error while finding order');
+    }
+  }
+
+  /**
+   * Human-friendly order number, e.g. EA-20261019-K7M2QX
+   * @returns {string}
+   */
+  generateOrderNumber() {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    const bytes = crypto.randomBytes(ORDER_NUMBER_LENGTH);
+    const suffix = Array.from(bytes, byte => ORDER_NUMBER_ALPHABET[byte % ORDER_NUMBER_ALPHABET.length]).join('');
+
+    return `${ORDER_NUMBER_PREFIX}-${date}-${suffix}`;
+  }
+
+  /**
+   * Format order row and its item rows for API response
+   * @param {Object} row
+   * @param {Array<Object>} items
+   * @returns {Object}
+   */
+  formatOrder(row, items = []) {
+    return {
+      id: row.id,
+      orderNumber: row.order_number,
+      status: row.status,
+      paymentStatus: row.payment_status,
+      paymentMethod: row.payment_method,
+      isGuest: !row.user_id,
+      contactEmail: row.contact_email,
+      shipping: {
+        firstName: row.shipping_first_name,
+        lastName: row.shipping_last_name,
+        phone: row.shipping_phone,
+        addressLine1: row.shipping_address_line1,
+        addressLine2: row.shipping_address_line2,
+        city: row.shipping_city,
+        postalCode: row.shipping_postal_code,
+        country: row.shipping_country
+      },
+      items: items.map(item => ({
+        id: item.id,
+        artworkId: item.artwork_id,
+        artworkName: item.artwork_name,
+        quantity: item.quantity,
+        unitPrice: parseFloat(item.unit_price),
+        totalPrice: parseFloat(item.total_price)
+      })),
+      shipment: {
+        carrier: row.shipping_carrier || null,
+        trackingNumber: row.tracking_number || null,
+        shippedAt: row.shipped_at || null,
+        deliveredAt: row.delivered_at || null
+      },
+      subtotalAmount: parseFloat(row.subtotal_amount),
+      shippingAmount: parseFloat(row.shipping_amount),
+      taxAmount: parseFloat(row.tax_amount),
+      totalAmount: parseFloat(row.total_amount),
+      notes: row.notes,
+      confirmedAt: row.confirmed_at || null,
+      cancelledAt: row.cancelled_at || null,
+      cancellationReason: row.cancellation_reason || null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+export default OrderService;
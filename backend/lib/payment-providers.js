@@ -0,0 +1,197 @@
+import crypto from 'crypto';
+import {
+  PAYMENT_PROVIDER,
+  WEBHOOK_TOLERANCE_SECONDS,
+  STRIPE_CONFIG,
+  STUB_WEBHOOK_SECRET
+} from '../config/payments.js';
+
+/**
+ * Payment Providers
+ * Drivers that create payment intents, issue refunds and verify webhook events.
+ *
+ * Both drivers speak Stripe's event format and signature scheme: the
+ * Stripe-Signature header is "t=<unix time>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">".
+ * Amounts are in the smallest currency unit (cents).
+ */
+
+/**
+ * Sign a webhook payload the way Stripe does
+ * @param {string} payload - Raw request body
+ * @param {string} secret
+ * @param {number} [timestamp] - Unix seconds
+ * @returns {string} Stripe-Signature header value
+ */
+export const signWebhookPayload = (payload, secret, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Check a Stripe-Signature header and parse the event
+ * @param {Buffer|string} rawBody
+ * @param {string} header
+ * @param {string} secret
+ * @returns {Object} Normalized event: id, type, paymentIntentId, data
+ */
+export const verifyWebhookEvent = (rawBody, header, secret) => {
+  const payload = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody || '');
+  const parts = String(header || '').split(',').map(part => part.split('='));
+  const timestamp = parseInt((parts.find(([key]) => key === 't') || [])[1]);
+  const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value || '');
+
+  if (!timestamp || signatures.length === 0) {
+    throw new Error('Missing webhook signature');
+  }
+
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+    throw new Error('Webhook timestamp outside the tolerance window');
+  }
+
+  const expected = Buffer.from(signWebhookPayload(payload, secret, timestamp).split('v1=')[1]);
+  // Compare byte lengths: timingSafeEqual throws on buffers of different sizes
+  const matches = signatures.some(signature => {
+    const provided = Buffer.from(signature);
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+  });
+
+  if (!matches) {
+    throw new Error('Invalid webhook signature');
+  }
+
+  const event = JSON.parse(payload);
+  const object = event.data && event.data.object ? event.data.object : {};
+
+  return {
+    id: event.id,
+    type: event.type,
+    // Charge events point at their payment intent
+    paymentIntentId: object.object === 'charge' || event.type.startsWith('charge.') ? object.payment_intent : object.id,
+    data: object
+  };
+};
+
+// =============================================================================
+// STRIPE DRIVER
+// =============================================================================
+
+export class StripeProvider {
+  constructor() {
+    this.name = 'stripe';
+    this.publishableKey = STRIPE_CONFIG.publishableKey || null;
+  }
+
+  isEnabled() {
+    return Boolean(STRIPE_CONFIG.secretKey && STRIPE_CONFIG.webhookSecret);
+  }
+
+  /**
+   * Call the Stripe API with a form-encoded body
+   * @param {string} path
+   * @param {Object} params - Flat map of form fields
+   * @param {string} [idempotencyKey]
+   * @returns {Promise<Object>}
+   */
+  async request(path, params, idempotencyKey = null) {
+    const response = await fetch(`${STRIPE_CONFIG.apiUrl}${path}`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${STRIPE_CONFIG.secretKey}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+        ...(idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {})
+      },
+      body: new URLSearchParams(params).toString()
+    });
+
+    const body = await response.json();
+    if (!response.ok) {
+      throw new Error(`Stripe ${path} failed: ${body.error ? body.error.message : response.status}`);
+    }
+    return body;
+  }
+
+  async createPaymentIntent({ amount, currency, orderId, orderNumber, email, idempotencyKey }) {
+    const intent = await this.request('/payment_intents', {
+      amount: String(amount),
+      currency,
+      receipt_email: email,
+      description: `Order ${orderNumber}`,
+      'automatic_payment_methods[enabled]': 'true',
+      'metadata[order_id]': String(orderId),
+      'metadata[order_number]': orderNumber
+    }, idempotencyKey);
+
+    return { id: intent.id, clientSecret: intent.client_secret, status: intent.status };
+  }
+
+  async refund(paymentIntentId, { idempotencyKey } = {}) {
+    const refund = await this.request('/refunds', { payment_intent: paymentIntentId }, idempotencyKey);
+    return { id: refund.id, status: refund.status };
+  }
+
+  constructEvent(rawBody, signatureHeader) {
+    return verifyWebhookEvent(rawBody, signatureHeader, STRIPE_CONFIG.webhookSecret);
+  }
+}
+
+// =============================================================================
+// STUB DRIVER
+// =============================================================================
+
+/**
+ * Local stand-in for Stripe: intents and refunds always succeed and nothing is
+ * charged. Payment results arrive as fixture events sent with
+ * `npm run payments:replay-event`. Only used with PAYMENT_PROVIDER=stub and a
+ * PAYMENT_STUB_WEBHOOK_SECRET, and never enabled in production.
+ */
+export class StubProvider {
+  constructor() {
+    if (!STUB_WEBHOOK_SECRET) {
+      throw new Error('PAYMENT_PROVIDER=stub requires PAYMENT_STUB_WEBHOOK_SECRET');
+    }
+
+    this.name = 'stub';
+    this.publishableKey = null;
+  }
+
+  isEnabled() {
+    return process.env.NODE_ENV !== 'production';
+  }
+
+  async createPaymentIntent({ idempotencyKey } = {}) {
+    // Like Stripe, the same idempotency key returns the same intent
+    const seed = idempotencyKey
+      ? crypto.createHmac('sha256', STUB_WEBHOOK_SECRET).update(idempotencyKey).digest('hex')
+      : crypto.randomBytes(24).toString('hex');
+    const id = `pi_stub_${seed.slice(0, 24)}`;
+    return { id, clientSecret: `${id}_secret_${seed.slice(24, 48)}`, status: 'requires_payment_method' };
+  }
+
+  async refund() {
+    return { id: `re_stub_${crypto.randomBytes(12).toString('hex')}`, status: 'succeeded' };
+  }
+
+  constructEvent(rawBody, signatureHeader) {
+    return verifyWebhookEvent(rawBody, signatureHeader, STUB_WEBHOOK_SECRET);
+  }
+}
+
+// =============================================================================
+// DRIVER SELECTION
+// =============================================================================
+
+/**
+ * Create a payment provider
+ * @param {string} [provider] - "stripe" or "stub", defaults to PAYMENT_PROVIDER
+ * @returns {StripeProvider|StubProvider}
+ */
+export function createPaymentProvider(provider = PAYMENT_PROVIDER) {
+  switch (provider) {
+    case 'stripe':
+      return new StripeProvider();
+    case 'stub':
+      return new StubProvider();
+    default:
+      throw new Error(`Unknown PAYMENT_PROVIDER "${provider}". Use "stripe" or "stub"`);
+  }
+}
@@ -0,0 +1,369 @@
+import Database, { database } from './database.js';
+import OrderService from './order-service.js';
+import ReservationService from './reservation-service.js';
+import { createPaymentProvider } from './payment-providers.js';
+import { PAYMENT_CURRENCY } from '../config/payments.js';
+import emailService from '../services/email-service.js';
+
+// Provider events that change a payment; anything else is recorded and ignored
+const PAYMENT_SUCCEEDED = 'payment_intent.succeeded';
+const PAYMENT_FAILED = 'payment_intent.payment_failed';
+const CHARGE_REFUNDED = 'charge.refunded';
+
+/**
+ * Professional Payment Service
+ * Card payments for orders: payment intents, webhook-driven payment status
+ * and refunds
+ */
+class PaymentService {
+  /**
+   * @param {Database} [db] - Defaults to the shared connection pool
+   */
+  constructor(db = database) {
+    this.db = db;
+    this.orders = new OrderService(db);
+    this.reservations = new ReservationService(db);
+    this.provider = createPaymentProvider();
+  }
+
+  /**
+   * Whether the configured provider can take payments
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.provider.isEnabled();
+  }
+
+  /**
+   * Start paying for an unpaid order. Guests prove the order is theirs with
+   * its contact email; customers must be signed in to pay their own orders.
+   * @param {string} orderNumber
+   * @param {Object} buyer - user (signed-in customer) or email (guest)
+   * @returns {Promise<Object>}
+   */
+  async createPaymentIntent(orderNumber, { user = null, email = null } = {}) {
+    try {
+      const orderResult = await this.db.query('SELECT * FROM orders WHERE order_number = $1', [orderNumber]);
+      const order = orderResult.rows[0];
+
+      const isBuyer = order && (user
+        ? order.user_id === user.id
+        : !order.user_id && email && order.contact_email.toLowerCase() === email.toLowerCase());
+
+      // Someone else's order looks the same as a missing one
+      if (!isBuyer) {
+        return { success: false, error: 'Order not found', errorType: 'NOT_FOUND' };
+      }
+
+      if (order.status === 'CANCELLED' || !['PENDING', 'FAILED'].includes(order.payment_status)) {
+        return { success: false, error: 'This order can no longer be paid', errorType: 'ORDER_NOT_PAYABLE' };
+      }
+
+      // Unconfirmed orders can only be paid while their artworks are still held
+      if (order.status === 'PENDING') {
+        const holdExpiry = await this.reservations.getOrderHoldExpiry(order.id);
+        if (holdExpiry && holdExpiry <= new Date()) {
+          return { success: false, error: 'The reservation for this order has expired', errorType: 'ORDER_NOT_PAYABLE' };
+        }
+      }
+
+      // Retries of one attempt (double clicks, a reload) get the same intent back
+      // from the provider; a new attempt only starts once the previous one failed
+      const attemptsResult = await this.db.query(
+        `SELECT COUNT(*) AS count FROM payments WHERE order_id = $1 AND status <> 'PENDING'`,
+        [order.id]
+      );
+      const attempt = parseInt(attemptsResult.rows[0].count) + 1;
+
+      const amountInCents = Math.round(parseFloat(order.total_amount) * 100);
+      const intent = await this.provider.createPaymentIntent({
+        amount: amountInCents,
+        currency: PAYMENT_CURRENCY,
+        orderId: order.id,
+        orderNumber: order.order_number,
+        email: order.contact_email,
+        idempotencyKey: `payment-intent-${order.order_number}-${attempt}`
+      });
+
+      await this.db.query(
+        `INSERT INTO payments (order_id, provider, provider_payment_id, amount, currency, status, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, 'PENDING', NOW(), NOW())
+         ON CONFLICT (provider_payment_id) DO NOTHING`,
+        [order.id, this.provider.name, intent.id, order.total_amount, PAYMENT_CURRENCY]
+      );
+      await this.db.query(
+        'UPDATE orders SET payment_method = $2, updated_at = NOW() WHERE id = $1',
+        [order.id, this.provider.name]
+      );
+
+      console.log(`💳 Payment ${intent.id} started for order ${order.order_number}`);
+
+      return {
+        success: true,
+        paymentIntent: {
+          id: intent.id,
+          clientSecret: intent.clientSecret,
+          amount: parseFloat(order.total_amount),
+          currency: PAYMENT_CURRENCY,
+          provider: this.provider.name,
+          publishableKey: this.provider.publishableKey
+        }
+      };
+
+    } catch (error) {
+      console.error('❌ Error creating payment intent:', error);
+      throw new Error('Failed to create payment intent');
+    }
+  }
+
+  /**
+   * Verify a webhook request and parse its event
+   * @param {Buffer} rawBody
+   * @param {string} signatureHeader
+   * @returns {Object|null} Event, or null when the signature is invalid
+   */
+  verifyWebhook(rawBody, signatureHeader) {
+    try {
+      return this.provider.constructEvent(rawBody, signatureHeader);
+    } catch (error) {
+      console.warn(`⚠️ Rejected payment webhook: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Apply a verified webhook event. Each event id is processed once: the id is
+   * recorded in the same transaction as its effects, so a redelivered or
+   * replayed event changes nothing, and an event that fails is retried whole.
+   * @param {Object} event - id, type, paymentIntentId, data
+   * @returns {Promise<Object>} outcome, and soldArtworkIds/releasedArtworkIds for PAID or REFUNDED orders
+   */
+  async handleWebhookEvent(event) {
+    try {
+      const result = await this.db.transaction(async (client) => {
+        const recorded = await client.query(
+          `INSERT INTO payment_events (provider, event_id, event_type, provider_payment_id, processed_at)
+           VALUES ($1, $2, $3, $4, NOW())
+           ON CONFLICT (event_id) DO NOTHING
+           RETURNING id`,
+          [this.provider.name, event.id, event.type, event.paymentIntentId || null]
+        );
+
+        if (recorded.rows.length === 0) {
+          return { outcome: 'DUPLICATE' };
+        }
+
+        if (![PAYMENT_SUCCEEDED, PAYMENT_FAILED, CHARGE_REFUNDED].includes(event.type) || !event.paymentIntentId) {
+          return { outcome: 'IGNORED' };
+        }
+
+        const found = await client.query(
+          'SELECT id, order_id FROM payments WHERE provider_payment_id = $1',
+          [event.paymentIntentId]
+        );
+
+        // Not one of ours, e.g. a payment taken in the provider dashboard
+        if (found.rows.length === 0) {
+          return { outcome: 'IGNORED' };
+        }
+
+        // Order before payment, the same lock order as admin status changes
+        await client.query('SELECT id FROM orders WHERE id = $1 FOR UPDATE', [found.rows[0].order_id]);
+        const paymentResult = await client.query('SELECT * FROM payments WHERE id = $1 FOR UPDATE', [found.rows[0].id]);
+        const payment = paymentResult.rows[0];
+
+        switch (event.type) {
+          case PAYMENT_SUCCEEDED:
+            return this.markPaid(client, payment);
+          case PAYMENT_FAILED:
+            return this.markFailed(client, payment, event.data);
+          default:
+            return this.markRefunded(client, payment, event.data);
+        }
+      });
+
+      console.log(`🔔 Payment event ${event.id} (${event.type}): ${result.outcome}`);
+
+      if (result.outcome === 'PAID') {
+        await this.sendReceipt(result.orderId);
+      }
+      return result;
+
+    } catch (error) {
+      console.error('❌ Error handling payment event:', error);
+      throw new Error('Failed to handle payment event');
+    }
+  }
+
+  /**
+   * A payment succeeded: mark the order paid and confirm it, selling its
+   * artworks. Money that arrives for an order that is already paid or
+   * cancelled, or whose artworks went to someone else in the meantime, is
+   * refunded right away.
+   * @param {Object} client - Transaction client
+   * @param {Object} payment - Locked payments row
+   * @returns {Promise<Object>}
+   */
+  async markPaid(client, payment) {
+    if (payment.status !== 'PENDING' && payment.status !== 'FAILED') {
+      return { outcome: 'IGNORED' };
+    }
+
+    await client.query(
+      `UPDATE payments SET status = 'SUCCEEDED', failure_reason = NULL, updated_at = NOW() WHERE id = $1`,
+      [payment.id]
+    );
+
+    const orderResult = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [payment.order_id]);
+    const order = orderResult.rows[0];
+
+    if (order.status === 'CANCELLED' || order.payment_status === 'PAID' || order.payment_status === 'REFUNDED') {
+      await this.refundPayment(client, payment);
+      return { outcome: 'REFUNDED', orderId: order.id, releasedArtworkIds: [] };
+    }
+
+    // An order confirmed by an admin before it was paid already owns its artworks
+    let soldArtworkIds = [];
+    if (order.status === 'PENDING') {
+      const sale = await this.reservations.sellOrderArtworks(client, order.id);
+
+      if (!sale.success) {
+        console.warn(`⚠️ Order ${order.order_number} was paid but artwork ${sale.unavailableArtworkId} is no longer available`);
+        await this.refundPayment(client, payment);
+        const releasedArtworkIds = await this.reservations.releaseOrderHolds(client, order.id);
+        await client.query(
+          `UPDATE orders SET status = 'CANCELLED', payment_status = 'REFUNDED', updated_at = NOW() WHERE id = $1`,
+          [order.id]
+        );
+        return { outcome: 'REFUNDED', orderId: order.id, releasedArtworkIds };
+      }
+      soldArtworkIds = sale.soldArtworkIds;
+    }
+
+    await client.query(
+      order.status === 'PENDING'
+        ? `UPDATE orders SET status = 'CONFIRMED', confirmed_at = NOW(), payment_status = 'PAID', updated_at = NOW() WHERE id = $1`
+        : `UPDATE orders SET payment_status = 'PAID', updated_at = NOW() WHERE id = $1`,
+      [order.id]
+    );
+
+    console.log(`💳 Order ${order.order_number} paid (${payment.provider_payment_id})`);
+    return { outcome: 'PAID', orderId: order.id, soldArtworkIds };
+  }
+
+  /**
+   * A payment attempt failed; the buyer may try again while the order is held
+   * @param {Object} client - Transaction client
+   * @param {Object} payment - Locked payments row
+   * @param {Object} data - Provider payment intent
+   * @returns {Promise<Object>}
+   */
+  async markFailed(client, payment, data) {
+    if (payment.status !== 'PENDING') {
+      return { outcome: 'IGNORED' };
+    }
+
+    const reason = data.last_payment_error && data.last_payment_error.message
+      ? data.last_payment_error.message
+      : null;
+
+    await client.query(
+      `UPDATE payments SET status = 'FAILED', failure_reason = $2, updated_at = NOW() WHERE id = $1`,
+      [payment.id, reason]
+    );
+    await client.query(
+      `UPDATE orders SET payment_status = 'FAILED', updated_at = NOW()
+       WHERE id = $1 AND payment_status = 'PENDING'`,
+      [payment.order_id]
+    );
+
+    return { outcome: 'FAILED', orderId: payment.order_id };
+  }
+
+  /**
+   * A charge was refunded, by us or from the provider dashboard
+   * @param {Object} client - Transaction client
+   * @param {Object} payment - Locked payments row
+   * @param {Object} data - Provider charge
+   * @returns {Promise<Object>}
+   */
+  async markRefunded(client, payment, data) {
+    // Partial refunds leave the order paid
+    if (payment.status === 'REFUNDED' || data.refunded !== true) {
+      return { outcome: 'IGNORED' };
+    }
+
+    const refund = data.refunds && data.refunds.data && data.refunds.data[0];
+    await client.query(
+      `UPDATE payments SET status = 'REFUNDED', refund_id = COALESCE(refund_id, $2), updated_at = NOW() WHERE id = $1`,
+      [payment.id, refund ? refund.id : null]
+    );
+
+    if (payment.status === 'SUCCEEDED') {
+      await client.query(
+        `UPDATE orders SET payment_status = 'REFUNDED', updated_at = NOW()
+         WHERE id = $1 AND payment_status = 'PAID'`,
+        [payment.order_id]
+      );
+    }
+
+    return { outcome: 'REFUNDED', orderId: payment.order_id, releasedArtworkIds: [] };
+  }
+
+  /**
+   * Refund a succeeded payment with the provider. Runs inside the caller's
+   * transaction: if the provider call fails everything rolls back and the
+   * idempotency key makes the retry safe.
+   * @param {Object} client - Transaction client
+   * @param {Object} payment - payments row
+   * @returns {Promise<string>} Provider refund id
+   */
+  async refundPayment(client, payment) {
+    const refund = await this.provider.refund(payment.provider_payment_id, {
+      idempotencyKey: `refund-${payment.provider_payment_id}`
+    });
+
+    await client.query(
+      `UPDATE payments SET status = 'REFUNDED', refund_id = $2, updated_at = NOW() WHERE id = $1`,
+      [payment.id, refund.id]
+    );
+
+    console.log(`💳 Payment ${payment.provider_payment_id} refunded (${refund.id})`);
+    return refund.id;
+  }
+
+  /**
+   * Refund every succeeded payment of an order, when an admin cancels it
+   * @param {Object} client - Transaction client
+   * @param {number} orderId - Order locked by the caller
+   * @returns {Promise<Array<string>>} Provider refund ids
+   */
+  async refundOrder(client, orderId) {
+    const payments = await client.query(
+      `SELECT * FROM payments WHERE order_id = $1 AND status = 'SUCCEEDED' ORDER BY id FOR UPDATE`,
+      [orderId]
+    );
+
+    const refundIds = [];
+    for (const payment of payments.rows) {
+      refundIds.push(await this.refundPayment(client, payment));
+    }
+    return refundIds;
+  }
+
+  /**
+   * Email the receipt of a paid order; a failed send never fails the webhook
+   * @param {number} orderId
+   * @returns {Promise<void>}
+   */
+  async sendReceipt(orderId) {
+    try {
+      const order = await this.orders.findOrderById(orderId);
+      await emailService.sendOrderReceiptEmail(order, PAYMENT_CURRENCY);
+    } catch (error) {
+      console.error('❌ Failed to send order receipt email:', error);
+    }
+  }
+}
+
+export default PaymentService;
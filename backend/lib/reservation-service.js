@@ -0,0 +1,610 @@
+import Database, { database } from './database.js';
+import SettingsService from './settings-service.js';
+
+// Minutes a checkout holds its artworks while the buyer pays, editable in app_settings
+export const CHECKOUT_HOLD_MINUTES_SETTING = 'orders.hold_minutes';
+const DEFAULT_CHECKOUT_HOLD_MINUTES = 30;
+
+// Holds placed by an admin for a collector
+export const DEFAULT_ADMIN_HOLD_DAYS = 7;
+export const MAX_HOLD_DAYS = 90;
+
+// How often the sweeper returns expired holds to the market
+const SWEEP_INTERVAL = 60 * 1000;
+
+// A payment started before its checkout hold ended gets this long past the end
+// to complete (3-D Secure challenges, slow banks) before the order is cancelled
+const PENDING_PAYMENT_GRACE = 30 * 60 * 1000;
+
+const HOLD_SELECT = `
+  SELECT h.*, a.name AS artwork_name, o.order_number, ad.username AS admin_username
+  FROM artwork_holds h
+  JOIN artworks a ON h.artwork_id = a.id
+  LEFT JOIN orders o ON h.order_id = o.id
+  LEFT JOIN admins ad ON h.admin_id = ad.id
+`;
+
+/**
+ * Professional Reservation Service
+ * Timed holds on unique artworks: placed by checkout or by an admin, released
+ * by an admin, on sale or when they expire
+ */
+class ReservationService {
+  /**
+   * @param {Database} [db] - Defaults to the shared connection pool
+   */
+  constructor(db = database) {
+    this.db = db;
+    this.settings = new SettingsService(db);
+  }
+
+  /**
+   * When a hold placed by a checkout starting now ends
+   * @returns {Promise<Date>}
+   */
+  async getCheckoutHoldExpiry() {
+    const minutes = Number(await this.settings.get(CHECKOUT_HOLD_MINUTES_SETTING, DEFAULT_CHECKOUT_HOLD_MINUTES));
+    return new Date(Date.now() + (minutes > 0 ? minutes : DEFAULT_CHECKOUT_HOLD_MINUTES) * 60 * 1000);
+  }
+
+  /**
+   * Record the holds of a checkout. The artworks must already be RESERVED by the
+   * caller inside the same transaction.
+   * @param {Object} client - Transaction client
+   * @param {Array<number>} artworkIds
+   * @param {Object} holdData - orderId, holderName, holderEmail, expiresAt
+   * @returns {Promise<void>}
+   */
+  async holdForOrder(client, artworkIds, { orderId, holderName, holderEmail, expiresAt }) {
+    for (const artworkId of artworkIds) {
+      await this.createHold(client, artworkId, { orderId, holderName, holderEmail, expiresAt });
+    }
+  }
+
+  /**
+   * Reserve an available artwork for a collector
+   * @param {number} artworkId
+   * @param {Object} holdData - holderName, holderEmail, note, expiresAt
+   * @param {number} adminId - Admin placing the hold
+   * @returns {Promise<Object>}
+   */
+  async reserveForCollector(artworkId, { holderName, holderEmail = null, note = null, expiresAt }, adminId) {
+    try {
+      const result = await this.db.transaction(async (client) => {
+        const artworkResult = await client.query(
+          'SELECT id, status, is_active FROM artworks WHERE id = $1 FOR UPDATE',
+          [artworkId]
+        );
+        const artwork = artworkResult.rows[0];
+
+        if (!artwork) {
+          return { success: false, error: 'Artwork not found', errorType: 'NOT_FOUND' };
+        }
+        if (!artwork.is_active || artwork.status !== 'AVAILABLE') {
+          return { success: false, error: 'Only available artworks can be reserved', errorType: 'ARTWORK_UNAVAILABLE' };
+        }
+
+        await client.query(
+          `UPDATE artworks SET status = 'RESERVED', updated_at = NOW() WHERE id = $1`,
+          [artworkId]
+        );
+        const holdId = await this.createHold(client, artworkId, { adminId, holderName, holderEmail, note, expiresAt });
+
+        return { success: true, holdId };
+      });
+
+      if (!result.success) {
+        return result;
+      }
+
+      console.log(`⏳ Artwork ${artworkId} reserved for ${holderName} until ${expiresAt.toISOString()} (admin ID ${adminId})`);
+      return { success: true, hold: await this.findHoldById(result.holdId) };
+
+    } catch (error) {
+      console.error('❌ Error reserving artwork:', error);
+      throw new Error('Failed to reserve artwork');
+    }
+  }
+
+  /**
+   * Move the end of the active hold on an artwork
+   * @param {number} artworkId
+   * @param {Date} expiresAt - New end, in the future
+   * @param {number} adminId
+   * @returns {Promise<Object>}
+   */
+  async extendHold(artworkId, expiresAt, adminId) {
+    try {
+      const holdId = await this.db.transaction(async (client) => {
+        const updated = await client.query(
+          `UPDATE artwork_holds SET expires_at = $2, updated_at = NOW()
+           WHERE artwork_id = $1 AND released_at IS NULL
+           RETURNING id`,
+          [artworkId, expiresAt]
+        );
+
+        if (updated.rows.length === 0) {
+          return null;
+        }
+
+        await client.query(
+          'UPDATE artworks SET reserved_until = $2, updated_at = NOW() WHERE id = $1',
+          [artworkId, expiresAt]
+        );
+        return updated.rows[0].id;
+      });
+
+      if (!holdId) {
+        return { success: false, error: 'This artwork has no active hold', errorType: 'HOLD_NOT_FOUND' };
+      }
+
+      console.log(`⏳ Hold on artwork ${artworkId} extended until ${expiresAt.toISOString()} (admin ID ${adminId})`);
+      return { success: true, hold: await this.findHoldById(holdId) };
+
+    } catch (error) {
+      console.error('❌ Error extending artwork hold:', error);
+      throw new Error('Failed to extend hold');
+    }
+  }
+
+  /**
+   * Release the active hold on an artwork before it expires
+   * @param {number} artworkId
+   * @param {number} adminId
+   * @param {string} [reason] - RELEASED puts the artwork back on sale, SOLD marks it sold
+   * @returns {Promise<Object>} releasedArtworkIds includes artworks of a cancelled checkout
+   */
+  async releaseArtworkHold(artworkId, adminId, reason = 'RELEASED') {
+    try {
+      const releasedArtworkIds = await this.db.transaction(async (client) => {
+        const active = await client.query(
+          'SELECT id FROM artwork_holds WHERE artwork_id = $1 AND released_at IS NULL FOR UPDATE',
+          [artworkId]
+        );
+
+        if (active.rows.length === 0) {
+          return null;
+        }
+
+        return this.releaseHold(client, active.rows[0].id, reason, { adminId });
+      });
+
+      if (!releasedArtworkIds) {
+        return { success: false, error: 'This artwork has no active hold', errorType: 'HOLD_NOT_FOUND' };
+      }
+
+      console.log(`⏳ Hold on artwork ${artworkId} released as ${reason} (admin ID ${adminId})`);
+      return { success: true, releasedArtworkIds };
+
+    } catch (error) {
+      console.error('❌ Error releasing artwork hold:', error);
+      throw new Error('Failed to release hold');
+    }
+  }
+
+  /**
+   * Mark an artwork AVAILABLE or SOLD, ending its active hold in the same
+   * transaction. SOLD keeps the checkout order of the hold, AVAILABLE cancels it
+   * if unpaid. Artworks are reserved with reserveForCollector instead.
+   * @param {number} artworkId
+   * @param {string} status - AVAILABLE or SOLD
+   * @param {number} adminId
+   * @returns {Promise<Object>} releasedArtworkIds includes artworks of a cancelled checkout
+   */
+  async setArtworkStatus(artworkId, status, adminId) {
+    try {
+      const result = await this.db.transaction(async (client) => {
+        const artworkResult = await client.query('SELECT id FROM artworks WHERE id = $1 FOR UPDATE', [artworkId]);
+
+        if (artworkResult.rows.length === 0) {
+          return { success: false, error: 'Artwork not found', errorType: 'NOT_FOUND' };
+        }
+
+        const active = await client.query(
+          'SELECT id FROM artwork_holds WHERE artwork_id = $1 AND released_at IS NULL FOR UPDATE',
+          [artworkId]
+        );
+        const releasedArtworkIds = active.rows.length > 0
+          ? await this.releaseHold(client, active.rows[0].id, status === 'SOLD' ? 'SOLD' : 'RELEASED', { adminId })
+          : [];
+
+        await client.query(
+          'UPDATE artworks SET status = $2, reserved_until = NULL, updated_at = NOW() WHERE id = $1',
+          [artworkId, status]
+        );
+
+        return { success: true, releasedArtworkIds };
+      });
+
+      if (result.success) {
+        console.log(`✅ Artwork ${artworkId} marked as ${status} (admin ID ${adminId})`);
+      }
+      return result;
+
+    } catch (error) {
+      console.error('❌ Error changing artwork status:', error);
+      throw new Error('Failed to update artwork status');
+    }
+  }
+
+  /**
+   * Put every artwork whose hold has expired back on sale. A checkout hold with
+   * a payment still in progress is kept for up to PENDING_PAYMENT_GRACE longer.
+   * @returns {Promise<Array<number>>} Released artwork ids
+   */
+  async releaseExpiredHolds() {
+    try {
+      const now = new Date();
+      const expired = await this.db.query(
+        'SELECT id, order_id, expires_at FROM artwork_holds WHERE released_at IS NULL AND expires_at <= $1 ORDER BY id',
+        [now]
+      );
+
+      const releasedArtworkIds = [];
+      for (const hold of expired.rows) {
+        if (hold.order_id && await this.isAwaitingPayment(hold, now)) {
+          continue;
+        }
+
+        // Each hold in its own transaction; one checkout may release several artworks
+        const ids = await this.db.transaction(client =>
+          this.releaseHold(client, hold.id, 'EXPIRED', { expiredBefore: now })
+        );
+        releasedArtworkIds.push(...ids);
+      }
+
+      if (releasedArtworkIds.length > 0) {
+        console.log(`⏳ Released ${releasedArtworkIds.length} artwork(s) from expired holds`);
+      }
+      return releasedArtworkIds;
+
+    } catch (error) {
+      console.error('❌ Error releasing expired holds:', error);
+      throw new Error('Failed to release expired holds');
+    }
+  }
+
+  /**
+   * Whether an expired checkout hold should wait for a payment the buyer started
+   * before it ended, rather than cancel an order that is about to be paid
+   * @param {Object} hold - order_id and expires_at
+   * @param {Date} now
+   * @returns {Promise<boolean>}
+   */
+  async isAwaitingPayment(hold, now) {
+    if (new Date(hold.expires_at).getTime() + PENDING_PAYMENT_GRACE <= now.getTime()) {
+      return false;
+    }
+
+    const pending = await this.db.query(
+      `SELECT id FROM payments
+       WHERE order_id = $1 AND status = 'PENDING' AND created_at < $2
+       LIMIT 1`,
+      [hold.order_id, hold.expires_at]
+    );
+    return pending.rows.length > 0;
+  }
+
+  /**
+   * When the checkout holds of an order end
+   * @param {number} orderId
+   * @returns {Promise<Date|null>} Earliest end of its active holds, null when it has none
+   */
+  async getOrderHoldExpiry(orderId) {
+    const result = await this.db.query(
+      'SELECT MIN(expires_at) AS expires_at FROM artwork_holds WHERE order_id = $1 AND released_at IS NULL',
+      [orderId]
+    );
+    return result.rows[0].expires_at ? new Date(result.rows[0].expires_at) : null;
+  }
+
+  /**
+   * Release one hold and update its artwork. Releasing a hold of an unpaid
+   * checkout cancels that order and releases its other holds too, since the
+   * order can no longer be completed.
+   * @param {Object} client - Transaction client
+   * @param {number} holdId
+   * @param {string} reason - EXPIRED, RELEASED or SOLD
+   * @param {Object} options - adminId releasing it; expiredBefore skips holds extended since
+   * @returns {Promise<Array<number>>} Released artwork ids
+   */
+  async releaseHold(client, holdId, reason, { adminId = null, expiredBefore = null } = {}) {
+    const params = [holdId, reason, adminId];
+    let condition = 'id = $1 AND released_at IS NULL';
+
+    if (expiredBefore) {
+      params.push(expiredBefore);
+      condition += ' AND expires_at <= $4';
+    }
+
+    const released = await client.query(
+      `UPDATE artwork_holds
+       SET released_at = NOW(), release_reason = $2, released_by = $3, updated_at = NOW()
+       WHERE ${condition}
+       RETURNING *`,
+      params
+    );
+    const hold = released.rows[0];
+
+    if (!hold) {
+      return [];
+    }
+
+    await client.query(
+      `UPDATE artworks SET status = $2, reserved_until = NULL, updated_at = NOW()
+       WHERE id = $1 AND status = 'RESERVED'`,
+      [hold.artwork_id, reason === 'SOLD' ? 'SOLD' : 'AVAILABLE']
+    );
+
+    const releasedArtworkIds = [hold.artwork_id];
+
+    if (hold.order_id && reason !== 'SOLD') {
+      const cancelled = await client.query(
+        `UPDATE orders SET status = 'CANCELLED', updated_at = NOW()
+         WHERE id = $1 AND status = 'PENDING' AND payment_status IN ('PENDING', 'FAILED')
+         RETURNING order_number`,
+        [hold.order_id]
+      );
+
+      if (cancelled.rows.length > 0) {
+        console.log(`🧾 Order ${cancelled.rows[0].order_number} cancelled, its hold was ${reason.toLowerCase()}`);
+
+        const others = await client.query(
+          'SELECT id FROM artwork_holds WHERE order_id = $1 AND released_at IS NULL',
+          [hold.order_id]
+        );
+        for (const other of others.rows) {
+          releasedArtworkIds.push(...await this.releaseHold(client, other.id, reason, { adminId }));
+        }
+      }
+    }
+
+    return releasedArtworkIds;
+  }
+
+  /**
+   * Mark the artworks of an order sold, once it is paid or confirmed. Each one
+   * must still be held for the order, or be back on sale with no other hold;
+   * if any is not, nothing is changed. Every sale ends with a SOLD hold of the
+   * order, which is how a cancellation finds the artworks to put back on sale.
+   * @param {Object} client - Transaction client
+   * @param {number} orderId
+   * @returns {Promise<Object>} soldArtworkIds, or unavailableArtworkId when one was taken
+   */
+  async sellOrderArtworks(client, orderId) {
+    const items = await client.query(
+      'SELECT artwork_id FROM order_items WHERE order_id = $1 ORDER BY artwork_id',
+      [orderId]
+    );
+
+    const claims = [];
+    for (const item of items.rows) {
+      const artworkResult = await client.query(
+        'SELECT id, status, is_active FROM artworks WHERE id = $1 FOR UPDATE',
+        [item.artwork_id]
+      );
+      const holdResult = await client.query(
+        'SELECT id, order_id FROM artwork_holds WHERE artwork_id = $1 AND released_at IS NULL',
+        [item.artwork_id]
+      );
+      const artwork = artworkResult.rows[0];
+      const hold = holdResult.rows[0];
+
+      if (hold && hold.order_id === orderId) {
+        claims.push({ artworkId: item.artwork_id, holdId: hold.id });
+      } else if (!hold && artwork && artwork.is_active && artwork.status === 'AVAILABLE') {
+        claims.push({ artworkId: item.artwork_id, holdId: null });
+      } else {
+        return { success: false, unavailableArtworkId: item.artwork_id };
+      }
+    }
+
+    for (const claim of claims) {
+      if (claim.holdId) {
+        await this.releaseHold(client, claim.holdId, 'SOLD');
+      } else {
+        await client.query(
+          `UPDATE artworks SET status = 'SOLD', reserved_until = NULL, updated_at = NOW() WHERE id = $1`,
+          [claim.artworkId]
+        );
+        await client.query(
+          `INSERT INTO artwork_holds (artwork_id, order_id, expires_at, released_at, release_reason, created_at, updated_at)
+           VALUES ($1, $2, NOW(), NOW(), 'SOLD', NOW(), NOW())`,
+          [claim.artworkId, orderId]
+        );
+      }
+    }
+
+    return { success: true, soldArtworkIds: claims.map(claim => claim.artworkId) };
+  }
+
+  /**
+   * Put the artworks sold to an order back on sale, when the order is cancelled.
+   * Only artworks whose latest hold is this order's sale are released, so one
+   * since sold to someone else or marked sold by hand is left alone.
+   * @param {Object} client - Transaction client
+   * @param {number} orderId
+   * @returns {Promise<Array<number>>} Released artwork ids
+   */
+  async releaseSoldOrderArtworks(client, orderId) {
+    const released = await client.query(
+      `UPDATE artworks SET status = 'AVAILABLE', reserved_until = NULL, updated_at = NOW()
+       WHERE status = 'SOLD' AND id IN (
+         SELECT artwork_id FROM artwork_holds
+         WHERE order_id = $1 AND release_reason = 'SOLD'
+           AND id IN (SELECT MAX(id) FROM artwork_holds GROUP BY artwork_id)
+       )
+       RETURNING id`,
+      [orderId]
+    );
+
+    return released.rows.map(row => row.id);
+  }
+
+  /**
+   * Release the active holds of an order, which cancels it if still unpaid
+   * @param {Object} client - Transaction client
+   * @param {number} orderId
+   * @param {Object} options - adminId releasing them
+   * @returns {Promise<Array<number>>} Released artwork ids
+   */
+  async releaseOrderHolds(client, orderId, { adminId = null } = {}) {
+    const holds = await client.query(
+      'SELECT id FROM artwork_holds WHERE order_id = $1 AND released_at IS NULL ORDER BY artwork_id',
+      [orderId]
+    );
+
+    const releasedArtworkIds = [];
+    for (const hold of holds.rows) {
+      releasedArtworkIds.push(...await this.releaseHold(client, hold.id, 'RELEASED', { adminId }));
+    }
+    return releasedArtworkIds;
+  }
+
+  /**
+   * Insert a hold and show its end on the artwork
+   * @param {Object} client - Transaction client
+   * @param {number} artworkId
+   * @param {Object} holdData
+   * @returns {Promise<number>} Hold id
+   */
+  async createHold(client, artworkId, { orderId = null, adminId = null, holderName = null, holderEmail = null, note = null, expiresAt }) {
+    const result = await client.query(
+      `INSERT INTO artwork_holds (artwork_id, order_id, admin_id, holder_name, holder_email, note, expires_at, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
+       RETURNING id`,
+      [artworkId, orderId, adminId, holderName, holderEmail, note, expiresAt]
+    );
+
+    await client.query(
+      'UPDATE artworks SET reserved_until = $2 WHERE id = $1',
+      [artworkId, expiresAt]
+    );
+
+    return result.rows[0].id;
+  }
+
+  /**
+   * Active hold on an artwork, for admins
+   * @param {number} artworkId
+   * @returns {Promise<Object|null>}
+   */
+  async getActiveHold(artworkId) {
+    try {
+      const result = await this.db.query(
+        `${HOLD_SELECT} WHERE h.artwork_id = $1 AND h.released_at IS NULL`,
+        [artworkId]
+      );
+      return result.rows[0] ? this.formatHold(result.rows[0]) : null;
+    } catch (error) {
+      console.error('❌ Error getting artwork hold:', error);
+      throw new Error('Database error while getting hold');
+    }
+  }
+
+  /**
+   * Find a hold by id
+   * @param {number} holdId
+   * @returns {Promise<Object|null>}
+   */
+  async findHoldById(holdId) {
+    const result = await this.db.query(`${HOLD_SELECT} WHERE h.id = $1`, [holdId]);
+    return result.rows[0] ? this.formatHold(result.rows[0]) : null;
+  }
+
+  /**
+   * List holds: active ones ending soonest first, or all of them newest first
+   * @param {Object} options - page, limit, active
+   * @returns {Promise<Object>}
+   */
+  async listHolds({ page = 1, limit = 20, active = true } = {}) {
+    try {
+      const whereClause = active ? 'WHERE h.released_at IS NULL' : '';
+      const orderBy = active ? 'h.expires_at ASC, h.id ASC' : 'h.created_at DESC, h.id DESC';
+      const offset = (page - 1) * limit;
+
+      const countResult = await this.db.query(
+        `SELECT COUNT(*) AS total FROM artwork_holds h ${whereClause}`
+      );
+
+      const result = await this.db.query(
+        `${HOLD_SELECT} ${whereClause}
+         ORDER BY ${orderBy}
+         LIMIT $1 OFFSET $2`,
+        [limit, offset]
+      );
+
+      const total = parseInt(countResult.rows[0].total);
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        holds: result.rows.map(row => this.formatHold(row)),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      };
+
+    } catch (error) {
+      console.error('❌ Error listing artwork holds:', error);
+      throw new Error('Database error while listing holds');
+    }
+  }
+
+  /**
+   * Format hold row for API response (admin only, it names the holder)
+   * @param {Object} row
+   * @returns {Object}
+   */
+  formatHold(row) {
+    return {
+      id: row.id,
+      artwork: { id: row.artwork_id, name: row.artwork_name },
+      source: row.order_id ? 'CHECKOUT' : 'ADMIN',
+      order: row.order_id ? { id: row.order_id, orderNumber: row.order_number } : null,
+      placedBy: row.admin_id ? { id: row.admin_id, username: row.admin_username } : null,
+      holderName: row.holder_name,
+      holderEmail: row.holder_email,
+      note: row.note,
+      expiresAt: row.expires_at,
+      isActive: !row.released_at,
+      releasedAt: row.released_at,
+      releaseReason: row.release_reason,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+/**
+ * Release expired holds in the background
+ * @param {Object} options - intervalMs, and onRelease called with the released artwork ids
+ * @returns {Function} Stops the sweeper
+ */
+export function startReservationSweeper({ intervalMs = SWEEP_INTERVAL, onRelease = () => {} } = {}) {
+  const reservationService = new ReservationService();
+
+  const sweep = async () => {
+    try {
+      const releasedArtworkIds = await reservationService.releaseExpiredHolds();
+      if (releasedArtworkIds.length > 0) {
+        onRelease(releasedArtworkIds);
+      }
+    } catch (error) {
+      console.error('❌ Reservation sweep failed:', error);
+    }
+  };
+
+  const timer = setInterval(sweep, intervalMs);
+  // Never keep the process alive just for the sweeper
+  timer.unref();
+  sweep();
+
+  return () => clearInterval(timer);
+}
+
+export default ReservationService;
@@ -0,0 +1,67 @@
+import Database, { database } from './database.js';
+
+// Settings are read on every admin request, so keep them in memory briefly
+const CACHE_TTL = 30 * 1000;
+const cache = new Map();
+
+/**
+ * Professional Settings Service
+ * Site-wide settings stored as JSON values in app_settings
+ */
+class SettingsService {
+  /**
+   * @param {Database} [db] - Defaults to the shared connection pool
+   */
+  constructor(db = database) {
+    this.db = db;
+  }
+
+  /**
+   * Read a setting
+   * @param {string} key
+   * @param {*} defaultValue - Returned when the setting was never saved
+   * @returns {Promise<*>}
+   */
+  async get(key, defaultValue = null) {
+    const cached = cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.value ?? defaultValue;
+    }
+
+    try {
+      const result = await this.db.query('SELECT value FROM app_settings WHERE key = $1', [key]);
+      const value = result.rows[0] ? JSON.parse(result.rows[0].value) : null;
+
+      cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL });
+      return value ?? defaultValue;
+    } catch (error) {
+      console.error('❌ Error reading setting:', error);
+      throw new Error('Database error while reading settings');
+    }
+  }
+
+  /**
+   * Save a setting
+   * @param {string} key
+   * @param {*} value - Any JSON-serializable value
+   * @param {number} [adminId] - Admin making the change
+   * @returns {Promise<void>}
+   */
+  async set(key, value, adminId = null) {
+    try {
+      await this.db.query(
+        `INSERT INTO app_settings (key, value, updated_by, updated_at)
+         VALUES ($1, $2, $3, NOW())
+         ON CONFLICT (key) DO UPDATE SET value = $2, updated_by = $3, updated_at = NOW()`,
+        [key, JSON.stringify(value), adminId]
+      );
+
+      cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL });
+    } catch (error) {
+      console.error('❌ Error saving setting:', error);
+      throw new Error('Failed to save setting');
+    }
+  }
+}
+
+export default SettingsService;
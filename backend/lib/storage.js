@@ -0,0 +1,249 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import {
+  STORAGE_DRIVER,
+  SIGNED_URL_TTL,
+  UPLOAD_DIR,
+  UPLOAD_URL_PREFIX,
+  PRIVATE_UPLOAD_DIR,
+  PRIVATE_UPLOAD_URL_PREFIX,
+  PRIVATE_ORIGINALS,
+  STORAGE_SIGNING_SECRET,
+  S3_CONFIG
+} from '../config/upload.js';
+
+/**
+ * Upload Storage
+ * Drivers that store upload files and build the URLs they are served from.
+ *
+ * Keys are "<visibility>/<filename>", e.g. "public/image-1750870944587-615461801-card.webp"
+ * or "private/image-1750870944587-615461801.jpeg". getUrl() gives the stable address of
+ * an object; private objects are only readable through getSignedUrl(), which expires.
+ */
+
+const CACHE_CONTROL = 'public, max-age=604800'; // 7 days, same as the static middleware
+
+/**
+ * Build a storage key for a file name
+ * @param {string} filename
+ * @param {Object} [options]
+ * @param {boolean} [options.isPrivate]
+ * @returns {string}
+ */
+export const storageKey = (filename, { isPrivate = false } = {}) => {
+  return `${isPrivate ? 'private' : 'public'}/${path.basename(filename)}`;
+};
+
+/**
+ * Whether a key points at a private object
+ * @param {string} key
+ * @returns {boolean}
+ */
+export const isPrivateKey = (key) => key.startsWith('private/');
+
+// =============================================================================
+// LOCAL FILESYSTEM DRIVER
+// =============================================================================
+
+export class LocalStorage {
+  constructor() {
+    if (PRIVATE_ORIGINALS && !STORAGE_SIGNING_SECRET) {
+      throw new Error('STORAGE_PRIVATE_ORIGINALS=true requires STORAGE_SIGNING_SECRET with the local driver');
+    }
+
+    this.driver = 'local';
+  }
+
+  /**
+   * Absolute path of a key on disk
+   * @param {string} key
+   * @returns {string}
+   */
+  resolvePath(key) {
+    const root = isPrivateKey(key) ? PRIVATE_UPLOAD_DIR : UPLOAD_DIR;
+    return path.join(root, path.basename(key));
+  }
+
+  async put(key, data) {
+    const filePath = this.resolvePath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, data);
+  }
+
+  async get(key) {
+    return fs.readFile(this.resolvePath(key));
+  }
+
+  async exists(key) {
+    try {
+      await fs.access(this.resolvePath(key));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async delete(key) {
+    try {
+      await fs.unlink(this.resolvePath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  getUrl(key) {
+    const prefix = isPrivateKey(key) ? PRIVATE_UPLOAD_URL_PREFIX : UPLOAD_URL_PREFIX;
+    return `${prefix}/${path.basename(key)}`;
+  }
+
+  async getSignedUrl(key, expiresIn = SIGNED_URL_TTL) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    return `${this.getUrl(key)}?expires=${expires}&signature=${this.sign(key, expires)}`;
+  }
+
+  sign(key, expires) {
+    // Private files uploaded before originals were made public again still need it
+    if (!STORAGE_SIGNING_SECRET) {
+      throw new Error('STORAGE_SIGNING_SECRET is required to sign private upload URLs');
+    }
+
+    return crypto
+      .createHmac('sha256', STORAGE_SIGNING_SECRET)
+      .update(`${key}:${expires}`)
+      .digest('hex');
+  }
+
+  /**
+   * Check a signed URL issued by getSignedUrl
+   * @param {string} key
+   * @param {string|number} expires - Unix time in seconds
+   * @param {string} signature
+   * @returns {boolean}
+   */
+  verifySignature(key, expires, signature) {
+    const expiresAt = parseInt(expires);
+
+    if (!STORAGE_SIGNING_SECRET || !expiresAt || expiresAt < Math.floor(Date.now() / 1000) || typeof signature !== 'string') {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(key, expiresAt));
+    const provided = Buffer.from(signature);
+
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+  }
+}
+
+// =============================================================================
+// S3-COMPATIBLE DRIVER
+// =============================================================================
+
+export class S3Storage {
+  constructor(config = S3_CONFIG) {
+    if (!config.bucket) {
+      throw new Error('S3_BUCKET is required when STORAGE_DRIVER=s3');
+    }
+
+    this.driver = 's3';
+    this.bucket = config.bucket;
+    this.client = new S3Client({
+      region: config.region,
+      endpoint: config.endpoint,
+      forcePathStyle: config.forcePathStyle,
+      credentials: config.accessKeyId
+        ? { accessKeyId: config.accessKeyId, secretAccessKey: config.secretAccessKey }
+        : undefined
+    });
+
+    this.publicUrl = (config.publicUrl || this.defaultPublicUrl(config)).replace(/\/$/, '');
+  }
+
+  defaultPublicUrl({ endpoint, region, forcePathStyle }) {
+    if (endpoint) {
+      const base = endpoint.replace(/\/$/, '');
+      return forcePathStyle
+        ? `${base}/${this.bucket}`
+        : base.replace('://', `://${this.bucket}.`);
+    }
+    return `https://${this.bucket}.s3.${region}.amazonaws.com`;
+  }
+
+  async put(key, data, { contentType } = {}) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: data,
+      ContentType: contentType,
+      CacheControl: isPrivateKey(key) ? 'private, no-store' : CACHE_CONTROL
+    }));
+  }
+
+  async get(key) {
+    const response = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+    return Buffer.from(await response.Body.transformToByteArray());
+  }
+
+  async exists(key) {
+    try {
+      await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: key }));
+      return true;
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+
+  // Public objects need a bucket policy allowing anonymous reads of "public/*"
+  getUrl(key) {
+    return `${this.publicUrl}/${key}`;
+  }
+
+  async getSignedUrl(key, expiresIn = SIGNED_URL_TTL) {
+    return getSignedUrl(
+      this.client,
+      new GetObjectCommand({ Bucket: this.bucket, Key: key }),
+      { expiresIn }
+    );
+  }
+}
+
+// =============================================================================
+// DRIVER SELECTION
+// =============================================================================
+
+/**
+ * Create a storage driver
+ * @param {string} [driver] - "local" or "s3", defaults to STORAGE_DRIVER
+ * @returns {LocalStorage|S3Storage}
+ */
+export function createStorage(driver = STORAGE_DRIVER) {
+  switch (driver) {
+    case 'local':
+      return new LocalStorage();
+    case 's3':
+      return new S3Storage();
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}". Use "local" or "s3"`);
+  }
+}
+
+const storage = createStorage();
+
+export default storage;
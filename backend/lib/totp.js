@@ -0,0 +1,176 @@
+/**
+ * TOTP Helpers
+ * RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 second steps),
+ * compatible with Google Authenticator, 1Password, Authy...
+ */
+
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+
+/**
+ * Encode bytes as unpadded base32 (the format authenticator apps expect)
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string, ignoring case, spaces and padding
+ * @param {string} input
+ * @returns {Buffer}
+ */
+export const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random base32 secret (160 bits)
+ * @returns {string}
+ */
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Time step for a moment in time
+ * @param {number} [timestamp] - Milliseconds
+ * @returns {number}
+ */
+export const timeStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / STEP_SECONDS);
+
+/**
+ * Code for a base32 secret at a time step
+ * @param {string} secret
+ * @param {number} step
+ * @returns {string}
+ */
+export const generateCode = (secret, step = timeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Check a code, tolerating one step of clock drift in each direction
+ * @param {string} secret
+ * @param {string} code
+ * @param {Object} [options] - lastUsedStep: steps up to this one are rejected (replay protection)
+ * @returns {number|null} The matching time step, or null
+ */
+export const verifyCode = (secret, code, { lastUsedStep = null, window = 1 } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const current = timeStep();
+
+  for (let step = current - window; step <= current + window; step++) {
+    if (lastUsedStep !== null && step <= lastUsedStep) {
+      continue;
+    }
+
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * otpauth:// URI that authenticator apps import (usually from a QR code)
+ * @param {Object} params - secret, accountName, issuer
+ * @returns {string}
+ */
+export const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const query = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${query}`;
+};
+
+// =============================================================================
+// SECRET ENCRYPTION
+// =============================================================================
+
+/**
+ * Encrypt a secret for storage (AES-256-GCM)
+ * @param {string} plaintext
+ * @param {string} key - Any string; it is hashed into a 256-bit key
+ * @returns {string} iv:tag:ciphertext in base64
+ */
+export const encryptSecret = (plaintext, key) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', crypto.createHash('sha256').update(key).digest(), iv);
+  const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+};
+
+/**
+ * Decrypt a secret produced by encryptSecret
+ * @param {string} stored
+ * @param {string} key
+ * @returns {string}
+ */
+export const decryptSecret = (stored, key) => {
+  const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', crypto.createHash('sha256').update(key).digest(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
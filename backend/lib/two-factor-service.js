@@ -0,0 +1,322 @@
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import Database, { database } from './database.js';
+import SettingsService from './settings-service.js';
+import {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret
+} from './totp.js';
+
+const TOTP_ISSUER = 'ELOUARATE ART';
+const RECOVERY_CODE_COUNT = 10;
+
+// Setting that forces every admin to enroll before using the admin panel
+export const REQUIRE_TWO_FACTOR_SETTING = 'admin.require_two_factor';
+
+/**
+ * Hash a recovery code for storage, ignoring case and separators
+ * @param {string} code
+ * @returns {string}
+ */
+const hashRecoveryCode = (code) => {
+  const normalized = String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * Professional Two-Factor Service
+ * TOTP enrollment, code verification and recovery codes for admin accounts
+ */
+class TwoFactorService {
+  /**
+   * @param {Database} [db] - Defaults to the shared connection pool
+   */
+  constructor(db = database) {
+    this.db = db;
+    this.settings = new SettingsService(db);
+    // TOTP secrets are encrypted at rest with this key
+    this.encryptionKey = process.env.TOTP_ENCRYPTION_KEY || null;
+  }
+
+  /**
+   * Key TOTP secrets are encrypted with. It has no fallback, so without it
+   * enrollment and code checks fail instead of using a guessable key.
+   * @returns {string}
+   */
+  getEncryptionKey() {
+    if (!this.encryptionKey) {
+      throw new Error('TOTP_ENCRYPTION_KEY is required for two-factor authentication');
+    }
+    return this.encryptionKey;
+  }
+
+  /**
+   * Whether owners require 2FA for every admin
+   * @returns {Promise<boolean>}
+   */
+  async isRequired() {
+    return (await this.settings.get(REQUIRE_TWO_FACTOR_SETTING, false)) === true;
+  }
+
+  /**
+   * Require (or stop requiring) 2FA for every admin
+   * @param {boolean} required
+   * @param {number} adminId - Admin making the change
+   * @returns {Promise<void>}
+   */
+  async setRequired(required, adminId) {
+    await this.settings.set(REQUIRE_TWO_FACTOR_SETTING, required, adminId);
+    console.log(`🔐 Two-factor authentication ${required ? 'required' : 'optional'} for all admins (admin ID ${adminId})`);
+  }
+
+  /**
+   * 2FA state of an admin
+   * @param {number} adminId
+   * @returns {Promise<Object>}
+   */
+  async getStatus(adminId) {
+    try {
+      const admin = await this.db.query('SELECT totp_enabled, totp_enabled_at FROM admins WHERE id = $1', [adminId]);
+      const codes = await this.db.query(
+        'SELECT COUNT(*) AS count FROM admin_recovery_codes WHERE admin_id = $1 AND used_at IS NULL',
+        [adminId]
+      );
+
+      return {
+        enabled: admin.rows[0]?.totp_enabled === true,
+        enabledAt: admin.rows[0]?.totp_enabled_at || null,
+        recoveryCodesRemaining: parseInt(codes.rows[0].count),
+        required: await this.isRequired()
+      };
+    } catch (error) {
+      console.error('❌ Error reading two-factor status:', error);
+      throw new Error('Database error while reading two-factor status');
+    }
+  }
+
+  /**
+   * Start enrollment: store a new (not yet active) secret and return what the
+   * authenticator app needs. Calling it again replaces an unconfirmed secret.
+   * @param {Object} admin - id and email
+   * @returns {Promise<Object>}
+   */
+  async startEnrollment(admin) {
+    try {
+      const current = await this.db.query('SELECT totp_enabled FROM admins WHERE id = $1', [admin.id]);
+
+      if (current.rows[0]?.totp_enabled) {
+        return { success: false, error: 'Two-factor authentication is already enabled', errorType: 'ALREADY_ENABLED' };
+      }
+
+      const secret = generateSecret();
+      const otpauthUri = buildOtpauthUri({ secret, accountName: admin.email, issuer: TOTP_ISSUER });
+
+      await this.db.query(
+        'UPDATE admins SET totp_secret = $1, totp_enabled = false, totp_last_step = NULL, updated_at = NOW() WHERE id = $2',
+        [encryptSecret(secret, this.getEncryptionKey()), admin.id]
+      );
+
+      return {
+        success: true,
+        enrollment: {
+          secret,
+          otpauthUri,
+          qrCode: await QRCode.toDataURL(otpauthUri)
+        }
+      };
+    } catch (error) {
+      console.error('❌ Error starting two-factor enrollment:', error);
+      throw new Error('Failed to start two-factor enrollment');
+    }
+  }
+
+  /**
+   * Activate 2FA with a first code from the app and issue recovery codes
+   * @param {number} adminId
+   * @param {string} code
+   * @returns {Promise<Object>} recoveryCodes are only ever returned here and on regeneration
+   */
+  async confirmEnrollment(adminId, code) {
+    try {
+      const result = await this.db.query(
+        'SELECT totp_secret, totp_enabled FROM admins WHERE id = $1',
+        [adminId]
+      );
+      const admin = result.rows[0];
+
+      if (admin?.totp_enabled) {
+        return { success: false, error: 'Two-factor authentication is already enabled', errorType: 'ALREADY_ENABLED' };
+      }
+      if (!admin?.totp_secret) {
+        return { success: false, error: 'Start two-factor enrollment first', errorType: 'NOT_ENROLLING' };
+      }
+
+      const step = verifyCode(decryptSecret(admin.totp_secret, this.getEncryptionKey()), code);
+      if (step === null) {
+        return { success: false, error: 'Invalid verification code', errorType: 'INVALID_2FA_CODE' };
+      }
+
+      const recoveryCodes = await this.db.transaction(async (client) => {
+        await client.query(
+          `UPDATE admins
+           SET totp_enabled = true, totp_last_step = $1, totp_enabled_at = NOW(), updated_at = NOW()
+           WHERE id = $2`,
+          [step, adminId]
+        );
+
+        return this.replaceRecoveryCodes(client, adminId);
+      });
+
+      console.log(`✅ Two-factor authentication enabled for admin ID: ${adminId}`);
+      return { success: true, recoveryCodes };
+    } catch (error) {
+      console.error('❌ Error confirming two-factor enrollment:', error);
+      throw new Error('Failed to confirm two-factor enrollment');
+    }
+  }
+
+  /**
+   * Check a TOTP code or a one-time recovery code of an enrolled admin
+   * @param {number} adminId
+   * @param {Object} verification - code or recoveryCode
+   * @returns {Promise<boolean>}
+   */
+  async verify(adminId, { code, recoveryCode }) {
+    try {
+      if (recoveryCode) {
+        const used = await this.db.query(
+          `UPDATE admin_recovery_codes SET used_at = NOW()
+           WHERE admin_id = $1 AND code_hash = $2 AND used_at IS NULL
+           RETURNING id`,
+          [adminId, hashRecoveryCode(recoveryCode)]
+        );
+
+        if (used.rows.length > 0) {
+          console.warn(`⚠️  Recovery code used by admin ID: ${adminId}`);
+        }
+        return used.rows.length > 0;
+      }
+
+      const result = await this.db.query(
+        'SELECT totp_secret, totp_last_step FROM admins WHERE id = $1 AND totp_enabled = true',
+        [adminId]
+      );
+      const admin = result.rows[0];
+
+      if (!admin) {
+        return false;
+      }
+
+      const lastUsedStep = admin.totp_last_step === null ? null : Number(admin.totp_last_step);
+      const step = verifyCode(decryptSecret(admin.totp_secret, this.getEncryptionKey()), code, { lastUsedStep });
+
+      if (step === null) {
+        return false;
+      }
+
+      // Each code works once; a concurrent request with the same code loses here
+      const claimed = await this.db.query(
+        `UPDATE admins SET totp_last_step = $1
+         WHERE id = $2 AND (totp_last_step IS NULL OR totp_last_step < $1)
+         RETURNING id`,
+        [step, adminId]
+      );
+
+      return claimed.rows.length > 0;
+    } catch (error) {
+      console.error('❌ Error verifying two-factor code:', error);
+      throw new Error('Failed to verify two-factor code');
+    }
+  }
+
+  /**
+   * Replace the recovery codes of an enrolled admin after checking a code
+   * @param {number} adminId
+   * @param {Object} verification - code or recoveryCode
+   * @returns {Promise<Object>}
+   */
+  async regenerateRecoveryCodes(adminId, verification) {
+    if (!(await this.verify(adminId, verification))) {
+      return { success: false, error: 'Invalid verification code', errorType: 'INVALID_2FA_CODE' };
+    }
+
+    try {
+      const recoveryCodes = await this.db.transaction(client => this.replaceRecoveryCodes(client, adminId));
+      return { success: true, recoveryCodes };
+    } catch (error) {
+      console.error('❌ Error regenerating recovery codes:', error);
+      throw new Error('Failed to regenerate recovery codes');
+    }
+  }
+
+  /**
+   * Turn 2FA off after checking a code. Not allowed while owners require 2FA.
+   * @param {number} adminId
+   * @param {Object} verification - code or recoveryCode
+   * @returns {Promise<Object>}
+   */
+  async disable(adminId, verification) {
+    if (await this.isRequired()) {
+      return { success: false, error: 'Two-factor authentication is required for all admins', errorType: 'TWO_FACTOR_REQUIRED' };
+    }
+
+    if (!(await this.verify(adminId, verification))) {
+      return { success: false, error: 'Invalid verification code', errorType: 'INVALID_2FA_CODE' };
+    }
+
+    try {
+      await this.reset(adminId);
+      console.log(`🔓 Two-factor authentication disabled for admin ID: ${adminId}`);
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Error disabling two-factor authentication:', error);
+      throw new Error('Failed to disable two-factor authentication');
+    }
+  }
+
+  /**
+   * Remove the secret and recovery codes of an admin
+   * @param {number} adminId
+   * @returns {Promise<void>}
+   */
+  async reset(adminId) {
+    await this.db.transaction(async (client) => {
+      await client.query(
+        `UPDATE admins
+         SET totp_secret = NULL, totp_enabled = false, totp_last_step = NULL, totp_enabled_at = NULL, updated_at = NOW()
+         WHERE id = $1`,
+        [adminId]
+      );
+      await client.query('DELETE FROM admin_recovery_codes WHERE admin_id = $1', [adminId]);
+    });
+  }
+
+  /**
+   * Swap the recovery codes of an admin for a fresh set
+   * @param {Object} client - Transaction client
+   * @param {number} adminId
+   * @returns {Promise<string[]>} The plain codes, formatted xxxxx-xxxxx
+   */
+  async replaceRecoveryCodes(client, adminId) {
+    await client.query('DELETE FROM admin_recovery_codes WHERE admin_id = $1', [adminId]);
+
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+      const raw = crypto.randomBytes(5).toString('hex');
+      const code = `${raw.slice(0, 5)}-${raw.slice(5)}`;
+
+      await client.query(
+        'INSERT INTO admin_recovery_codes (admin_id, code_hash) VALUES ($1, $2)',
+        [adminId, hashRecoveryCode(code)]
+      );
+      codes.push(code);
+    }
+
+    return codes;
+  }
+}
+
+export default TwoFactorService;
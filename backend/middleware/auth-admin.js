@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
-import AdminService from '../lib/admin-service.js';
+import AdminService, { ADMIN_TOKEN_OPTIONS } from '../lib/admin-service.js';
+import { getRolePermissions } from '../config/roles.js';
 
 const adminService = new AdminService();
 
@@ -13,9 +14,11 @@ const formatError = (message, error = 'UNAUTHORIZED', statusCode = 401) => ({
 });
 
 /**
- * Verify admin JWT token
+ * Build the admin JWT check
+ * @param {Object} options - allowTwoFactorSetup: let admins who still have to
+ *   enroll in required 2FA through (enrollment, profile and logout routes)
  */
-export const verifyAdminToken = async (req, res, next) => {
+const createAdminTokenCheck = ({ allowTwoFactorSetup = false } = {}) => async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
     
@@ -26,16 +29,18 @@ export const verifyAdminToken = async (req, res, next) => {
     const token = authHeader.split(' ')[1];
     
     try {
-      const decoded = jwt.verify(
-        token, 
-        process.env.JWT_SECRET || 'development-jwt-secret'
-      );
+      const decoded = jwt.verify(token, adminService.jwtSecret, ADMIN_TOKEN_OPTIONS);
 
       // Ensure token is for admin
       if (decoded.type !== 'admin') {
         return res.status(401).json(formatError('Invalid token type'));
       }
 
+      // Tokens of a logged out or revoked session stop working immediately
+      if (!decoded.sid || !(await adminService.validateSession(decoded.id, decoded.sid))) {
+        return res.status(401).json(formatError('Session has been revoked', 'SESSION_REVOKED'));
+      }
+
       // Get admin from database
       const admin = await adminService.findAdminById(decoded.id);
       
@@ -43,15 +48,28 @@ export const verifyAdminToken = async (req, res, next) => {
         return res.status(401).json(formatError('Admin not found'));
       }
 
-      if (!admin.isActive) {
+      if (!admin.is_active) {
         return res.status(401).json(formatError('Admin account is inactive'));
       }
 
+      if (!allowTwoFactorSetup && !admin.totp_enabled && await adminService.twoFactor.isRequired()) {
+        return res.status(403).json(formatError(
+          'Two-factor authentication must be set up before continuing',
+          'TWO_FACTOR_SETUP_REQUIRED',
+          403
+        ));
+      }
+
       // Attach admin to request
       req.admin = {
         id: admin.id,
         username: admin.username,
-        email: admin.email
+        email: admin.email,
+        // The token carries the role for the frontend; checks use the stored one
+        role: admin.role,
+        permissions: getRolePermissions(admin.role),
+        twoFactorEnabled: admin.totp_enabled === true,
+        sessionId: decoded.sid
       };
 
       next();
@@ -74,6 +92,16 @@ export const verifyAdminToken = async (req, res, next) => {
   }
 };
 
+/**
+ * Verify admin JWT token
+ */
+export const verifyAdminToken = createAdminTokenCheck();
+
+/**
+ * Verify admin JWT token, also accepting admins who must still enroll in 2FA
+ */
+export const verifyAdminTokenForTwoFactorSetup = createAdminTokenCheck({ allowTwoFactorSetup: true });
+
 /**
  * Verify admin refresh token
  */
@@ -86,10 +114,7 @@ export const verifyAdminRefreshToken = async (req, res, next) => {
     }
 
     try {
-      const decoded = jwt.verify(
-        refreshToken,
-        process.env.JWT_REFRESH_SECRET || 'development-refresh-secret'
-      );
+      const decoded = jwt.verify(refreshToken, adminService.jwtRefreshSecret, ADMIN_TOKEN_OPTIONS);
 
       // Ensure token is for admin refresh
       if (decoded.type !== 'admin_refresh') {
@@ -103,21 +128,26 @@ export const verifyAdminRefreshToken = async (req, res, next) => {
         return res.status(401).json(formatError('Admin not found'));
       }
 
-      if (!admin.isActive) {
+      if (!admin.is_active) {
         return res.status(401).json(formatError('Admin account is inactive'));
       }
 
-      // Generate new tokens
-      const tokens = adminService.generateTokens(admin);
+      // Rotate: the presented token is spent and a new pair is issued
+      const rotation = await adminService.rotateRefreshToken(decoded, admin);
+
+      if (!rotation.success) {
+        return res.status(401).json(formatError(rotation.error, rotation.errorType));
+      }
 
       // Attach tokens to response
-      res.locals.tokens = tokens;
+      res.locals.tokens = rotation.tokens;
       
       // Attach admin to request
       req.admin = {
         id: admin.id,
         username: admin.username,
-        email: admin.email
+        email: admin.email,
+        sessionId: decoded.family
       };
 
       next();
@@ -138,4 +168,26 @@ export const verifyAdminRefreshToken = async (req, res, next) => {
       500
     ));
   }
-}; 
\ No newline at end of file
+};
+
+/**
+ * Require the authenticated admin to hold every listed permission.
+ * Use after verifyAdminToken, e.g. `verifyAdminToken, requirePermission('artworks:write')`
+ * @param {...string} permissions
+ */
+export const requirePermission = (...permissions) => (req, res, next) => {
+  if (!req.admin) {
+    return res.status(401).json(formatError('Authentication required'));
+  }
+
+  const missing = permissions.filter(permission => !req.admin.permissions.includes(permission));
+
+  if (missing.length > 0) {
+    return res.status(403).json({
+      ...formatError('Insufficient permissions', 'FORBIDDEN', 403),
+      requiredPermissions: missing
+    });
+  }
+
+  next();
+};
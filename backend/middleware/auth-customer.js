@@ -0,0 +1,156 @@
+import jwt from 'jsonwebtoken';
+import CustomerAuthService, {
+  CUSTOMER_TOKEN_ISSUER,
+  CUSTOMER_TOKEN_AUDIENCE
+} from '../lib/customer-auth-service.js';
+
+const customerAuthService = new CustomerAuthService();
+
+// Only tokens issued to customers are accepted here
+const CUSTOMER_TOKEN_OPTIONS = { issuer: CUSTOMER_TOKEN_ISSUER, audience: CUSTOMER_TOKEN_AUDIENCE };
+
+// Format error response
+const formatError = (message, error = 'UNAUTHORIZED', statusCode = 401) => ({
+  success: false,
+  message,
+  error,
+  statusCode,
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Verify customer JWT token
+ */
+export const verifyCustomerToken = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json(formatError('No token provided'));
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    try {
+      const decoded = jwt.verify(token, customerAuthService.jwtSecret, CUSTOMER_TOKEN_OPTIONS);
+
+      if (decoded.type !== 'customer') {
+        return res.status(401).json(formatError('Invalid token type'));
+      }
+
+      // Tokens of a signed out device stop working immediately
+      if (!decoded.sid || !(await customerAuthService.isFamilyActive(decoded.id, decoded.sid))) {
+        return res.status(401).json(formatError('Session has been revoked', 'SESSION_REVOKED'));
+      }
+
+      const user = await customerAuthService.findUserById(decoded.id);
+
+      if (!user) {
+        return res.status(401).json(formatError('Account not found'));
+      }
+
+      if (!user.is_active) {
+        return res.status(401).json(formatError('Account is inactive'));
+      }
+
+      req.user = {
+        id: user.id,
+        email: user.email,
+        firstName: user.first_name,
+        lastName: user.last_name,
+        isEmailVerified: user.is_email_verified === true,
+        sessionId: decoded.sid
+      };
+
+      next();
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        return res.status(401).json(formatError('Token expired'));
+      }
+      if (error.name === 'JsonWebTokenError') {
+        return res.status(401).json(formatError('Invalid token'));
+      }
+      throw error;
+    }
+  } catch (error) {
+    console.error('Customer auth error:', error);
+    res.status(500).json(formatError(
+      'Authentication failed',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+};
+
+/**
+ * Verify customer refresh token and rotate it
+ */
+export const verifyCustomerRefreshToken = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(401).json(formatError('No refresh token provided'));
+    }
+
+    try {
+      const decoded = jwt.verify(refreshToken, customerAuthService.jwtRefreshSecret, CUSTOMER_TOKEN_OPTIONS);
+
+      if (decoded.type !== 'customer_refresh') {
+        return res.status(401).json(formatError('Invalid refresh token type'));
+      }
+
+      const user = await customerAuthService.findUserById(decoded.id);
+
+      if (!user) {
+        return res.status(401).json(formatError('Account not found'));
+      }
+
+      if (!user.is_active) {
+        return res.status(401).json(formatError('Account is inactive'));
+      }
+
+      // Rotate: the presented token is spent and a new pair is issued
+      const rotation = await customerAuthService.rotateRefreshToken(decoded, user);
+
+      if (!rotation.success) {
+        return res.status(401).json(formatError(rotation.error, rotation.errorType));
+      }
+
+      res.locals.tokens = rotation.tokens;
+      req.user = {
+        id: user.id,
+        email: user.email,
+        sessionId: decoded.family
+      };
+
+      next();
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        return res.status(401).json(formatError('Refresh token expired'));
+      }
+      if (error.name === 'JsonWebTokenError') {
+        return res.status(401).json(formatError('Invalid refresh token'));
+      }
+      throw error;
+    }
+  } catch (error) {
+    console.error('Customer refresh error:', error);
+    res.status(500).json(formatError(
+      'Token refresh failed',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+};
+
+/**
+ * Verify the customer token when one is sent; guests continue without req.user
+ */
+export const optionalCustomerToken = (req, res, next) => {
+  if (!req.headers.authorization) {
+    return next();
+  }
+
+  return verifyCustomerToken(req, res, next);
+};
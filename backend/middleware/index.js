@@ -7,6 +7,9 @@ import helmet from 'helmet';
 import compression from 'compression';
 import express from 'express';
 import morgan from 'morgan';
+import { UPLOAD_DIR, UPLOAD_URL_PREFIX, PRIVATE_UPLOAD_URL_PREFIX } from '../config/upload.js';
+import storage from '../lib/storage.js';
+import { serveSignedUpload } from './upload.js';
 
 // Import your existing middleware
 import { verifyAdminToken } from './auth-admin.js';
@@ -27,8 +30,13 @@ export function setupMiddleware(app) {
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH']
   }));
 
-  // Body parsing
-  app.use(express.json({ limit: '10mb' }));
+  // Body parsing (the raw body is kept for webhook signature checks)
+  app.use(express.json({
+    limit: '10mb',
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
   app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
   // Logging
@@ -36,6 +44,12 @@ export function setupMiddleware(app) {
 
   // Compression
   app.use(compression());
+
+  // Uploaded artwork images (the S3 driver serves them from the bucket instead)
+  if (storage.driver === 'local') {
+    app.use(UPLOAD_URL_PREFIX, express.static(UPLOAD_DIR, { maxAge: '7d' }));
+    app.get(`${PRIVATE_UPLOAD_URL_PREFIX}/:filename`, serveSignedUpload);
+  }
 }
 
 // Export your existing middleware
@@ -165,10 +165,20 @@ export const longCache = cacheMiddleware(900); // 15 minutes
 // Categories cache (rarely change)
 export const categoriesCache = cacheMiddleware(1800, (req) => 'categories:all'); // 30 minutes
 
+// Single category page with its artworks (shares the categories: prefix)
+export const categoryCache = cacheMiddleware(300, (req) => {
+  const { page = 1, limit = 12, sortBy = 'created_at', sortOrder = 'desc' } = req.query;
+  return `categories:${req.params.id}:${page}:${limit}:${sortBy}:${sortOrder}`;
+});
+
 // Artworks cache with query parameters
 export const artworksCache = cacheMiddleware(300, (req) => {
-  const { page = 1, limit = 12, category, search, minPrice, maxPrice } = req.query;
-  return `artworks:${page}:${limit}:${category || 'all'}:${search || 'none'}:${minPrice || '0'}:${maxPrice || 'max'}`;
+  const {
+    page = 1, limit = 12, category, search, minPrice, maxPrice,
+    status, featured, year, medium, sortBy = 'created_at', sortOrder = 'desc'
+  } = req.query;
+  return `artworks:${page}:${limit}:${category || 'all'}:${search || 'none'}:${minPrice || '0'}:${maxPrice || 'max'}` +
+    `:${status || 'any'}:${featured ?? 'any'}:${year || 'any'}:${medium || 'any'}:${sortBy}:${sortOrder}`;
 });
 
 // Health check cache (very short)
@@ -279,8 +289,10 @@ export const invalidateCache = {
   
   // Invalidate categories cache
   categories: () => {
-    cache.delete('categories:all');
-    console.log('🗑️ Categories cache invalidated');
+    const keys = [...cache.cache.keys()];
+    const categoryKeys = keys.filter(key => key.startsWith('categories:'));
+    categoryKeys.forEach(key => cache.delete(key));
+    console.log(`🗑️ Invalidated ${categoryKeys.length} category cache entries`);
   },
   
   // Invalidate by pattern
@@ -365,6 +377,7 @@ export default {
   mediumCache,
   longCache,
   categoriesCache,
+  categoryCache,
   artworksCache,
   healthCache,
   performanceMonitor,
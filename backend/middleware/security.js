@@ -3,6 +3,7 @@
  * Enterprise-grade security for production deployment
  */
 
+import crypto from 'crypto';
 import rateLimit from 'express-rate-limit';
 import validator from 'validator';
 
@@ -42,6 +43,48 @@ export const registrationRateLimit = rateLimit({
   keyGenerator: (req) => `registration-${req.ip}`
 });
 
+// Account email rate limiting (verification, password reset and email change links)
+export const accountEmailRateLimit = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // 5 emails per hour per IP
+  message: {
+    success: false,
+    error: 'Too many email requests. Please try again in 1 hour.',
+    retryAfter: '1 hour'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `account-email-${req.ip}`
+});
+
+// Public contact form rate limiting
+export const inquiryRateLimit = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // 5 inquiries per hour per IP
+  message: {
+    success: false,
+    error: 'Too many messages sent. Please try again in 1 hour.',
+    retryAfter: '1 hour'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `inquiry-${req.ip}`
+});
+
+// Checkout rate limiting (each order holds its artworks)
+export const checkoutRateLimit = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // 10 orders per hour per IP
+  message: {
+    success: false,
+    error: 'Too many orders placed. Please try again in 1 hour.',
+    retryAfter: '1 hour'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `checkout-${req.ip}`
+});
+
 // API general rate limiting
 export const apiRateLimit = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -234,6 +277,36 @@ export const securityHeaders = (req, res, next) => {
   next();
 };
 
+// User-Agent patterns for crawlers, link previewers and scripted clients
+const botUserAgentPatterns = [
+  /bot/i,
+  /crawl/i,
+  /spider/i,
+  /slurp/i,
+  /facebookexternalhit/i,
+  /embedly/i,
+  /preview/i,
+  /headless/i,
+  /lighthouse/i,
+  /curl\//i,
+  /wget\//i,
+  /python-requests/i,
+  /axios\//i,
+  /node-fetch/i
+];
+
+// Detect automated clients from the User-Agent header
+export const isBotRequest = (req) => {
+  const userAgent = req.get('User-Agent');
+
+  // Real browsers always send a User-Agent
+  if (!userAgent) {
+    return true;
+  }
+
+  return botUserAgentPatterns.some(pattern => pattern.test(userAgent));
+};
+
 // Request logging for security monitoring
 export const securityLogger = (req, res, next) => {
   const startTime = Date.now();
@@ -334,6 +407,86 @@ export const enhancedAuth = (req, res, next) => {
   }
 };
 
+// =============================================================================
+// SPAM PROTECTION
+// =============================================================================
+
+const FORM_TOKEN_MAX_AGE = 24 * 60 * 60 * 1000; // 24 hours
+export const MIN_FORM_SUBMIT_SECONDS = parseInt(process.env.MIN_FORM_SUBMIT_SECONDS) || 3;
+
+// No default: anyone knowing it could mint tokens that skip the time check
+const FORM_TOKEN_SECRET = process.env.FORM_TOKEN_SECRET;
+
+const signFormTimestamp = (issuedAt) => {
+  if (!FORM_TOKEN_SECRET) {
+    throw new Error('FORM_TOKEN_SECRET is required to sign form tokens');
+  }
+  return crypto.createHmac('sha256', FORM_TOKEN_SECRET).update(`form:${issuedAt}`).digest('hex');
+};
+
+// Whether public form tokens can be signed and checked
+export const isFormTokenConfigured = () => Boolean(FORM_TOKEN_SECRET);
+
+// Signed token recording when a public form was displayed
+export const createFormToken = () => {
+  const issuedAt = Date.now();
+  return `${issuedAt}.${signFormTimestamp(issuedAt)}`;
+};
+
+// Honeypot and time-to-submit checks for public forms.
+// Honeypot hits are flagged on req.spamDetected so the route can answer as if
+// the submission succeeded, without teaching bots which field gave them away.
+export const formSpamProtection = ({ honeypotField = 'website', minSeconds = MIN_FORM_SUBMIT_SECONDS } = {}) => {
+  // Only the protected forms go down without the secret, not the whole API
+  if (!FORM_TOKEN_SECRET) {
+    console.warn('⚠️  FORM_TOKEN_SECRET is not set - public forms are disabled');
+  }
+
+  return (req, res, next) => {
+    if (!isFormTokenConfigured()) {
+      return res.status(503).json({
+        success: false,
+        error: 'Form protection is not configured',
+        message: 'This form is temporarily unavailable, please try again later'
+      });
+    }
+
+    if (req.body[honeypotField]) {
+      console.warn(`🍯 Honeypot field filled on ${req.originalUrl} from ${req.ip}`);
+      req.spamDetected = true;
+      return next();
+    }
+
+    const [issuedAt, signature] = String(req.body.formToken || '').split('.');
+    const expected = issuedAt ? signFormTimestamp(issuedAt) : '';
+    const age = Date.now() - parseInt(issuedAt);
+
+    // Compare byte lengths: timingSafeEqual throws on buffers of different sizes
+    const provided = Buffer.from(signature || '');
+    const validSignature = Boolean(signature) && provided.length === Buffer.byteLength(expected) &&
+      crypto.timingSafeEqual(provided, Buffer.from(expected));
+
+    if (!validSignature || !(age >= 0) || age > FORM_TOKEN_MAX_AGE) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid form token',
+        message: 'Please reload the page and try again'
+      });
+    }
+
+    if (age < minSeconds * 1000) {
+      console.warn(`⏱️  Form submitted after ${age}ms on ${req.originalUrl} from ${req.ip}`);
+      return res.status(400).json({
+        success: false,
+        error: 'Form submitted too quickly',
+        message: 'Please take a moment to review your message and try again'
+      });
+    }
+
+    next();
+  };
+};
+
 // =============================================================================
 // VALIDATION MIDDLEWARE CREATORS
 // =============================================================================
@@ -424,9 +577,231 @@ export const validateLogin = (req, res, next) => {
   next();
 };
 
+// Single email field validation middleware (verification resends)
+export const validateEmailRequest = (req, res, next) => {
+  const emailCheck = validateEmail(req.body.email);
+
+  if (!emailCheck.valid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: emailCheck.error,
+      errors: [emailCheck.error]
+    });
+  }
+
+  req.body.email = emailCheck.sanitized;
+  next();
+};
+
+// Send a 400 response listing the validation errors
+const sendValidationErrors = (res, errors) => res.status(400).json({
+  success: false,
+  error: 'Validation failed',
+  message: errors.join('. '),
+  errors: errors
+});
+
+// Customer profile update validation middleware (only the fields sent are changed)
+export const validateProfileUpdate = (req, res, next) => {
+  const { firstName, lastName, phone, dateOfBirth } = req.body;
+  const errors = [];
+
+  if ([firstName, lastName, phone, dateOfBirth].every(value => value === undefined)) {
+    return sendValidationErrors(res, ['Provide at least one field to update']);
+  }
+
+  if (firstName !== undefined) {
+    const firstNameCheck = validateName(firstName, 'First name');
+    if (!firstNameCheck.valid) {
+      errors.push(firstNameCheck.error);
+    } else {
+      req.body.firstName = firstNameCheck.sanitized;
+    }
+  }
+
+  if (lastName !== undefined) {
+    const lastNameCheck = validateName(lastName, 'Last name');
+    if (!lastNameCheck.valid) {
+      errors.push(lastNameCheck.error);
+    } else {
+      req.body.lastName = lastNameCheck.sanitized;
+    }
+  }
+
+  // null or an empty string clears the phone number
+  if (phone !== undefined) {
+    const phoneCheck = validatePhone(phone);
+    if (!phoneCheck.valid) {
+      errors.push(phoneCheck.error);
+    } else {
+      req.body.phone = phoneCheck.sanitized;
+    }
+  }
+
+  // YYYY-MM-DD in the past; null or an empty string clears it
+  if (dateOfBirth !== undefined && dateOfBirth !== null && dateOfBirth !== '') {
+    if (typeof dateOfBirth !== 'string' || !validator.isISO8601(dateOfBirth, { strict: true }) || !/^\d{4}-\d{2}-\d{2}$/.test(dateOfBirth)) {
+      errors.push('Date of birth must be a date in YYYY-MM-DD format');
+    } else if (new Date(dateOfBirth) >= new Date()) {
+      errors.push('Date of birth must be in the past');
+    }
+  } else if (dateOfBirth !== undefined) {
+    req.body.dateOfBirth = null;
+  }
+
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors);
+  }
+
+  next();
+};
+
+// Customer password change validation middleware
+export const validatePasswordUpdate = (req, res, next) => {
+  const { currentPassword, newPassword } = req.body;
+  const errors = [];
+
+  if (!currentPassword || typeof currentPassword !== 'string') {
+    errors.push('Current password is required');
+  }
+
+  const passwordCheck = validatePassword(newPassword);
+  if (!passwordCheck.valid) {
+    errors.push(passwordCheck.error);
+  } else if (newPassword === currentPassword) {
+    errors.push('New password must be different from the current password');
+  }
+
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors);
+  }
+
+  next();
+};
+
+// Customer password reset completion validation middleware
+export const validatePasswordResetToken = (req, res, next) => {
+  const { token, newPassword } = req.body;
+  const errors = [];
+
+  if (!token || typeof token !== 'string') {
+    errors.push('Reset token is required');
+  }
+
+  const passwordCheck = validatePassword(newPassword);
+  if (!passwordCheck.valid) {
+    errors.push(passwordCheck.error);
+  }
+
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors);
+  }
+
+  next();
+};
+
+// Customer email change validation middleware
+export const validateEmailChange = (req, res, next) => {
+  const { newEmail, password } = req.body;
+  const errors = [];
+
+  const emailCheck = validateEmail(newEmail);
+  if (!emailCheck.valid) {
+    errors.push(emailCheck.error);
+  } else {
+    req.body.newEmail = emailCheck.sanitized;
+  }
+
+  if (!password || typeof password !== 'string') {
+    errors.push('Password is required');
+  }
+
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors);
+  }
+
+  next();
+};
+
+// Password confirmation for sensitive account actions (account deletion)
+export const validatePasswordConfirmation = (req, res, next) => {
+  const { password } = req.body;
+
+  if (!password || typeof password !== 'string') {
+    return sendValidationErrors(res, ['Password is required']);
+  }
+
+  next();
+};
+
+// Contact form / inquiry validation middleware
+export const validateInquiry = (req, res, next) => {
+  const { name, email, subject, message, artworkId } = req.body;
+  const errors = [];
+
+  const nameCheck = validateName(name);
+  if (!nameCheck.valid) {
+    errors.push(nameCheck.error);
+  } else {
+    req.body.name = nameCheck.sanitized;
+  }
+
+  const emailCheck = validateEmail(email);
+  if (!emailCheck.valid) {
+    errors.push(emailCheck.error);
+  } else {
+    req.body.email = emailCheck.sanitized;
+  }
+
+  // Subject is optional
+  if (subject !== undefined && subject !== null && subject !== '') {
+    if (typeof subject !== 'string' || subject.trim().length > 200) {
+      errors.push('Subject must be at most 200 characters');
+    } else {
+      req.body.subject = subject.trim();
+    }
+  } else {
+    req.body.subject = null;
+  }
+
+  if (!message || typeof message !== 'string' || message.trim().length < 10) {
+    errors.push('Message must be at least 10 characters long');
+  } else if (message.trim().length > 5000) {
+    errors.push('Message too long (max 5000 characters)');
+  } else {
+    req.body.message = message.trim();
+  }
+
+  // Artwork is optional
+  if (artworkId !== undefined && artworkId !== null && artworkId !== '') {
+    if (!validator.isInt(String(artworkId), { min: 1 })) {
+      errors.push('Artwork ID must be a positive integer');
+    } else {
+      req.body.artworkId = parseInt(artworkId);
+    }
+  } else {
+    req.body.artworkId = null;
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: errors.join('. '),
+      errors: errors
+    });
+  }
+
+  next();
+};
+
 export default {
   authRateLimit,
   registrationRateLimit,
+  accountEmailRateLimit,
+  inquiryRateLimit,
+  checkoutRateLimit,
   apiRateLimit,
   validateEmail,
   validatePassword,
@@ -434,8 +809,19 @@ export default {
   validatePhone,
   requestSizeLimiter,
   securityHeaders,
+  isBotRequest,
   securityLogger,
   enhancedAuth,
+  isFormTokenConfigured,
+  createFormToken,
+  formSpamProtection,
   validateRegistration,
-  validateLogin
+  validateLogin,
+  validateEmailRequest,
+  validateProfileUpdate,
+  validatePasswordUpdate,
+  validatePasswordResetToken,
+  validateEmailChange,
+  validatePasswordConfirmation,
+  validateInquiry
 };
\ No newline at end of file
@@ -0,0 +1,181 @@
+/**
+ * 🖼️ ELOUARATE ART - Image Upload Middleware
+ * Multer configuration and content checks for artwork image uploads
+ */
+
+import fs from 'fs/promises';
+import multer from 'multer';
+import { UPLOAD_STAGING_DIR, MAX_FILE_SIZE, MAX_FILES_PER_UPLOAD } from '../config/upload.js';
+import storage, { storageKey } from '../lib/storage.js';
+import { formatResponse } from '../utils/response.js';
+
+// Accepted image types, with the file extension and leading bytes of each format
+const IMAGE_TYPES = {
+  'image/jpeg': {
+    extension: '.jpeg',
+    matches: (bytes) => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff
+  },
+  'image/png': {
+    extension: '.png',
+    matches: (bytes) => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  },
+  'image/webp': {
+    extension: '.webp',
+    matches: (bytes) => bytes.toString('ascii', 0, 4) === 'RIFF' && bytes.toString('ascii', 8, 12) === 'WEBP'
+  }
+};
+
+// =============================================================================
+// MULTER CONFIGURATION
+// =============================================================================
+
+// Files are staged on local disk; the image service hands them to the storage driver
+const staging = multer.diskStorage({
+  destination: async (req, file, cb) => {
+    try {
+      await fs.mkdir(UPLOAD_STAGING_DIR, { recursive: true });
+      cb(null, UPLOAD_STAGING_DIR);
+    } catch (error) {
+      cb(error);
+    }
+  },
+  // Same naming scheme as the existing files: image-<timestamp>-<random>.<ext>
+  filename: (req, file, cb) => {
+    const suffix = `${Date.now()}-${Math.round(Math.random() * 1e9)}`;
+    cb(null, `${file.fieldname}-${suffix}${IMAGE_TYPES[file.mimetype].extension}`);
+  }
+});
+
+const upload = multer({
+  storage: staging,
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: MAX_FILES_PER_UPLOAD
+  },
+  fileFilter: (req, file, cb) => {
+    if (!IMAGE_TYPES[file.mimetype]) {
+      const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      error.message = `Unsupported file type: ${file.mimetype}. Allowed: ${Object.keys(IMAGE_TYPES).join(', ')}`;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Delete staged files written by multer for the current request
+ * @param {Array} files
+ */
+export const removeUploadedFiles = async (files = []) => {
+  await Promise.all(files.map(file => fs.unlink(file.path).catch(() => {})));
+};
+
+/**
+ * Check that a stored file starts with the signature of its declared type
+ * @param {Object} file - Multer file
+ * @returns {Promise<boolean>}
+ */
+const hasValidSignature = async (file) => {
+  const handle = await fs.open(file.path, 'r');
+  try {
+    const bytes = Buffer.alloc(12);
+    const { bytesRead } = await handle.read(bytes, 0, 12, 0);
+    return bytesRead === 12 && IMAGE_TYPES[file.mimetype].matches(bytes);
+  } finally {
+    await handle.close();
+  }
+};
+
+// =============================================================================
+// UPLOAD MIDDLEWARE
+// =============================================================================
+
+/**
+ * Accept up to MAX_FILES_PER_UPLOAD images in the `image` field and verify
+ * their content. Any invalid file rejects the whole batch.
+ */
+export const uploadArtworkImages = (req, res, next) => {
+  upload.array('image', MAX_FILES_PER_UPLOAD)(req, res, async (error) => {
+    if (error) {
+      await removeUploadedFiles(req.files);
+
+      const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+      const message = tooLarge
+        ? `File too large. Maximum size is ${Math.round(MAX_FILE_SIZE / 1024 / 1024)}MB`
+        : error.code === 'LIMIT_FILE_COUNT'
+          ? `Too many files. Maximum is ${MAX_FILES_PER_UPLOAD} per upload`
+          : error.message;
+
+      return res.status(tooLarge ? 413 : 400).json(formatResponse(
+        false,
+        null,
+        message,
+        'UPLOAD_FAILED',
+        tooLarge ? 413 : 400
+      ));
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json(formatResponse(
+        false,
+        null,
+        'No images provided. Send files in the "image" field',
+        'UPLOAD_FAILED',
+        400
+      ));
+    }
+
+    try {
+      for (const file of req.files) {
+        if (!(await hasValidSignature(file))) {
+          await removeUploadedFiles(req.files);
+          return res.status(400).json(formatResponse(
+            false,
+            null,
+            `File content does not match its type: ${file.originalname}`,
+            'INVALID_FILE_CONTENT',
+            400
+          ));
+        }
+      }
+
+      next();
+    } catch (checkError) {
+      await removeUploadedFiles(req.files);
+      next(checkError);
+    }
+  });
+};
+
+// =============================================================================
+// SIGNED DOWNLOADS (LOCAL DRIVER)
+// =============================================================================
+
+/**
+ * Serve a private upload from a URL signed by the local storage driver
+ */
+export const serveSignedUpload = (req, res) => {
+  const key = storageKey(req.params.filename, { isPrivate: true });
+  const { expires, signature } = req.query;
+
+  if (!storage.verifySignature(key, expires, signature)) {
+    return res.status(403).json(formatResponse(
+      false,
+      null,
+      'Invalid or expired link',
+      'INVALID_SIGNATURE',
+      403
+    ));
+  }
+
+  res.set('Cache-Control', 'private, no-store');
+  res.sendFile(storage.resolvePath(key), (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).json(formatResponse(false, null, 'File not found', 'NOT_FOUND', 404));
+    }
+  });
+};
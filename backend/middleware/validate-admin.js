@@ -1,4 +1,10 @@
-import { body, validationResult } from 'express-validator';
+import { body, param, validationResult } from 'express-validator';
+import { ROLES } from '../config/roles.js';
+
+// Admin password rule, shared with the create-owner command
+export const ADMIN_PASSWORD_PATTERN = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/;
+export const ADMIN_PASSWORD_MESSAGE = 'Password must be at least 8 characters with uppercase, lowercase, number, and special character';
+export const ADMIN_USERNAME_PATTERN = /^[a-zA-Z0-9_]{3,30}$/;
 
 // Format validation errors
 const formatValidationErrors = (errors) => {
@@ -38,8 +44,12 @@ export const validateAdminRegistration = [
   body('password')
     .trim()
     .isLength({ min: 8 })
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
-    .withMessage('Password must be at least 8 characters with uppercase, lowercase, number, and special character'),
+    .matches(ADMIN_PASSWORD_PATTERN)
+    .withMessage(ADMIN_PASSWORD_MESSAGE),
+  body('role')
+    .optional()
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
   handleValidation
 ];
 
@@ -62,8 +72,8 @@ export const validatePasswordResetCompletion = [
   body('newPassword')
     .trim()
     .isLength({ min: 8 })
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
-    .withMessage('Password must be at least 8 characters with uppercase, lowercase, number, and special character'),
+    .matches(ADMIN_PASSWORD_PATTERN)
+    .withMessage(ADMIN_PASSWORD_MESSAGE),
   handleValidation
 ];
 
@@ -76,8 +86,160 @@ export const validatePasswordChange = [
   body('newPassword')
     .trim()
     .isLength({ min: 8 })
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
-    .withMessage('Password must be at least 8 characters with uppercase, lowercase, number, and special character'),
+    .matches(ADMIN_PASSWORD_PATTERN)
+    .withMessage(ADMIN_PASSWORD_MESSAGE),
+  handleValidation
+];
+
+// Validation middleware for session id route parameter
+export const validateSessionId = [
+  param('sessionId')
+    .isUUID()
+    .withMessage('Invalid session ID'),
+  handleValidation
+];
+
+// Validation middleware for team invitations
+export const validateInvitation = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Please enter a valid email address')
+    .normalizeEmail(),
+  body('role')
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+  handleValidation
+];
+
+// Validation middleware for accepting an invitation
+export const validateInvitationAcceptance = [
+  body('token')
+    .trim()
+    .notEmpty()
+    .withMessage('Invitation token is required'),
+  body('username')
+    .trim()
+    .isLength({ min: 3, max: 30 })
+    .matches(/^[a-zA-Z0-9_]+$/)
+    .withMessage('Username must be 3-30 characters and contain only letters, numbers, and underscores'),
+  body('password')
+    .trim()
+    .isLength({ min: 8 })
+    .matches(ADMIN_PASSWORD_PATTERN)
+    .withMessage(ADMIN_PASSWORD_MESSAGE),
+  handleValidation
+];
+
+// Validation middleware for the first-run setup wizard
+export const validateOwnerSetup = [
+  body('setupToken')
+    .trim()
+    .notEmpty()
+    .withMessage('Setup token is required'),
+  body('username')
+    .trim()
+    .matches(ADMIN_USERNAME_PATTERN)
+    .withMessage('Username must be 3-30 characters and contain only letters, numbers, and underscores'),
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Please enter a valid email address')
+    .normalizeEmail(),
+  body('password')
+    .isLength({ min: 8 })
+    .matches(ADMIN_PASSWORD_PATTERN)
+    .withMessage(ADMIN_PASSWORD_MESSAGE),
+  body('firstName')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .escape(),
+  body('lastName')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .escape(),
+  handleValidation
+];
+
+// Numeric id route parameter (admins, invitations)
+const teamIdParam = () => param('id')
+  .isInt({ min: 1 })
+  .withMessage('Invalid ID')
+  .toInt();
+
+// Validation middleware for numeric id route parameters
+export const validateTeamId = [
+  teamIdParam(),
+  handleValidation
+];
+
+// Validation middleware for role changes
+export const validateRoleChange = [
+  teamIdParam(),
+  body('role')
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+  handleValidation
+];
+
+// Validation middleware for activating or deactivating an admin
+export const validateStatusChange = [
+  teamIdParam(),
+  body('isActive')
+    .isBoolean({ strict: true })
+    .withMessage('isActive must be true or false'),
+  handleValidation
+];
+
+// TOTP code or recovery code (one of the two is required)
+const twoFactorCodeFields = () => [
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  body('recoveryCode')
+    .optional()
+    .trim()
+    .isLength({ min: 10, max: 20 })
+    .withMessage('Invalid recovery code'),
+  body()
+    .custom(value => Boolean(value && (value.code || value.recoveryCode)))
+    .withMessage('A verification code or recovery code is required')
+];
+
+// Validation middleware for a 2FA code (confirmation, recovery code regeneration)
+export const validateTwoFactorCode = [
+  ...twoFactorCodeFields(),
+  handleValidation
+];
+
+// Validation middleware for the second login step
+export const validateTwoFactorLogin = [
+  body('challengeToken')
+    .trim()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  ...twoFactorCodeFields(),
+  handleValidation
+];
+
+// Validation middleware for turning 2FA off
+export const validateTwoFactorDisable = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  ...twoFactorCodeFields(),
+  handleValidation
+];
+
+// Validation middleware for security settings
+export const validateSecuritySettings = [
+  body('requireTwoFactor')
+    .isBoolean({ strict: true })
+    .withMessage('requireTwoFactor must be true or false'),
   handleValidation
 ];
 
@@ -0,0 +1,290 @@
+import { body, param, query } from 'express-validator';
+import { handleValidationErrors } from '../utils/response.js';
+import { MAX_HOLD_DAYS } from '../lib/reservation-service.js';
+
+const ARTWORK_STATUSES = ['AVAILABLE', 'SOLD', 'RESERVED'];
+
+// RESERVED needs a hold with an expiry, so admins cannot set it directly
+const SETTABLE_ARTWORK_STATUSES = ['AVAILABLE', 'SOLD'];
+const RESERVE_WITH_HOLD_MESSAGE = 'Status must be AVAILABLE or SOLD; reserve an artwork with POST /api/admin/artworks/:id/hold';
+
+// Validation middleware for the public artworks listing
+export const validateArtworkQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+    .toInt(),
+  query('category')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Category must be a valid category id')
+    .toInt(),
+  query('status')
+    .optional()
+    .toUpperCase()
+    .isIn(ARTWORK_STATUSES)
+    .withMessage(`Status must be one of ${ARTWORK_STATUSES.join(', ')}`),
+  query('featured')
+    .optional()
+    .isBoolean()
+    .withMessage('Featured must be true or false')
+    .toBoolean(),
+  query('minPrice')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum price must be a positive number')
+    .toFloat(),
+  query('maxPrice')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Maximum price must be a positive number')
+    .toFloat(),
+  query('year')
+    .optional()
+    .isInt({ min: 1000, max: 9999 })
+    .withMessage('Year must be a four-digit year')
+    .toInt(),
+  query('medium')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Medium must be at most 255 characters'),
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search must be at most 100 characters'),
+  query('sortBy')
+    .optional()
+    .isIn(['price', 'year', 'created_at', 'view_count'])
+    .withMessage('Sort field must be one of price, year, created_at, view_count'),
+  query('sortOrder')
+    .optional()
+    .toLowerCase()
+    .isIn(['asc', 'desc'])
+    .withMessage('Sort order must be asc or desc'),
+  handleValidationErrors
+];
+
+// Validation middleware for routes addressing a single artwork
+export const validateArtworkId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Artwork id must be a positive integer')
+    .toInt(),
+  handleValidationErrors
+];
+
+// Field rules shared by artwork creation and update
+const artworkFieldRules = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Name is required and must be at most 255 characters'),
+  body('description')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage('Description must be at most 5000 characters'),
+  body('artist')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Artist must be at most 255 characters'),
+  (isUpdate ? body('price').optional() : body('price'))
+    .isFloat({ min: 0, max: 99999999.99 })
+    .withMessage('Price must be a positive amount')
+    .toFloat(),
+  body('originalPrice')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: 99999999.99 })
+    .withMessage('Original price must be a positive amount')
+    .toFloat(),
+  body('medium')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Medium must be at most 255 characters'),
+  body('dimensions')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Dimensions must be at most 255 characters'),
+  body('year')
+    .optional({ values: 'null' })
+    .isInt({ min: 1000, max: new Date().getFullYear() + 1 })
+    .withMessage('Year must be a valid four-digit year')
+    .toInt(),
+  body('isFeatured')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('isFeatured must be a boolean'),
+  body('isActive')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('isActive must be a boolean'),
+  body('categoryId')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Category id must be a positive integer')
+    .toInt(),
+  body('imageUrl')
+    .optional({ values: 'null' })
+    .trim()
+    .isURL({ require_tld: false })
+    .withMessage('Image URL must be a valid URL')
+];
+
+// Validation middleware for admin artwork creation
+export const validateArtworkCreate = [
+  ...artworkFieldRules(false),
+  body('status')
+    .optional()
+    .isIn(SETTABLE_ARTWORK_STATUSES)
+    .withMessage(RESERVE_WITH_HOLD_MESSAGE),
+  handleValidationErrors
+];
+
+// Validation middleware for admin artwork update
+export const validateArtworkUpdate = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Artwork id must be a positive integer')
+    .toInt(),
+  ...artworkFieldRules(true),
+  handleValidationErrors
+];
+
+// Validation middleware for admin artwork status changes
+export const validateArtworkStatus = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Artwork id must be a positive integer')
+    .toInt(),
+  body('status')
+    .isIn(SETTABLE_ARTWORK_STATUSES)
+    .withMessage(RESERVE_WITH_HOLD_MESSAGE),
+  handleValidationErrors
+];
+
+// Validation middleware for admin artwork featured toggle
+export const validateArtworkFeatured = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Artwork id must be a positive integer')
+    .toInt(),
+  body('isFeatured')
+    .isBoolean({ strict: true })
+    .withMessage('isFeatured must be a boolean'),
+  handleValidationErrors
+];
+
+// Validation middleware for the admin artworks listing
+export const validateAdminArtworkQuery = [
+  query('active')
+    .optional()
+    .isBoolean()
+    .withMessage('Active must be true or false')
+    .toBoolean(),
+  ...validateArtworkQuery
+];
+
+// Validation middleware for routes addressing a single artwork image
+export const validateArtworkImageId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Artwork id must be a positive integer')
+    .toInt(),
+  param('imageId')
+    .isInt({ min: 1 })
+    .withMessage('Image id must be a positive integer')
+    .toInt(),
+  handleValidationErrors
+];
+
+// Validation middleware for artwork image reordering
+export const validateImageReorder = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Artwork id must be a positive integer')
+    .toInt(),
+  body('imageIds')
+    .isArray({ min: 1 })
+    .withMessage('imageIds must be a non-empty array'),
+  body('imageIds.*')
+    .isInt({ min: 1 })
+    .withMessage('Each image id must be a positive integer')
+    .toInt(),
+  handleValidationErrors
+];
+
+// Hold ends must be in the future and at most MAX_HOLD_DAYS away
+const holdExpiry = (field) => body(field)
+  .isISO8601()
+  .withMessage('Hold end must be an ISO 8601 date')
+  .toDate()
+  .custom(date => date > new Date())
+  .withMessage('Hold end must be in the future')
+  .custom(date => date <= new Date(Date.now() + MAX_HOLD_DAYS * 24 * 60 * 60 * 1000))
+  .withMessage(`Hold end must be at most ${MAX_HOLD_DAYS} days away`);
+
+// Validation middleware for the admin list of artwork holds
+export const validateHoldQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  query('active')
+    .optional()
+    .isBoolean()
+    .withMessage('Active must be true or false')
+    .toBoolean(),
+  handleValidationErrors
+];
+
+// Validation middleware for reserving an artwork for a collector
+export const validateHoldCreate = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Artwork id must be a positive integer')
+    .toInt(),
+  body('holderName')
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Holder name is required and must be at most 255 characters')
+    .escape(),
+  body('holderEmail')
+    .optional({ values: 'falsy' })
+    .isEmail()
+    .withMessage('Holder email must be a valid email')
+    .normalizeEmail(),
+  body('note')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Note must be at most 1000 characters'),
+  holdExpiry('expiresAt').optional(),
+  handleValidationErrors
+];
+
+// Validation middleware for extending a hold
+export const validateHoldExtend = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Artwork id must be a positive integer')
+    .toInt(),
+  holdExpiry('expiresAt'),
+  handleValidationErrors
+];
@@ -0,0 +1,111 @@
+import { body, param, query } from 'express-validator';
+import { handleValidationErrors } from '../utils/response.js';
+
+// Validation middleware for a single category page
+export const validateCategoryDetail = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Category id must be a positive integer')
+    .toInt(),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+    .toInt(),
+  query('sortBy')
+    .optional()
+    .isIn(['price', 'year', 'created_at', 'view_count'])
+    .withMessage('Sort field must be one of price, year, created_at, view_count'),
+  query('sortOrder')
+    .optional()
+    .toLowerCase()
+    .isIn(['asc', 'desc'])
+    .withMessage('Sort order must be asc or desc'),
+  handleValidationErrors
+];
+
+// Field rules shared by category creation and update
+const categoryFieldRules = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Name is required and must be at most 255 characters'),
+  body('description')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Description must be at most 2000 characters'),
+  body('color')
+    .optional()
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Color must be a hex color like #6366f1'),
+  body('sortOrder')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Sort order must be a non-negative integer')
+    .toInt(),
+  // Deactivation has to decide what happens to the artworks, so it has its own endpoint
+  isUpdate
+    ? body('isActive')
+      .optional()
+      .custom(value => value === true)
+      .withMessage('isActive can only be set to true here; deactivate with DELETE /api/admin/categories/:id')
+    : body('isActive')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('isActive must be a boolean')
+];
+
+// Validation middleware for admin category creation
+export const validateCategoryCreate = [
+  ...categoryFieldRules(false),
+  handleValidationErrors
+];
+
+// Validation middleware for admin category update
+export const validateCategoryUpdate = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Category id must be a positive integer')
+    .toInt(),
+  ...categoryFieldRules(true),
+  handleValidationErrors
+];
+
+// Validation middleware for admin category deactivation
+export const validateCategoryDeactivation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Category id must be a positive integer')
+    .toInt(),
+  body('artworkAction')
+    .optional()
+    .isIn(['move', 'uncategorize'])
+    .withMessage('Artwork action must be move or uncategorize'),
+  body('targetCategoryId')
+    .if(body('artworkAction').equals('move'))
+    .isInt({ min: 1 })
+    .withMessage('A target category id is required to move artworks')
+    .toInt(),
+  handleValidationErrors
+];
+
+// Validation middleware for admin category reordering
+export const validateCategoryReorder = [
+  body('categoryIds')
+    .isArray({ min: 1 })
+    .withMessage('categoryIds must be a non-empty array'),
+  body('categoryIds.*')
+    .isInt({ min: 1 })
+    .withMessage('Each category id must be a positive integer')
+    .toInt(),
+  body('categoryIds')
+    .custom(ids => new Set(ids).size === ids.length)
+    .withMessage('categoryIds must not contain duplicates'),
+  handleValidationErrors
+];
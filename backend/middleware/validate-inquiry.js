@@ -0,0 +1,83 @@
+import { body, param, query } from 'express-validator';
+import { handleValidationErrors } from '../utils/response.js';
+
+export const INQUIRY_STATUSES = ['NEW', 'READ', 'REPLIED', 'CLOSED'];
+
+// Validation middleware for the admin inquiry inbox
+export const validateInquiryQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  query('status')
+    .optional()
+    .toUpperCase()
+    .isIn(INQUIRY_STATUSES)
+    .withMessage(`Status must be one of ${INQUIRY_STATUSES.join(', ')}`),
+  query('artworkId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Artwork id must be a positive integer')
+    .toInt(),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be an ISO 8601 date')
+    .toDate(),
+  // Kept as a string: a bare date covers the whole day (see rangeEnd)
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be an ISO 8601 date'),
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search must be at most 100 characters'),
+  query('sortOrder')
+    .optional()
+    .toLowerCase()
+    .isIn(['asc', 'desc'])
+    .withMessage('Sort order must be asc or desc'),
+  handleValidationErrors
+];
+
+// Validation middleware for a single inquiry
+export const validateInquiryId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Inquiry id must be a positive integer')
+    .toInt(),
+  handleValidationErrors
+];
+
+// Validation middleware for an admin reply
+export const validateInquiryReply = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Inquiry id must be a positive integer')
+    .toInt(),
+  body('reply')
+    .trim()
+    .isLength({ min: 1, max: 10000 })
+    .withMessage('Reply is required and must be at most 10000 characters'),
+  handleValidationErrors
+];
+
+// Validation middleware for closing several inquiries at once
+export const validateInquiryBulkClose = [
+  body('inquiryIds')
+    .isArray({ min: 1, max: 500 })
+    .withMessage('inquiryIds must be a non-empty array of at most 500 ids'),
+  body('inquiryIds.*')
+    .isInt({ min: 1 })
+    .withMessage('Each inquiry id must be a positive integer')
+    .toInt(),
+  handleValidationErrors
+];
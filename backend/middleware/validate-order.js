@@ -0,0 +1,190 @@
+import { body, param, query } from 'express-validator';
+import { handleValidationErrors } from '../utils/response.js';
+import { ORDER_STATUS_TRANSITIONS } from '../lib/admin-order-service.js';
+
+// Artworks are originals, so an order holds each one at most once
+export const MAX_ORDER_ARTWORKS = 20;
+
+export const ORDER_STATUSES = Object.keys(ORDER_STATUS_TRANSITIONS);
+export const PAYMENT_STATUSES = ['PENDING', 'PAID', 'FAILED', 'REFUNDED'];
+
+// Guests give their own contact details; signed-in customers default to their account
+const isGuest = (value, { req }) => !req.user;
+const isGuestOrSent = (value, { req }) => !req.user || value !== undefined;
+
+// Validation middleware for checkout (guest or signed-in customer)
+export const validateCheckout = [
+  body('artworkIds')
+    .isArray({ min: 1, max: MAX_ORDER_ARTWORKS })
+    .withMessage(`artworkIds must be a non-empty array of at most ${MAX_ORDER_ARTWORKS} ids`),
+  body('artworkIds.*')
+    .isInt({ min: 1 })
+    .withMessage('Each artwork id must be a positive integer')
+    .toInt(),
+  body('artworkIds')
+    .custom(ids => new Set(ids).size === ids.length)
+    .withMessage('artworkIds must not contain duplicates'),
+  body('email')
+    .if(isGuest)
+    .isEmail()
+    .withMessage('A valid email is required for guest checkout')
+    .normalizeEmail(),
+  body('shipping')
+    .isObject()
+    .withMessage('Shipping details are required'),
+  body('shipping.firstName')
+    .if(isGuestOrSent)
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('First name is required and must be at most 100 characters')
+    .escape(),
+  body('shipping.lastName')
+    .if(isGuestOrSent)
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Last name is required and must be at most 100 characters')
+    .escape(),
+  body('shipping.phone')
+    .optional({ values: 'falsy' })
+    .trim()
+    .matches(/^\+?[\d\s().-]{7,20}$/)
+    .withMessage('Phone number must be 7-20 digits'),
+  body('shipping.addressLine1')
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Address is required and must be at most 255 characters')
+    .escape(),
+  body('shipping.addressLine2')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Address line 2 must be at most 255 characters')
+    .escape(),
+  body('shipping.city')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('City is required and must be at most 100 characters')
+    .escape(),
+  body('shipping.postalCode')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Postal code must be at most 20 characters')
+    .escape(),
+  body('shipping.country')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Country is required and must be at most 100 characters')
+    .escape(),
+  body('notes')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes must be at most 1000 characters'),
+  handleValidationErrors
+];
+
+// Validation middleware for starting a payment; guests name the email used at checkout
+export const validatePaymentIntent = [
+  body('orderNumber')
+    .trim()
+    .matches(/^[A-Z]{2}-\d{8}-[A-Z0-9]{6}$/)
+    .withMessage('A valid order number is required'),
+  body('email')
+    .if(isGuest)
+    .isEmail()
+    .withMessage('The email used at checkout is required for guest orders')
+    .normalizeEmail(),
+  handleValidationErrors
+];
+
+// Validation middleware for the admin order listing
+export const validateOrderQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  query('status')
+    .optional()
+    .toUpperCase()
+    .isIn(ORDER_STATUSES)
+    .withMessage(`Status must be one of ${ORDER_STATUSES.join(', ')}`),
+  query('paymentStatus')
+    .optional()
+    .toUpperCase()
+    .isIn(PAYMENT_STATUSES)
+    .withMessage(`Payment status must be one of ${PAYMENT_STATUSES.join(', ')}`),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be an ISO 8601 date')
+    .toDate(),
+  // Kept as a string: a bare date covers the whole day (see rangeEnd)
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be an ISO 8601 date'),
+  query('customer')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Customer must be at most 100 characters'),
+  query('userId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('User id must be a positive integer')
+    .toInt(),
+  query('sortOrder')
+    .optional()
+    .toLowerCase()
+    .isIn(['asc', 'desc'])
+    .withMessage('Sort order must be asc or desc'),
+  handleValidationErrors
+];
+
+// Validation middleware for a single order
+export const validateOrderId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Order id must be a positive integer')
+    .toInt(),
+  handleValidationErrors
+];
+
+// Validation middleware for an order status change; shipping needs its tracking details
+export const validateOrderStatusUpdate = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Order id must be a positive integer')
+    .toInt(),
+  body('status')
+    .isString()
+    .toUpperCase()
+    .isIn(ORDER_STATUSES)
+    .withMessage(`Status must be one of ${ORDER_STATUSES.join(', ')}`),
+  body('carrier')
+    .if(body('status').equals('SHIPPED'))
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Carrier is required when shipping and must be at most 100 characters'),
+  body('trackingNumber')
+    .if(body('status').equals('SHIPPED'))
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Tracking number is required when shipping and must be at most 100 characters'),
+  body('reason')
+    .optional({ values: 'falsy' })
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Reason must be at most 1000 characters'),
+  handleValidationErrors
+];
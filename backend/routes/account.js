@@ -0,0 +1,187 @@
+import express from 'express';
+import CustomerAccountService from '../lib/customer-account-service.js';
+import { verifyCustomerToken } from '../middleware/auth-customer.js';
+import {
+  accountEmailRateLimit,
+  validateProfileUpdate,
+  validatePasswordUpdate,
+  validateEmailChange,
+  validatePasswordConfirmation
+} from '../middleware/security.js';
+import { formatResponse, handleAsync } from '../utils/response.js';
+
+const router = express.Router();
+const customerAccountService = new CustomerAccountService();
+
+// HTTP status for each service error type
+const ERROR_STATUS = {
+  NOT_FOUND: 404,
+  INVALID_PASSWORD: 400,
+  SAME_EMAIL: 400,
+  EMAIL_EXISTS: 409
+};
+
+/**
+ * Send the error response for a failed service result
+ */
+const sendServiceError = (res, result) => {
+  const errorStatus = ERROR_STATUS[result.errorType] || 400;
+  return res.status(errorStatus).json(formatResponse(
+    false,
+    null,
+    result.error,
+    result.errorType,
+    errorStatus
+  ));
+};
+
+// Every account endpoint needs a signed-in customer
+router.use(verifyCustomerToken);
+
+// =============================================================================
+// PROFILE ENDPOINTS
+// =============================================================================
+
+// Get profile
+router.get('/profile', handleAsync(async (req, res) => {
+  try {
+    const result = await customerAccountService.getProfile(req.user.id);
+
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+
+    res.json(formatResponse(
+      true,
+      { user: result.user },
+      'Profile retrieved successfully'
+    ));
+  } catch (error) {
+    console.error('Customer profile error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to retrieve profile',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Update name, phone or date of birth
+router.patch('/profile', validateProfileUpdate, handleAsync(async (req, res) => {
+  try {
+    const { firstName, lastName, phone, dateOfBirth } = req.body;
+    const result = await customerAccountService.updateProfile(req.user.id, { firstName, lastName, phone, dateOfBirth });
+
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+
+    res.json(formatResponse(
+      true,
+      { user: result.user },
+      'Profile updated successfully'
+    ));
+  } catch (error) {
+    console.error('Customer profile update error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to update profile',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// =============================================================================
+// SECURITY ENDPOINTS
+// =============================================================================
+
+// Change password; this device stays signed in, all others are signed out
+router.post('/password', validatePasswordUpdate, handleAsync(async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const result = await customerAccountService.changePassword(
+      req.user.id,
+      currentPassword,
+      newPassword,
+      req.user.sessionId
+    );
+
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+
+    res.json(formatResponse(
+      true,
+      null,
+      'Password changed successfully'
+    ));
+  } catch (error) {
+    console.error('Customer password change error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to change password',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Request an email change; the new address must be confirmed from its inbox
+router.post('/email', accountEmailRateLimit, validateEmailChange, handleAsync(async (req, res) => {
+  try {
+    const { newEmail, password } = req.body;
+    const result = await customerAccountService.requestEmailChange(req.user.id, password, newEmail);
+
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+
+    res.json(formatResponse(
+      true,
+      { user: result.user },
+      'Please check your new email address to confirm the change'
+    ));
+  } catch (error) {
+    console.error('Customer email change error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to request email change',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Delete the account (password required)
+router.delete('/', validatePasswordConfirmation, handleAsync(async (req, res) => {
+  try {
+    const result = await customerAccountService.deleteAccount(req.user.id, req.body.password);
+
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+
+    res.json(formatResponse(
+      true,
+      null,
+      'Account deleted successfully'
+    ));
+  } catch (error) {
+    console.error('Customer account deletion error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to delete account',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+export default router;
@@ -0,0 +1,466 @@
+import express from 'express';
+import ArtworkService from '../lib/artwork-service.js';
+import ArtworkImageService from '../lib/artwork-image-service.js';
+import ReservationService, { DEFAULT_ADMIN_HOLD_DAYS } from '../lib/reservation-service.js';
+import { verifyAdminToken, requirePermission } from '../middleware/auth-admin.js';
+import { PERMISSIONS } from '../config/roles.js';
+import {
+  validateAdminArtworkQuery,
+  validateArtworkId,
+  validateArtworkCreate,
+  validateArtworkUpdate,
+  validateArtworkStatus,
+  validateArtworkFeatured,
+  validateArtworkImageId,
+  validateImageReorder,
+  validateHoldQuery,
+  validateHoldCreate,
+  validateHoldExtend
+} from '../middleware/validate-artwork.js';
+import { uploadArtworkImages, removeUploadedFiles } from '../middleware/upload.js';
+import { invalidateCache } from '../middleware/performance.js';
+import { formatResponse, handleAsync } from '../utils/response.js';
+
+const router = express.Router();
+const artworkService = new ArtworkService();
+const artworkImageService = new ArtworkImageService();
+const reservationService = new ReservationService();
+
+/**
+ * Drop cached public listings after an artwork write
+ */
+const invalidateArtworkCaches = () => {
+  invalidateCache.artworks();
+  // Category listings embed artwork counts
+  invalidateCache.categories();
+};
+
+/**
+ * Send the response for a service write result
+ */
+const sendWriteResult = (res, result, message, statusCode = 200) => {
+  if (!result.success) {
+    const notFound = result.error === 'Artwork not found';
+    return res.status(notFound ? 404 : 400).json(formatResponse(
+      false,
+      null,
+      result.error,
+      notFound ? 'NOT_FOUND' : 'ARTWORK_UPDATE_FAILED',
+      notFound ? 404 : 400
+    ));
+  }
+
+  invalidateArtworkCaches();
+  res.status(statusCode).json(formatResponse(
+    true,
+    result.artwork ? { artwork: result.artwork } : null,
+    message
+  ));
+};
+
+/**
+ * Send the response for an image service result
+ */
+const sendImageResult = (res, result, message, statusCode = 200) => {
+  if (!result.success) {
+    const errorStatus = result.errorType === 'NOT_FOUND' ? 404 : 400;
+    return res.status(errorStatus).json(formatResponse(
+      false,
+      null,
+      result.error,
+      result.errorType,
+      errorStatus
+    ));
+  }
+
+  // Cards show the primary image, so listings must be refreshed
+  invalidateArtworkCaches();
+  res.status(statusCode).json(formatResponse(true, { images: result.images }, message));
+};
+
+// All artwork management endpoints require an authenticated admin
+router.use(verifyAdminToken);
+
+// =============================================================================
+// ADMIN ARTWORK ENDPOINTS
+// =============================================================================
+
+// List artworks including inactive ones
+router.get('/', validateAdminArtworkQuery, handleAsync(async (req, res) => {
+  try {
+    const {
+      page, limit, category, status, featured, active,
+      minPrice, maxPrice, year, medium, search, sortBy, sortOrder
+    } = req.query;
+
+    const result = await artworkService.listArtworks({
+      includeInactive: true,
+      isActive: active,
+      page,
+      limit,
+      category,
+      status,
+      featured,
+      minPrice,
+      maxPrice,
+      year,
+      medium,
+      search,
+      sortBy,
+      sortOrder
+    });
+
+    res.json(formatResponse(
+      true,
+      result,
+      'Artworks retrieved successfully'
+    ));
+  } catch (error) {
+    console.error('Admin artworks listing error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to retrieve artworks',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// List artwork holds (active ones ending soonest first, or all with active=false)
+router.get('/holds', requirePermission(PERMISSIONS.ORDERS_READ), validateHoldQuery, handleAsync(async (req, res) => {
+  try {
+    const { page, limit, active } = req.query;
+    const result = await reservationService.listHolds({ page, limit, active });
+
+    res.json(formatResponse(
+      true,
+      result,
+      'Holds retrieved successfully'
+    ));
+  } catch (error) {
+    console.error('Artwork holds listing error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to retrieve holds',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Get a single artwork with its active hold
+router.get('/:id', validateArtworkId, handleAsync(async (req, res) => {
+  try {
+    const artwork = await artworkService.findArtworkById(req.params.id);
+
+    if (!artwork) {
+      return res.status(404).json(formatResponse(
+        false,
+        null,
+        'Artwork not found',
+        'NOT_FOUND',
+        404
+      ));
+    }
+
+    artwork.hold = await reservationService.getActiveHold(req.params.id);
+
+    res.json(formatResponse(
+      true,
+      { artwork },
+      'Artwork retrieved successfully'
+    ));
+  } catch (error) {
+    console.error('Admin artwork retrieval error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to retrieve artwork',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Create artwork
+router.post('/', requirePermission(PERMISSIONS.ARTWORKS_WRITE), validateArtworkCreate, handleAsync(async (req, res) => {
+  try {
+    const result = await artworkService.createArtwork(req.body);
+
+    sendWriteResult(res, result, 'Artwork created successfully', 201);
+  } catch (error) {
+    console.error('Artwork creation error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to create artwork',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Update artwork
+router.put('/:id', requirePermission(PERMISSIONS.ARTWORKS_WRITE), validateArtworkUpdate, handleAsync(async (req, res) => {
+  try {
+    const result = await artworkService.updateArtwork(req.params.id, req.body);
+
+    sendWriteResult(res, result, 'Artwork updated successfully');
+  } catch (error) {
+    console.error('Artwork update error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to update artwork',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Change artwork status (AVAILABLE or SOLD); artworks are reserved with POST /:id/hold
+router.patch('/:id/status', requirePermission(PERMISSIONS.ARTWORKS_WRITE), validateArtworkStatus, handleAsync(async (req, res) => {
+  try {
+    // Ends the active hold too: SOLD keeps its checkout order, AVAILABLE cancels it if unpaid
+    const result = await reservationService.setArtworkStatus(req.params.id, req.body.status, req.admin.id);
+
+    if (result.success) {
+      result.artwork = await artworkService.findArtworkById(req.params.id);
+    }
+
+    sendWriteResult(res, result, `Artwork marked as ${req.body.status}`);
+  } catch (error) {
+    console.error('Artwork status error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to update artwork status',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Feature or unfeature artwork
+router.patch('/:id/featured', requirePermission(PERMISSIONS.ARTWORKS_WRITE), validateArtworkFeatured, handleAsync(async (req, res) => {
+  try {
+    const result = await artworkService.updateArtwork(req.params.id, {
+      isFeatured: req.body.isFeatured
+    });
+
+    sendWriteResult(
+      res,
+      result,
+      req.body.isFeatured ? 'Artwork featured' : 'Artwork unfeatured'
+    );
+  } catch (error) {
+    console.error('Artwork featured error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to update artwork',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Deactivate artwork (soft delete)
+router.delete('/:id', requirePermission(PERMISSIONS.ARTWORKS_WRITE), validateArtworkId, handleAsync(async (req, res) => {
+  try {
+    const result = await artworkService.deactivateArtwork(req.params.id);
+    if (result.success) {
+      console.log(`🗑️ Artwork ${req.params.id} deactivated by admin: ${req.admin.username}`);
+    }
+
+    sendWriteResult(res, result, 'Artwork deactivated successfully');
+  } catch (error) {
+    console.error('Artwork deactivation error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to deactivate artwork',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// =============================================================================
+// ADMIN ARTWORK HOLD ENDPOINTS
+// =============================================================================
+
+// HTTP status for each hold error type
+const HOLD_ERROR_STATUS = {
+  NOT_FOUND: 404,
+  HOLD_NOT_FOUND: 404,
+  ARTWORK_UNAVAILABLE: 409
+};
+
+/**
+ * Send the response for a reservation service result
+ */
+const sendHoldResult = (res, result, message, statusCode = 200) => {
+  if (!result.success) {
+    const errorStatus = HOLD_ERROR_STATUS[result.errorType] || 400;
+    return res.status(errorStatus).json(formatResponse(
+      false,
+      null,
+      result.error,
+      result.errorType,
+      errorStatus
+    ));
+  }
+
+  invalidateArtworkCaches();
+  res.status(statusCode).json(formatResponse(
+    true,
+    result.hold ? { hold: result.hold } : { releasedArtworkIds: result.releasedArtworkIds },
+    message
+  ));
+};
+
+// Reserve an available artwork for a collector (for 7 days unless expiresAt is given)
+router.post('/:id/hold', requirePermission(PERMISSIONS.ORDERS_WRITE), validateHoldCreate, handleAsync(async (req, res) => {
+  try {
+    const { holderName, holderEmail, note } = req.body;
+    const expiresAt = req.body.expiresAt || new Date(Date.now() + DEFAULT_ADMIN_HOLD_DAYS * 24 * 60 * 60 * 1000);
+
+    const result = await reservationService.reserveForCollector(
+      req.params.id,
+      { holderName, holderEmail, note, expiresAt },
+      req.admin.id
+    );
+
+    sendHoldResult(res, result, 'Artwork reserved successfully', 201);
+  } catch (error) {
+    console.error('Artwork hold error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to reserve artwork',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Extend (or shorten) the active hold
+router.patch('/:id/hold', requirePermission(PERMISSIONS.ORDERS_WRITE), validateHoldExtend, handleAsync(async (req, res) => {
+  try {
+    const result = await reservationService.extendHold(req.params.id, req.body.expiresAt, req.admin.id);
+
+    sendHoldResult(res, result, 'Hold updated successfully');
+  } catch (error) {
+    console.error('Artwork hold extension error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to update hold',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Release the active hold and put the artwork back on sale
+router.delete('/:id/hold', requirePermission(PERMISSIONS.ORDERS_WRITE), validateArtworkId, handleAsync(async (req, res) => {
+  try {
+    const result = await reservationService.releaseArtworkHold(req.params.id, req.admin.id);
+
+    sendHoldResult(res, result, 'Hold released successfully');
+  } catch (error) {
+    console.error('Artwork hold release error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to release hold',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// =============================================================================
+// ADMIN ARTWORK IMAGE ENDPOINTS
+// =============================================================================
+
+// Upload one or more images (multipart field "image")
+router.post('/:id/images', requirePermission(PERMISSIONS.ARTWORKS_WRITE), validateArtworkId, uploadArtworkImages, handleAsync(async (req, res) => {
+  try {
+    const result = await artworkImageService.addImages(req.params.id, req.files);
+
+    // Staged copies are no longer needed once the storage driver has the files
+    await removeUploadedFiles(req.files);
+
+    sendImageResult(res, result, `${req.files.length} image(s) uploaded successfully`, 201);
+  } catch (error) {
+    console.error('Artwork image upload error:', error);
+    await removeUploadedFiles(req.files);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to upload images',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Reorder images from an ordered list of image ids
+router.put('/:id/images/reorder', requirePermission(PERMISSIONS.ARTWORKS_WRITE), validateImageReorder, handleAsync(async (req, res) => {
+  try {
+    const result = await artworkImageService.reorderImages(req.params.id, req.body.imageIds);
+
+    sendImageResult(res, result, 'Images reordered successfully');
+  } catch (error) {
+    console.error('Artwork image reorder error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to reorder images',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Set the primary image
+router.patch('/:id/images/:imageId/primary', requirePermission(PERMISSIONS.ARTWORKS_WRITE), validateArtworkImageId, handleAsync(async (req, res) => {
+  try {
+    const result = await artworkImageService.setPrimaryImage(req.params.id, req.params.imageId);
+
+    sendImageResult(res, result, 'Primary image updated successfully');
+  } catch (error) {
+    console.error('Artwork primary image error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to set primary image',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Delete an image and its file
+router.delete('/:id/images/:imageId', requirePermission(PERMISSIONS.ARTWORKS_WRITE), validateArtworkImageId, handleAsync(async (req, res) => {
+  try {
+    const result = await artworkImageService.deleteImage(req.params.id, req.params.imageId);
+
+    sendImageResult(res, result, 'Image deleted successfully');
+  } catch (error) {
+    console.error('Artwork image deletion error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to delete image',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+export default router;
@@ -0,0 +1,158 @@
+import express from 'express';
+import CategoryService from '../lib/category-service.js';
+import { verifyAdminToken, requirePermission } from '../middleware/auth-admin.js';
+import { PERMISSIONS } from '../config/roles.js';
+import {
+  validateCategoryCreate,
+  validateCategoryUpdate,
+  validateCategoryDeactivation,
+  validateCategoryReorder
+} from '../middleware/validate-category.js';
+import { invalidateCache } from '../middleware/performance.js';
+import { formatResponse, handleAsync } from '../utils/response.js';
+
+const router = express.Router();
+const categoryService = new CategoryService();
+
+// HTTP status for each service error type
+const ERROR_STATUS = {
+  NOT_FOUND: 404,
+  DUPLICATE_NAME: 409,
+  CATEGORY_HAS_ARTWORKS: 409
+};
+
+/**
+ * Send the response for a service write result
+ */
+const sendWriteResult = (res, result, data, message, statusCode = 200) => {
+  if (!result.success) {
+    const errorStatus = ERROR_STATUS[result.errorType] || 400;
+    return res.status(errorStatus).json(formatResponse(
+      false,
+      result.artworkCount !== undefined ? { artworkCount: result.artworkCount } : null,
+      result.error,
+      result.errorType || 'CATEGORY_UPDATE_FAILED',
+      errorStatus
+    ));
+  }
+
+  invalidateCache.categories();
+  res.status(statusCode).json(formatResponse(true, data, message));
+};
+
+// All category management endpoints require an authenticated admin
+router.use(verifyAdminToken);
+
+// =============================================================================
+// ADMIN CATEGORY ENDPOINTS
+// =============================================================================
+
+// List all categories including inactive ones
+router.get('/', handleAsync(async (req, res) => {
+  try {
+    const categories = await categoryService.listAllCategories();
+
+    res.json(formatResponse(
+      true,
+      { categories },
+      'Categories retrieved successfully'
+    ));
+  } catch (error) {
+    console.error('Admin categories listing error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to retrieve categories',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Create category
+router.post('/', requirePermission(PERMISSIONS.CATEGORIES_WRITE), validateCategoryCreate, handleAsync(async (req, res) => {
+  try {
+    const result = await categoryService.createCategory(req.body);
+
+    sendWriteResult(res, result, { category: result.category }, 'Category created successfully', 201);
+  } catch (error) {
+    console.error('Category creation error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to create category',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Reorder categories from an ordered list of ids
+router.put('/reorder', requirePermission(PERMISSIONS.CATEGORIES_WRITE), validateCategoryReorder, handleAsync(async (req, res) => {
+  try {
+    const result = await categoryService.reorderCategories(req.body.categoryIds);
+
+    sendWriteResult(res, result, { categories: result.categories }, 'Categories reordered successfully');
+  } catch (error) {
+    console.error('Category reorder error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to reorder categories',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Update category
+router.put('/:id', requirePermission(PERMISSIONS.CATEGORIES_WRITE), validateCategoryUpdate, handleAsync(async (req, res) => {
+  try {
+    const result = await categoryService.updateCategory(req.params.id, req.body);
+
+    // Artwork listings show the category name and color
+    if (result.success && (req.body.name !== undefined || req.body.color !== undefined)) {
+      invalidateCache.artworks();
+    }
+
+    sendWriteResult(res, result, { category: result.category }, 'Category updated successfully');
+  } catch (error) {
+    console.error('Category update error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to update category',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Deactivate category, moving or uncategorising its artworks
+router.delete('/:id', requirePermission(PERMISSIONS.CATEGORIES_WRITE), validateCategoryDeactivation, handleAsync(async (req, res) => {
+  try {
+    const { artworkAction, targetCategoryId } = req.body;
+    const result = await categoryService.deactivateCategory(req.params.id, {
+      artworkAction,
+      targetCategoryId
+    });
+
+    // Artworks changed category, so cached artwork listings are stale too
+    if (result.success && result.movedArtworks > 0) {
+      invalidateCache.artworks();
+    }
+
+    sendWriteResult(res, result, { movedArtworks: result.movedArtworks }, 'Category deactivated successfully');
+  } catch (error) {
+    console.error('Category deactivation error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to deactivate category',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+export default router;
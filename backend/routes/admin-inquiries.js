@@ -0,0 +1,173 @@
+import express from 'express';
+import InquiryService from '../lib/inquiry-service.js';
+import { verifyAdminToken, requirePermission } from '../middleware/auth-admin.js';
+import { PERMISSIONS } from '../config/roles.js';
+import {
+  validateInquiryQuery,
+  validateInquiryId,
+  validateInquiryReply,
+  validateInquiryBulkClose
+} from '../middleware/validate-inquiry.js';
+import { formatResponse, handleAsync } from '../utils/response.js';
+
+const router = express.Router();
+const inquiryService = new InquiryService();
+
+// HTTP status for each service error type
+const ERROR_STATUS = {
+  NOT_FOUND: 404,
+  INQUIRY_CLOSED: 409,
+  EMAIL_FAILED: 502
+};
+
+// All inquiry management endpoints require an admin who can read inquiries
+router.use(verifyAdminToken, requirePermission(PERMISSIONS.INQUIRIES_READ));
+
+// =============================================================================
+// ADMIN INQUIRY ENDPOINTS
+// =============================================================================
+
+// Inbox listing with status, artwork and date filters
+router.get('/', validateInquiryQuery, handleAsync(async (req, res) => {
+  try {
+    const { page, limit, status, artworkId, from, to, search, sortOrder } = req.query;
+
+    const result = await inquiryService.listInquiries({
+      page,
+      limit,
+      status,
+      artworkId,
+      from,
+      to,
+      search,
+      sortOrder
+    });
+
+    res.json(formatResponse(
+      true,
+      result,
+      'Inquiries retrieved successfully'
+    ));
+  } catch (error) {
+    console.error('Admin inquiries listing error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to retrieve inquiries',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Number of unread inquiries for the dashboard badge
+router.get('/new-count', handleAsync(async (req, res) => {
+  try {
+    const count = await inquiryService.countNewInquiries();
+
+    res.json(formatResponse(
+      true,
+      { count },
+      'New inquiry count retrieved successfully'
+    ));
+  } catch (error) {
+    console.error('New inquiry count error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to count new inquiries',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Close several inquiries at once
+router.post('/close', requirePermission(PERMISSIONS.INQUIRIES_REPLY), validateInquiryBulkClose, handleAsync(async (req, res) => {
+  try {
+    const result = await inquiryService.closeInquiries(req.body.inquiryIds);
+
+    res.json(formatResponse(
+      true,
+      { closed: result.closed },
+      `${result.closed} inquiry(ies) closed`
+    ));
+  } catch (error) {
+    console.error('Inquiry bulk close error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to close inquiries',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Inquiry detail with the whole conversation; opening a NEW inquiry marks it READ
+router.get('/:id', validateInquiryId, handleAsync(async (req, res) => {
+  try {
+    const inquiry = await inquiryService.getInquiry(req.params.id);
+
+    if (!inquiry) {
+      return res.status(404).json(formatResponse(
+        false,
+        null,
+        'Inquiry not found',
+        'NOT_FOUND',
+        404
+      ));
+    }
+
+    res.json(formatResponse(
+      true,
+      { inquiry },
+      'Inquiry retrieved successfully'
+    ));
+  } catch (error) {
+    console.error('Admin inquiry retrieval error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to retrieve inquiry',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Add a reply to the thread and email it to the visitor
+router.post('/:id/reply', requirePermission(PERMISSIONS.INQUIRIES_REPLY), validateInquiryReply, handleAsync(async (req, res) => {
+  try {
+    const result = await inquiryService.replyToInquiry(req.params.id, req.body.reply, req.admin);
+
+    if (!result.success) {
+      const errorStatus = ERROR_STATUS[result.errorType] || 400;
+      return res.status(errorStatus).json(formatResponse(
+        false,
+        null,
+        result.error,
+        result.errorType,
+        errorStatus
+      ));
+    }
+
+    console.log(`📨 Inquiry ${req.params.id} answered by admin: ${req.admin.username}`);
+    res.json(formatResponse(
+      true,
+      { inquiry: result.inquiry },
+      'Reply sent successfully'
+    ));
+  } catch (error) {
+    console.error('Inquiry reply error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to send reply',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+export default router;
@@ -0,0 +1,143 @@
+import express from 'express';
+import AdminOrderService from '../lib/admin-order-service.js';
+import { verifyAdminToken, requirePermission } from '../middleware/auth-admin.js';
+import { PERMISSIONS } from '../config/roles.js';
+import {
+  validateOrderQuery,
+  validateOrderId,
+  validateOrderStatusUpdate
+} from '../middleware/validate-order.js';
+import { invalidateCache } from '../middleware/performance.js';
+import { formatResponse, handleAsync } from '../utils/response.js';
+
+const router = express.Router();
+const adminOrderService = new AdminOrderService();
+
+// HTTP status for each service error type
+const ERROR_STATUS = {
+  NOT_FOUND: 404,
+  INVALID_STATUS_TRANSITION: 409,
+  ARTWORK_UNAVAILABLE: 409,
+  REFUND_NOT_ALLOWED: 403
+};
+
+// All order management endpoints require an admin who can read orders
+router.use(verifyAdminToken, requirePermission(PERMISSIONS.ORDERS_READ));
+
+// =============================================================================
+// ADMIN ORDER ENDPOINTS
+// =============================================================================
+
+// Order listing with status, payment status, date and customer filters
+router.get('/', validateOrderQuery, handleAsync(async (req, res) => {
+  try {
+    const { page, limit, status, paymentStatus, from, to, customer, userId, sortOrder } = req.query;
+
+    const result = await adminOrderService.listOrders({
+      page,
+      limit,
+      status,
+      paymentStatus,
+      from,
+      to,
+      customer,
+      userId,
+      sortOrder
+    });
+
+    res.json(formatResponse(
+      true,
+      result,
+      'Orders retrieved successfully'
+    ));
+  } catch (error) {
+    console.error('Admin orders listing error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to retrieve orders',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Order detail with its items, their artworks and the payments made
+router.get('/:id', validateOrderId, handleAsync(async (req, res) => {
+  try {
+    const order = await adminOrderService.getOrder(req.params.id);
+
+    if (!order) {
+      return res.status(404).json(formatResponse(
+        false,
+        null,
+        'Order not found',
+        'NOT_FOUND',
+        404
+      ));
+    }
+
+    res.json(formatResponse(
+      true,
+      { order },
+      'Order retrieved successfully'
+    ));
+  } catch (error) {
+    console.error('Admin order retrieval error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to retrieve order',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Move an order through fulfilment; the buyer is emailed about each step
+router.patch('/:id/status', requirePermission(PERMISSIONS.ORDERS_WRITE), validateOrderStatusUpdate, handleAsync(async (req, res) => {
+  try {
+    const { status, carrier, trackingNumber, reason } = req.body;
+
+    const result = await adminOrderService.updateOrderStatus(
+      req.params.id,
+      { status, carrier, trackingNumber, reason },
+      req.admin,
+      { canRefund: req.admin.permissions.includes(PERMISSIONS.ORDERS_REFUND) }
+    );
+
+    if (!result.success) {
+      const errorStatus = ERROR_STATUS[result.errorType] || 400;
+      return res.status(errorStatus).json(formatResponse(
+        false,
+        null,
+        result.error,
+        result.errorType,
+        errorStatus
+      ));
+    }
+
+    // Sold or released artworks change the public listings
+    if (result.soldArtworkIds.length > 0 || result.releasedArtworkIds.length > 0) {
+      invalidateCache.artworks();
+      invalidateCache.categories();
+    }
+
+    res.json(formatResponse(
+      true,
+      { order: result.order },
+      `Order ${result.order.status.toLowerCase()}`
+    ));
+  } catch (error) {
+    console.error('Order status update error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to update order status',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+export default router;
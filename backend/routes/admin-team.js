@@ -0,0 +1,230 @@
+import express from 'express';
+import AdminTeamService from '../lib/admin-team-service.js';
+import { verifyAdminToken, requirePermission } from '../middleware/auth-admin.js';
+import {
+  validateInvitation,
+  validateTeamId,
+  validateRoleChange,
+  validateStatusChange
+} from '../middleware/validate-admin.js';
+import { PERMISSIONS } from '../config/roles.js';
+import { formatResponse, handleAsync } from '../utils/response.js';
+
+const router = express.Router();
+const teamService = new AdminTeamService();
+
+// HTTP status for each service error type
+const ERROR_STATUS = {
+  NOT_FOUND: 404,
+  ADMIN_EXISTS: 409,
+  LAST_OWNER: 409,
+  CANNOT_DEACTIVATE_SELF: 400,
+  EMAIL_FAILED: 502
+};
+
+/**
+ * Send the error response for a failed service result
+ */
+const sendServiceError = (res, result) => {
+  const errorStatus = ERROR_STATUS[result.errorType] || 400;
+  return res.status(errorStatus).json(formatResponse(
+    false,
+    null,
+    result.error,
+    result.errorType,
+    errorStatus
+  ));
+};
+
+// Team management is limited to admins who manage other admins
+router.use(verifyAdminToken, requirePermission(PERMISSIONS.ADMINS_MANAGE));
+
+// =============================================================================
+// ADMIN TEAM ENDPOINTS
+// =============================================================================
+
+// Team members and pending invitations
+router.get('/', handleAsync(async (req, res) => {
+  try {
+    const team = await teamService.listTeam();
+
+    res.json(formatResponse(
+      true,
+      team,
+      'Team retrieved successfully'
+    ));
+  } catch (error) {
+    console.error('Admin team listing error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to retrieve team',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Invite an email address with a role; the invitee sets username and password
+router.post('/invitations', validateInvitation, handleAsync(async (req, res) => {
+  try {
+    const { email, role } = req.body;
+    const result = await teamService.inviteAdmin({ email, role }, req.admin);
+
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+
+    console.log(`✉️  Admin invitation for ${email} sent by: ${req.admin.username}`);
+    res.status(201).json(formatResponse(
+      true,
+      { invitation: result.invitation },
+      'Invitation sent successfully'
+    ));
+  } catch (error) {
+    console.error('Admin invitation error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to send invitation',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Cancel a pending invitation
+router.delete('/invitations/:id', validateTeamId, handleAsync(async (req, res) => {
+  try {
+    const result = await teamService.revokeInvitation(req.params.id);
+
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+
+    res.json(formatResponse(
+      true,
+      null,
+      'Invitation revoked successfully'
+    ));
+  } catch (error) {
+    console.error('Invitation revoke error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to revoke invitation',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Change the role of an admin
+router.patch('/:id/role', validateRoleChange, handleAsync(async (req, res) => {
+  try {
+    const result = await teamService.changeRole(req.params.id, req.body.role);
+
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+
+    console.log(`👥 Admin ${req.params.id} is now ${req.body.role}, changed by: ${req.admin.username}`);
+    res.json(formatResponse(
+      true,
+      { admin: result.admin },
+      'Role updated successfully'
+    ));
+  } catch (error) {
+    console.error('Admin role change error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to update role',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Activate or deactivate an admin; deactivation revokes every session
+router.patch('/:id/status', validateStatusChange, handleAsync(async (req, res) => {
+  try {
+    const result = await teamService.setActive(req.params.id, req.body.isActive, req.admin);
+
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+
+    console.log(`👥 Admin ${req.params.id} ${req.body.isActive ? 'activated' : 'deactivated'} by: ${req.admin.username}`);
+    res.json(formatResponse(
+      true,
+      { admin: result.admin },
+      req.body.isActive ? 'Admin activated successfully' : 'Admin deactivated successfully'
+    ));
+  } catch (error) {
+    console.error('Admin status change error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to update admin status',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Lift the login lockout of an admin and clear their failed attempts
+router.post('/:id/unlock', validateTeamId, handleAsync(async (req, res) => {
+  try {
+    const result = await teamService.unlockAdmin(req.params.id);
+
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+
+    console.log(`🔓 Admin ${req.params.id} unlocked by: ${req.admin.username}`);
+    res.json(formatResponse(
+      true,
+      null,
+      'Admin unlocked successfully'
+    ));
+  } catch (error) {
+    console.error('Admin unlock error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to unlock admin',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Remove the 2FA enrollment of an admin who lost their device
+router.delete('/:id/two-factor', validateTeamId, handleAsync(async (req, res) => {
+  try {
+    const result = await teamService.resetTwoFactor(req.params.id);
+
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+
+    console.log(`👥 Two-factor reset for admin ${req.params.id} by: ${req.admin.username}`);
+    res.json(formatResponse(
+      true,
+      null,
+      'Two-factor authentication reset successfully'
+    ));
+  } catch (error) {
+    console.error('Two-factor reset error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to reset two-factor authentication',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+export default router;
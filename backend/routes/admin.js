@@ -2,60 +2,61 @@ import express from 'express';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import rateLimit from 'express-rate-limit';
-import { body, validationResult } from 'express-validator';
 import AdminService from '../lib/admin-service.js';
+import AdminTeamService from '../lib/admin-team-service.js';
+import AdminSetupService from '../lib/admin-setup-service.js';
 import {
   validateAdminLogin,
   validateAdminRegistration,
+  validateOwnerSetup,
   validatePasswordResetRequest,
   validatePasswordResetCompletion,
-  validatePasswordChange
+  validatePasswordChange,
+  validateSessionId,
+  validateInvitationAcceptance,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable,
+  validateSecuritySettings
 } from '../middleware/validate-admin.js';
-import { verifyAdminToken, verifyAdminRefreshToken } from '../middleware/auth-admin.js';
+import {
+  verifyAdminToken,
+  verifyAdminTokenForTwoFactorSetup,
+  verifyAdminRefreshToken,
+  requirePermission
+} from '../middleware/auth-admin.js';
+import { PERMISSIONS, getRolePermissions } from '../config/roles.js';
+import { formatResponse, handleAsync, handleValidationErrors } from '../utils/response.js';
 
 const router = express.Router();
 const adminService = new AdminService();
+const teamService = new AdminTeamService();
+const setupService = new AdminSetupService();
 
 // =============================================================================
 // UTILITY FUNCTIONS
 // =============================================================================
 
 /**
- * Professional response formatter
- * @param {boolean} success 
- * @param {*} data 
- * @param {string} message 
- * @param {string} error 
- * @param {number} statusCode 
- * @returns {Object}
- */
-const formatResponse = (success, data = null, message = '', error = null, statusCode = 200) => {
-  const response = {
-    success,
-    message,
-    timestamp: new Date().toISOString(),
-    ...(data && { data }),
-    ...(error && { error: typeof error === 'string' ? error : error.type || 'UNKNOWN_ERROR' })
-  };
-
-  if (process.env.NODE_ENV === 'development' && error && typeof error === 'object') {
-    response.errorDetails = error;
-  }
-
-  return response;
-};
-
-/**
- * Async handler wrapper for better error handling
- * @param {Function} fn 
- * @returns {Function}
+ * Send the response for a login refused because of too many failed attempts
+ * @param {Object} res
+ * @param {Object} result - Service result with errorType and retryAfter
  */
-const handleAsync = (fn) => (req, res, next) => {
-  Promise.resolve(fn(req, res, next)).catch(next);
+const sendLoginLocked = (res, result) => {
+  // 423 for a lockout, 429 while the progressive delay runs
+  const errorStatus = result.errorType === 'ACCOUNT_LOCKED' ? 423 : 429;
+  res.set('Retry-After', String(result.retryAfter));
+  return res.status(errorStatus).json(formatResponse(
+    false,
+    { retryAfter: result.retryAfter },
+    result.error,
+    result.errorType,
+    errorStatus
+  ));
 };
 
 /**
- * Rate limiting for admin endpoints
+ * Rate limiting for admin endpoints (password login)
  */
 const adminRateLimit = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -65,91 +66,60 @@ const adminRateLimit = rateLimit({
   legacyHeaders: false,
 });
 
-// =============================================================================
-// VALIDATION MIDDLEWARE
-// =============================================================================
+// Each recovery and onboarding flow has its own budget, so mistyped codes at
+// login never block a password reset or an invitation
 
-const validateAdminLogin = [
-  body('email')
-    .isEmail()
-    .normalizeEmail()
-    .withMessage('Valid email is required'),
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long'),
-];
-
-const validateAdminRegistration = [
-  body('username')
-    .isLength({ min: 3, max: 50 })
-    .trim()
-    .withMessage('Username must be between 3 and 50 characters'),
-  body('email')
-    .isEmail()
-    .normalizeEmail()
-    .withMessage('Valid email is required'),
-  body('password')
-    .isLength({ min: 8 })
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
-    .withMessage('Password must be at least 8 characters with uppercase, lowercase, number, and special character'),
-];
-
-const validatePasswordResetRequest = [
-  body('email')
-    .isEmail()
-    .normalizeEmail()
-    .withMessage('Valid email is required'),
-];
-
-const validatePasswordResetCompletion = [
-  body('token')
-    .notEmpty()
-    .withMessage('Reset token is required'),
-  body('newPassword')
-    .isLength({ min: 8 })
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
-    .withMessage('Password must be at least 8 characters with uppercase, lowercase, number, and special character'),
-];
+const twoFactorLoginRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // wrong codes also count towards the account lockout
+  message: formatResponse(false, null, 'Too many verification attempts, please try again later', 'RATE_LIMIT_EXCEEDED', 429),
+  standardHeaders: true,
+  legacyHeaders: false,
+});
 
-/**
- * Handle validation errors
- */
-const handleValidationErrors = (req, res, next) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json(formatResponse(
-      false,
-      null,
-      'Validation failed',
-      {
-        type: 'VALIDATION_ERROR',
-        details: errors.array().map(err => ({
-          field: err.path,
-          message: err.msg,
-          value: err.value
-        }))
-      },
-      400
-    ));
-  }
-  next();
-};
+const passwordResetRateLimit = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // reset requests and completions per IP
+  message: formatResponse(false, null, 'Too many password reset requests, please try again later', 'RATE_LIMIT_EXCEEDED', 429),
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const invitationRateLimit = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10,
+  message: formatResponse(false, null, 'Too many invitation attempts, please try again later', 'RATE_LIMIT_EXCEEDED', 429),
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const setupRateLimit = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // the setup token is only needed once
+  message: formatResponse(false, null, 'Too many setup attempts, please try again later', 'RATE_LIMIT_EXCEEDED', 429),
+  standardHeaders: true,
+  legacyHeaders: false,
+});
 
 // =============================================================================
 // ADMIN AUTHENTICATION ENDPOINTS
 // =============================================================================
 
-// Check if admin exists (for initial setup)
+// Check if admin exists (drives the first-run setup wizard)
 router.get('/exists', handleAsync(async (req, res) => {
   try {
-    const adminExists = await adminService.adminExists();
+    const adminExists = await setupService.isSetupComplete();
     
     res.json(formatResponse(
       true,
       { 
         exists: adminExists,
         needsSetup: !adminExists,
-        setupMessage: adminExists ? null : 'Use default admin credentials for first-time setup'
+        // How the first owner can be created: the wizard needs ADMIN_SETUP_TOKEN, the CLI needs server access
+        setup: adminExists ? null : {
+          wizardEnabled: setupService.isSetupTokenEnabled(),
+          command: 'npm run admin:create-owner'
+        }
       },
       adminExists ? 'Admin accounts found' : 'No admin accounts found, setup required'
     ));
@@ -165,13 +135,96 @@ router.get('/exists', handleAsync(async (req, res) => {
   }
 }));
 
+// First-run setup wizard: create the first owner with ADMIN_SETUP_TOKEN and sign them in
+router.post('/setup', setupRateLimit, validateOwnerSetup, handleAsync(async (req, res) => {
+  try {
+    if (!setupService.isSetupTokenEnabled()) {
+      return res.status(403).json(formatResponse(
+        false,
+        null,
+        'Setup wizard is disabled, run npm run admin:create-owner on the server',
+        'SETUP_DISABLED',
+        403
+      ));
+    }
+
+    if (!setupService.verifySetupToken(req.body.setupToken)) {
+      console.warn(`⚠️  Invalid admin setup token from ${req.ip}`);
+      return res.status(401).json(formatResponse(
+        false,
+        null,
+        'Invalid setup token',
+        'INVALID_SETUP_TOKEN',
+        401
+      ));
+    }
+
+    const { username, email, password, firstName, lastName } = req.body;
+    const result = await setupService.createFirstOwner({ username, email, password, firstName, lastName });
+
+    if (!result.success) {
+      return res.status(409).json(formatResponse(
+        false,
+        null,
+        result.error,
+        result.errorType,
+        409
+      ));
+    }
+
+    const login = await adminService.completeLogin(result.admin, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    console.log(`✅ Admin setup completed by: ${email} (ADMIN_SETUP_TOKEN can now be removed)`);
+    res.status(201).json(formatResponse(
+      true,
+      {
+        admin: login.admin,
+        tokens: {
+          accessToken: login.accessToken,
+          refreshToken: login.refreshToken
+        }
+      },
+      'Owner account created successfully'
+    ));
+  } catch (error) {
+    console.error('Admin setup error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Admin setup failed',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
 // Admin login
 router.post('/login', adminRateLimit, validateAdminLogin, handleValidationErrors, handleAsync(async (req, res) => {
   try {
     const { email, password } = req.body;
     console.log(`🔐 Admin login attempt for: ${email}`);
     
-    const result = await adminService.authenticateAdmin(email, password);
+    const result = await adminService.authenticateAdmin(email, password, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    if (result.retryAfter) {
+      return sendLoginLocked(res, result);
+    }
+
+    if (result.errorType === 'PASSWORD_RESET_REQUIRED') {
+      return res.status(403).json(formatResponse(
+        false,
+        null,
+        result.error,
+        result.errorType,
+        403
+      ));
+    }
     
     if (!result.success) {
       return res.status(401).json(formatResponse(
@@ -183,6 +236,14 @@ router.post('/login', adminRateLimit, validateAdminLogin, handleValidationErrors
       ));
     }
 
+    if (result.twoFactorRequired) {
+      return res.json(formatResponse(
+        true,
+        { twoFactorRequired: true, challengeToken: result.challengeToken },
+        'Two-factor authentication required'
+      ));
+    }
+
     res.json(formatResponse(
       true,
       {
@@ -206,16 +267,64 @@ router.post('/login', adminRateLimit, validateAdminLogin, handleValidationErrors
   }
 }));
 
-// Admin registration (only allowed for existing admins)
-router.post('/register', validateAdminRegistration, handleValidationErrors, handleAsync(async (req, res) => {
+// Second login step for admins with 2FA: challenge token + TOTP or recovery code
+router.post('/login/2fa', twoFactorLoginRateLimit, validateTwoFactorLogin, handleAsync(async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const result = await adminService.verifyTwoFactorLogin(challengeToken, { code, recoveryCode }, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    if (result.retryAfter) {
+      return sendLoginLocked(res, result);
+    }
+
+    if (!result.success) {
+      return res.status(401).json(formatResponse(
+        false,
+        null,
+        result.error,
+        result.errorType,
+        401
+      ));
+    }
+
+    res.json(formatResponse(
+      true,
+      {
+        admin: result.admin,
+        tokens: {
+          accessToken: result.accessToken,
+          refreshToken: result.refreshToken
+        }
+      },
+      'Login successful'
+    ));
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Login failed',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Admin registration (only allowed for admins who manage the team)
+router.post('/register', verifyAdminToken, requirePermission(PERMISSIONS.ADMINS_MANAGE), validateAdminRegistration, handleValidationErrors, handleAsync(async (req, res) => {
   try {
-    const { username, email, password } = req.body;
+    const { username, email, password, role } = req.body;
 
     // Create new admin
     const newAdmin = await adminService.createAdmin({
       username,
       email,
-      password
+      password,
+      role
     });
 
     res.status(201).json(formatResponse(
@@ -224,7 +333,8 @@ router.post('/register', validateAdminRegistration, handleValidationErrors, hand
         admin: {
           id: newAdmin.id,
           username: newAdmin.username,
-          email: newAdmin.email
+          email: newAdmin.email,
+          role: newAdmin.role
         }
       },
       'Admin registered successfully'
@@ -241,30 +351,80 @@ router.post('/register', validateAdminRegistration, handleValidationErrors, hand
   }
 }));
 
-// Refresh admin token (simplified version)
-router.post('/refresh-token', handleAsync(async (req, res) => {
+// Look up an invitation so the accept form can show its email and role
+router.get('/invitation', handleAsync(async (req, res) => {
   try {
-    const { refreshToken } = req.body;
-    
-    if (!refreshToken) {
-      return res.status(400).json(formatResponse(
+    const invitation = typeof req.query.token === 'string'
+      ? await teamService.findInvitationByToken(req.query.token)
+      : null;
+
+    if (!invitation) {
+      return res.status(404).json(formatResponse(
         false,
         null,
-        'Refresh token required',
-        'MISSING_REFRESH_TOKEN',
-        400
+        'Invalid or expired invitation',
+        'INVALID_INVITATION',
+        404
       ));
     }
 
-    // For now, return success (implement proper JWT refresh later)
     res.json(formatResponse(
       true,
-      { 
-        tokens: {
-          accessToken: 'new-access-token',
-          refreshToken: 'new-refresh-token'
-        }
-      },
+      { invitation: { email: invitation.email, role: invitation.role, expiresAt: invitation.expiresAt } },
+      'Invitation is valid'
+    ));
+  } catch (error) {
+    console.error('Invitation lookup error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to check invitation',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Accept an invitation by choosing a username and password
+router.post('/invitation/accept', invitationRateLimit, validateInvitationAcceptance, handleAsync(async (req, res) => {
+  try {
+    const { token, username, password } = req.body;
+    const result = await teamService.acceptInvitation(token, { username, password });
+
+    if (!result.success) {
+      const errorStatus = result.errorType === 'INVALID_INVITATION' ? 400 : 409;
+      return res.status(errorStatus).json(formatResponse(
+        false,
+        null,
+        result.error,
+        result.errorType,
+        errorStatus
+      ));
+    }
+
+    res.status(201).json(formatResponse(
+      true,
+      { admin: result.admin },
+      'Invitation accepted, you can now log in'
+    ));
+  } catch (error) {
+    console.error('Invitation acceptance error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to accept invitation',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Refresh admin token; the refresh token is single-use and rotated on every call
+router.post('/refresh-token', verifyAdminRefreshToken, handleAsync(async (req, res) => {
+  try {
+    res.json(formatResponse(
+      true,
+      { tokens: res.locals.tokens },
       'Token refreshed successfully'
     ));
   } catch (error) {
@@ -279,8 +439,8 @@ router.post('/refresh-token', handleAsync(async (req, res) => {
   }
 }));
 
-// Initiate password reset
-router.post('/password-reset/initiate', validatePasswordResetRequest, handleAsync(async (req, res) => {
+// Initiate password reset (same response whether or not the email is registered)
+router.post('/password-reset/initiate', passwordResetRateLimit, validatePasswordResetRequest, handleAsync(async (req, res) => {
   try {
     const { email } = req.body;
     const result = await adminService.initiatePasswordReset(email);
@@ -313,7 +473,7 @@ router.post('/password-reset/initiate', validatePasswordResetRequest, handleAsyn
 }));
 
 // Complete password reset
-router.post('/password-reset/complete', validatePasswordResetCompletion, handleAsync(async (req, res) => {
+router.post('/password-reset/complete', passwordResetRateLimit, validatePasswordResetCompletion, handleAsync(async (req, res) => {
   try {
     const { token, newPassword } = req.body;
     const result = await adminService.completePasswordReset(token, newPassword);
@@ -351,7 +511,7 @@ router.post('/password/change', verifyAdminToken, validatePasswordChange, handle
     const { currentPassword, newPassword } = req.body;
     const adminId = req.admin.id;
 
-    const result = await adminService.updatePassword(adminId, currentPassword, newPassword);
+    const result = await adminService.updatePassword(adminId, currentPassword, newPassword, req.admin.sessionId);
 
     if (!result.success) {
       return res.status(400).json(formatResponse(
@@ -381,7 +541,7 @@ router.post('/password/change', verifyAdminToken, validatePasswordChange, handle
 }));
 
 // Get admin profile (requires authentication)
-router.get('/profile', verifyAdminToken, handleAsync(async (req, res) => {
+router.get('/profile', verifyAdminTokenForTwoFactorSetup, handleAsync(async (req, res) => {
   try {
     const admin = await adminService.findAdminById(req.admin.id);
     
@@ -402,6 +562,9 @@ router.get('/profile', verifyAdminToken, handleAsync(async (req, res) => {
           id: admin.id,
           username: admin.username,
           email: admin.email,
+          role: admin.role,
+          permissions: getRolePermissions(admin.role),
+          twoFactorEnabled: admin.totp_enabled === true,
           lastLogin: admin.lastLogin
         }
       },
@@ -420,9 +583,11 @@ router.get('/profile', verifyAdminToken, handleAsync(async (req, res) => {
 }));
 
 // Admin logout
-router.post('/logout', verifyAdminToken, handleAsync(async (req, res) => {
+router.post('/logout', verifyAdminTokenForTwoFactorSetup, handleAsync(async (req, res) => {
   try {
-    // In production, you might want to blacklist the token
+    // Revoking the session invalidates its access and refresh tokens
+    await adminService.revokeSession(req.admin.id, req.admin.sessionId);
+
     console.log(`🔐 Admin logout: ${req.admin.username}`);
     
     res.json(formatResponse(
@@ -443,6 +608,328 @@ router.post('/logout', verifyAdminToken, handleAsync(async (req, res) => {
   }
 }));
 
+// =============================================================================
+// ADMIN SESSION ENDPOINTS
+// =============================================================================
+
+// List the active sessions of the current admin
+router.get('/sessions', verifyAdminToken, handleAsync(async (req, res) => {
+  try {
+    const sessions = await adminService.listSessions(req.admin.id, req.admin.sessionId);
+
+    res.json(formatResponse(
+      true,
+      { sessions },
+      'Sessions retrieved successfully'
+    ));
+  } catch (error) {
+    console.error('Session listing error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to retrieve sessions',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Sign out every other device
+router.post('/sessions/revoke-others', verifyAdminToken, handleAsync(async (req, res) => {
+  try {
+    const revoked = await adminService.revokeOtherSessions(req.admin.id, req.admin.sessionId);
+
+    res.json(formatResponse(
+      true,
+      { revoked },
+      `${revoked} session(s) revoked`
+    ));
+  } catch (error) {
+    console.error('Session revoke-all error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to revoke sessions',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Revoke one session (revoking the current one signs this device out)
+router.delete('/sessions/:sessionId', verifyAdminToken, validateSessionId, handleAsync(async (req, res) => {
+  try {
+    const result = await adminService.revokeSession(req.admin.id, req.params.sessionId);
+
+    if (!result.success) {
+      return res.status(404).json(formatResponse(
+        false,
+        null,
+        result.error,
+        result.errorType,
+        404
+      ));
+    }
+
+    res.json(formatResponse(
+      true,
+      null,
+      'Session revoked successfully'
+    ));
+  } catch (error) {
+    console.error('Session revoke error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to revoke session',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Recent login attempts on the current admin account
+router.get('/login-attempts', verifyAdminToken, handleAsync(async (req, res) => {
+  try {
+    const attempts = await adminService.loginSecurity.listAttempts(req.admin.id);
+
+    res.json(formatResponse(
+      true,
+      { attempts },
+      'Login attempts retrieved successfully'
+    ));
+  } catch (error) {
+    console.error('Login attempts listing error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to retrieve login attempts',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// =============================================================================
+// TWO-FACTOR AUTHENTICATION ENDPOINTS
+// =============================================================================
+
+// HTTP status for each two-factor error type
+const TWO_FACTOR_ERROR_STATUS = {
+  ALREADY_ENABLED: 409,
+  NOT_ENROLLING: 409,
+  INVALID_2FA_CODE: 400,
+  TWO_FACTOR_REQUIRED: 403,
+  INVALID_PASSWORD: 400
+};
+
+/**
+ * Send the error response for a failed two-factor result
+ */
+const sendTwoFactorError = (res, result) => {
+  const errorStatus = TWO_FACTOR_ERROR_STATUS[result.errorType] || 400;
+  return res.status(errorStatus).json(formatResponse(
+    false,
+    null,
+    result.error,
+    result.errorType,
+    errorStatus
+  ));
+};
+
+// 2FA status of the current admin
+router.get('/2fa', verifyAdminTokenForTwoFactorSetup, handleAsync(async (req, res) => {
+  try {
+    const status = await adminService.twoFactor.getStatus(req.admin.id);
+
+    res.json(formatResponse(
+      true,
+      { twoFactor: status },
+      'Two-factor status retrieved successfully'
+    ));
+  } catch (error) {
+    console.error('Two-factor status error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to retrieve two-factor status',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Start enrollment: returns the secret, otpauth URI and a QR code image (data URL)
+router.post('/2fa/enroll', verifyAdminTokenForTwoFactorSetup, handleAsync(async (req, res) => {
+  try {
+    const result = await adminService.twoFactor.startEnrollment(req.admin);
+
+    if (!result.success) {
+      return sendTwoFactorError(res, result);
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.json(formatResponse(
+      true,
+      { enrollment: result.enrollment },
+      'Scan the QR code with your authenticator app, then confirm with a code'
+    ));
+  } catch (error) {
+    console.error('Two-factor enrollment error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to start two-factor enrollment',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Confirm enrollment with a first code; returns the recovery codes once
+router.post('/2fa/confirm', verifyAdminTokenForTwoFactorSetup, validateTwoFactorCode, handleAsync(async (req, res) => {
+  try {
+    const result = await adminService.twoFactor.confirmEnrollment(req.admin.id, req.body.code);
+
+    if (!result.success) {
+      return sendTwoFactorError(res, result);
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.json(formatResponse(
+      true,
+      { recoveryCodes: result.recoveryCodes },
+      'Two-factor authentication enabled. Store your recovery codes somewhere safe.'
+    ));
+  } catch (error) {
+    console.error('Two-factor confirmation error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to enable two-factor authentication',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Replace the recovery codes (the old ones stop working)
+router.post('/2fa/recovery-codes', verifyAdminToken, validateTwoFactorCode, handleAsync(async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body;
+    const result = await adminService.twoFactor.regenerateRecoveryCodes(req.admin.id, { code, recoveryCode });
+
+    if (!result.success) {
+      return sendTwoFactorError(res, result);
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.json(formatResponse(
+      true,
+      { recoveryCodes: result.recoveryCodes },
+      'Recovery codes regenerated'
+    ));
+  } catch (error) {
+    console.error('Recovery code regeneration error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to regenerate recovery codes',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Turn 2FA off (password and a code are required)
+router.post('/2fa/disable', verifyAdminToken, validateTwoFactorDisable, handleAsync(async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const result = await adminService.verifyPassword(req.admin.id, password)
+      ? await adminService.twoFactor.disable(req.admin.id, { code, recoveryCode })
+      : { success: false, error: 'Password is incorrect', errorType: 'INVALID_PASSWORD' };
+
+    if (!result.success) {
+      return sendTwoFactorError(res, result);
+    }
+
+    res.json(formatResponse(
+      true,
+      null,
+      'Two-factor authentication disabled'
+    ));
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to disable two-factor authentication',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// =============================================================================
+// SECURITY SETTINGS ENDPOINTS
+// =============================================================================
+
+// Current security policy
+router.get('/security/settings', verifyAdminToken, requirePermission(PERMISSIONS.SECURITY_MANAGE), handleAsync(async (req, res) => {
+  try {
+    res.json(formatResponse(
+      true,
+      { settings: { requireTwoFactor: await adminService.twoFactor.isRequired() } },
+      'Security settings retrieved successfully'
+    ));
+  } catch (error) {
+    console.error('Security settings error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to retrieve security settings',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Require 2FA for every admin; admins without it must enroll at their next request
+router.put('/security/settings', verifyAdminToken, requirePermission(PERMISSIONS.SECURITY_MANAGE), validateSecuritySettings, handleAsync(async (req, res) => {
+  try {
+    const { requireTwoFactor } = req.body;
+
+    // Enroll yourself first so the policy never surprises the admin setting it
+    if (requireTwoFactor && !req.admin.twoFactorEnabled) {
+      return res.status(409).json(formatResponse(
+        false,
+        null,
+        'Enable two-factor authentication on your own account first',
+        'TWO_FACTOR_NOT_ENABLED',
+        409
+      ));
+    }
+
+    await adminService.twoFactor.setRequired(requireTwoFactor, req.admin.id);
+
+    res.json(formatResponse(
+      true,
+      { settings: { requireTwoFactor } },
+      'Security settings updated successfully'
+    ));
+  } catch (error) {
+    console.error('Security settings update error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to update security settings',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
 // =============================================================================
 // ADMIN MANAGEMENT ENDPOINTS
 // =============================================================================
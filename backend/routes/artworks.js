@@ -0,0 +1,94 @@
+import express from 'express';
+import ArtworkService from '../lib/artwork-service.js';
+import { validateArtworkQuery, validateArtworkId } from '../middleware/validate-artwork.js';
+import { artworksCache } from '../middleware/performance.js';
+import { isBotRequest } from '../middleware/security.js';
+import { formatResponse, handleAsync } from '../utils/response.js';
+
+const router = express.Router();
+const artworkService = new ArtworkService();
+
+// =============================================================================
+// PUBLIC ARTWORK ENDPOINTS
+// =============================================================================
+
+// List artworks with filtering, sorting and pagination
+router.get('/', validateArtworkQuery, artworksCache, handleAsync(async (req, res) => {
+  try {
+    const {
+      page, limit, category, status, featured,
+      minPrice, maxPrice, year, medium, search, sortBy, sortOrder
+    } = req.query;
+
+    const result = await artworkService.listArtworks({
+      page,
+      limit,
+      category,
+      status,
+      featured,
+      minPrice,
+      maxPrice,
+      year,
+      medium,
+      search,
+      sortBy,
+      sortOrder
+    });
+
+    res.json(formatResponse(
+      true,
+      result,
+      'Artworks retrieved successfully'
+    ));
+  } catch (error) {
+    console.error('Artworks listing error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to retrieve artworks',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Get artwork detail with image gallery and related works
+router.get('/:id', validateArtworkId, handleAsync(async (req, res) => {
+  try {
+    const artworkId = req.params.id;
+
+    // Count only human visits before loading, so the response reflects this view
+    if (!isBotRequest(req)) {
+      await artworkService.incrementViewCount(artworkId);
+    }
+
+    const result = await artworkService.getArtworkDetail(artworkId);
+
+    if (!result) {
+      return res.status(404).json(formatResponse(
+        false,
+        null,
+        'Artwork not found',
+        'NOT_FOUND',
+        404
+      ));
+    }
+
+    res.json(formatResponse(
+      true,
+      result,
+      'Artwork retrieved successfully'
+    ));
+  } catch (error) {
+    console.error('Artwork retrieval error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to retrieve artwork',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+export default router;
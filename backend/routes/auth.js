@@ -0,0 +1,322 @@
+import express from 'express';
+import CustomerAuthService from '../lib/customer-auth-service.js';
+import CustomerAccountService from '../lib/customer-account-service.js';
+import { verifyCustomerToken, verifyCustomerRefreshToken } from '../middleware/auth-customer.js';
+import {
+  authRateLimit,
+  registrationRateLimit,
+  accountEmailRateLimit,
+  validateRegistration,
+  validateLogin,
+  validateEmailRequest,
+  validatePasswordResetToken
+} from '../middleware/security.js';
+import { formatResponse, handleAsync } from '../utils/response.js';
+
+const router = express.Router();
+const customerAuthService = new CustomerAuthService();
+const customerAccountService = new CustomerAccountService();
+
+// HTTP status for each service error type
+const ERROR_STATUS = {
+  EMAIL_EXISTS: 409,
+  INVALID_CREDENTIALS: 401,
+  ACCOUNT_INACTIVE: 403,
+  INVALID_VERIFICATION_TOKEN: 400,
+  INVALID_RESET_TOKEN: 400,
+  INVALID_EMAIL_CHANGE_TOKEN: 400
+};
+
+/**
+ * Send the error response for a failed service result
+ */
+const sendServiceError = (res, result) => {
+  const errorStatus = ERROR_STATUS[result.errorType] || 400;
+  return res.status(errorStatus).json(formatResponse(
+    false,
+    null,
+    result.error,
+    result.errorType,
+    errorStatus
+  ));
+};
+
+// =============================================================================
+// CUSTOMER AUTHENTICATION ENDPOINTS
+// =============================================================================
+
+// Create a customer account; the customer is signed in and sent a verification link
+router.post('/register', registrationRateLimit, validateRegistration, handleAsync(async (req, res) => {
+  try {
+    const { email, password, firstName, lastName, phone } = req.body;
+    const result = await customerAuthService.register({ email, password, firstName, lastName, phone });
+
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+
+    res.status(201).json(formatResponse(
+      true,
+      {
+        user: result.user,
+        tokens: {
+          accessToken: result.accessToken,
+          refreshToken: result.refreshToken
+        }
+      },
+      'Account created, please check your email to verify your address'
+    ));
+  } catch (error) {
+    console.error('Customer registration error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Registration failed',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Customer login
+router.post('/login', authRateLimit, validateLogin, handleAsync(async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    const result = await customerAuthService.authenticate(email, password);
+
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+
+    res.json(formatResponse(
+      true,
+      {
+        user: result.user,
+        tokens: {
+          accessToken: result.accessToken,
+          refreshToken: result.refreshToken
+        }
+      },
+      'Login successful'
+    ));
+  } catch (error) {
+    console.error('Customer login error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Login failed',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Exchange a refresh token for a new token pair
+router.post('/refresh-token', verifyCustomerRefreshToken, handleAsync(async (req, res) => {
+  res.json(formatResponse(
+    true,
+    { tokens: res.locals.tokens },
+    'Token refreshed successfully'
+  ));
+}));
+
+// Sign this device out
+router.post('/logout', verifyCustomerToken, handleAsync(async (req, res) => {
+  try {
+    await customerAuthService.revokeFamily(req.user.id, req.user.sessionId);
+
+    res.json(formatResponse(
+      true,
+      null,
+      'Logout successful'
+    ));
+  } catch (error) {
+    console.error('Customer logout error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Logout failed',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Current customer
+router.get('/me', verifyCustomerToken, handleAsync(async (req, res) => {
+  try {
+    const user = await customerAuthService.findUserById(req.user.id);
+
+    res.json(formatResponse(
+      true,
+      { user: customerAuthService.formatUser(user) },
+      'Account retrieved successfully'
+    ));
+  } catch (error) {
+    console.error('Customer account error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to retrieve account',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// =============================================================================
+// EMAIL VERIFICATION ENDPOINTS
+// =============================================================================
+
+// Confirm an email address with the token from the verification link
+router.post('/verify-email', handleAsync(async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json(formatResponse(
+        false,
+        null,
+        'Verification token is required',
+        'VALIDATION_ERROR',
+        400
+      ));
+    }
+
+    const result = await customerAuthService.verifyEmail(token);
+
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+
+    res.json(formatResponse(
+      true,
+      { user: result.user },
+      'Email verified successfully'
+    ));
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Email verification failed',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Send a new verification link (same answer whether or not the account exists)
+router.post('/resend-verification', accountEmailRateLimit, validateEmailRequest, handleAsync(async (req, res) => {
+  try {
+    await customerAuthService.resendVerification(req.body.email);
+
+    res.json(formatResponse(
+      true,
+      null,
+      'If the account exists and is not yet verified, a new verification email has been sent'
+    ));
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to resend verification email',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// =============================================================================
+// PASSWORD RESET ENDPOINTS
+// =============================================================================
+
+// Email a reset link (same answer whether or not the account exists)
+router.post('/password-reset/initiate', accountEmailRateLimit, validateEmailRequest, handleAsync(async (req, res) => {
+  try {
+    await customerAccountService.initiatePasswordReset(req.body.email);
+
+    res.json(formatResponse(
+      true,
+      null,
+      'If an account exists for this email, a password reset link has been sent'
+    ));
+  } catch (error) {
+    console.error('Customer password reset initiation error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to initiate password reset',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Choose a new password with the token from the reset link
+router.post('/password-reset/complete', authRateLimit, validatePasswordResetToken, handleAsync(async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    const result = await customerAccountService.completePasswordReset(token, newPassword);
+
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+
+    res.json(formatResponse(
+      true,
+      null,
+      'Password reset successful, please log in with your new password'
+    ));
+  } catch (error) {
+    console.error('Customer password reset completion error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to complete password reset',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Switch to a new email address with the token from the confirmation link
+router.post('/confirm-email-change', handleAsync(async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json(formatResponse(
+        false,
+        null,
+        'Confirmation token is required',
+        'VALIDATION_ERROR',
+        400
+      ));
+    }
+
+    const result = await customerAccountService.confirmEmailChange(token);
+
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+
+    res.json(formatResponse(
+      true,
+      { user: result.user },
+      'Email address changed successfully'
+    ));
+  } catch (error) {
+    console.error('Email change confirmation error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Email change confirmation failed',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+export default router;
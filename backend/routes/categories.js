@@ -0,0 +1,79 @@
+import express from 'express';
+import CategoryService from '../lib/category-service.js';
+import ArtworkService from '../lib/artwork-service.js';
+import { validateCategoryDetail } from '../middleware/validate-category.js';
+import { categoriesCache, categoryCache } from '../middleware/performance.js';
+import { formatResponse, handleAsync } from '../utils/response.js';
+
+const router = express.Router();
+const categoryService = new CategoryService();
+const artworkService = new ArtworkService();
+
+// =============================================================================
+// PUBLIC CATEGORY ENDPOINTS
+// =============================================================================
+
+// List active categories with artwork counts
+router.get('/', categoriesCache, handleAsync(async (req, res) => {
+  try {
+    const categories = await categoryService.listCategories();
+
+    res.json(formatResponse(
+      true,
+      { categories },
+      'Categories retrieved successfully'
+    ));
+  } catch (error) {
+    console.error('Categories listing error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to retrieve categories',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// Get a category with a page of its artworks
+router.get('/:id', validateCategoryDetail, categoryCache, handleAsync(async (req, res) => {
+  try {
+    const category = await categoryService.findActiveCategoryById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json(formatResponse(
+        false,
+        null,
+        'Category not found',
+        'NOT_FOUND',
+        404
+      ));
+    }
+
+    const { page, limit, sortBy, sortOrder } = req.query;
+    const { artworks, pagination } = await artworkService.listArtworks({
+      category: category.id,
+      page,
+      limit,
+      sortBy,
+      sortOrder
+    });
+
+    res.json(formatResponse(
+      true,
+      { category, artworks, pagination },
+      'Category retrieved successfully'
+    ));
+  } catch (error) {
+    console.error('Category retrieval error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to retrieve category',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+export default router;
@@ -1,5 +1,34 @@
+import artworkRoutes from './artworks.js';
+import categoryRoutes from './categories.js';
+import inquiryRoutes from './inquiries.js';
+import authRoutes from './auth.js';
+import accountRoutes from './account.js';
+import orderRoutes from './orders.js';
+import paymentRoutes from './payments.js';
+import adminRoutes from './admin.js';
+import adminArtworkRoutes from './admin-artworks.js';
+import adminCategoryRoutes from './admin-categories.js';
+import adminInquiryRoutes from './admin-inquiries.js';
+import adminTeamRoutes from './admin-team.js';
+import adminOrderRoutes from './admin-orders.js';
+
 export function setupRoutes(app) {
   app.get('/health', (req, res) => {
     res.json({ success: true, message: 'Server is running' });
   });
+
+  app.use('/api/artworks', artworkRoutes);
+  app.use('/api/categories', categoryRoutes);
+  app.use('/api/inquiries', inquiryRoutes);
+  app.use('/api/auth', authRoutes);
+  app.use('/api/account', accountRoutes);
+  app.use('/api/orders', orderRoutes);
+  app.use('/api/payments', paymentRoutes);
+
+  app.use('/api/admin/artworks', adminArtworkRoutes);
+  app.use('/api/admin/categories', adminCategoryRoutes);
+  app.use('/api/admin/inquiries', adminInquiryRoutes);
+  app.use('/api/admin/team', adminTeamRoutes);
+  app.use('/api/admin/orders', adminOrderRoutes);
+  app.use('/api/admin', adminRoutes);
 }
@@ -0,0 +1,162 @@
+import crypto from 'crypto';
+import express from 'express';
+import InquiryService from '../lib/inquiry-service.js';
+import { parseRawEmail, parseAddress } from '../lib/inbound-email.js';
+import {
+  inquiryRateLimit,
+  isFormTokenConfigured,
+  createFormToken,
+  formSpamProtection,
+  validateInquiry,
+  MIN_FORM_SUBMIT_SECONDS
+} from '../middleware/security.js';
+import { formatResponse, handleAsync } from '../utils/response.js';
+
+const router = express.Router();
+const inquiryService = new InquiryService();
+
+const RECEIVED_MESSAGE = 'Thank you, your message has been received';
+
+// =============================================================================
+// PUBLIC INQUIRY ENDPOINTS
+// =============================================================================
+
+// Issue the form token to include with the submission
+router.get('/form-token', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+
+  if (!isFormTokenConfigured()) {
+    return res.status(503).json(formatResponse(
+      false,
+      null,
+      'Inquiries are temporarily unavailable',
+      'SERVICE_UNAVAILABLE',
+      503
+    ));
+  }
+
+  res.json(formatResponse(
+    true,
+    { formToken: createFormToken(), minSubmitSeconds: MIN_FORM_SUBMIT_SECONDS },
+    'Form token issued'
+  ));
+});
+
+// Submit an inquiry, optionally about an artwork
+router.post('/', inquiryRateLimit, formSpamProtection(), validateInquiry, handleAsync(async (req, res) => {
+  try {
+    // Answer honeypot hits exactly like a real submission
+    if (req.spamDetected) {
+      return res.status(201).json(formatResponse(true, null, RECEIVED_MESSAGE));
+    }
+
+    const { name, email, subject, message, artworkId } = req.body;
+    const result = await inquiryService.createInquiry({ name, email, subject, message, artworkId });
+
+    if (!result.success) {
+      return res.status(404).json(formatResponse(
+        false,
+        null,
+        result.error,
+        result.errorType,
+        404
+      ));
+    }
+
+    res.status(201).json(formatResponse(true, null, RECEIVED_MESSAGE));
+  } catch (error) {
+    console.error('Inquiry submission error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to send your message',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// =============================================================================
+// INBOUND EMAIL WEBHOOK
+// =============================================================================
+
+/**
+ * Check the shared secret sent by the inbound email provider
+ */
+const verifyInboundSecret = (req, res, next) => {
+  const secret = process.env.INBOUND_EMAIL_SECRET;
+  const provided = req.get('X-Inbound-Secret') || '';
+
+  if (!secret) {
+    return res.status(503).json(formatResponse(
+      false,
+      null,
+      'Inbound email is not configured',
+      'SERVICE_UNAVAILABLE',
+      503
+    ));
+  }
+
+  // Compare byte lengths: timingSafeEqual throws on buffers of different sizes
+  const providedBuffer = Buffer.from(provided);
+  const secretBuffer = Buffer.from(secret);
+  const valid = providedBuffer.length === secretBuffer.length &&
+    crypto.timingSafeEqual(providedBuffer, secretBuffer);
+
+  if (!valid) {
+    return res.status(401).json(formatResponse(
+      false,
+      null,
+      'Invalid inbound email secret',
+      'UNAUTHORIZED',
+      401
+    ));
+  }
+
+  next();
+};
+
+// Customer replies by email. Accepts parsed fields (from, subject, text, messageId)
+// or the full message source in `raw`.
+router.post('/inbound-email', verifyInboundSecret, handleAsync(async (req, res) => {
+  try {
+    const email = typeof req.body.raw === 'string'
+      ? parseRawEmail(req.body.raw)
+      : {
+        from: parseAddress(req.body.from),
+        subject: req.body.subject || '',
+        text: req.body.text || '',
+        messageId: req.body.messageId || null
+      };
+
+    const result = await inquiryService.receiveEmailReply(email);
+
+    // 422 rather than 5xx so providers do not keep retrying unmatched mail
+    if (!result.success) {
+      return res.status(422).json(formatResponse(
+        false,
+        null,
+        result.error,
+        result.errorType,
+        422
+      ));
+    }
+
+    res.json(formatResponse(
+      true,
+      { inquiryId: result.inquiryId, duplicate: result.duplicate },
+      result.duplicate ? 'Reply already recorded' : 'Reply added to inquiry'
+    ));
+  } catch (error) {
+    console.error('Inbound email error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to process inbound email',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+export default router;
@@ -0,0 +1,53 @@
+import express from 'express';
+import OrderService from '../lib/order-service.js';
+import { optionalCustomerToken } from '../middleware/auth-customer.js';
+import { checkoutRateLimit } from '../middleware/security.js';
+import { validateCheckout } from '../middleware/validate-order.js';
+import { invalidateCache } from '../middleware/performance.js';
+import { formatResponse, handleAsync } from '../utils/response.js';
+
+const router = express.Router();
+const orderService = new OrderService();
+
+// =============================================================================
+// CHECKOUT ENDPOINTS
+// =============================================================================
+
+// Place an order as a guest, or as the signed-in customer when a token is sent
+router.post('/checkout', checkoutRateLimit, optionalCustomerToken, validateCheckout, handleAsync(async (req, res) => {
+  try {
+    const { artworkIds, shipping, email, notes } = req.body;
+    const result = await orderService.checkout({ artworkIds, shipping, email, notes }, req.user || null);
+
+    if (!result.success) {
+      return res.status(409).json(formatResponse(
+        false,
+        { unavailableArtworkIds: result.unavailableIds },
+        result.error,
+        result.errorType,
+        409
+      ));
+    }
+
+    // Reserved artworks leave the public "available" listings
+    invalidateCache.artworks();
+    invalidateCache.categories();
+
+    res.status(201).json(formatResponse(
+      true,
+      { order: result.order },
+      'Order placed successfully'
+    ));
+  } catch (error) {
+    console.error('Checkout error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to place order',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+export default router;
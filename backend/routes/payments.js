@@ -0,0 +1,129 @@
+import express from 'express';
+import PaymentService from '../lib/payment-service.js';
+import { optionalCustomerToken } from '../middleware/auth-customer.js';
+import { checkoutRateLimit } from '../middleware/security.js';
+import { validatePaymentIntent } from '../middleware/validate-order.js';
+import { invalidateCache } from '../middleware/performance.js';
+import { formatResponse, handleAsync } from '../utils/response.js';
+
+const router = express.Router();
+const paymentService = new PaymentService();
+
+// HTTP status for each service error type
+const ERROR_STATUS = {
+  NOT_FOUND: 404,
+  ORDER_NOT_PAYABLE: 409
+};
+
+/**
+ * Send the error response for a failed service result
+ */
+const sendServiceError = (res, result) => {
+  const errorStatus = ERROR_STATUS[result.errorType] || 400;
+  return res.status(errorStatus).json(formatResponse(
+    false,
+    null,
+    result.error,
+    result.errorType,
+    errorStatus
+  ));
+};
+
+/**
+ * Refuse payment requests when no provider is configured
+ */
+const requirePayments = (req, res, next) => {
+  if (!paymentService.isEnabled()) {
+    return res.status(503).json(formatResponse(
+      false,
+      null,
+      'Payments are not configured',
+      'SERVICE_UNAVAILABLE',
+      503
+    ));
+  }
+  next();
+};
+
+// =============================================================================
+// PAYMENT ENDPOINTS
+// =============================================================================
+
+// Start paying for an order: returns the client secret for the provider's card form
+router.post('/intents', requirePayments, checkoutRateLimit, optionalCustomerToken, validatePaymentIntent, handleAsync(async (req, res) => {
+  try {
+    const result = await paymentService.createPaymentIntent(req.body.orderNumber, {
+      user: req.user || null,
+      email: req.body.email || null
+    });
+
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+
+    res.status(201).json(formatResponse(
+      true,
+      { paymentIntent: result.paymentIntent },
+      'Payment started'
+    ));
+  } catch (error) {
+    console.error('Create payment intent error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to start payment',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+// =============================================================================
+// PAYMENT PROVIDER WEBHOOK
+// =============================================================================
+
+// Payment events from the provider, signed with the webhook secret. A 5xx makes
+// the provider deliver the event again later; duplicates are acknowledged.
+router.post('/webhook', requirePayments, handleAsync(async (req, res) => {
+  const event = req.rawBody
+    ? paymentService.verifyWebhook(req.rawBody, req.get('Stripe-Signature'))
+    : null;
+
+  if (!event) {
+    return res.status(400).json(formatResponse(
+      false,
+      null,
+      'Invalid webhook signature',
+      'INVALID_SIGNATURE',
+      400
+    ));
+  }
+
+  try {
+    const result = await paymentService.handleWebhookEvent(event);
+
+    // Sold or released artworks change the public listings
+    const changedArtworkIds = [...(result.soldArtworkIds || []), ...(result.releasedArtworkIds || [])];
+    if (changedArtworkIds.length > 0) {
+      invalidateCache.artworks();
+      invalidateCache.categories();
+    }
+
+    res.json(formatResponse(
+      true,
+      { received: true, outcome: result.outcome },
+      result.outcome === 'DUPLICATE' ? 'Event already processed' : 'Event processed'
+    ));
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      null,
+      'Failed to process payment event',
+      'INTERNAL_SERVER_ERROR',
+      500
+    ));
+  }
+}));
+
+export default router;
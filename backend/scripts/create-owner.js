@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+
+/**
+ * 👑 Create the first owner account
+ *
+ * One-time bootstrap for a fresh install: creates the database tables if needed,
+ * then the first OWNER admin with a password chosen at the prompt. Refuses to run
+ * once any admin exists; further admins are invited from the admin panel.
+ *
+ * Usage:
+ *   npm run admin:create-owner -- --email=owner@example.com --username=owner
+ *   npm run admin:create-owner -- --email=owner@example.com --username=owner --first-name=Sara --last-name=Elouarate
+ *   echo "$OWNER_PASSWORD" | npm run admin:create-owner -- --email=owner@example.com --username=owner
+ */
+
+import 'dotenv/config';
+import readline from 'readline';
+import { Writable } from 'stream';
+import validator from 'validator';
+import { createTables } from '../config/schema.js';
+import AdminSetupService from '../lib/admin-setup-service.js';
+import {
+  ADMIN_PASSWORD_PATTERN,
+  ADMIN_PASSWORD_MESSAGE,
+  ADMIN_USERNAME_PATTERN
+} from '../middleware/validate-admin.js';
+
+const args = process.argv.slice(2);
+const readArg = (name) => {
+  const arg = args.find(value => value.startsWith(`--${name}=`));
+  return arg ? arg.split('=').slice(1).join('=') : null;
+};
+
+const rawEmail = (readArg('email') || '').trim();
+const username = (readArg('username') || '').trim();
+
+if (!validator.isEmail(rawEmail)) {
+  console.error('❌ Pass a valid --email=<address>');
+  process.exit(1);
+}
+// Normalized like the setup wizard and admin login do, so the owner can sign in
+const email = validator.normalizeEmail(rawEmail);
+if (!ADMIN_USERNAME_PATTERN.test(username)) {
+  console.error('❌ Pass --username=<name> (3-30 letters, numbers or underscores)');
+  process.exit(1);
+}
+
+/**
+ * Ask for a line of input; typed characters are hidden when hidden is set
+ * @param {string} question
+ * @param {boolean} hidden
+ * @returns {Promise<string>}
+ */
+function prompt(question, hidden = false) {
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      if (!output.muted) {
+        process.stdout.write(chunk, encoding);
+      }
+      callback();
+    }
+  });
+
+  const rl = readline.createInterface({ input: process.stdin, output, terminal: Boolean(process.stdin.isTTY) });
+
+  return new Promise(resolve => {
+    rl.question(question, answer => {
+      rl.close();
+      if (hidden) {
+        process.stdout.write('\n');
+      }
+      resolve(answer);
+    });
+    output.muted = hidden;
+  });
+}
+
+/**
+ * Read the password from the prompt (twice) or from piped stdin
+ * @returns {Promise<string>}
+ */
+async function readPassword() {
+  if (!process.stdin.isTTY) {
+    return (await prompt('')).trim();
+  }
+
+  const password = await prompt('Password: ', true);
+  const confirmation = await prompt('Confirm password: ', true);
+
+  if (password !== confirmation) {
+    console.error('❌ Passwords do not match');
+    process.exit(1);
+  }
+  return password;
+}
+
+const setupService = new AdminSetupService();
+
+try {
+  await createTables(setupService.db.pool);
+
+  if (await setupService.isSetupComplete()) {
+    console.error('❌ An admin account already exists; invite further admins from the admin panel');
+    await setupService.db.close();
+    process.exit(1);
+  }
+
+  const password = await readPassword();
+
+  if (password.length < 8 || !ADMIN_PASSWORD_PATTERN.test(password)) {
+    console.error(`❌ ${ADMIN_PASSWORD_MESSAGE}`);
+    await setupService.db.close();
+    process.exit(1);
+  }
+
+  const result = await setupService.createFirstOwner({
+    username,
+    email,
+    password,
+    firstName: readArg('first-name'),
+    lastName: readArg('last-name')
+  });
+
+  await setupService.db.close();
+
+  if (!result.success) {
+    console.error(`❌ ${result.error}`);
+    process.exit(1);
+  }
+
+  console.log(`👑 Owner ${result.admin.username} <${result.admin.email}> created, sign in at /admin/login`);
+  process.exit(0);
+} catch (error) {
+  console.error('❌ Owner creation failed:', error);
+  await setupService.db.close();
+  process.exit(1);
+}
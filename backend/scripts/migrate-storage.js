@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+/**
+ * 📦 Migrate local uploads to the configured storage backend
+ *
+ * Copies every file referenced by artwork_images, artwork_image_variants and
+ * artworks.image_url from the local upload directories to the backend selected
+ * by STORAGE_DRIVER, then rewrites the stored keys and URLs. Safe to re-run:
+ * objects already present in the target are not uploaded again.
+ *
+ * Usage:
+ *   STORAGE_DRIVER=s3 npm run storage:migrate
+ *   STORAGE_DRIVER=s3 npm run storage:migrate -- --dry-run
+ */
+
+import 'dotenv/config';
+import path from 'path';
+import { database as db } from '../lib/database.js';
+import ArtworkImageService from '../lib/artwork-image-service.js';
+import storage, { LocalStorage, storageKey } from '../lib/storage.js';
+import { PRIVATE_ORIGINALS, UPLOAD_URL_PREFIX } from '../config/upload.js';
+
+const dryRun = process.argv.slice(2).includes('--dry-run');
+
+if (storage.driver === 'local') {
+  console.error('❌ STORAGE_DRIVER is "local"; set it to the backend to migrate to (e.g. s3)');
+  process.exit(1);
+}
+
+const source = new LocalStorage();
+const imageService = new ArtworkImageService(db, storage);
+const stats = { copied: 0, skipped: 0, failed: 0 };
+
+/**
+ * Copy one object from local disk to the target backend
+ * @returns {Promise<boolean>} false when the local file is missing or the upload failed
+ */
+async function copyObject(sourceKey, targetKey, contentType) {
+  try {
+    if (await storage.exists(targetKey)) {
+      stats.skipped++;
+      return true;
+    }
+
+    const data = await source.get(sourceKey);
+    if (!dryRun) {
+      await storage.put(targetKey, data, { contentType });
+    }
+
+    stats.copied++;
+    return true;
+  } catch (error) {
+    console.warn(`⚠️  Could not copy ${sourceKey}: ${error.message}`);
+    stats.failed++;
+    return false;
+  }
+}
+
+try {
+  console.log(`📦 Migrating uploads to ${storage.driver}${dryRun ? ' (dry run)' : ''}...`);
+
+  const images = await db.query('SELECT * FROM artwork_images ORDER BY id ASC');
+  for (const image of images.rows) {
+    const targetKey = storageKey(image.filename, { isPrivate: PRIVATE_ORIGINALS });
+
+    if (await copyObject(imageService.keyOf(image), targetKey, image.mime_type) && !dryRun) {
+      await db.query(
+        'UPDATE artwork_images SET storage_key = $1, url = $2 WHERE id = $3',
+        [targetKey, storage.getUrl(targetKey), image.id]
+      );
+    }
+  }
+
+  const variants = await db.query('SELECT * FROM artwork_image_variants ORDER BY id ASC');
+  for (const variant of variants.rows) {
+    const targetKey = storageKey(variant.filename);
+
+    if (await copyObject(imageService.keyOf(variant), targetKey, `image/${variant.format}`) && !dryRun) {
+      await db.query(
+        'UPDATE artwork_image_variants SET storage_key = $1, url = $2 WHERE id = $3',
+        [targetKey, storage.getUrl(targetKey), variant.id]
+      );
+    }
+  }
+
+  // Listing cards: follow the primary image, or move a bare local image_url
+  const artworks = await db.query(
+    `SELECT a.id, a.image_url, img.id AS primary_image_id
+     FROM artworks a
+     LEFT JOIN artwork_images img ON img.artwork_id = a.id AND img.is_primary = true
+     WHERE a.image_url LIKE $1`,
+    [`${UPLOAD_URL_PREFIX}/%`]
+  );
+
+  for (const artwork of artworks.rows) {
+    if (dryRun) {
+      continue;
+    }
+
+    if (artwork.primary_image_id) {
+      await imageService.syncCoverImage(db, artwork.id);
+      continue;
+    }
+
+    const filename = path.basename(artwork.image_url);
+    const targetKey = storageKey(filename);
+    const contentType = `image/${path.extname(filename).slice(1).toLowerCase().replace('jpg', 'jpeg')}`;
+
+    if (await copyObject(storageKey(filename), targetKey, contentType)) {
+      await db.query(
+        'UPDATE artworks SET image_url = $1, updated_at = NOW() WHERE id = $2',
+        [storage.getUrl(targetKey), artwork.id]
+      );
+    }
+  }
+
+  console.log(`✅ ${stats.copied} copied, ${stats.skipped} already present, ${stats.failed} failed`);
+  await db.close();
+  process.exit(stats.failed > 0 ? 1 : 0);
+} catch (error) {
+  console.error('❌ Storage migration failed:', error);
+  await db.close();
+  process.exit(1);
+}
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+/**
+ * 📥 Attach customer email replies from a maildir to their inquiry threads
+ *
+ * Reads messages from <maildir>/new, adds replies that carry an inquiry reply
+ * token to the matching thread and moves every handled message to <maildir>/cur.
+ * Messages that fail with an unexpected error stay in new/ for the next run.
+ *
+ * Usage:
+ *   npm run inquiries:poll-mail                                # once, MAILDIR_PATH
+ *   npm run inquiries:poll-mail -- --maildir=/var/mail/replies
+ *   npm run inquiries:poll-mail -- --interval=60               # keep polling every 60s
+ */
+
+import 'dotenv/config';
+import fs from 'fs/promises';
+import path from 'path';
+import InquiryService from '../lib/inquiry-service.js';
+import { parseRawEmail } from '../lib/inbound-email.js';
+
+const args = process.argv.slice(2);
+const readArg = (name) => {
+  const arg = args.find(value => value.startsWith(`--${name}=`));
+  return arg ? arg.split('=').slice(1).join('=') : null;
+};
+
+const maildir = readArg('maildir') || process.env.MAILDIR_PATH;
+const interval = parseInt(readArg('interval')) || 0;
+
+if (!maildir) {
+  console.error('❌ Set MAILDIR_PATH or pass --maildir=<path>');
+  process.exit(1);
+}
+
+const inquiryService = new InquiryService();
+
+/**
+ * Process every message waiting in new/
+ * @returns {Promise<Object>} Counts of attached, ignored and failed messages
+ */
+async function pollOnce() {
+  const newDir = path.join(maildir, 'new');
+  const curDir = path.join(maildir, 'cur');
+  await fs.mkdir(curDir, { recursive: true });
+
+  const stats = { attached: 0, ignored: 0, failed: 0 };
+  const files = (await fs.readdir(newDir)).filter(name => !name.startsWith('.'));
+
+  for (const name of files) {
+    try {
+      const email = parseRawEmail(await fs.readFile(path.join(newDir, name), 'utf8'));
+      const result = await inquiryService.receiveEmailReply(email);
+
+      if (result.success) {
+        stats.attached++;
+      } else {
+        console.warn(`⚠️  ${name} ignored: ${result.error}`);
+        stats.ignored++;
+      }
+
+      // Maildir "seen" flag
+      await fs.rename(path.join(newDir, name), path.join(curDir, `${name}:2,S`));
+    } catch (error) {
+      console.error(`❌ Could not process ${name}:`, error.message);
+      stats.failed++;
+    }
+  }
+
+  return stats;
+}
+
+const run = async () => {
+  const { attached, ignored, failed } = await pollOnce();
+  if (attached || ignored || failed) {
+    console.log(`📥 ${attached} reply(ies) attached, ${ignored} ignored, ${failed} failed`);
+  }
+  return failed;
+};
+
+try {
+  if (interval > 0) {
+    console.log(`📥 Polling ${maildir} every ${interval}s`);
+    await run();
+    setInterval(() => run().catch(error => console.error('❌ Mail poll failed:', error)), interval * 1000);
+  } else {
+    const failed = await run();
+    await inquiryService.db.close();
+    process.exit(failed > 0 ? 1 : 0);
+  }
+} catch (error) {
+  console.error('❌ Mail poll failed:', error);
+  await inquiryService.db.close();
+  process.exit(1);
+}
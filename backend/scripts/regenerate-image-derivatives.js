@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+
+/**
+ * 🖼️ Regenerate responsive image derivatives
+ *
+ * Usage:
+ *   npm run images:regenerate                      # every image
+ *   npm run images:regenerate -- --missing-only    # images without variants
+ *   npm run images:regenerate -- --artwork=12      # one artwork
+ */
+
+import 'dotenv/config';
+import ArtworkImageService from '../lib/artwork-image-service.js';
+
+const args = process.argv.slice(2);
+const artworkArg = args.find(arg => arg.startsWith('--artwork='));
+const artworkId = artworkArg ? parseInt(artworkArg.split('=')[1]) : null;
+const missingOnly = args.includes('--missing-only');
+
+if (artworkArg && !(artworkId > 0)) {
+  console.error('❌ --artwork must be a positive artwork id');
+  process.exit(1);
+}
+
+const imageService = new ArtworkImageService();
+
+try {
+  console.log(`🖼️  Regenerating derivatives${artworkId ? ` for artwork ${artworkId}` : ''}${missingOnly ? ' (missing only)' : ''}...`);
+
+  const { total, processed, failed } = await imageService.regenerateVariants({ artworkId, missingOnly });
+
+  console.log(`✅ ${processed}/${total} image(s) processed, ${failed} failed`);
+  await imageService.db.close();
+  process.exit(failed > 0 ? 1 : 0);
+} catch (error) {
+  console.error('❌ Derivative regeneration failed:', error);
+  await imageService.db.close();
+  process.exit(1);
+}
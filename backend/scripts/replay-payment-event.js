@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * 🔔 Replay a payment webhook event
+ *
+ * Sends a fixture event from fixtures/payment-events to the payment webhook,
+ * signed with the stub provider's secret (PAYMENT_STUB_WEBHOOK_SECRET), so
+ * payments can be completed locally without a real provider; the server must
+ * run with PAYMENT_PROVIDER=stub. Start a payment with POST /api/payments/intents first
+ * and pass the returned id. Sending the same --event-id twice shows that a
+ * redelivered event is ignored.
+ *
+ * Usage:
+ *   npm run payments:replay-event -- --event=payment_intent.succeeded --payment-intent=pi_stub_...
+ *   npm run payments:replay-event -- --event=payment_intent.payment_failed --payment-intent=pi_stub_...
+ *   npm run payments:replay-event -- --event=charge.refunded --payment-intent=pi_stub_... --event-id=evt_refund_1
+ *   npm run payments:replay-event -- --event=payment_intent.succeeded --payment-intent=pi_stub_... --url=http://localhost:3000/api/payments/webhook
+ */
+
+import 'dotenv/config';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { STUB_WEBHOOK_SECRET } from '../config/payments.js';
+import { signWebhookPayload } from '../lib/payment-providers.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'payment-events');
+
+const args = process.argv.slice(2);
+const readArg = (name) => {
+  const arg = args.find(value => value.startsWith(`--${name}=`));
+  return arg ? arg.split('=').slice(1).join('=') : null;
+};
+
+const fixtures = fs.readdirSync(FIXTURES_DIR)
+  .filter(file => file.endsWith('.json'))
+  .map(file => file.replace(/\.json$/, ''));
+
+const eventType = readArg('event');
+const paymentIntentId = readArg('payment-intent');
+const eventId = readArg('event-id') || `evt_stub_${crypto.randomBytes(12).toString('hex')}`;
+const url = readArg('url') || `http://localhost:${process.env.PORT || 3000}/api/payments/webhook`;
+
+if (!fixtures.includes(eventType)) {
+  console.error(`❌ Pass --event=<type>, one of: ${fixtures.join(', ')}`);
+  process.exit(1);
+}
+if (!STUB_WEBHOOK_SECRET) {
+  console.error('❌ Set PAYMENT_STUB_WEBHOOK_SECRET to the secret the server was started with');
+  process.exit(1);
+}
+if (!paymentIntentId) {
+  console.error('❌ Pass --payment-intent=<id> returned by POST /api/payments/intents');
+  process.exit(1);
+}
+
+const payload = fs.readFileSync(path.join(FIXTURES_DIR, `${eventType}.json`), 'utf8')
+  .replace(/{{eventId}}/g, eventId)
+  .replace(/{{paymentIntentId}}/g, paymentIntentId)
+  .replace(/{{created}}/g, String(Math.floor(Date.now() / 1000)));
+
+try {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Stripe-Signature': signWebhookPayload(payload, STUB_WEBHOOK_SECRET)
+    },
+    body: payload
+  });
+
+  const body = await response.json().catch(() => null);
+  console.log(`${response.ok ? '✅' : '❌'} ${eventType} (${eventId}) → ${response.status}`);
+  console.log(JSON.stringify(body, null, 2));
+  process.exit(response.ok ? 0 : 1);
+} catch (error) {
+  console.error(`❌ Could not reach ${url}: ${error.message}`);
+  process.exit(1);
+}
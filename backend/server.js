@@ -3,18 +3,18 @@
  * Clean, modular, and scalable architecture
  */
 
+// Load environment variables before any module reads process.env
+import 'dotenv/config';
 import express from 'express';
-import dotenv from 'dotenv';
 import { initializeApp } from './config/app.js';
 import { connectDatabase } from './config/database.js';
 import { setupRoutes } from './routes/index.js';
 import { setupMiddleware } from './middleware/index.js';
+import { invalidateCache } from './middleware/performance.js';
+import { startReservationSweeper } from './lib/reservation-service.js';
 import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
 import { logger } from './utils/logger.js';
 
-// Load environment variables
-dotenv.config();
-
 const app = express();
 const PORT = process.env.PORT || 3000;
 
@@ -41,7 +41,16 @@ async function startServer() {
     app.use(notFoundHandler);
     app.use(errorHandler);
 
-    // 5. Start server
+    // 5. Return expired artwork holds to the market
+    const stopReservationSweeper = startReservationSweeper({
+      onRelease: () => {
+        invalidateCache.artworks();
+        invalidateCache.categories();
+      }
+    });
+    logger.info('✅ Reservation sweeper started');
+
+    // 6. Start server
     const server = app.listen(PORT, '0.0.0.0', () => {
       logger.info('🚀 Server Configuration:');
       logger.info(`   📍 Port: ${PORT}`);
@@ -58,8 +67,8 @@ async function startServer() {
     });
 
     // Graceful shutdown handling
-    process.on('SIGTERM', () => gracefulShutdown(server));
-    process.on('SIGINT', () => gracefulShutdown(server));
+    process.on('SIGTERM', () => gracefulShutdown(server, stopReservationSweeper));
+    process.on('SIGINT', () => gracefulShutdown(server, stopReservationSweeper));
 
   } catch (error) {
     logger.error('❌ Server startup failed:', error);
@@ -70,8 +79,9 @@ async function startServer() {
 /**
  * Graceful server shutdown
  */
-async function gracefulShutdown(server) {
+async function gracefulShutdown(server, stopReservationSweeper) {
   logger.info('📴 Shutting down gracefully...');
+  stopReservationSweeper();
 
   server.close(async () => {
     try {
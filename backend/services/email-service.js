@@ -1,6 +1,101 @@
 import crypto from 'crypto';
+import validator from 'validator';
+import { withReplyToken } from '../lib/inbound-email.js';
 
-// Email service for sending password reset emails
+/**
+ * Shared page for customer emails
+ * @param {string} title - Page title
+ * @param {string} content - Inner HTML of the content block
+ * @returns {string}
+ */
+const customerEmailLayout = (title, content) => `
+  <!DOCTYPE html>
+  <html>
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title} - ELOUARATE ART</title>
+    <style>
+      body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background-color: #f7fafc; }
+      .container { max-width: 600px; margin: 0 auto; background-color: white; }
+      .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px 20px; text-align: center; }
+      .logo { color: white; font-size: 28px; font-weight: bold; margin-bottom: 10px; }
+      .subtitle { color: rgba(255,255,255,0.9); font-size: 16px; }
+      .content { padding: 40px 30px; }
+      .title { color: #2d3748; font-size: 24px; font-weight: bold; margin-bottom: 20px; }
+      .message { color: #4a5568; font-size: 16px; line-height: 1.6; margin-bottom: 30px; }
+      .button { display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-decoration: none; padding: 15px 30px; border-radius: 8px; font-weight: bold; font-size: 16px; margin: 20px 0; }
+      .warning { background-color: #fed7d7; border: 1px solid #feb2b2; border-radius: 8px; padding: 15px; margin: 20px 0; color: #742a2a; }
+      .footer { background-color: #f7fafc; padding: 30px; text-align: center; color: #718096; font-size: 14px; }
+    </style>
+  </head>
+  <body>
+    <div class="container">
+      <div class="header">
+        <div class="logo">🎨 ELOUARATE ART</div>
+        <div class="subtitle">Premium Moroccan Art Gallery</div>
+      </div>
+
+      <div class="content">
+        ${content}
+      </div>
+
+      <div class="footer">
+        <p><strong>ELOUARATE ART</strong><br>
+        Premium Moroccan Art Gallery<br>
+        This is an automated message, please do not reply to this email.</p>
+
+        <p style="margin-top: 20px; font-size: 12px; color: #a0aec0;">
+          © 2024 ELOUARATE ART. All rights reserved.
+        </p>
+      </div>
+    </div>
+  </body>
+  </html>
+`;
+
+/**
+ * Button plus copyable fallback for a link in customer emails
+ * @param {string} link
+ * @param {string} label
+ * @returns {string}
+ */
+const customerEmailButton = (link, label) => `
+  <div style="text-align: center;">
+    <a href="${link}" class="button">${label}</a>
+  </div>
+
+  <div class="message">
+    If you're having trouble clicking the button, copy and paste this link into your browser:<br>
+    <code style="background-color: #f7fafc; padding: 5px; border-radius: 3px; word-break: break-all;">${link}</code>
+  </div>
+`;
+
+// Headline and message of the email sent for each order status change
+const ORDER_STATUS_EMAILS = {
+  CONFIRMED: {
+    headline: 'is confirmed',
+    message: 'Good news: your order has been confirmed and the artworks are reserved for you.'
+  },
+  PROCESSING: {
+    headline: 'is being prepared',
+    message: 'Your artworks are being carefully packed for shipping. We will send you the tracking details as soon as they leave the gallery.'
+  },
+  SHIPPED: {
+    headline: 'has shipped',
+    message: 'Your artworks are on their way. You can follow the delivery with the details below.'
+  },
+  DELIVERED: {
+    headline: 'has been delivered',
+    message: 'Your order has been delivered. We hope your new artworks bring you joy; thank you for supporting our artists.'
+  },
+  CANCELLED: {
+    headline: 'has been cancelled',
+    message: 'Your order has been cancelled. If you have any questions, simply contact us.'
+  }
+};
+
+// Email service for sending password reset and customer emails
 class EmailService {
   constructor() {
     this.from = process.env.SMTP_FROM || 'noreply@elouarate.com';
@@ -158,6 +253,473 @@ class EmailService {
           </body>
           </html>
         `
+      },
+
+      inquiryAcknowledgement: {
+        subject: 'ELOUARATE ART - We received your message',
+        html: (name, subject, message, artworkName) => `
+          <!DOCTYPE html>
+          <html>
+          <head>
+            <meta charset="utf-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>Message Received - ELOUARATE ART</title>
+            <style>
+              body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background-color: #f7fafc; }
+              .container { max-width: 600px; margin: 0 auto; background-color: white; }
+              .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px 20px; text-align: center; }
+              .logo { color: white; font-size: 28px; font-weight: bold; margin-bottom: 10px; }
+              .subtitle { color: rgba(255,255,255,0.9); font-size: 16px; }
+              .content { padding: 40px 30px; }
+              .title { color: #2d3748; font-size: 24px; font-weight: bold; margin-bottom: 20px; }
+              .message { color: #4a5568; font-size: 16px; line-height: 1.6; margin-bottom: 30px; }
+              .quote { background-color: #f7fafc; border-left: 4px solid #667eea; border-radius: 4px; padding: 15px 20px; margin: 20px 0; color: #2d3748; white-space: pre-wrap; }
+              .footer { background-color: #f7fafc; padding: 30px; text-align: center; color: #718096; font-size: 14px; }
+            </style>
+          </head>
+          <body>
+            <div class="container">
+              <div class="header">
+                <div class="logo">🎨 ELOUARATE ART</div>
+                <div class="subtitle">Premium Moroccan Art Gallery</div>
+              </div>
+
+              <div class="content">
+                <h1 class="title">Thank you for your message</h1>
+
+                <div class="message">
+                  Hello <strong>${name}</strong>,<br><br>
+
+                  We have received your message${artworkName ? ` about <strong>${artworkName}</strong>` : ''} and will get back to you as soon as possible, usually within two business days.
+                </div>
+
+                <div class="quote">${subject ? `<strong>${subject}</strong><br><br>` : ''}${message}</div>
+
+                <div class="message">
+                  If you did not send this message, you can safely ignore this email.
+                </div>
+              </div>
+
+              <div class="footer">
+                <p><strong>ELOUARATE ART</strong><br>
+                Premium Moroccan Art Gallery<br>
+                You can reply to this email to add anything to your message.</p>
+
+                <p style="margin-top: 20px; font-size: 12px; color: #a0aec0;">
+                  © 2024 ELOUARATE ART. All rights reserved.
+                </p>
+              </div>
+            </div>
+          </body>
+          </html>
+        `
+      },
+
+      inquiryReply: {
+        subject: (originalSubject) => `Re: ${originalSubject || 'Your message to ELOUARATE ART'}`,
+        html: (name, reply, originalMessage) => `
+          <!DOCTYPE html>
+          <html>
+          <head>
+            <meta charset="utf-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>Reply from ELOUARATE ART</title>
+            <style>
+              body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background-color: #f7fafc; }
+              .container { max-width: 600px; margin: 0 auto; background-color: white; }
+              .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px 20px; text-align: center; }
+              .logo { color: white; font-size: 28px; font-weight: bold; margin-bottom: 10px; }
+              .subtitle { color: rgba(255,255,255,0.9); font-size: 16px; }
+              .content { padding: 40px 30px; }
+              .message { color: #4a5568; font-size: 16px; line-height: 1.6; margin-bottom: 30px; white-space: pre-wrap; }
+              .quote { background-color: #f7fafc; border-left: 4px solid #cbd5e0; border-radius: 4px; padding: 15px 20px; margin: 20px 0; color: #718096; font-size: 14px; white-space: pre-wrap; }
+              .footer { background-color: #f7fafc; padding: 30px; text-align: center; color: #718096; font-size: 14px; }
+            </style>
+          </head>
+          <body>
+            <div class="container">
+              <div class="header">
+                <div class="logo">🎨 ELOUARATE ART</div>
+                <div class="subtitle">Premium Moroccan Art Gallery</div>
+              </div>
+
+              <div class="content">
+                <div class="message">Hello <strong>${name}</strong>,
+
+${reply}</div>
+
+                <div class="quote"><strong>Your message:</strong><br>${originalMessage}</div>
+              </div>
+
+              <div class="footer">
+                <p><strong>ELOUARATE ART</strong><br>
+                Premium Moroccan Art Gallery<br>
+                Reply to this email to continue the conversation.</p>
+
+                <p style="margin-top: 20px; font-size: 12px; color: #a0aec0;">
+                  © 2024 ELOUARATE ART. All rights reserved.
+                </p>
+              </div>
+            </div>
+          </body>
+          </html>
+        `
+      },
+
+      adminInvitation: {
+        subject: 'ELOUARATE ART - You have been invited to the admin team',
+        html: (inviterName, role, acceptLink, expiresInHours) => `
+          <!DOCTYPE html>
+          <html>
+          <head>
+            <meta charset="utf-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>Admin Invitation - ELOUARATE ART</title>
+            <style>
+              body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background-color: #f7fafc; }
+              .container { max-width: 600px; margin: 0 auto; background-color: white; }
+              .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px 20px; text-align: center; }
+              .logo { color: white; font-size: 28px; font-weight: bold; margin-bottom: 10px; }
+              .subtitle { color: rgba(255,255,255,0.9); font-size: 16px; }
+              .content { padding: 40px 30px; }
+              .title { color: #2d3748; font-size: 24px; font-weight: bold; margin-bottom: 20px; }
+              .message { color: #4a5568; font-size: 16px; line-height: 1.6; margin-bottom: 30px; }
+              .button { display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-decoration: none; padding: 15px 30px; border-radius: 8px; font-weight: bold; font-size: 16px; margin: 20px 0; }
+              .warning { background-color: #fed7d7; border: 1px solid #feb2b2; border-radius: 8px; padding: 15px; margin: 20px 0; color: #742a2a; }
+              .footer { background-color: #f7fafc; padding: 30px; text-align: center; color: #718096; font-size: 14px; }
+              .expiry { color: #e53e3e; font-weight: bold; }
+            </style>
+          </head>
+          <body>
+            <div class="container">
+              <div class="header">
+                <div class="logo">🎨 ELOUARATE ART</div>
+                <div class="subtitle">Premium Moroccan Art Gallery</div>
+              </div>
+
+              <div class="content">
+                <h1 class="title">Join the admin team</h1>
+
+                <div class="message">
+                  Hello,<br><br>
+
+                  <strong>${inviterName}</strong> has invited you to manage ELOUARATE ART as <strong>${role}</strong>. Click the button below to choose your username and password:
+                </div>
+
+                <div style="text-align: center;">
+                  <a href="${acceptLink}" class="button">Accept Invitation</a>
+                </div>
+
+                <div class="warning">
+                  <strong>⚠️ Security Notice:</strong><br>
+                  This invitation will expire in <span class="expiry">${expiresInHours} hours</span>. Ask for a new one if it has expired.
+                </div>
+
+                <div class="message">
+                  If you were not expecting this invitation, you can safely ignore this email.
+                  <br><br>
+                  If you're having trouble clicking the button, copy and paste this link into your browser:<br>
+                  <code style="background-color: #f7fafc; padding: 5px; border-radius: 3px; word-break: break-all;">${acceptLink}</code>
+                </div>
+              </div>
+
+              <div class="footer">
+                <p><strong>ELOUARATE ART</strong><br>
+                Premium Moroccan Art Gallery<br>
+                This is an automated message, please do not reply to this email.</p>
+
+                <p style="margin-top: 20px; font-size: 12px; color: #a0aec0;">
+                  © 2024 ELOUARATE ART. All rights reserved.<br>
+                  Secure admin panel communication
+                </p>
+              </div>
+            </div>
+          </body>
+          </html>
+        `
+      },
+
+      newDeviceLogin: {
+        subject: 'ELOUARATE ART - New sign-in to your admin account',
+        html: (username, device, ipAddress, loginTime) => `
+          <!DOCTYPE html>
+          <html>
+          <head>
+            <meta charset="utf-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>New Sign-in - ELOUARATE ART</title>
+            <style>
+              body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background-color: #f7fafc; }
+              .container { max-width: 600px; margin: 0 auto; background-color: white; }
+              .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px 20px; text-align: center; }
+              .logo { color: white; font-size: 28px; font-weight: bold; margin-bottom: 10px; }
+              .subtitle { color: rgba(255,255,255,0.9); font-size: 16px; }
+              .content { padding: 40px 30px; }
+              .title { color: #2d3748; font-size: 24px; font-weight: bold; margin-bottom: 20px; }
+              .message { color: #4a5568; font-size: 16px; line-height: 1.6; margin-bottom: 30px; }
+              .details { background-color: #f7fafc; border: 1px solid #e2e8f0; border-radius: 8px; padding: 20px; margin: 20px 0; color: #2d3748; }
+              .warning { background-color: #fed7d7; border: 1px solid #feb2b2; border-radius: 8px; padding: 15px; margin: 20px 0; color: #742a2a; }
+              .footer { background-color: #f7fafc; padding: 30px; text-align: center; color: #718096; font-size: 14px; }
+            </style>
+          </head>
+          <body>
+            <div class="container">
+              <div class="header">
+                <div class="logo">🎨 ELOUARATE ART</div>
+                <div class="subtitle">Premium Moroccan Art Gallery</div>
+              </div>
+
+              <div class="content">
+                <h1 class="title">🔔 New sign-in detected</h1>
+
+                <div class="message">
+                  Hello <strong>${username}</strong>,<br><br>
+
+                  Your admin account was just used to sign in from a device we have not seen before.
+                </div>
+
+                <div class="details">
+                  <strong>Device:</strong> ${device}<br>
+                  <strong>IP address:</strong> ${ipAddress}<br>
+                  <strong>Time:</strong> ${loginTime}
+                </div>
+
+                <div class="warning">
+                  <strong>⚠️ Not you?</strong><br>
+                  Reset your password right away and sign out all other sessions from the admin panel.
+                </div>
+              </div>
+
+              <div class="footer">
+                <p><strong>ELOUARATE ART</strong><br>
+                Premium Moroccan Art Gallery<br>
+                This is an automated message, please do not reply to this email.</p>
+
+                <p style="margin-top: 20px; font-size: 12px; color: #a0aec0;">
+                  © 2024 ELOUARATE ART. All rights reserved.<br>
+                  Secure admin panel communication
+                </p>
+              </div>
+            </div>
+          </body>
+          </html>
+        `
+      },
+
+      failedLoginAlert: {
+        subject: 'ELOUARATE ART - Failed sign-in attempts on your admin account',
+        html: (username, failedCount, ipAddress, lockedUntil, resetLink) => `
+          <!DOCTYPE html>
+          <html>
+          <head>
+            <meta charset="utf-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>Failed Sign-in Attempts - ELOUARATE ART</title>
+            <style>
+              body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background-color: #f7fafc; }
+              .container { max-width: 600px; margin: 0 auto; background-color: white; }
+              .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px 20px; text-align: center; }
+              .logo { color: white; font-size: 28px; font-weight: bold; margin-bottom: 10px; }
+              .subtitle { color: rgba(255,255,255,0.9); font-size: 16px; }
+              .content { padding: 40px 30px; }
+              .title { color: #2d3748; font-size: 24px; font-weight: bold; margin-bottom: 20px; }
+              .message { color: #4a5568; font-size: 16px; line-height: 1.6; margin-bottom: 30px; }
+              .details { background-color: #f7fafc; border: 1px solid #e2e8f0; border-radius: 8px; padding: 20px; margin: 20px 0; color: #2d3748; }
+              .warning { background-color: #fed7d7; border: 1px solid #feb2b2; border-radius: 8px; padding: 15px; margin: 20px 0; color: #742a2a; }
+              .footer { background-color: #f7fafc; padding: 30px; text-align: center; color: #718096; font-size: 14px; }
+            </style>
+          </head>
+          <body>
+            <div class="container">
+              <div class="header">
+                <div class="logo">🎨 ELOUARATE ART</div>
+                <div class="subtitle">Premium Moroccan Art Gallery</div>
+              </div>
+
+              <div class="content">
+                <h1 class="title">⚠️ Failed sign-in attempts</h1>
+
+                <div class="message">
+                  Hello <strong>${username}</strong>,<br><br>
+
+                  There have been <strong>${failedCount}</strong> failed attempts to sign in to your admin account. The latest came from IP address <strong>${ipAddress}</strong>.
+                </div>
+
+                ${lockedUntil ? `
+                <div class="warning">
+                  <strong>🔒 Account locked</strong><br>
+                  Sign-in is blocked until <strong>${lockedUntil}</strong>. An owner can unlock it sooner, or you can unlock it by resetting your password.
+                </div>
+                ` : `
+                <div class="warning">
+                  <strong>Further failed attempts will lock your account.</strong>
+                </div>
+                `}
+
+                <div class="message">
+                  If this was not you, someone may be trying to guess your password. Choose a new one here:<br>
+                  <code style="background-color: #f7fafc; padding: 5px; border-radius: 3px; word-break: break-all;">${resetLink}</code>
+                </div>
+              </div>
+
+              <div class="footer">
+                <p><strong>ELOUARATE ART</strong><br>
+                Premium Moroccan Art Gallery<br>
+                This is an automated message, please do not reply to this email.</p>
+
+                <p style="margin-top: 20px; font-size: 12px; color: #a0aec0;">
+                  © 2024 ELOUARATE ART. All rights reserved.<br>
+                  Secure admin panel communication
+                </p>
+              </div>
+            </div>
+          </body>
+          </html>
+        `
+      },
+
+      // Customer emails (names are escaped by validateName before they are stored)
+      emailVerification: {
+        subject: 'ELOUARATE ART - Please verify your email address',
+        html: (firstName, verifyLink) => customerEmailLayout('Verify Your Email', `
+          <h1 class="title">Welcome to ELOUARATE ART</h1>
+
+          <div class="message">
+            Hello <strong>${firstName}</strong>,<br><br>
+            Thank you for creating an account. Please confirm your email address by clicking the button below.
+            This link will expire in 24 hours. If you did not create an account, you can safely ignore this email.
+          </div>
+
+          ${customerEmailButton(verifyLink, 'Verify Email Address')}
+        `)
+      },
+
+      customerPasswordReset: {
+        subject: 'ELOUARATE ART - Reset your password',
+        html: (firstName, resetLink, expiresInMinutes) => customerEmailLayout('Reset Your Password', `
+          <h1 class="title">Reset your password</h1>
+
+          <div class="message">
+            Hello <strong>${firstName}</strong>,<br><br>
+            We received a request to reset the password of your ELOUARATE ART account. Click the button below to choose a new one.
+          </div>
+
+          ${customerEmailButton(resetLink, 'Choose a New Password')}
+
+          <div class="warning">
+            This link will expire in ${expiresInMinutes} minutes and can only be used once.
+            If you did not ask for a new password, you can ignore this email; your password stays the same.
+          </div>
+        `)
+      },
+
+      customerPasswordChanged: {
+        subject: 'ELOUARATE ART - Your password was changed',
+        html: (firstName, changeTime) => customerEmailLayout('Password Changed', `
+          <h1 class="title">Your password was changed</h1>
+
+          <div class="message">
+            Hello <strong>${firstName}</strong>,<br><br>
+            The password of your ELOUARATE ART account was changed on <strong>${changeTime}</strong>
+            and your other devices have been signed out.
+          </div>
+
+          <div class="warning">
+            If you did not make this change, reset your password right away and contact us.
+          </div>
+        `)
+      },
+
+      emailChangeConfirmation: {
+        subject: 'ELOUARATE ART - Confirm your new email address',
+        html: (firstName, newEmail, confirmLink) => customerEmailLayout('Confirm Your New Email', `
+          <h1 class="title">Confirm your new email address</h1>
+
+          <div class="message">
+            Hello <strong>${firstName}</strong>,<br><br>
+            You asked to use <strong>${newEmail}</strong> for your ELOUARATE ART account. Click the button below to confirm.
+            Until then, your current address stays in use. This link will expire in 24 hours.
+          </div>
+
+          ${customerEmailButton(confirmLink, 'Confirm New Email')}
+        `)
+      },
+
+      emailChangeNotice: {
+        subject: 'ELOUARATE ART - Email change requested',
+        html: (firstName, newEmail) => customerEmailLayout('Email Change Requested', `
+          <h1 class="title">Email change requested</h1>
+
+          <div class="message">
+            Hello <strong>${firstName}</strong>,<br><br>
+            Someone signed in to your ELOUARATE ART account asked to change its email address to <strong>${newEmail}</strong>.
+            The change only happens once the new address is confirmed.
+          </div>
+
+          <div class="warning">
+            If this was not you, change your password right away; the request is cancelled when your password changes.
+          </div>
+        `)
+      },
+
+      accountDeleted: {
+        subject: 'ELOUARATE ART - Your account has been deleted',
+        html: (firstName) => customerEmailLayout('Account Deleted', `
+          <h1 class="title">Your account has been deleted</h1>
+
+          <div class="message">
+            Hello <strong>${firstName}</strong>,<br><br>
+            Your ELOUARATE ART account and its personal details have been deleted. Thank you for visiting our gallery;
+            you are welcome to create a new account at any time.
+          </div>
+        `)
+      },
+
+      orderReceipt: {
+        subject: (orderNumber) => `ELOUARATE ART - Receipt for order ${orderNumber}`,
+        html: (firstName, orderNumber, items, totals) => customerEmailLayout('Order Receipt', `
+          <h1 class="title">Thank you for your purchase</h1>
+
+          <div class="message">
+            Hello <strong>${firstName}</strong>,<br><br>
+            We have received your payment for order <strong>${orderNumber}</strong>. The artworks below are now yours;
+            we will let you know as soon as your order ships.
+          </div>
+
+          <table style="width: 100%; border-collapse: collapse; color: #4a5568; font-size: 15px; margin-bottom: 30px;">
+            ${items.map(item => `
+              <tr>
+                <td style="padding: 10px 0; border-bottom: 1px solid #e2e8f0;">${item.name}</td>
+                <td style="padding: 10px 0; border-bottom: 1px solid #e2e8f0; text-align: right;">${item.price}</td>
+              </tr>
+            `).join('')}
+            <tr><td style="padding: 10px 0;">Subtotal</td><td style="padding: 10px 0; text-align: right;">${totals.subtotal}</td></tr>
+            <tr><td style="padding: 4px 0;">Shipping</td><td style="padding: 4px 0; text-align: right;">${totals.shipping}</td></tr>
+            <tr><td style="padding: 4px 0;">Tax</td><td style="padding: 4px 0; text-align: right;">${totals.tax}</td></tr>
+            <tr>
+              <td style="padding: 10px 0; font-weight: bold; color: #2d3748;">Total paid</td>
+              <td style="padding: 10px 0; font-weight: bold; color: #2d3748; text-align: right;">${totals.total}</td>
+            </tr>
+          </table>
+        `)
+      },
+
+      orderStatusUpdate: {
+        subject: (orderNumber, headline) => `ELOUARATE ART - Your order ${orderNumber} ${headline}`,
+        html: (firstName, orderNumber, headline, message, details) => customerEmailLayout('Order Update', `
+          <h1 class="title">Your order ${headline}</h1>
+
+          <div class="message">
+            Hello <strong>${firstName}</strong>,<br><br>
+            ${message}
+          </div>
+
+          ${details ? `<div class="message">${details}</div>` : ''}
+
+          <div class="message">
+            Order number: <strong>${orderNumber}</strong>
+          </div>
+        `)
       }
     };
   }
@@ -219,6 +781,233 @@ class EmailService {
     );
   }
 
+  // Send inquiry acknowledgement to the visitor
+  async sendInquiryAcknowledgementEmail(inquiry, artwork = null) {
+    // Visitor input is placed in HTML, so escape it (the name is escaped by validateName)
+    const html = this.templates.inquiryAcknowledgement.html(
+      inquiry.name,
+      inquiry.subject ? validator.escape(inquiry.subject) : null,
+      validator.escape(inquiry.message),
+      artwork ? validator.escape(artwork.name) : null
+    );
+
+    // The reply token lets a reply to this email join the inquiry thread
+    return await this.sendEmail(
+      inquiry.email,
+      withReplyToken(this.templates.inquiryAcknowledgement.subject, inquiry.reply_token),
+      html
+    );
+  }
+
+  // Send an admin reply to an inquiry
+  async sendInquiryReplyEmail(inquiry, reply) {
+    const html = this.templates.inquiryReply.html(
+      inquiry.name,
+      validator.escape(reply),
+      validator.escape(inquiry.message)
+    );
+
+    return await this.sendEmail(
+      inquiry.email,
+      withReplyToken(this.templates.inquiryReply.subject(inquiry.subject), inquiry.reply_token),
+      html
+    );
+  }
+
+  // Send an admin team invitation
+  async sendAdminInvitationEmail(invitation, token, inviter, expiresInHours) {
+    const acceptLink = `${process.env.FRONTEND_URL || 'http://localhost:8080'}/admin/accept-invitation?token=${token}`;
+
+    const html = this.templates.adminInvitation.html(
+      validator.escape(inviter.username),
+      invitation.role,
+      acceptLink,
+      expiresInHours
+    );
+
+    return await this.sendEmail(
+      invitation.email,
+      this.templates.adminInvitation.subject,
+      html
+    );
+  }
+
+  // Alert an admin about a successful sign-in from a new device
+  async sendNewDeviceLoginEmail(adminData, { ipAddress, userAgent }) {
+    const html = this.templates.newDeviceLogin.html(
+      adminData.username,
+      validator.escape(userAgent || 'Unknown device'),
+      validator.escape(ipAddress || 'unknown'),
+      this.formatSecurityTime(new Date())
+    );
+
+    return await this.sendEmail(
+      adminData.email,
+      this.templates.newDeviceLogin.subject,
+      html
+    );
+  }
+
+  // Warn an admin about repeated failed sign-ins (and a lockout)
+  async sendFailedLoginAlertEmail(adminData, { failedCount, lockedUntil, ipAddress }) {
+    const resetLink = `${process.env.FRONTEND_URL || 'http://localhost:8080'}/admin/forgot-password`;
+
+    const html = this.templates.failedLoginAlert.html(
+      adminData.username,
+      failedCount,
+      validator.escape(ipAddress || 'unknown'),
+      lockedUntil ? this.formatSecurityTime(lockedUntil) : null,
+      resetLink
+    );
+
+    return await this.sendEmail(
+      adminData.email,
+      this.templates.failedLoginAlert.subject,
+      html
+    );
+  }
+
+  // Send the email verification link to a customer
+  async sendEmailVerificationEmail(userData, token) {
+    const verifyLink = `${process.env.FRONTEND_URL || 'http://localhost:8080'}/verify-email?token=${token}`;
+
+    const html = this.templates.emailVerification.html(userData.first_name, verifyLink);
+
+    return await this.sendEmail(
+      userData.email,
+      this.templates.emailVerification.subject,
+      html
+    );
+  }
+
+  // Send a password reset link to a customer
+  async sendCustomerPasswordResetEmail(userData, resetToken, expiresInMinutes) {
+    const resetLink = `${process.env.FRONTEND_URL || 'http://localhost:8080'}/reset-password?token=${resetToken}`;
+
+    const html = this.templates.customerPasswordReset.html(userData.first_name, resetLink, expiresInMinutes);
+
+    return await this.sendEmail(
+      userData.email,
+      this.templates.customerPasswordReset.subject,
+      html
+    );
+  }
+
+  // Tell a customer their password was changed or reset
+  async sendCustomerPasswordChangedEmail(userData) {
+    const html = this.templates.customerPasswordChanged.html(
+      userData.first_name,
+      this.formatSecurityTime(new Date())
+    );
+
+    return await this.sendEmail(
+      userData.email,
+      this.templates.customerPasswordChanged.subject,
+      html
+    );
+  }
+
+  // Send the confirmation link for a new email address to that address
+  async sendEmailChangeConfirmationEmail(userData, newEmail, token) {
+    const confirmLink = `${process.env.FRONTEND_URL || 'http://localhost:8080'}/confirm-email?token=${token}`;
+
+    const html = this.templates.emailChangeConfirmation.html(userData.first_name, newEmail, confirmLink);
+
+    return await this.sendEmail(
+      newEmail,
+      this.templates.emailChangeConfirmation.subject,
+      html
+    );
+  }
+
+  // Tell the current address that a change to another one was requested
+  async sendEmailChangeNoticeEmail(userData, newEmail) {
+    const html = this.templates.emailChangeNotice.html(userData.first_name, newEmail);
+
+    return await this.sendEmail(
+      userData.email,
+      this.templates.emailChangeNotice.subject,
+      html
+    );
+  }
+
+  // Confirm to a customer that their account was deleted
+  async sendAccountDeletedEmail(userData) {
+    const html = this.templates.accountDeleted.html(userData.first_name);
+
+    return await this.sendEmail(
+      userData.email,
+      this.templates.accountDeleted.subject,
+      html
+    );
+  }
+
+  // Send the payment receipt for an order (formatted by OrderService.formatOrder)
+  async sendOrderReceiptEmail(order, currency) {
+    const formatAmount = (amount) => `${amount.toFixed(2)} ${currency.toUpperCase()}`;
+
+    const html = this.templates.orderReceipt.html(
+      order.shipping.firstName,
+      order.orderNumber,
+      order.items.map(item => ({ name: validator.escape(item.artworkName || ''), price: formatAmount(item.totalPrice) })),
+      {
+        subtotal: formatAmount(order.subtotalAmount),
+        shipping: formatAmount(order.shippingAmount),
+        tax: formatAmount(order.taxAmount),
+        total: formatAmount(order.totalAmount)
+      }
+    );
+
+    return await this.sendEmail(
+      order.contactEmail,
+      this.templates.orderReceipt.subject(order.orderNumber),
+      html
+    );
+  }
+
+  // Tell the buyer their order moved to a new status (order formatted by OrderService.formatOrder)
+  async sendOrderStatusEmail(order, { refunded = false } = {}) {
+    const { headline, message } = ORDER_STATUS_EMAILS[order.status];
+    let details = null;
+
+    if (order.status === 'SHIPPED') {
+      details = `Carrier: <strong>${validator.escape(order.shipment.carrier)}</strong><br>
+            Tracking number: <strong>${validator.escape(order.shipment.trackingNumber)}</strong>`;
+    } else if (order.status === 'CANCELLED') {
+      details = [
+        order.cancellationReason ? `Reason: ${validator.escape(order.cancellationReason)}` : null,
+        refunded ? 'Your payment has been refunded; depending on your bank it can take 5-10 business days to appear.' : null
+      ].filter(Boolean).join('<br><br>') || null;
+    }
+
+    const html = this.templates.orderStatusUpdate.html(
+      order.shipping.firstName,
+      order.orderNumber,
+      headline,
+      message,
+      details
+    );
+
+    return await this.sendEmail(
+      order.contactEmail,
+      this.templates.orderStatusUpdate.subject(order.orderNumber, headline),
+      html
+    );
+  }
+
+  // Format a time for security emails in the gallery's time zone
+  formatSecurityTime(date) {
+    return date.toLocaleString('en-US', {
+      timeZone: 'Africa/Casablanca',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      timeZoneName: 'short'
+    });
+  }
+
   // Generate secure reset token
   generateResetToken() {
     return crypto.randomBytes(32).toString('hex');
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import AdminOrderService from '../lib/admin-order-service.js';
+import OrderService from '../lib/order-service.js';
+import {
+  createTestDatabase,
+  createArtworks,
+  artworkStatuses,
+  createFakePaymentProvider,
+  GUEST_SHIPPING
+} from './helpers/database.js';
+
+const admin = { id: 1, username: 'owner' };
+
+/**
+ * Guest order paid through the payment webhook
+ */
+const placePaidOrder = async (db, adminOrderService, artworkIds) => {
+  const payments = adminOrderService.payments;
+  const { order } = await new OrderService(db).checkout({ artworkIds, shipping: GUEST_SHIPPING, email: 'guest@example.com' });
+  const { paymentIntent } = await payments.createPaymentIntent(order.orderNumber, { email: 'guest@example.com' });
+  await payments.handleWebhookEvent({ id: 'evt_paid', type: 'payment_intent.succeeded', paymentIntentId: paymentIntent.id, data: {} });
+  return { order, paymentIntent };
+};
+
+const createAdminOrderService = (db) => {
+  const adminOrderService = new AdminOrderService(db);
+  adminOrderService.payments.provider = createFakePaymentProvider();
+  return adminOrderService;
+};
+
+test('cancelling a paid order refunds it and puts its artworks back on sale', async () => {
+  const db = await createTestDatabase();
+  const [first, second, other] = await createArtworks(db, [100, 200, 300]);
+  const adminOrderService = createAdminOrderService(db);
+  const { order, paymentIntent } = await placePaidOrder(db, adminOrderService, [first, second]);
+  await new OrderService(db).checkout({ artworkIds: [other], shipping: GUEST_SHIPPING, email: 'other@example.com' });
+
+  const result = await adminOrderService.updateOrderStatus(order.id, { status: 'CANCELLED', reason: 'Buyer changed their mind' }, admin, { canRefund: true });
+
+  assert.equal(result.success, true);
+  assert.equal(result.order.status, 'CANCELLED');
+  assert.deepEqual(result.releasedArtworkIds.sort((a, b) => a - b), [first, second]);
+  assert.deepEqual(adminOrderService.payments.provider.refunds, [paymentIntent.id]);
+  assert.deepEqual(await artworkStatuses(db), { [first]: 'AVAILABLE', [second]: 'AVAILABLE', [other]: 'RESERVED' });
+
+  const saved = await db.query('SELECT payment_status FROM orders WHERE id = $1', [order.id]);
+  assert.equal(saved.rows[0].payment_status, 'REFUNDED');
+});
+
+test('cancelling a paid order needs the refund permission', async () => {
+  const db = await createTestDatabase();
+  const [artworkId] = await createArtworks(db, [100]);
+  const adminOrderService = createAdminOrderService(db);
+  const { order } = await placePaidOrder(db, adminOrderService, [artworkId]);
+
+  const result = await adminOrderService.updateOrderStatus(order.id, { status: 'CANCELLED' }, admin, { canRefund: false });
+
+  assert.equal(result.success, false);
+  assert.equal(result.errorType, 'REFUND_NOT_ALLOWED');
+  assert.deepEqual(adminOrderService.payments.provider.refunds, []);
+  assert.deepEqual(await artworkStatuses(db), { [artworkId]: 'SOLD' });
+});
+
+test('a bare to date covers the whole day, a date-time is used as given', () => {
+  const adminOrderService = new AdminOrderService({});
+
+  const byDate = adminOrderService.buildFilters({ to: '2026-10-19' });
+  const byTime = adminOrderService.buildFilters({ to: '2026-10-19T15:00:00Z' });
+
+  assert.equal(byDate.whereClause, 'WHERE o.created_at < $1');
+  assert.deepEqual(byDate.params, [new Date('2026-10-20T00:00:00Z')]);
+  assert.deepEqual(byTime.params, [new Date('2026-10-19T15:00:00Z')]);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import AdminTeamService from '../lib/admin-team-service.js';
+import { createTestDatabase } from './helpers/database.js';
+
+/**
+ * Insert an active admin with a role
+ */
+const createAdmin = async (db, username, role) => {
+  const result = await db.query(
+    `INSERT INTO admins (username, email, password_hash, role, is_active)
+     VALUES ($1, $2, 'not-a-real-hash', $3, true)
+     RETURNING id`,
+    [username, `${username}@example.com`, role]
+  );
+  return result.rows[0].id;
+};
+
+test('the last active owner cannot be demoted or deactivated', async () => {
+  const db = await createTestDatabase();
+  const ownerId = await createAdmin(db, 'owner', 'OWNER');
+  const adminId = await createAdmin(db, 'manager', 'ADMIN');
+  const teamService = new AdminTeamService(db);
+
+  const demoted = await teamService.changeRole(ownerId, 'ADMIN');
+  const deactivated = await teamService.setActive(ownerId, false, { id: adminId });
+
+  assert.equal(demoted.errorType, 'LAST_OWNER');
+  assert.equal(deactivated.errorType, 'LAST_OWNER');
+
+  const owner = await db.query('SELECT role, is_active FROM admins WHERE id = $1', [ownerId]);
+  assert.deepEqual(owner.rows[0], { role: 'OWNER', is_active: true });
+});
+
+test('an owner can step down once another owner is active', async () => {
+  const db = await createTestDatabase();
+  const ownerId = await createAdmin(db, 'owner', 'OWNER');
+  const successorId = await createAdmin(db, 'successor', 'ADMIN');
+  const teamService = new AdminTeamService(db);
+
+  assert.equal((await teamService.changeRole(successorId, 'OWNER')).success, true);
+
+  const demoted = await teamService.changeRole(ownerId, 'ADMIN');
+  assert.equal(demoted.success, true);
+  assert.equal(demoted.admin.role, 'ADMIN');
+
+  // The successor is now the last active owner
+  const deactivated = await teamService.setActive(successorId, false, { id: ownerId });
+  assert.equal(deactivated.errorType, 'LAST_OWNER');
+});
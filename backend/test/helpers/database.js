@@ -0,0 +1,78 @@
+import { newDb } from 'pg-mem';
+import Database from '../../lib/database.js';
+import { createTables } from '../../config/schema.js';
+
+export const GUEST_SHIPPING = {
+  firstName: 'Guest',
+  lastName: 'Buyer',
+  addressLine1: '1 Rue des Arts',
+  city: 'Rabat',
+  country: 'Morocco'
+};
+
+/**
+ * Database on an in-memory PostgreSQL with the full schema, so services run
+ * their real queries. pg-mem does not undo rolled back transactions, so tests
+ * only check paths that commit.
+ * @returns {Promise<Database>}
+ */
+export async function createTestDatabase() {
+  const { Pool } = newDb({ noAstCoverageCheck: true }).adapters.createPg();
+  const db = Object.create(Database.prototype);
+  db.pool = new Pool();
+  db.isConnected = true;
+
+  await createTables(db.pool);
+  return db;
+}
+
+/**
+ * Insert available artworks
+ * @param {Database} db
+ * @param {Array<number>} prices
+ * @returns {Promise<Array<number>>} Artwork ids
+ */
+export async function createArtworks(db, prices) {
+  const ids = [];
+  for (const [index, price] of prices.entries()) {
+    const result = await db.query(
+      `INSERT INTO artworks (name, price, status) VALUES ($1, $2, 'AVAILABLE') RETURNING id`,
+      [`Artwork ${index + 1}`, price]
+    );
+    ids.push(result.rows[0].id);
+  }
+  return ids;
+}
+
+/**
+ * Status of each artwork, by id
+ * @param {Database} db
+ * @returns {Promise<Object>}
+ */
+export async function artworkStatuses(db) {
+  const result = await db.query('SELECT id, status FROM artworks ORDER BY id');
+  return Object.fromEntries(result.rows.map(row => [row.id, row.status]));
+}
+
+/**
+ * Payment provider that records refunds instead of calling a payment API
+ * @returns {Object}
+ */
+export function createFakePaymentProvider() {
+  let intents = 0;
+
+  return {
+    name: 'stub',
+    publishableKey: null,
+    refunds: [],
+    isEnabled: () => true,
+    async createPaymentIntent() {
+      intents++;
+      return { id: `pi_test_${intents}`, clientSecret: `pi_test_${intents}_secret`, status: 'requires_payment_method' };
+    },
+    async refund(paymentIntentId) {
+      this.refunds.push(paymentIntentId);
+      return { id: `re_test_${this.refunds.length}`, status: 'succeeded' };
+    }
+  };
+}
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import OrderService from '../lib/order-service.js';
+import { createTestDatabase, createArtworks, artworkStatuses, GUEST_SHIPPING } from './helpers/database.js';
+
+const orderService = new OrderService({});
+
+test('calculateTotals adds shipping and tax to the artwork prices', () => {
+  const totals = orderService.calculateTotals(
+    [{ price: '1200.00' }, { price: 350.5 }],
+    { shippingAmount: 25, taxRate: 0.2 }
+  );
+
+  assert.deepEqual(totals, { subtotal: '1550.50', shipping: '25.00', tax: '310.10', total: '1885.60' });
+});
+
+test('calculateTotals works in cents so amounts do not drift', () => {
+  const totals = orderService.calculateTotals(
+    [{ price: '0.10' }, { price: '0.20' }],
+    { shippingAmount: 0.3, taxRate: 0 }
+  );
+
+  assert.deepEqual(totals, { subtotal: '0.30', shipping: '0.30', tax: '0.00', total: '0.60' });
+});
+
+test('calculateTotals rounds tax to the nearest cent', () => {
+  const totals = orderService.calculateTotals([{ price: '99.99' }], { shippingAmount: 0, taxRate: 0.075 });
+
+  assert.deepEqual(totals, { subtotal: '99.99', shipping: '0.00', tax: '7.50', total: '107.49' });
+});
+
+test('calculateTotals treats missing shipping and tax settings as zero', () => {
+  const totals = orderService.calculateTotals([{ price: '500' }], {});
+
+  assert.deepEqual(totals, { subtotal: '500.00', shipping: '0.00', tax: '0.00', total: '500.00' });
+});
+
+test('checkout reserves the artworks and holds them for the order', async () => {
+  const db = await createTestDatabase();
+  const [first, second] = await createArtworks(db, [1200, 350]);
+
+  const result = await new OrderService(db).checkout({ artworkIds: [second, first], shipping: GUEST_SHIPPING, email: 'guest@example.com' });
+
+  assert.equal(result.success, true);
+  assert.equal(result.order.status, 'PENDING');
+  assert.deepEqual(await artworkStatuses(db), { [first]: 'RESERVED', [second]: 'RESERVED' });
+
+  const holds = await db.query('SELECT artwork_id, order_id FROM artwork_holds WHERE released_at IS NULL ORDER BY artwork_id');
+  assert.deepEqual(holds.rows, [
+    { artwork_id: first, order_id: result.order.id },
+    { artwork_id: second, order_id: result.order.id }
+  ]);
+});
+
+test('checkout refuses artworks another checkout has reserved', async () => {
+  const db = await createTestDatabase();
+  const [first, second] = await createArtworks(db, [1200, 350]);
+  const checkoutService = new OrderService(db);
+
+  await checkoutService.checkout({ artworkIds: [first], shipping: GUEST_SHIPPING, email: 'first@example.com' });
+  const result = await checkoutService.checkout({ artworkIds: [first, second], shipping: GUEST_SHIPPING, email: 'second@example.com' });
+
+  assert.equal(result.success, false);
+  assert.equal(result.errorType, 'ARTWORK_UNAVAILABLE');
+  assert.deepEqual(result.unavailableIds, [first]);
+  // The available artwork is left on sale
+  assert.deepEqual(await artworkStatuses(db), { [first]: 'RESERVED', [second]: 'AVAILABLE' });
+  assert.equal(parseInt((await db.query('SELECT COUNT(*) AS count FROM orders')).rows[0].count), 1);
+});
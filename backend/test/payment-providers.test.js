@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { signWebhookPayload, verifyWebhookEvent } from '../lib/payment-providers.js';
+import { WEBHOOK_TOLERANCE_SECONDS } from '../config/payments.js';
+
+const SECRET = 'whsec_test';
+const payload = JSON.stringify({
+  id: 'evt_1',
+  type: 'payment_intent.succeeded',
+  data: { object: { id: 'pi_1', object: 'payment_intent' } }
+});
+
+test('verifyWebhookEvent accepts a correctly signed event', () => {
+  const event = verifyWebhookEvent(Buffer.from(payload), signWebhookPayload(payload, SECRET), SECRET);
+
+  assert.equal(event.id, 'evt_1');
+  assert.equal(event.type, 'payment_intent.succeeded');
+  assert.equal(event.paymentIntentId, 'pi_1');
+});
+
+test('verifyWebhookEvent rejects a bad signature', () => {
+  assert.throws(
+    () => verifyWebhookEvent(payload, signWebhookPayload(payload, 'another-secret'), SECRET),
+    /Invalid webhook signature/
+  );
+  assert.throws(
+    () => verifyWebhookEvent(payload.replace('pi_1', 'pi_2'), signWebhookPayload(payload, SECRET), SECRET),
+    /Invalid webhook signature/
+  );
+});
+
+test('verifyWebhookEvent rejects a stale timestamp', () => {
+  const timestamp = Math.floor(Date.now() / 1000) - WEBHOOK_TOLERANCE_SECONDS - 1;
+
+  assert.throws(
+    () => verifyWebhookEvent(payload, signWebhookPayload(payload, SECRET, timestamp), SECRET),
+    /outside the tolerance window/
+  );
+});
+
+test('verifyWebhookEvent rejects a multibyte signature of the same length', () => {
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  // 64 characters like a hex digest, but 128 bytes
+  assert.throws(
+    () => verifyWebhookEvent(payload, `t=${timestamp},v1=${'é'.repeat(64)}`, SECRET),
+    /Invalid webhook signature/
+  );
+});
+
+test('verifyWebhookEvent rejects a missing signature', () => {
+  assert.throws(() => verifyWebhookEvent(payload, undefined, SECRET), /Missing webhook signature/);
+  assert.throws(() => verifyWebhookEvent(payload, `t=${Math.floor(Date.now() / 1000)}`, SECRET), /Missing webhook signature/);
+});
@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import OrderService from '../lib/order-service.js';
+import PaymentService from '../lib/payment-service.js';
+import ReservationService from '../lib/reservation-service.js';
+import {
+  createTestDatabase,
+  createArtworks,
+  artworkStatuses,
+  createFakePaymentProvider,
+  GUEST_SHIPPING
+} from './helpers/database.js';
+
+/**
+ * Database stand-in that keeps the payment_events unique constraint and knows
+ * no payments, which is all an event needs to be recorded and then ignored
+ */
+const createEventStore = () => {
+  const eventIds = new Set();
+  const client = {
+    queries: [],
+    async query(text, params) {
+      this.queries.push(text);
+
+      if (text.includes('INSERT INTO payment_events')) {
+        const eventId = params[1];
+        if (eventIds.has(eventId)) {
+          return { rows: [] };
+        }
+        eventIds.add(eventId);
+        return { rows: [{ id: eventIds.size }] };
+      }
+      return { rows: [] };
+    }
+  };
+
+  return {
+    client,
+    transaction: callback => callback(client),
+    query: (text, params) => client.query(text, params)
+  };
+};
+
+test('handleWebhookEvent processes an event id only once', async () => {
+  const db = createEventStore();
+  const paymentService = new PaymentService(db);
+  const event = { id: 'evt_1', type: 'payment_intent.succeeded', paymentIntentId: 'pi_unknown', data: {} };
+
+  const first = await paymentService.handleWebhookEvent(event);
+  const queriesAfterFirst = db.client.queries.length;
+  const second = await paymentService.handleWebhookEvent({ ...event });
+
+  assert.equal(first.outcome, 'IGNORED');
+  assert.equal(second.outcome, 'DUPLICATE');
+  // The redelivery stops at recording the event id
+  assert.equal(db.client.queries.length, queriesAfterFirst + 1);
+});
+
+test('handleWebhookEvent records events of other types without acting on them', async () => {
+  const db = createEventStore();
+  const paymentService = new PaymentService(db);
+
+  const result = await paymentService.handleWebhookEvent({ id: 'evt_2', type: 'customer.created', paymentIntentId: null, data: {} });
+
+  assert.equal(result.outcome, 'IGNORED');
+  assert.equal(db.client.queries.length, 1);
+});
+
+/**
+ * Guest checkout with a payment started for it
+ */
+const startPaidCheckout = async (db, artworkIds) => {
+  const paymentService = new PaymentService(db);
+  paymentService.provider = createFakePaymentProvider();
+
+  const { order } = await new OrderService(db).checkout({ artworkIds, shipping: GUEST_SHIPPING, email: 'guest@example.com' });
+  const { paymentIntent } = await paymentService.createPaymentIntent(order.orderNumber, { email: 'guest@example.com' });
+
+  return { paymentService, order, paymentIntent };
+};
+
+const succeeded = (eventId, paymentIntentId) => ({ id: eventId, type: 'payment_intent.succeeded', paymentIntentId, data: {} });
+
+test('a successful payment confirms the order and sells its artworks', async () => {
+  const db = await createTestDatabase();
+  const [first, second] = await createArtworks(db, [100, 200]);
+  const { paymentService, order, paymentIntent } = await startPaidCheckout(db, [first, second]);
+
+  const result = await paymentService.handleWebhookEvent(succeeded('evt_paid', paymentIntent.id));
+
+  assert.equal(result.outcome, 'PAID');
+  assert.deepEqual(result.soldArtworkIds, [first, second]);
+  assert.deepEqual(await artworkStatuses(db), { [first]: 'SOLD', [second]: 'SOLD' });
+
+  const saved = await db.query('SELECT status, payment_status FROM orders WHERE id = $1', [order.id]);
+  assert.deepEqual(saved.rows[0], { status: 'CONFIRMED', payment_status: 'PAID' });
+
+  const holds = await db.query('SELECT release_reason FROM artwork_holds WHERE order_id = $1', [order.id]);
+  assert.deepEqual(holds.rows.map(hold => hold.release_reason), ['SOLD', 'SOLD']);
+  assert.deepEqual(paymentService.provider.refunds, []);
+});
+
+test('a payment arriving after the order was cancelled is refunded', async () => {
+  const db = await createTestDatabase();
+  const [artworkId] = await createArtworks(db, [100]);
+  const { paymentService, order, paymentIntent } = await startPaidCheckout(db, [artworkId]);
+
+  // The hold ran out long before the payment came through, so the sweeper cancelled the order
+  await db.query('UPDATE artwork_holds SET expires_at = $2 WHERE order_id = $1', [order.id, new Date(Date.now() - 60 * 60 * 1000)]);
+  await new ReservationService(db).releaseExpiredHolds();
+
+  const result = await paymentService.handleWebhookEvent(succeeded('evt_late', paymentIntent.id));
+
+  assert.equal(result.outcome, 'REFUNDED');
+  assert.deepEqual(paymentService.provider.refunds, [paymentIntent.id]);
+  assert.deepEqual(await artworkStatuses(db), { [artworkId]: 'AVAILABLE' });
+
+  const payment = await db.query('SELECT status FROM payments WHERE provider_payment_id = $1', [paymentIntent.id]);
+  assert.equal(payment.rows[0].status, 'REFUNDED');
+});
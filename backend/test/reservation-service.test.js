@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import OrderService from '../lib/order-service.js';
+import ReservationService from '../lib/reservation-service.js';
+import { createTestDatabase, createArtworks, artworkStatuses, GUEST_SHIPPING } from './helpers/database.js';
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Place a guest checkout whose holds ended some minutes ago
+ */
+const placeExpiredCheckout = async (db, artworkIds, minutesAgo) => {
+  const { order } = await new OrderService(db).checkout({ artworkIds, shipping: GUEST_SHIPPING, email: 'guest@example.com' });
+  await db.query('UPDATE artwork_holds SET expires_at = $2 WHERE order_id = $1', [order.id, new Date(Date.now() - minutesAgo * MINUTE)]);
+  return order;
+};
+
+const orderStatus = async (db, orderId) =>
+  (await db.query('SELECT status FROM orders WHERE id = $1', [orderId])).rows[0].status;
+
+test('an expired checkout hold cancels the order and puts its artworks back on sale', async () => {
+  const db = await createTestDatabase();
+  const [first, second, other] = await createArtworks(db, [100, 200, 300]);
+  const order = await placeExpiredCheckout(db, [first, second], 1);
+  await new OrderService(db).checkout({ artworkIds: [other], shipping: GUEST_SHIPPING, email: 'other@example.com' });
+
+  const releasedArtworkIds = await new ReservationService(db).releaseExpiredHolds();
+
+  assert.deepEqual(releasedArtworkIds.sort((a, b) => a - b), [first, second]);
+  assert.equal(await orderStatus(db, order.id), 'CANCELLED');
+  assert.deepEqual(await artworkStatuses(db), { [first]: 'AVAILABLE', [second]: 'AVAILABLE', [other]: 'RESERVED' });
+
+  const reasons = await db.query('SELECT DISTINCT release_reason FROM artwork_holds WHERE order_id = $1', [order.id]);
+  assert.deepEqual(reasons.rows, [{ release_reason: 'EXPIRED' }]);
+});
+
+test('an expired checkout hold waits for a payment started before it ended', async () => {
+  const db = await createTestDatabase();
+  const [artworkId] = await createArtworks(db, [100]);
+  const order = await placeExpiredCheckout(db, [artworkId], 5);
+  await db.query(
+    `INSERT INTO payments (order_id, provider, provider_payment_id, amount, currency, status, created_at, updated_at)
+     VALUES ($1, 'stub', 'pi_pending', 100, 'mad', 'PENDING', $2, NOW())`,
+    [order.id, new Date(Date.now() - 10 * MINUTE)]
+  );
+
+  assert.deepEqual(await new ReservationService(db).releaseExpiredHolds(), []);
+  assert.equal(await orderStatus(db, order.id), 'PENDING');
+  assert.deepEqual(await artworkStatuses(db), { [artworkId]: 'RESERVED' });
+});
+
+test('an expired checkout hold stops waiting for a pending payment after the grace period', async () => {
+  const db = await createTestDatabase();
+  const [artworkId] = await createArtworks(db, [100]);
+  const order = await placeExpiredCheckout(db, [artworkId], 31);
+  await db.query(
+    `INSERT INTO payments (order_id, provider, provider_payment_id, amount, currency, status, created_at, updated_at)
+     VALUES ($1, 'stub', 'pi_abandoned', 100, 'mad', 'PENDING', $2, NOW())`,
+    [order.id, new Date(Date.now() - 40 * MINUTE)]
+  );
+
+  assert.deepEqual(await new ReservationService(db).releaseExpiredHolds(), [artworkId]);
+  assert.equal(await orderStatus(db, order.id), 'CANCELLED');
+});
@@ -0,0 +1,21 @@
+/**
+ * Date Range Utilities
+ * Shared handling of the from/to query filters on admin listings
+ */
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Exclusive upper bound for a `to` filter. A bare date takes in the whole day
+ * (to=2026-10-19 → before 2026-10-20T00:00:00Z); a date-time is used as given.
+ * @param {string|Date} to - ISO 8601 value from the query string
+ * @returns {Date}
+ */
+export const rangeEnd = (to) => {
+  if (typeof to === 'string' && DATE_ONLY_PATTERN.test(to)) {
+    return new Date(Date.parse(to) + ONE_DAY);
+  }
+
+  return new Date(to);
+};
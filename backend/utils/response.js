@@ -0,0 +1,64 @@
+/**
+ * Response Utilities
+ * Shared response formatting and request helpers for API routers
+ */
+
+import { validationResult } from 'express-validator';
+
+/**
+ * Professional response formatter
+ * @param {boolean} success
+ * @param {*} data
+ * @param {string} message
+ * @param {string} error
+ * @param {number} statusCode
+ * @returns {Object}
+ */
+export const formatResponse = (success, data = null, message = '', error = null, statusCode = 200) => {
+  const response = {
+    success,
+    message,
+    timestamp: new Date().toISOString(),
+    ...(data && { data }),
+    ...(error && { error: typeof error === 'string' ? error : error.type || 'UNKNOWN_ERROR' })
+  };
+
+  if (process.env.NODE_ENV === 'development' && error && typeof error === 'object') {
+    response.errorDetails = error;
+  }
+
+  return response;
+};
+
+/**
+ * Async handler wrapper for better error handling
+ * @param {Function} fn
+ * @returns {Function}
+ */
+export const handleAsync = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+/**
+ * Handle express-validator errors
+ */
+export const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json(formatResponse(
+      false,
+      null,
+      'Validation failed',
+      {
+        type: 'VALIDATION_ERROR',
+        details: errors.array().map(err => ({
+          field: err.path,
+          message: err.msg,
+          value: err.value
+        }))
+      },
+      400
+    ));
+  }
+  next();
+};